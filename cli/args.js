@@ -0,0 +1,85 @@
+import { parseArgs } from 'node:util';
+
+export const USAGE = `Usage: waba-playground <framework.lp|framework.waba> [options]
+
+Runs the same pipeline as the browser playground and prints JSON extensions.
+
+Options (defaults match the UI):
+  --semiring <godel|lukasiewicz|tropical> Semiring family (godel)
+  --polarity <higher|lower>               Polarity; ignored for godel (higher)
+                                          and tropical (lower)
+  --default-policy <legacy|aba|neutral>   Default weight policy (legacy)
+  --aba-recovery                          Neutral defaults + no-discard
+  --monoid <sum|max|count|min>            Cost monoid (sum)
+  --optimization <minimize|maximize>      Optimization direction (minimize)
+  --budget-mode <none|ub|lb>              Budget constraint (none)
+  --beta <n>                              Budget threshold β (0)
+  --semantics <name>                      cf, stable, admissible, complete, grounded, preferred,
+                                          semi-stable, ideal (stable)
+  --opt-mode <ignore|optN>                Solver optimization mode (ignore)
+  --filter <projection|standard>          Output filter (projection)
+  --num-models <n>                        Max models, 0 = no limit (0)
+  --timeout <seconds>                     Per solver call (60)
+  --pretty                                Indent the JSON output
+  -h, --help                              Show this help`;
+
+const OPTIONS = {
+    semiring: { type: 'string', default: 'godel' },
+    polarity: { type: 'string', default: 'higher' },
+    'default-policy': { type: 'string', default: 'legacy' },
+    'aba-recovery': { type: 'boolean', default: false },
+    monoid: { type: 'string', default: 'sum' },
+    optimization: { type: 'string', default: 'minimize' },
+    'budget-mode': { type: 'string', default: 'none' },
+    beta: { type: 'string', default: '0' },
+    semantics: { type: 'string', default: 'stable' },
+    'opt-mode': { type: 'string', default: 'ignore' },
+    filter: { type: 'string', default: 'projection' },
+    'num-models': { type: 'string', default: '0' },
+    timeout: { type: 'string', default: '60' },
+    pretty: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+function parseInteger(name, value) {
+    const parsed = Number.parseInt(value, 10);
+    if (!Number.isFinite(parsed) || String(parsed) !== value.trim()) {
+        throw new Error(`--${name} expects an integer, got "${value}".`);
+    }
+    return parsed;
+}
+
+/**
+ * Turn CLI arguments into the same raw config `ConfigController.getCurrentConfig()` builds.
+ *
+ * @param {string[]} argv
+ * @returns {{ file: string | null, config: Record<string, unknown>, pretty: boolean, help: boolean }}
+ */
+export function parseCliArgs(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+    if (positionals.length > 1) {
+        throw new Error(`Expected one framework file, got ${positionals.length}.`);
+    }
+
+    return {
+        file: positionals[0] || null,
+        pretty: values.pretty,
+        help: values.help,
+        config: {
+            semiringFamily: values.semiring,
+            polarity: values.polarity,
+            defaultPolicy: values['default-policy'],
+            abaRecovery: values['aba-recovery'],
+            monoid: values.monoid,
+            optimization: values.optimization,
+            budgetMode: values['budget-mode'],
+            semantics: values.semantics,
+            optMode: values['opt-mode'],
+            beta: parseInteger('beta', values.beta),
+            numModels: parseInteger('num-models', values['num-models']),
+            timeout: parseInteger('timeout', values.timeout) * 1000,
+            filterType: values.filter
+        }
+    };
+}
@@ -0,0 +1,20 @@
+import { readFileSync } from 'node:fs';
+import { createRequire, Module } from 'node:module';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+
+const CLINGO_NODE_PATH = resolve(dirname(fileURLToPath(import.meta.url)), '..', 'clingo.node.js');
+
+/**
+ * Load the vendored CommonJS clingo-wasm build. The package is `"type": "module"`,
+ * so `clingo.node.js` cannot be `require`d directly and is evaluated as CommonJS here.
+ *
+ * @returns {{ run: (program: string, models?: number, options?: string[]) => Promise<any> }}
+ */
+export function loadClingoNode(filename = CLINGO_NODE_PATH) {
+    const module = { exports: {} };
+    const wrapper = vm.runInThisContext(Module.wrap(readFileSync(filename, 'utf8')), { filename });
+    wrapper(module.exports, createRequire(filename), module, filename, dirname(filename));
+    return module.exports;
+}
@@ -0,0 +1,17 @@
+/**
+ * worker_threads entry for NodeSolverWorker. Speaks the same protocol as
+ * `dist/clingo.web.worker.js`: `init` replies with `null`, `run` with the clingo result.
+ */
+import { parentPort } from 'node:worker_threads';
+import { loadClingoNode } from './clingo-node.js';
+
+const clingo = loadClingoNode();
+
+parentPort.on('message', async (message) => {
+    if (message.type === 'init') {
+        await clingo.run('', 0, []);
+        parentPort.postMessage(null);
+    } else if (message.type === 'run') {
+        parentPort.postMessage(await clingo.run(...message.args));
+    }
+});
@@ -0,0 +1,36 @@
+import { extname } from 'node:path';
+import { buildClingoFromSimpleFields } from '../features/editor/simple-format.js';
+import { FileManager } from '../modules/file-manager.js';
+import { formatWabaDiagnostic } from '../runtime/waba-syntax.js';
+
+/**
+ * Turn an uploaded file into framework code exactly like the browser upload path:
+ * `.lp` is used verbatim, `.waba` goes through `parseWabaFile` and the Simple editor.
+ * Lines of a `.waba` file that do not parse are skipped and reported to `onWarning`.
+ *
+ * @param {string} fileName
+ * @param {string} content
+ * @param {(message: string) => void} [onWarning]
+ * @returns {string}
+ */
+export function frameworkFromFile(fileName, content, onWarning = () => {}) {
+    const extension = extname(fileName).slice(1).toLowerCase();
+
+    if (extension === 'lp') {
+        return content;
+    }
+
+    if (extension === 'waba') {
+        const parsed = new FileManager().parseWabaFile(content);
+        parsed.diagnostics.forEach((diagnostic) => onWarning(`${fileName}: ${formatWabaDiagnostic(diagnostic)}`));
+        return buildClingoFromSimpleFields({
+            description: parsed.description,
+            assumptions: parsed.assumptions.join('\n'),
+            rules: parsed.rules.join('\n'),
+            contraries: parsed.contraries.join('\n'),
+            weights: parsed.weights.join('\n')
+        });
+    }
+
+    throw new Error(`Unsupported file type: ${extension || '(none)'}. Please use .lp or .waba files.`);
+}
@@ -0,0 +1,64 @@
+import { Worker } from 'node:worker_threads';
+
+/**
+ * NodeSolverWorker - The Node.js counterpart of `modules/solver-worker.js`.
+ *
+ * Runs clingo-wasm in a worker thread so `ClingoManager` timeouts can terminate a
+ * search. The thread's stdout (clingo-wasm init chatter) goes to stderr, keeping
+ * the CLI's stdout pure JSON.
+ */
+export class NodeSolverWorker {
+    constructor(threadUrl = new URL('./clingo-thread.js', import.meta.url)) {
+        this.threadUrl = threadUrl;
+        this.worker = null;
+        this.ready = null;
+        this.pending = null;
+    }
+
+    start() {
+        this.worker = new Worker(this.threadUrl, { stdout: true });
+        this.worker.stdout.pipe(process.stderr);
+        this.worker.on('message', (data) => this.settle('resolve', data));
+        this.worker.on('error', (error) => this.settle('reject', error));
+        this.ready = this.post({ type: 'init' });
+        this.ready.catch(() => undefined);
+        return this.ready;
+    }
+
+    async run(program, numModels = 0, args = []) {
+        await this.ready;
+        return this.post({ type: 'run', args: [program, numModels, args] });
+    }
+
+    terminate(reason = new Error('Clingo worker terminated.')) {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.settle('reject', reason);
+    }
+
+    restart(reason) {
+        this.terminate(reason);
+        return this.start();
+    }
+
+    post(message) {
+        return new Promise((resolve, reject) => {
+            if (!this.worker) {
+                reject(new Error('Clingo worker is not running.'));
+                return;
+            }
+            this.pending = { resolve, reject };
+            this.worker.postMessage(message);
+        });
+    }
+
+    settle(outcome, value) {
+        const pending = this.pending;
+        this.pending = null;
+        if (pending) {
+            pending[outcome](value);
+        }
+    }
+}
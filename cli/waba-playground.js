@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+import { readFile } from 'node:fs/promises';
+import { USAGE, parseCliArgs } from './args.js';
+import { frameworkFromFile } from './framework.js';
+import { NodeSolverWorker } from './node-solver-worker.js';
+import { ClingoManager } from '../modules/clingo-manager.js';
+import { rankWitnesses } from '../runtime/extension-ranking.js';
+
+function serializeExtension(item, index) {
+    const { parsed } = item;
+    return {
+        rank: index + 1,
+        in: parsed.in,
+        out: parsed.out,
+        supported: parsed.supported.map((atom) => ({ atom, weight: parsed.weights.get(atom) ?? null })),
+        discarded: parsed.discarded,
+        successful: parsed.successful,
+        budgetValue: parsed.budgetValue,
+        aggregateValue: item.aggregateValue,
+        cost: item.cost
+    };
+}
+
+async function main(argv) {
+    const options = parseCliArgs(argv);
+    if (options.help || !options.file) {
+        console.log(USAGE);
+        return options.help ? 0 : 2;
+    }
+
+    const framework = frameworkFromFile(options.file, await readFile(options.file, 'utf8'), (message) => console.error(message));
+    const clingoManager = new ClingoManager(null);
+    clingoManager.worker = new NodeSolverWorker();
+
+    try {
+        await clingoManager.worker.start();
+        clingoManager.clingoReady = true;
+
+        const run = await clingoManager.runWABA(framework, options.config, (message) => console.error(message));
+        const { result, elapsed, effectiveConfig } = run;
+        const witnesses = result.Call?.[0]?.Witnesses || [];
+        const isSuccessful = result.Result === 'SATISFIABLE' || result.Result === 'OPTIMUM FOUND';
+        const extensions = isSuccessful ? rankWitnesses(witnesses, effectiveConfig).map(serializeExtension) : [];
+
+        const report = {
+            file: options.file,
+            config: effectiveConfig,
+            result: result.Result,
+            elapsed: Number(elapsed),
+            extensions
+        };
+        console.log(JSON.stringify(report, null, options.pretty ? 2 : 0));
+        return 0;
+    } finally {
+        clingoManager.worker.terminate();
+    }
+}
+
+main(process.argv.slice(2)).then(
+    (exitCode) => {
+        process.exitCode = exitCode;
+    },
+    (error) => {
+        console.error(`waba-playground: ${error.message}`);
+        process.exitCode = 1;
+    }
+);
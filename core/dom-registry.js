@@ -15,6 +15,7 @@ export function createDomRegistry(doc = document) {
         output: byId('output'),
         stats: byId('stats'),
         runBtn: byId('run-btn'),
+        cancelRunBtn: byId('cancel-run-btn'),
         clearBtn: byId('clear-btn'),
         semiringSelect: byId('semiring-select'),
         defaultPolicySelect: byId('default-policy-select'),
@@ -27,9 +28,12 @@ export function createDomRegistry(doc = document) {
         numModelsInput: byId('num-models-input'),
         numModelsContainer: byId('num-models-container'),
         timeoutInput: byId('timeout-input'),
+        streamResultsToggle: byId('stream-results-toggle'),
         optimizeSelect: byId('optimize-select'),
         optModeSelect: byId('opt-mode-select'),
         constraintSelect: byId('constraint-select'),
+        semiringExperimentalGroup: byId('semiring-experimental-group'),
+        semiringExperimentalBadge: byId('semiring-experimental-badge'),
         polaritySelect: byId('polarity-select'),
         showSelect: byId('show-select'),
         semiringAliasNote: byId('semiring-alias-note'),
@@ -54,16 +58,64 @@ export function createDomRegistry(doc = document) {
         syntaxGuideClose: byId('syntax-guide-close'),
         downloadLpBtn: byId('download-lp-btn'),
         downloadWabaBtn: byId('download-waba-btn'),
+        downloadIccmaBtn: byId('download-iccma-btn'),
+        downloadJsonBtn: byId('download-json-btn'),
+        problemsPanel: byId('problems-panel'),
+        problemsCount: byId('problems-count'),
+        problemsList: byId('problems-list'),
+        copyLinkBtn: byId('copy-link-btn'),
+        graphEditBtn: byId('graph-edit-btn'),
+        graphEditToolbar: byId('graph-edit-toolbar'),
+        graphEditAddForm: byId('graph-edit-add-form'),
+        graphEditAtomInput: byId('graph-edit-atom-input'),
+        graphEditAttackBtn: byId('graph-edit-attack-btn'),
+        graphEditDeleteBtn: byId('graph-edit-delete-btn'),
+        graphEditWeightForm: byId('graph-edit-weight-form'),
+        graphEditWeightLabel: byId('graph-edit-weight-label'),
+        graphEditWeightInput: byId('graph-edit-weight-input'),
+        semiringModuleInput: byId('semiring-module-input'),
+        semiringModuleFileInput: byId('semiring-module-file-input'),
+        semiringModuleUploadBtn: byId('semiring-module-upload-btn'),
+        semiringModuleRegisterBtn: byId('semiring-module-register-btn'),
+        semiringModuleStatus: byId('semiring-module-status'),
+        semiringModuleList: byId('semiring-module-list'),
         legendToggleBtn: byId('legend-toggle-btn'),
         graphLegend: byId('graph-legend'),
         exportPngBtn: byId('export-png-btn'),
         exportPdfBtn: byId('export-pdf-btn'),
+        exportSvgBtn: byId('export-svg-btn'),
+        exportTikzBtn: byId('export-tikz-btn'),
         themeToggleBtn: byId('theme-toggle-btn'),
         themeIcon: byId('theme-icon'),
         fontIncreaseBtn: byId('font-increase-btn'),
         fontDecreaseBtn: byId('font-decrease-btn'),
         analysisPanel: byId('analysis-panel'),
         exportSection: byId('export-section'),
+        queryAtomInput: byId('query-atom-input'),
+        queryAtomOptions: byId('query-atom-options'),
+        queryRunBtn: byId('query-run-btn'),
+        queryResult: byId('query-result'),
+        setTestSection: byId('set-test-section'),
+        setTestAssumptions: byId('set-test-assumptions'),
+        setTestRunBtn: byId('set-test-run-btn'),
+        setTestResult: byId('set-test-result'),
+        sweepStartInput: byId('sweep-start-input'),
+        sweepEndInput: byId('sweep-end-input'),
+        sweepStepInput: byId('sweep-step-input'),
+        sweepRunBtn: byId('sweep-run-btn'),
+        sweepCancelBtn: byId('sweep-cancel-btn'),
+        sweepResult: byId('sweep-result'),
+        comparePinBtn: byId('compare-pin-btn'),
+        compareRunBtn: byId('compare-run-btn'),
+        comparePinned: byId('compare-pinned'),
+        compareResult: byId('compare-result'),
+        workspaceNameInput: byId('workspace-name-input'),
+        workspaceSaveBtn: byId('workspace-save-btn'),
+        workspaceSelect: byId('workspace-select'),
+        workspaceOpenBtn: byId('workspace-open-btn'),
+        workspaceDeleteBtn: byId('workspace-delete-btn'),
+        workspaceStatus: byId('workspace-status'),
+        runHistory: byId('run-history'),
         graphEmptyState: byId('graph-empty-state'),
         outputEmptyState: byId('output-empty-state'),
         introStatus: byId('intro-status'),
@@ -71,6 +123,7 @@ export function createDomRegistry(doc = document) {
         loadingText: byId('loading-text'),
         loadingSubtext: byId('loading-subtext'),
         loadingElapsed: byId('loading-elapsed'),
+        loadingCancelBtn: byId('loading-cancel-btn'),
         simpleDescriptionBar: byId('simple-description-bar'),
         simpleDescriptionTrigger: byId('simple-description-trigger'),
         simpleDescriptionHoverPanel: byId('simple-description-hover-panel'),
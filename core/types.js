@@ -8,7 +8,7 @@
  * @property {'minimize'|'maximize'} optimization
  * @property {'none'|'ub'|'lb'} budgetMode
  * @property {'no_discard'|'bounded'} budgetIntent
- * @property {'cf'|'stable'|'admissible'|'complete'|'grounded'|'preferred'} semantics
+ * @property {'cf'|'stable'|'admissible'|'complete'|'grounded'|'preferred'|'semi-stable'|'ideal'} semantics
  * @property {'ignore'|'optN'} optMode
  * @property {number} beta
  * @property {number} numModels
@@ -17,9 +17,19 @@
  *
  * @typedef {RunConfig & {
  *   semiringKey: string,
- *   aliasLabel: string | null
+ *   aliasLabel: string | null,
+ *   experimentalSemiring: boolean,
+ *   objective: string
  * }} EffectiveConfig
  *
+ * @typedef {Partial<RunConfig> & {
+ *   semiring?: string,
+ *   objective?: string,
+ *   optimize?: 'minimize'|'maximize',
+ *   constraint?: 'none'|'ub'|'lb',
+ *   budget?: string | number
+ * }} RunConfigInput `RunConfig` fields plus the legacy names `normalizeConfig` still accepts
+ *
  * @typedef {Object} ExamplePreset
  * @property {string} label
  * @property {string} description
@@ -36,6 +46,11 @@
  * @property {Map<string, string | number>} weights
  * @property {string[]} discarded
  * @property {string[]} successful
+ * @property {Set<string>} assumptions
+ * @property {Map<string, string>} contraries
+ * @property {Map<string, { head: string | null, body: string[] }>} rules
+ * @property {string[]} derived
+ * @property {Array<{ assumption: string, contrary: string }>} activeContraries
  * @property {string | number | null} budgetValue
  * @property {string | number | null} budgetValueRaw
  *
@@ -46,6 +61,271 @@
  * @property {string | number} aggregateValue
  * @property {number[]} objectiveTuple
  *
+ * @typedef {Object} AcceptanceVerdict
+ * @property {boolean} accepted
+ * @property {{ Value?: string[] } | null} witness Witnessing extension (credulous) or counterexample (sceptical)
+ *
+ * @typedef {Object} AcceptanceOutcome
+ * @property {string} atom
+ * @property {string} semantics
+ * @property {'consequences' | 'enumeration'} method
+ * @property {boolean} hasExtensions
+ * @property {AcceptanceVerdict} credulous
+ * @property {AcceptanceVerdict} sceptical
+ *
+ * @typedef {Object} SweepPoint
+ * @property {number} beta
+ * @property {string} result Clingo result for this β
+ * @property {number} extensionCount
+ * @property {string | number | null} bestObjective Aggregate of the best-ranked extension
+ * @property {string[]} extensionSets Sorted accepted-assumption sets, e.g. `{a, b}`
+ * @property {boolean} changed Whether the extension sets differ from the previous β
+ *
+ * @typedef {Object} ComparisonRow
+ * @property {string} key Accepted-assumption set, e.g. `{a, b}`
+ * @property {'both'|'left'|'right'} presence Side(s) on which the set is an extension
+ * @property {RankedExtension | null} left Best-ranked extension with this set under configuration A
+ * @property {RankedExtension | null} right Best-ranked extension with this set under configuration B
+ *
+ * @typedef {Object} ComparisonSide
+ * @property {EffectiveConfig} config
+ * @property {string} result Clingo result
+ * @property {string} elapsed
+ * @property {RankedExtension[]} ranked
+ *
+ * @typedef {Object} ConfigComparison
+ * @property {ComparisonSide} left
+ * @property {ComparisonSide} right
+ * @property {Array<{ field: string, label: string, left: unknown, right: unknown }>} configDifferences
+ * @property {ComparisonRow[]} rows
+ * @property {{ both: number, left: number, right: number }} counts
+ *
+ * @typedef {Object} AbaFramework
+ * @property {string[]} assumptions
+ * @property {Array<{ id?: string, head: string, body: string[] }>} rules
+ * @property {Array<{ assumption: string, contrary: string }>} contraries
+ * @property {Record<string, string>} weights Atom -> weight
+ *
+ * @typedef {Object} WabaToken
+ * @property {'comment'|'arrow'|'atom'|'number'|'lparen'|'rparen'|'comma'|'colon'|'invalid'} type
+ * @property {string} value
+ * @property {number} line 1-based
+ * @property {number} column 1-based
+ * @property {number} endColumn 1-based, exclusive
+ *
+ * @typedef {Object} WabaAtom
+ * @property {string} name
+ * @property {number} line
+ * @property {number} column
+ * @property {number} endColumn
+ *
+ * @typedef {{ line: number, column: number, endColumn: number } & (
+ *   { kind: 'assumption', atom: WabaAtom }
+ *   | { kind: 'rule', head: WabaAtom, body: WabaAtom[], arrow: string }
+ *   | { kind: 'contrary', assumption: WabaAtom, contrary: WabaAtom, syntax: 'pair'|'colon' }
+ *   | { kind: 'weight', atom: WabaAtom, weight: string }
+ *   | { kind: 'comment', text: string, description: boolean }
+ * )} WabaStatement One parsed `.waba` line
+ *
+ * @typedef {Object} WabaDiagnostic
+ * @property {'error'|'warning'} severity
+ * @property {string} message
+ * @property {number} line 1-based
+ * @property {number} column 1-based
+ * @property {number} endColumn 1-based, exclusive
+ *
+ * @typedef {(
+ *   { kind: 'assumption', atom: string } |
+ *   { kind: 'contrary', assumption: string, contrary: string } |
+ *   { kind: 'weight', atom: string } |
+ *   { kind: 'rule', id: string, occurrence: number }
+ * )} LintTarget The fact a lint issue is about (`occurrence` counts repeated rule ids)
+ *
+ * @typedef {Object} LintIssue
+ * @property {'contrary-of-non-assumption'|'undefined-contrary'|'missing-contrary'|'unknown-weight'|'non-flat'|'duplicate-rule-id'|'cyclic-derivation'} code
+ * @property {'error'|'warning'} severity
+ * @property {string} message
+ * @property {LintTarget} target
+ *
+ * @typedef {Object} AtomInfo One atom of the editor atom index (`modules/atom-index.js`)
+ * @property {string} name
+ * @property {boolean} assumption
+ * @property {string | null} weight
+ * @property {Array<{ id: string, body: string[] }>} rules Rules deriving the atom
+ * @property {string[]} contraryOf Assumptions this atom is the contrary of
+ * @property {string[]} contraries Contraries of this atom (when it is an assumption)
+ *
+ * @typedef {Object} SemiringModule An experimental semiring registered for the session (`runtime/semiring-modules.js`)
+ * @property {string} key The `active_semiring/1` name, used as semiring family and module key
+ * @property {Record<string, string>} defaultWeights `semiring_default_weight/2` value by default policy
+ * @property {string} source
+ *
+ * @typedef {Object} AttackProvenance Supports by seed set (`runtime/attack-provenance.js`)
+ * @property {Set<string>} assumptions
+ * @property {Map<string, string>} contraries
+ * @property {Map<string, { head: string, body: string[] }>} rules
+ * @property {Map<string, Map<string, { seeds: string[], weight: string }>>} supports Atom -> seed-set bitmask -> support
+ *
+ * @typedef {Object} DerivationNode
+ * @property {string} atom
+ * @property {string | null} weight Support weight computed by the active semiring
+ * @property {string[]} seeds
+ * @property {'assumption'|'fact'|'rule'|'weight'} via
+ * @property {string | null} ruleId
+ * @property {DerivationNode[]} children
+ *
+ * @typedef {Object} AttackExplanation
+ * @property {string} contrary
+ * @property {string} target
+ * @property {string[]} seeds
+ * @property {string[]} missingSeeds Seeds that are out, which make the attack inactive
+ * @property {string} weight
+ * @property {'succeeded'|'discarded'|'inactive'} status
+ * @property {DerivationNode} derivation
+ *
+ * @typedef {Object} OutExplanation
+ * @property {string} assumption
+ * @property {string | null} contrary
+ * @property {AttackExplanation[]} attacks
+ *
+ * @typedef {Object} SetViolation A check the tested set fails (`runtime/set-diagnosis.js`)
+ * @property {'closure'|'conflict'|'undefended'|'unattacked'|'defended_out'|'budget'} check
+ * @property {Array<{ source: string, target: string, weight: string }>} attacks Culprit attacks (budget: the discards it needs)
+ * @property {string[]} atoms Culprit assumptions (closure, stable and complete checks)
+ *
+ * @typedef {Object} SetDiagnosis
+ * @property {string[]} members
+ * @property {string} semantics
+ * @property {string} baseSemantics `complete` for post-filtered semantics
+ * @property {'extension'|'violates'|'not-selected'|'not-optimal'|'unexplained'} verdict
+ * @property {SetViolation[]} violations
+ * @property {{ Value?: string[] } | null} witness The set's extension, or the discards of the diagnosis
+ * @property {string[][]} extensions Exact extensions of a post-filtered semantics
+ * @property {{ set: string | number, best: string | number } | null} aggregates When the objective drops the set
+ *
+ * @typedef {{ mode: 'offset', radius: number, step: number } | { mode: 'range', start: number, end: number, step: number }} SensitivityOptions
+ *
+ * @typedef {Object} SensitivityPoint One perturbed value of a weight (`runtime/weight-sensitivity.js`)
+ * @property {number} value
+ * @property {string[]} extensionSets
+ * @property {string | null} top Top-ranked extension, e.g. `{a, b}`
+ * @property {boolean} setsChanged Against the unperturbed run
+ * @property {boolean} topChanged
+ *
+ * @typedef {Object} WeightSensitivityRow
+ * @property {string} atom
+ * @property {number} baseline
+ * @property {SensitivityPoint[]} points
+ * @property {{ below: number | null, above: number | null }} setThresholds Nearest values at which the extension sets flip
+ * @property {{ below: number | null, above: number | null }} topThresholds Nearest values at which the top-ranked extension flips
+ *
+ * @typedef {Object} WeightSensitivity
+ * @property {{ extensionSets: string[], top: string | null }} baseline
+ * @property {WeightSensitivityRow[]} weights
+ * @property {boolean} complete False when the analysis was stopped early
+ *
+ * @typedef {Object} WabaFrameworkDocument
+ * @property {'waba-framework'} format
+ * @property {number} version
+ * @property {string} description
+ * @property {string[]} assumptions
+ * @property {Array<{ id: string, head: string, body: string[] }>} rules
+ * @property {Array<{ assumption: string, contrary: string }>} contraries
+ * @property {Record<string, string | number | null>} weights Integer weights as numbers, `#sup`/`#inf` as strings
+ *
+ * @typedef {Object} WabaJsonAttack
+ * @property {string | null} source
+ * @property {string | null} target
+ * @property {string | number | null} weight
+ *
+ * @typedef {Object} WabaJsonExtension
+ * @property {number} rank
+ * @property {string[]} in
+ * @property {string[]} out
+ * @property {Array<{ atom: string, weight: string | number | null }>} supported
+ * @property {WabaJsonAttack[]} discardedAttacks
+ * @property {WabaJsonAttack[]} successfulAttacks
+ * @property {string | number} aggregateValue
+ * @property {string | number | null} cost
+ * @property {string | number | null} budgetValue
+ * @property {number[]} objectiveTuple
+ * @property {string[]} answerSet Raw clingo predicates; importing re-ranks from these
+ * @property {unknown=} optimization
+ *
+ * @typedef {Object} WabaResultDocument
+ * @property {'waba-result'} format
+ * @property {number} version
+ * @property {string} createdAt ISO timestamp
+ * @property {WabaFrameworkDocument | null} framework
+ * @property {EffectiveConfig} config
+ * @property {string} status Clingo result
+ * @property {string} elapsed
+ * @property {WabaJsonExtension[]} extensions
+ * @property {{ summary: Record<string, unknown>, assumptions: Array<Record<string, unknown>> } | null} metrics
+ *
+ * @typedef {Object} SimpleFields
+ * @property {string} description
+ * @property {string} assumptions
+ * @property {string} rules
+ * @property {string} contraries
+ * @property {string} weights
+ *
+ * @typedef {Object} PermalinkState
+ * @property {{ mode: 'simple', fields: SimpleFields } | { mode: 'advanced', code: string }} editor
+ * @property {RunConfig} config
+ * @property {string} graphMode
+ *
+ * @typedef {Object} WorkspaceRecord
+ * @property {string} name Key in the `workspaces` IndexedDB store
+ * @property {number} updatedAt
+ * @property {PermalinkState['editor']} editor Editor mode and content (Simple fields or Advanced code)
+ * @property {string} framework Framework code as run
+ * @property {RunConfig} config
+ * @property {string} graphMode
+ * @property {Record<string, { x: number, y: number }>} positions Graph node positions for `graphMode`
+ *
+ * @typedef {Object} RunRecord
+ * @property {number=} id Auto-assigned key in the `runs` IndexedDB store
+ * @property {string} workspace
+ * @property {number} createdAt
+ * @property {string} framework
+ * @property {string} result Clingo result
+ * @property {string} elapsed
+ * @property {EffectiveConfig} effectiveConfig
+ * @property {RankedExtension[]} ranked
+ *
+ * @typedef {Object} VectorNode
+ * @property {string} id vis.js node id
+ * @property {string} key TikZ node name
+ * @property {string} label
+ * @property {number} x
+ * @property {number} y
+ * @property {'circle' | 'ellipse' | 'diamond'} shape
+ * @property {number} rx Horizontal radius
+ * @property {number} ry Vertical radius
+ * @property {number} fontSize
+ * @property {string} fill
+ * @property {string} stroke
+ * @property {number} opacity
+ * @property {number} borderWidth
+ *
+ * @typedef {Object} VectorEdge
+ * @property {string} from
+ * @property {string} to
+ * @property {string} label
+ * @property {string} color
+ * @property {number} opacity
+ * @property {number} width
+ * @property {number[] | null} dashes
+ * @property {number} bend Degrees to the left of travel (0 = straight)
+ * @property {boolean} loop
+ *
+ * @typedef {Object} VectorGraph
+ * @property {string} graphMode
+ * @property {{ minX: number, minY: number, width: number, height: number }} bounds
+ * @property {VectorNode[]} nodes
+ * @property {VectorEdge[]} edges
+ *
  * @typedef {Object} AnalysisSummary
  * @property {Array<Record<string, unknown>>} extensionLevels
  * @property {Array<Record<string, unknown>>} assumptionRanking
@@ -57,6 +337,7 @@
  * @property {HTMLElement} output
  * @property {HTMLElement} stats
  * @property {HTMLButtonElement} runBtn
+ * @property {HTMLButtonElement} cancelRunBtn
  * @property {HTMLButtonElement} clearBtn
  * @property {HTMLSelectElement} semiringSelect
  * @property {HTMLSelectElement} defaultPolicySelect
@@ -69,9 +350,12 @@
  * @property {HTMLInputElement} numModelsInput
  * @property {HTMLElement | null} numModelsContainer
  * @property {HTMLInputElement} timeoutInput
+ * @property {HTMLInputElement | null} streamResultsToggle
  * @property {HTMLSelectElement} optimizeSelect
  * @property {HTMLSelectElement} optModeSelect
  * @property {HTMLSelectElement} constraintSelect
+ * @property {HTMLOptGroupElement} semiringExperimentalGroup
+ * @property {HTMLElement} semiringExperimentalBadge
  * @property {HTMLSelectElement} polaritySelect
  * @property {HTMLSelectElement} showSelect
  * @property {HTMLElement} semiringAliasNote
@@ -96,16 +380,64 @@
  * @property {HTMLButtonElement} syntaxGuideClose
  * @property {HTMLButtonElement} downloadLpBtn
  * @property {HTMLButtonElement} downloadWabaBtn
+ * @property {HTMLButtonElement} downloadIccmaBtn
+ * @property {HTMLButtonElement} downloadJsonBtn
+ * @property {HTMLElement} problemsPanel
+ * @property {HTMLElement} problemsCount
+ * @property {HTMLUListElement} problemsList
+ * @property {HTMLButtonElement} copyLinkBtn
+ * @property {HTMLButtonElement} graphEditBtn
+ * @property {HTMLElement} graphEditToolbar
+ * @property {HTMLFormElement} graphEditAddForm
+ * @property {HTMLInputElement} graphEditAtomInput
+ * @property {HTMLButtonElement} graphEditAttackBtn
+ * @property {HTMLButtonElement} graphEditDeleteBtn
+ * @property {HTMLFormElement} graphEditWeightForm
+ * @property {HTMLLabelElement} graphEditWeightLabel
+ * @property {HTMLInputElement} graphEditWeightInput
+ * @property {HTMLTextAreaElement} semiringModuleInput
+ * @property {HTMLInputElement} semiringModuleFileInput
+ * @property {HTMLButtonElement} semiringModuleUploadBtn
+ * @property {HTMLButtonElement} semiringModuleRegisterBtn
+ * @property {HTMLElement} semiringModuleStatus
+ * @property {HTMLUListElement} semiringModuleList
  * @property {HTMLButtonElement} legendToggleBtn
  * @property {HTMLElement} graphLegend
  * @property {HTMLButtonElement} exportPngBtn
  * @property {HTMLButtonElement} exportPdfBtn
+ * @property {HTMLButtonElement} exportSvgBtn
+ * @property {HTMLButtonElement} exportTikzBtn
  * @property {HTMLButtonElement} themeToggleBtn
  * @property {HTMLElement} themeIcon
  * @property {HTMLButtonElement} fontIncreaseBtn
  * @property {HTMLButtonElement} fontDecreaseBtn
  * @property {HTMLElement | null} analysisPanel
  * @property {HTMLElement} exportSection
+ * @property {HTMLInputElement} queryAtomInput
+ * @property {HTMLDataListElement} queryAtomOptions
+ * @property {HTMLButtonElement} queryRunBtn
+ * @property {HTMLElement} queryResult
+ * @property {HTMLElement} setTestSection
+ * @property {HTMLElement} setTestAssumptions
+ * @property {HTMLButtonElement} setTestRunBtn
+ * @property {HTMLElement} setTestResult
+ * @property {HTMLInputElement} sweepStartInput
+ * @property {HTMLInputElement} sweepEndInput
+ * @property {HTMLInputElement} sweepStepInput
+ * @property {HTMLButtonElement} sweepRunBtn
+ * @property {HTMLButtonElement} sweepCancelBtn
+ * @property {HTMLElement} sweepResult
+ * @property {HTMLButtonElement} comparePinBtn
+ * @property {HTMLButtonElement} compareRunBtn
+ * @property {HTMLElement} comparePinned
+ * @property {HTMLElement} compareResult
+ * @property {HTMLInputElement} workspaceNameInput
+ * @property {HTMLButtonElement} workspaceSaveBtn
+ * @property {HTMLSelectElement} workspaceSelect
+ * @property {HTMLButtonElement} workspaceOpenBtn
+ * @property {HTMLButtonElement} workspaceDeleteBtn
+ * @property {HTMLElement} workspaceStatus
+ * @property {HTMLElement} runHistory
  * @property {HTMLElement | null} graphEmptyState
  * @property {HTMLElement | null} outputEmptyState
  * @property {HTMLElement | null} introStatus
@@ -113,6 +445,7 @@
  * @property {HTMLElement | null} loadingText
  * @property {HTMLElement | null} loadingSubtext
  * @property {HTMLElement | null} loadingElapsed
+ * @property {HTMLButtonElement | null} loadingCancelBtn
  * @property {HTMLElement | null} simpleDescriptionBar
  * @property {HTMLElement | null} simpleDescriptionTrigger
  * @property {HTMLElement | null} simpleDescriptionHoverPanel
@@ -0,0 +1,65 @@
+// Browser modules import each other with the `?v=` cache-busting query, which
+// tsc cannot resolve. Each versioned module a type-checked file imports is
+// declared here and re-exports the real file (`@playground/*` is mapped to the
+// repo root in tsconfig.json), so imports keep their types. A missing entry
+// fails the type-check with "Cannot find module".
+
+declare module '*/simple-format.js?v=20260315-1' {
+    export * from '@playground/features/editor/simple-format.js';
+}
+
+declare module '*/parser-utils.js?v=20260315-1' {
+    export * from '@playground/modules/parser-utils.js';
+}
+
+declare module '*/answer-set-parser.js?v=20260315-1' {
+    export * from '@playground/runtime/answer-set-parser.js';
+}
+
+declare module '*/budget-sweep.js?v=20260315-1' {
+    export * from '@playground/runtime/budget-sweep.js';
+}
+
+declare module '*/config-compare.js?v=20260315-1' {
+    export * from '@playground/runtime/config-compare.js';
+}
+
+declare module '*/config-service.js?v=20260315-1' {
+    export * from '@playground/runtime/config-service.js';
+}
+
+declare module '*/extension-ranking.js?v=20260315-1' {
+    export * from '@playground/runtime/extension-ranking.js';
+}
+
+declare module '*/iccma-format.js?v=20260315-1' {
+    export * from '@playground/runtime/iccma-format.js';
+}
+
+declare module '*/objective-utils.js?v=20260315-1' {
+    export * from '@playground/runtime/objective-utils.js';
+}
+
+declare module '*/pdf-writer.js?v=20260315-1' {
+    export * from '@playground/runtime/pdf-writer.js';
+}
+
+declare module '*/program-builder.js?v=20260315-1' {
+    export * from '@playground/runtime/program-builder.js';
+}
+
+declare module '*/semiring-modules.js?v=20260315-1' {
+    export * from '@playground/runtime/semiring-modules.js';
+}
+
+declare module '*/subset-semantics.js?v=20260315-1' {
+    export * from '@playground/runtime/subset-semantics.js';
+}
+
+declare module '*/waba-syntax.js?v=20260315-1' {
+    export * from '@playground/runtime/waba-syntax.js';
+}
+
+declare module '*/waba-modules.js?v=20260315-1' {
+    export * from '@playground/waba-modules.js';
+}
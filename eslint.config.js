@@ -24,8 +24,7 @@ export default [
                 clingo: 'readonly',
                 Module: 'writable',
                 Prism: 'readonly',
-                vis: 'readonly',
-                jspdf: 'readonly'
+                vis: 'readonly'
             }
         },
         rules: {
@@ -174,6 +174,42 @@ contrary(b1, c_b1).
 contrary(b2, c_b2).
 `;
 
+const demoTropical = `%% Tropical Example - Route Costs
+%% Weights are costs: a rule body costs the sum of its parts and the
+%% cheapest derivation wins, so c_fast costs min(2 + 3, 8) = 5.
+assumption(fast).
+assumption(cheap).
+assumption(scenic).
+assumption(safe).
+
+weight(fast, 5).
+weight(cheap, 2).
+weight(scenic, 8).
+weight(safe, 3).
+
+head(r1, c_fast).
+body(r1, cheap).
+body(r1, safe).
+
+head(r2, c_fast).
+body(r2, scenic).
+
+head(r3, c_cheap).
+body(r3, fast).
+
+head(r4, c_scenic).
+body(r4, fast).
+body(r4, safe).
+
+head(r5, c_safe).
+weight(c_safe, 4).
+
+contrary(fast, c_fast).
+contrary(cheap, c_cheap).
+contrary(scenic, c_scenic).
+contrary(safe, c_safe).
+`;
+
 export const examples = {
     simple_attack: {
         label: 'Simple Attack',
@@ -383,6 +419,44 @@ export const examples = {
             optMode: 'ignore',
             beta: 0
         }
+    },
+    demo_tropical_costs: {
+        label: 'Demo: Tropical Costs',
+        description: 'Tropical (min,+) costs: body costs add up, the cheapest derivation wins and discards must fit a sum budget.',
+        section: 'demos',
+        source: 'inline',
+        code: demoTropical,
+        preset: {
+            semiringFamily: 'tropical',
+            polarity: 'lower',
+            defaultPolicy: 'legacy',
+            monoid: 'sum',
+            optimization: 'minimize',
+            budgetMode: 'ub',
+            budgetIntent: 'bounded',
+            semantics: 'stable',
+            optMode: 'ignore',
+            beta: 5
+        }
+    },
+    demo_tropical_preferred: {
+        label: 'Demo: Tropical Preferred',
+        description: 'The tropical cost fixture under preferred semantics, with the most expensive discard bounded by β.',
+        section: 'demos',
+        source: 'inline',
+        code: demoTropical,
+        preset: {
+            semiringFamily: 'tropical',
+            polarity: 'lower',
+            defaultPolicy: 'legacy',
+            monoid: 'max',
+            optimization: 'minimize',
+            budgetMode: 'ub',
+            budgetIntent: 'bounded',
+            semantics: 'preferred',
+            optMode: 'ignore',
+            beta: 5
+        }
     }
 };
 
@@ -0,0 +1,87 @@
+import { getExtensionHighlightData } from '../modules/graph-highlighting.js?v=20260315-1';
+import { buildComparisonSummaryHtml, buildComparisonTableHtml } from '../modules/comparison-builder.js?v=20260315-1';
+import { describeConfig } from '../runtime/config-compare.js?v=20260315-1';
+import { renderMessage } from '../modules/message-builder.js?v=20260315-1';
+
+/**
+ * CompareController - Compare panel: pin the current settings as configuration A,
+ * change them, then run A and the current settings (B) on the same framework and
+ * diff their extensions.
+ */
+export class CompareController {
+    constructor(dom, { runCompare, getConfig, onHighlightExtension, onResetGraph }) {
+        this.dom = dom;
+        this.runCompare = runCompare;
+        this.getConfig = getConfig;
+        this.onHighlightExtension = onHighlightExtension;
+        this.onResetGraph = onResetGraph;
+        this.pinnedConfig = null;
+        this.comparison = null;
+    }
+
+    init() {
+        this.dom.comparePinBtn.addEventListener('click', () => this.pin());
+        this.dom.compareRunBtn.addEventListener('click', () => this.submit());
+        this.dom.compareResult.addEventListener('click', (event) => {
+            const button = /** @type {HTMLElement | null} */ (/** @type {HTMLElement} */ (event.target).closest('.compare-highlight-btn'));
+            if (button) {
+                this.highlight(Number(button.dataset.row), button.dataset.side);
+            }
+        });
+        this.dom.compareRunBtn.disabled = true;
+    }
+
+    pin() {
+        this.pinnedConfig = this.getConfig();
+        this.dom.comparePinned.textContent = `A: ${describeConfig(this.pinnedConfig)}`;
+        this.dom.compareRunBtn.disabled = false;
+    }
+
+    async submit() {
+        if (!this.pinnedConfig) {
+            this.showMessage('Pin a configuration as A first.', 'info');
+            return;
+        }
+
+        this.dom.compareRunBtn.disabled = true;
+        this.showMessage('Running A, then B…', 'info');
+        try {
+            const comparison = await this.runCompare(this.pinnedConfig, this.getConfig());
+            if (!comparison) {
+                this.showMessage('Comparison stopped.', 'info');
+                return;
+            }
+            this.renderComparison(comparison);
+        } catch (error) {
+            console.error('Error in configuration comparison:', error);
+            this.showMessage(`❌ Error: ${error.message}`, 'error');
+        } finally {
+            this.dom.compareRunBtn.disabled = false;
+        }
+    }
+
+    showMessage(message, type) {
+        // The message replaces the table, so its rows can no longer be highlighted.
+        this.comparison = null;
+        renderMessage(this.dom.compareResult, message, type);
+    }
+
+    /**
+     * @param {import('../core/types.js').ConfigComparison} comparison
+     */
+    renderComparison(comparison) {
+        this.comparison = comparison;
+        this.dom.compareResult.innerHTML = `${buildComparisonSummaryHtml(comparison)}${buildComparisonTableHtml(comparison)}`;
+        this.onResetGraph();
+    }
+
+    highlight(rowIndex, side) {
+        const extension = this.comparison?.rows[rowIndex]?.[side];
+        if (!extension) {
+            return;
+        }
+        const { inAssumptions, discardedAttacks, successfulAttacks } = getExtensionHighlightData(extension.parsed);
+        this.onResetGraph();
+        this.onHighlightExtension(inAssumptions, discardedAttacks, successfulAttacks);
+    }
+}
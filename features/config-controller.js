@@ -1,4 +1,13 @@
-import { normalizeConfig } from '../runtime/config-service.js?v=20260315-1';
+import {
+    getAliasLabel,
+    getSemiringPolarities,
+    getSupportedMetadata,
+    isPostFilteredSemantics,
+    normalizeConfig,
+    resolveSemiringPolarity
+} from '../runtime/config-service.js?v=20260315-1';
+import { isExperimentalSemiring, listExperimentalSemirings } from '../runtime/semiring-modules.js?v=20260315-1';
+import { SUBSET_SEMANTICS } from '../runtime/subset-semantics.js?v=20260315-1';
 
 export class ConfigController {
     constructor(dom) {
@@ -37,6 +46,18 @@ export class ConfigController {
         this.dom.showSelect.value = config.filterType || 'projection';
     }
 
+    /**
+     * Apply a full run configuration, including the run limits that example presets
+     * leave alone.
+     *
+     * @param {import('../core/types.js').RunConfig} config
+     */
+    applyRunConfigToUI(config) {
+        this.applyConfigToUI(config);
+        this.dom.numModelsInput.value = String(config.numModels ?? 0);
+        this.dom.timeoutInput.value = String(Math.round((config.timeout ?? 60000) / 1000));
+    }
+
     populateExampleSelect(examples, defaultKey = 'simple_attack') {
         this.dom.exampleSelect.innerHTML = '<option value="">-- Select Example --</option>';
 
@@ -68,15 +89,21 @@ export class ConfigController {
         const semantics = this.dom.semanticsSelect.value;
         const abaRecovery = this.dom.abaRecoveryToggle.checked;
 
-        if (semiringFamily === 'godel') {
-            this.dom.polaritySelect.value = 'higher';
-            this.dom.polaritySelect.querySelector('option[value="lower"]').disabled = true;
-            this.dom.semiringAliasNote.textContent = 'Supported surface: higher-only, mapped directly to godel.';
+        this.dom.semiringExperimentalBadge.hidden = !isExperimentalSemiring(semiringFamily);
+        const polarities = getSemiringPolarities(semiringFamily);
+        ['higher', 'lower'].forEach((value) => {
+            this.dom.polaritySelect.querySelector(`option[value="${value}"]`).disabled = !polarities.includes(value);
+        });
+        const polarity = resolveSemiringPolarity(semiringFamily, this.dom.polaritySelect.value);
+        this.dom.polaritySelect.value = polarity;
+        if (isExperimentalSemiring(semiringFamily)) {
+            this.dom.semiringAliasNote.textContent = `Experimental module ${semiringFamily}; polarity only sets how support is ranked.`;
         } else {
-            this.dom.polaritySelect.querySelector('option[value="lower"]').disabled = false;
-            this.dom.semiringAliasNote.textContent = this.dom.polaritySelect.value === 'lower'
-                ? 'Lower polarity maps directly to lukasiewicz_low.'
-                : 'Higher polarity maps directly to lukasiewicz.';
+            const moduleKey = getSupportedMetadata().canonicalSemiring[semiringFamily][polarity];
+            const aliasLabel = getAliasLabel(semiringFamily, polarity);
+            this.dom.semiringAliasNote.textContent = polarities.length === 1
+                ? `Supported surface: ${polarity}-only, mapped directly to ${moduleKey}${aliasLabel ? ` (alias ${aliasLabel})` : ''}.`
+                : `${polarity === 'lower' ? 'Lower' : 'Higher'} polarity maps directly to ${moduleKey}.`;
         }
 
         if (abaRecovery) {
@@ -119,7 +146,7 @@ export class ConfigController {
         }
 
         this.dom.optModeSelect.disabled = false;
-        if ((semantics === 'grounded' || semantics === 'preferred') && this.dom.optModeSelect.value === 'ignore') {
+        if (isPostFilteredSemantics(semantics) && this.dom.optModeSelect.value === 'ignore') {
             this.dom.optModeSelect.value = 'ignore';
         }
 
@@ -134,12 +161,17 @@ export class ConfigController {
             : (config.budgetMode === 'none'
                 ? 'plain / no-discard'
                 : `${config.monoid} + ${config.budgetMode}`);
-        const postFilterCopy = (config.semantics === 'preferred' || config.semantics === 'grounded')
-            ? ` Exact ${config.semantics} uses browser-side ${config.semantics === 'grounded' ? 'subset-minimal' : 'subset-maximal'} filtering over complete candidates.`
+        const supportedKeys = getSupportedMetadata().supportedSemiringKeys.map((key) => `<code>${key}</code>`);
+        const experimentalKeys = listExperimentalSemirings().map((semiringModule) => `<code>${semiringModule.key}</code>`);
+        const experimentalCopy = experimentalKeys.length > 0
+            ? ` Experimental, outside the supported surface: ${experimentalKeys.join(', ')}.`
+            : '';
+        const postFilterCopy = isPostFilteredSemantics(config.semantics)
+            ? ` Exact ${config.semantics} uses browser-side ${SUBSET_SEMANTICS[config.semantics].description} filtering over complete candidates.`
             : '';
 
         this.dom.supportedSurfaceNote.innerHTML = `
-            Supported semiring surface: <code>godel</code>, <code>lukasiewicz</code>, <code>lukasiewicz_low</code>.
+            Supported semiring surface: ${supportedKeys.join(', ')}.${experimentalCopy}
             Canonical bounded presets are <code>sum/max/count + ub</code> and <code>min + lb</code>.
             Current profile: <code>${profile}</code>.${postFilterCopy}
         `;
@@ -0,0 +1,85 @@
+import { atomAt, buildAtomIndex, completeAtoms, completionContext, definitionTarget, describeAtom } from '../modules/atom-index.js?v=20260315-1';
+import { locateInCode } from '../modules/framework-linter.js?v=20260315-1';
+import { locateInSimpleFields } from './editor/simple-format.js?v=20260315-1';
+
+/**
+ * EditorAssistController - Atom completion in the Simple Rules and Contraries
+ * fields, hover cards and Ctrl/Cmd+click go-to-definition in every editor. The
+ * atom index follows the framework code the graph was last built from.
+ */
+export class EditorAssistController {
+    constructor(dom, { editorController, store }) {
+        this.dom = dom;
+        this.editorController = editorController;
+        this.store = store;
+        this.indexedCode = null;
+        this.index = new Map();
+    }
+
+    init() {
+        this.store.subscribe((state) => this.indexFramework(state.currentFrameworkCode));
+        this.indexFramework(this.store.getState().currentFrameworkCode);
+
+        Object.entries(this.getSimpleEditors()).forEach(([field, editor]) => {
+            editor.setAssistance({
+                complete: (text, offset) => this.complete(field, text, offset),
+                hover: (text, offset) => this.describe(text, offset),
+                onDefinition: (text, offset) => this.goToDefinition(text, offset)
+            });
+        });
+        this.editorController.codeEditor.setAssistance({
+            hover: (text, offset) => this.describe(text, offset),
+            onDefinition: (text, offset) => this.goToDefinition(text, offset)
+        });
+    }
+
+    getSimpleEditors() {
+        const { assumptions, rules, contraries, weights } = this.editorController.getEditors();
+        return { assumptions, rules, contraries, weights };
+    }
+
+    indexFramework(code = '') {
+        if (code === this.indexedCode) {
+            return;
+        }
+        this.indexedCode = code;
+        this.index = buildAtomIndex(code);
+    }
+
+    complete(field, text, offset) {
+        const context = completionContext(field, text, offset);
+        return context ? { from: context.from, items: completeAtoms(this.index, context.slot, context.prefix) } : null;
+    }
+
+    describe(text, offset) {
+        const atom = atomAt(text, offset);
+        const info = atom ? this.index.get(atom.name) : null;
+        return info ? describeAtom(info) : null;
+    }
+
+    goToDefinition(text, offset) {
+        const atom = atomAt(text, offset);
+        const info = atom ? this.index.get(atom.name) : null;
+        const target = info ? definitionTarget(info) : null;
+        if (!target) {
+            return false;
+        }
+
+        const editorState = this.editorController.getEditorState();
+        if (editorState.mode === 'simple') {
+            const location = locateInSimpleFields(editorState.fields, target);
+            if (!location) {
+                return false;
+            }
+            this.getSimpleEditors()[location.field].revealPosition(location.line, location.column);
+            return true;
+        }
+
+        const location = locateInCode(editorState.code, target);
+        if (!location) {
+            return false;
+        }
+        this.editorController.codeEditor.revealPosition(location.line, location.column);
+        return true;
+    }
+}
@@ -1,5 +1,5 @@
 import { PrismEditor } from '../modules/prism-editor.js?v=20260315-1';
-import { buildClingoFromSimpleFields, extractSimpleFields } from './editor/simple-format.js?v=20260315-1';
+import { buildClingoFromSimpleFields, extractSimpleFields, parseSimpleField } from './editor/simple-format.js?v=20260315-1';
 
 export class EditorController {
     constructor(dom, store, fileManager) {
@@ -14,6 +14,7 @@ export class EditorController {
     }
 
     init(onFrameworkChanged) {
+        this.onFrameworkChanged = onFrameworkChanged;
         this.initPrismEditors();
         this.attachModeHandlers(onFrameworkChanged);
         this.attachDescriptionHandlers(onFrameworkChanged);
@@ -23,10 +24,12 @@ export class EditorController {
     }
 
     initPrismEditors() {
-        this.assumptionsEditor = new PrismEditor(this.dom.assumptionsInput, 'waba');
-        this.rulesEditor = new PrismEditor(this.dom.rulesInput, 'waba');
-        this.contrariesEditor = new PrismEditor(this.dom.contrariesInput, 'waba');
-        this.weightsEditor = new PrismEditor(this.dom.weightsInput, 'waba');
+        const validate = (field) => ({ validate: (text) => parseSimpleField(field, text).diagnostics });
+        this.assumptionsEditor = new PrismEditor(this.dom.assumptionsInput, 'waba', validate('assumptions'));
+        this.rulesEditor = new PrismEditor(this.dom.rulesInput, 'waba', validate('rules'));
+        this.contrariesEditor = new PrismEditor(this.dom.contrariesInput, 'waba', validate('contraries'));
+        this.weightsEditor = new PrismEditor(this.dom.weightsInput, 'waba', validate('weights'));
+        this.codeEditor = new PrismEditor(this.dom.editor, 'clingo', { className: 'code-editor-prism' });
 
         this.assumptionsInput = this.assumptionsEditor;
         this.rulesInput = this.rulesEditor;
@@ -37,6 +40,22 @@ export class EditorController {
         this.fileManager.rulesInput = this.rulesEditor;
         this.fileManager.contrariesInput = this.contrariesEditor;
         this.fileManager.weightsInput = this.weightsEditor;
+        this.fileManager.editor = this.codeEditor;
+    }
+
+    /**
+     * Every PrismEditor by name: `advanced` and the four Simple fields.
+     *
+     * @returns {Record<'advanced' | 'assumptions' | 'rules' | 'contraries' | 'weights', import('../modules/prism-editor.js').PrismEditor>}
+     */
+    getEditors() {
+        return {
+            advanced: this.codeEditor,
+            assumptions: this.assumptionsEditor,
+            rules: this.rulesEditor,
+            contraries: this.contrariesEditor,
+            weights: this.weightsEditor
+        };
     }
 
     attachModeHandlers(onFrameworkChanged) {
@@ -44,16 +63,16 @@ export class EditorController {
             const mode = this.dom.inputMode.value;
 
             if (mode === 'simple') {
-                const advancedCode = this.dom.editor.value.trim();
+                const advancedCode = this.codeEditor.value.trim();
                 if (advancedCode) {
                     this.populateSimpleModeFromClingo(advancedCode);
                 }
             } else {
                 const originalWabaContent = this.store.getState().originalWabaContent;
                 if (originalWabaContent) {
-                    this.dom.editor.value = originalWabaContent;
+                    this.codeEditor.value = originalWabaContent;
                 } else {
-                    this.dom.editor.value = this.parseSimpleABA();
+                    this.codeEditor.value = this.parseSimpleABA();
                 }
             }
 
@@ -115,17 +134,17 @@ export class EditorController {
     applyModeVisibility(mode) {
         if (mode === 'simple') {
             this.dom.simpleMode.style.display = 'block';
-            this.dom.editor.style.display = 'none';
+            this.codeEditor.style.display = 'none';
         } else {
             this.dom.simpleMode.style.display = 'none';
-            this.dom.editor.style.display = 'block';
+            this.codeEditor.style.display = 'block';
         }
     }
 
     getFrameworkCode() {
         return this.dom.inputMode.value === 'simple'
             ? this.parseSimpleABA()
-            : this.dom.editor.value.trim();
+            : this.codeEditor.value.trim();
     }
 
     parseSimpleABA() {
@@ -138,6 +157,57 @@ export class EditorController {
         });
     }
 
+    /**
+     * Editor content in the current mode, as carried by a permalink.
+     *
+     * @returns {import('../core/types.js').PermalinkState['editor']}
+     */
+    getEditorState() {
+        if (this.dom.inputMode.value !== 'simple') {
+            return { mode: 'advanced', code: this.codeEditor.value };
+        }
+        return {
+            mode: 'simple',
+            fields: {
+                description: this.dom.simpleDescriptionContent?.value || '',
+                assumptions: this.assumptionsInput.value,
+                rules: this.rulesInput.value,
+                contraries: this.contrariesInput.value,
+                weights: this.weightsInput.value
+            }
+        };
+    }
+
+    /**
+     * @param {import('../core/types.js').PermalinkState['editor']} editorState
+     */
+    applyEditorState(editorState) {
+        this.store.setState({ originalWabaContent: null });
+        if (editorState.mode === 'simple') {
+            this.populateSimpleFields(editorState.fields);
+            this.codeEditor.value = this.parseSimpleABA();
+        } else {
+            this.loadClingoCode(editorState.code, null);
+        }
+        this.dom.inputMode.value = editorState.mode;
+        this.applyModeVisibility(editorState.mode);
+    }
+
+    /**
+     * Replace the Simple editor fields with edited ones (from the graph editor)
+     * and redraw the graph from them, as typing in the fields would.
+     *
+     * @param {{ assumptions: string, rules: string, contraries: string, weights: string }} fields
+     */
+    applySimpleEdit(fields) {
+        this.assumptionsInput.value = fields.assumptions;
+        this.rulesInput.value = fields.rules;
+        this.contrariesInput.value = fields.contraries;
+        this.weightsInput.value = fields.weights;
+        this.store.setState({ originalWabaContent: null });
+        return this.onFrameworkChanged ? this.onFrameworkChanged() : undefined;
+    }
+
     populateSimpleModeFromClingo(clingoCode) {
         const fields = extractSimpleFields(clingoCode);
         this.populateSimpleFields(fields);
@@ -156,7 +226,7 @@ export class EditorController {
     }
 
     loadClingoCode(clingoCode, originalWabaContent = null) {
-        this.dom.editor.value = clingoCode;
+        this.codeEditor.value = clingoCode;
         this.store.setState({ originalWabaContent });
         this.populateSimpleModeFromClingo(clingoCode);
     }
@@ -164,7 +234,7 @@ export class EditorController {
     loadParsedWaba(parsed, originalWabaContent) {
         this.store.setState({ originalWabaContent });
         this.populateSimpleFields({
-            description: '',
+            description: parsed.description || '',
             assumptions: parsed.assumptions.join('\n'),
             rules: parsed.rules.join('\n'),
             contraries: parsed.contraries.join('\n'),
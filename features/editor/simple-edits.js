@@ -0,0 +1,220 @@
+import { WABA_TOKEN_SOURCES } from '../../runtime/waba-syntax.js?v=20260315-1';
+import { parseSimpleField } from './simple-format.js?v=20260315-1';
+
+/**
+ * Structural edits of the Simple editor fields, used by the graph editing
+ * mode. Every function takes the fields and returns new fields; lines it does
+ * not touch, comments included, are kept as written. Rule `rN` is the Nth rule
+ * line, as `buildClingoFromSimpleFields` numbers them.
+ */
+
+const ATOM_PATTERN = new RegExp(`^(?:${WABA_TOKEN_SOURCES.atom})$`);
+
+function statementsOf(field, text) {
+    return parseSimpleField(field, text).statements;
+}
+
+/**
+ * @template {import('../../core/types.js').WabaStatement['kind']} K
+ * @param {string} field
+ * @param {string} text
+ * @param {K} kind
+ * @returns {Array<Extract<import('../../core/types.js').WabaStatement, { kind: K }>>}
+ */
+function ofKind(field, text, kind) {
+    return /** @type {Array<Extract<import('../../core/types.js').WabaStatement, { kind: K }>>} */ (
+        statementsOf(field, text).filter((statement) => statement.kind === kind)
+    );
+}
+
+function appendLine(text, line) {
+    const trimmed = text.replace(/\s+$/, '');
+    return trimmed ? `${trimmed}\n${line}` : line;
+}
+
+function removeLines(text, lines) {
+    if (lines.size === 0) {
+        return text;
+    }
+    return text.split('\n').filter((_line, index) => !lines.has(index + 1)).join('\n');
+}
+
+function ruleText(statement) {
+    return `${statement.head.name} <- ${statement.body.map((atom) => atom.name).join(', ')}`.trim();
+}
+
+/**
+ * Remove rule lines, with the `% head <- body` comment right above each one
+ * (as `extractSimpleFields` writes it).
+ */
+function removeRuleLines(text, rules) {
+    const commentLines = new Map(statementsOf('rules', text)
+        .filter((statement) => statement.kind === 'comment')
+        .map((statement) => [statement.line, statement.text]));
+    const lines = new Set();
+    rules.forEach((rule) => {
+        lines.add(rule.line);
+        const comment = commentLines.get(rule.line - 1);
+        const commented = comment?.replace(/^%\s*/, '').replace(/\s*\(fact\)\s*$/, '').replace(/\s+/g, ' ').trim();
+        if (commented === ruleText(rule)) {
+            lines.add(rule.line - 1);
+        }
+    });
+    return removeLines(text, lines);
+}
+
+function checkAtom(name) {
+    if (!ATOM_PATTERN.test(name)) {
+        throw new Error(`"${name}" is not a valid atom name; use letters, digits and "_", starting with a letter or "_".`);
+    }
+}
+
+/**
+ * @param {{ assumptions: string }} fields
+ */
+function assumptionNames(fields) {
+    return ofKind('assumptions', fields.assumptions, 'assumption').map((statement) => statement.atom.name);
+}
+
+/**
+ * Add an assumption line.
+ *
+ * @template {{ assumptions: string, rules: string, contraries: string, weights: string }} F
+ * @param {F} fields
+ * @param {string} atom
+ * @returns {F}
+ */
+export function addAssumption(fields, atom) {
+    const name = atom.trim();
+    checkAtom(name);
+    if (assumptionNames(fields).includes(name)) {
+        throw new Error(`"${name}" is already an assumption.`);
+    }
+    return { ...fields, assumptions: appendLine(fields.assumptions, name) };
+}
+
+/**
+ * Make `attacker` attack assumption `target`. An assumption without a contrary
+ * gets `attacker` as its contrary (a direct attack); otherwise a rule deriving
+ * the contrary from `attacker` is added. `attacker` null stands for ⊤: the
+ * contrary becomes a fact, with `c_<target>` as a new contrary if needed.
+ *
+ * @template {{ assumptions: string, rules: string, contraries: string, weights: string }} F
+ * @param {F} fields
+ * @param {string | null} attacker
+ * @param {string} target
+ * @returns {F}
+ */
+export function addAttack(fields, attacker, target) {
+    if (!assumptionNames(fields).includes(target)) {
+        throw new Error(`Only assumptions can be attacked; "${target}" is not one.`);
+    }
+    if (attacker !== null) {
+        checkAtom(attacker);
+    }
+
+    const contrary = ofKind('contraries', fields.contraries, 'contrary')
+        .find((statement) => statement.assumption.name === target)?.contrary.name;
+    if (!contrary) {
+        const newContrary = attacker ?? `c_${target}`;
+        const edited = { ...fields, contraries: appendLine(fields.contraries, `(${target}, ${newContrary})`) };
+        return attacker === null ? { ...edited, rules: appendLine(fields.rules, `${newContrary} <-`) } : edited;
+    }
+    if (contrary === attacker) {
+        throw new Error(`"${attacker}" already attacks "${target}" as its contrary.`);
+    }
+
+    const body = attacker === null ? [] : [attacker];
+    const exists = ofKind('rules', fields.rules, 'rule').some((statement) => statement.head.name === contrary
+        && statement.body.map((atom) => atom.name).join(',') === body.join(','));
+    if (exists) {
+        throw new Error(`"${contrary}" is already derived from ${attacker === null ? '⊤' : `"${attacker}"`} alone.`);
+    }
+    return { ...fields, rules: appendLine(fields.rules, `${contrary} <- ${body.join(', ')}`.trim()) };
+}
+
+/**
+ * Set the weight of an atom, replacing its weight lines, or remove them when
+ * `weight` is null.
+ *
+ * @template {{ assumptions: string, rules: string, contraries: string, weights: string }} F
+ * @param {F} fields
+ * @param {string} atom
+ * @param {number | null} weight
+ * @returns {F}
+ */
+export function setWeight(fields, atom, weight) {
+    if (weight !== null && (!Number.isInteger(weight) || weight < 0)) {
+        throw new Error(`Weights are non-negative integers; got "${weight}".`);
+    }
+    const lines = ofKind('weights', fields.weights, 'weight')
+        .filter((statement) => statement.atom.name === atom)
+        .map((statement) => statement.line);
+    if (weight === null) {
+        return { ...fields, weights: removeLines(fields.weights, new Set(lines)) };
+    }
+    if (lines.length === 0) {
+        return { ...fields, weights: appendLine(fields.weights, `${atom}: ${weight}`) };
+    }
+    const [first, ...rest] = lines;
+    const weights = fields.weights.split('\n')
+        .map((line, index) => (index + 1 === first ? `${atom}: ${weight}` : line))
+        .join('\n');
+    return { ...fields, weights: removeLines(weights, new Set(rest)) };
+}
+
+/**
+ * Remove an atom from the framework: its assumption, weight and contrary lines
+ * and every rule it appears in.
+ *
+ * @template {{ assumptions: string, rules: string, contraries: string, weights: string }} F
+ * @param {F} fields
+ * @param {string} atom
+ * @returns {F}
+ */
+export function removeAtom(fields, atom) {
+    const lineSet = (statements) => new Set(statements.map((statement) => statement.line));
+    return {
+        ...fields,
+        assumptions: removeLines(fields.assumptions, lineSet(ofKind('assumptions', fields.assumptions, 'assumption')
+            .filter((statement) => statement.atom.name === atom))),
+        weights: removeLines(fields.weights, lineSet(ofKind('weights', fields.weights, 'weight')
+            .filter((statement) => statement.atom.name === atom))),
+        contraries: removeLines(fields.contraries, lineSet(ofKind('contraries', fields.contraries, 'contrary')
+            .filter((statement) => statement.assumption.name === atom || statement.contrary.name === atom))),
+        rules: removeRuleLines(fields.rules, ofKind('rules', fields.rules, 'rule')
+            .filter((statement) => statement.head.name === atom || statement.body.some((body) => body.name === atom)))
+    };
+}
+
+/**
+ * Remove rule `rN`.
+ *
+ * @template {{ assumptions: string, rules: string, contraries: string, weights: string }} F
+ * @param {F} fields
+ * @param {string} ruleId
+ * @returns {F}
+ */
+export function removeRule(fields, ruleId) {
+    const rule = ofKind('rules', fields.rules, 'rule').find((_statement, index) => `r${index + 1}` === ruleId);
+    if (!rule) {
+        throw new Error(`There is no rule ${ruleId}.`);
+    }
+    return { ...fields, rules: removeRuleLines(fields.rules, [rule]) };
+}
+
+/**
+ * Remove the contrary lines `(assumption, contrary)`.
+ *
+ * @template {{ assumptions: string, rules: string, contraries: string, weights: string }} F
+ * @param {F} fields
+ * @param {string} assumption
+ * @param {string} contrary
+ * @returns {F}
+ */
+export function removeContrary(fields, assumption, contrary) {
+    const lines = ofKind('contraries', fields.contraries, 'contrary')
+        .filter((statement) => statement.assumption.name === assumption && statement.contrary.name === contrary)
+        .map((statement) => statement.line);
+    return { ...fields, contraries: removeLines(fields.contraries, new Set(lines)) };
+}
@@ -1,22 +1,38 @@
-function processLines(lines) {
-    const result = [];
+import { parseWaba } from '../../runtime/waba-syntax.js?v=20260315-1';
 
-    for (const line of lines) {
-        const trimmed = line.trim();
-        if (!trimmed) {
-            continue;
-        }
-        if (trimmed.startsWith('% //')) {
-            continue;
-        }
-        result.push(trimmed);
-    }
+/** The statement kind each Simple editor field holds. */
+export const SIMPLE_FIELD_KINDS = {
+    assumptions: 'assumption',
+    rules: 'rule',
+    contraries: 'contrary',
+    weights: 'weight'
+};
+
+/**
+ * Parse one Simple editor field. Statements of another kind and lines that do
+ * not parse are reported as diagnostics.
+ *
+ * @param {keyof typeof SIMPLE_FIELD_KINDS} field
+ * @param {string} text
+ */
+export function parseSimpleField(field, text) {
+    return parseWaba(text, { expect: /** @type {any} */ (SIMPLE_FIELD_KINDS[field]) });
+}
 
-    return result;
+/**
+ * The statements of a field in order, without description (`% //`) lines.
+ *
+ * @param {keyof typeof SIMPLE_FIELD_KINDS} field
+ * @param {string} text
+ */
+function fieldStatements(field, text) {
+    return parseSimpleField(field, text).statements
+        .filter((statement) => statement.kind !== 'comment' || !statement.description);
 }
 
 /**
- * Build ASP code from simple editor fields.
+ * Build ASP code from simple editor fields. Lines that do not parse are skipped;
+ * `parseSimpleField` reports them.
  *
  * @param {{
  *   description: string,
@@ -30,10 +46,10 @@ export function buildClingoFromSimpleFields(fields) {
     const description = fields.description
         ? fields.description.split('\n').filter((line) => line.trim())
         : [];
-    const assumptionsLines = processLines(fields.assumptions.split('\n'));
-    const rulesLines = processLines(fields.rules.split('\n'));
-    const contrariesLines = processLines(fields.contraries.split('\n'));
-    const weightsLines = processLines(fields.weights.split('\n'));
+    const assumptions = fieldStatements('assumptions', fields.assumptions);
+    const rules = fieldStatements('rules', fields.rules);
+    const contraries = fieldStatements('contraries', fields.contraries);
+    const weights = fieldStatements('weights', fields.weights);
 
     let clingoCode = '%% Auto-generated from Simple Editor\n';
 
@@ -46,71 +62,60 @@ export function buildClingoFromSimpleFields(fields) {
 
     clingoCode += '\n';
 
-    if (assumptionsLines.length > 0) {
+    if (assumptions.length > 0) {
         clingoCode += '%% Assumptions\n';
-        assumptionsLines.forEach((line) => {
-            if (line.startsWith('%')) {
-                clingoCode += `${line}\n`;
-            } else {
-                clingoCode += `assumption(${line}).\n`;
+        assumptions.forEach((statement) => {
+            if (statement.kind === 'comment') {
+                clingoCode += `${statement.text}\n`;
+            } else if (statement.kind === 'assumption') {
+                clingoCode += `assumption(${statement.atom.name}).\n`;
             }
         });
         clingoCode += '\n';
     }
 
-    if (weightsLines.length > 0) {
+    if (weights.length > 0) {
         clingoCode += '%% Weights\n';
-        weightsLines.forEach((line) => {
-            if (line.startsWith('%')) {
-                clingoCode += `${line}\n`;
-            } else {
-                const match = line.match(/^([a-z_][a-z0-9_]*)\s*:\s*(\d+)$/i);
-                if (match) {
-                    const [, atom, weight] = match;
-                    clingoCode += `weight(${atom}, ${weight}).\n`;
-                }
+        weights.forEach((statement) => {
+            if (statement.kind === 'comment') {
+                clingoCode += `${statement.text}\n`;
+            } else if (statement.kind === 'weight') {
+                clingoCode += `weight(${statement.atom.name}, ${statement.weight}).\n`;
             }
         });
         clingoCode += '\n';
     }
 
-    if (rulesLines.length > 0) {
+    if (rules.length > 0) {
         clingoCode += '%% Rules\n';
         let ruleCounter = 1;
-        rulesLines.forEach((line) => {
-            if (line.startsWith('%')) {
-                clingoCode += `${line}\n`;
-            } else {
-                const match = line.match(/^([a-z_][a-z0-9_]*)\s*<-\s*(.*)$/i);
-                if (match) {
-                    const [, head, bodyStr] = match;
-                    const ruleId = `r${ruleCounter++}`;
-
-                    if (bodyStr.trim() === '') {
-                        clingoCode += `% ${ruleId}: ${head} <- (fact)\n`;
-                        clingoCode += `head(${ruleId}, ${head}).\n`;
-                    } else {
-                        const bodyAtoms = bodyStr.split(',').map((value) => value.trim()).filter(Boolean);
-                        clingoCode += `% ${ruleId}: ${head} <- ${bodyAtoms.join(', ')}\n`;
-                        clingoCode += `head(${ruleId}, ${head}). body(${ruleId}, ${bodyAtoms.join(`; ${ruleId}, `)}).\n`;
-                    }
+        rules.forEach((statement) => {
+            if (statement.kind === 'comment') {
+                clingoCode += `${statement.text}\n`;
+            } else if (statement.kind === 'rule') {
+                const head = statement.head.name;
+                const bodyAtoms = statement.body.map((atom) => atom.name);
+                const ruleId = `r${ruleCounter++}`;
+
+                if (bodyAtoms.length === 0) {
+                    clingoCode += `% ${ruleId}: ${head} <- (fact)\n`;
+                    clingoCode += `head(${ruleId}, ${head}).\n`;
+                } else {
+                    clingoCode += `% ${ruleId}: ${head} <- ${bodyAtoms.join(', ')}\n`;
+                    clingoCode += `head(${ruleId}, ${head}). body(${ruleId}, ${bodyAtoms.join(`; ${ruleId}, `)}).\n`;
                 }
             }
         });
         clingoCode += '\n';
     }
 
-    if (contrariesLines.length > 0) {
+    if (contraries.length > 0) {
         clingoCode += '%% Contraries\n';
-        contrariesLines.forEach((line) => {
-            if (line.startsWith('%')) {
-                clingoCode += `${line}\n`;
-            } else {
-                const match = line.match(/^\(\s*([a-z_][a-z0-9_]*)\s*,\s*([a-z_][a-z0-9_]*)\s*\)$/i);
-                if (match) {
-                    const [, assumption, contrary] = match;
-                    clingoCode += `contrary(${assumption}, ${contrary}).\n`;
-                }
+        contraries.forEach((statement) => {
+            if (statement.kind === 'comment') {
+                clingoCode += `${statement.text}\n`;
+            } else if (statement.kind === 'contrary') {
+                clingoCode += `contrary(${statement.assumption.name}, ${statement.contrary.name}).\n`;
             }
         });
     }
@@ -118,6 +123,76 @@ export function buildClingoFromSimpleFields(fields) {
     return clingoCode;
 }
 
+/**
+ * Field, line and columns of the Simple editor statement a lint issue is about,
+ * or null. Rule `rN` is the Nth rule line, as `buildClingoFromSimpleFields`
+ * numbers them.
+ *
+ * @param {{ assumptions: string, rules: string, contraries: string, weights: string }} fields
+ * @param {import('../../core/types.js').LintTarget} target
+ * @returns {{ field: keyof typeof SIMPLE_FIELD_KINDS, line: number, column: number, endColumn: number } | null}
+ */
+export function locateInSimpleFields(fields, target) {
+    /** @type {keyof typeof SIMPLE_FIELD_KINDS} */
+    let field;
+    /** @type {(statement: import('../../core/types.js').WabaStatement, index: number) => boolean} */
+    let matches;
+    if (target.kind === 'assumption') {
+        field = 'assumptions';
+        matches = (statement) => statement.kind === 'assumption' && statement.atom.name === target.atom;
+    } else if (target.kind === 'contrary') {
+        field = 'contraries';
+        matches = (statement) => statement.kind === 'contrary'
+            && statement.assumption.name === target.assumption
+            && statement.contrary.name === target.contrary;
+    } else if (target.kind === 'weight') {
+        field = 'weights';
+        matches = (statement) => statement.kind === 'weight' && statement.atom.name === target.atom;
+    } else {
+        field = 'rules';
+        matches = (statement, index) => `r${index + 1}` === target.id;
+    }
+
+    const statements = parseSimpleField(field, fields[field]).statements
+        .filter((statement) => statement.kind === SIMPLE_FIELD_KINDS[field]);
+    const statement = statements.find(matches);
+    return statement
+        ? { field, line: statement.line, column: statement.column, endColumn: statement.endColumn }
+        : null;
+}
+
+/**
+ * The facts a Simple editor line stands for (the reverse of
+ * `locateInSimpleFields`): an assumption, a rule (`rN`), a contrary, or a
+ * weight together with its atom.
+ *
+ * @param {keyof typeof SIMPLE_FIELD_KINDS} field
+ * @param {string} text
+ * @param {number} line 1-based
+ * @returns {import('../../core/types.js').LintTarget[]}
+ */
+export function targetsAtSimpleLine(field, text, line) {
+    const statements = parseSimpleField(field, text).statements
+        .filter((statement) => statement.kind === SIMPLE_FIELD_KINDS[field]);
+    const index = statements.findIndex((candidate) => candidate.line === line);
+    const statement = statements[index];
+    if (!statement) {
+        return [];
+    }
+    switch (statement.kind) {
+        case 'assumption':
+            return [{ kind: 'assumption', atom: statement.atom.name }];
+        case 'rule':
+            return [{ kind: 'rule', id: `r${index + 1}`, occurrence: 0 }];
+        case 'contrary':
+            return [{ kind: 'contrary', assumption: statement.assumption.name, contrary: statement.contrary.name }];
+        case 'weight':
+            return [{ kind: 'weight', atom: statement.atom.name }, { kind: 'assumption', atom: statement.atom.name }];
+        default:
+            return [];
+    }
+}
+
 /**
  * Parse ASP back into simple editor fields.
  *
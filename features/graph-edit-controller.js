@@ -0,0 +1,256 @@
+import { addAssumption, addAttack, removeAtom, removeContrary, removeRule, setWeight } from './editor/simple-edits.js?v=20260315-1';
+import { parseSimpleField } from './editor/simple-format.js?v=20260315-1';
+
+const EDITABLE_GRAPH_MODES = ['assumption-direct', 'assumption-branching'];
+
+function isTyping(target) {
+    return Boolean(target?.closest?.('input, textarea, select, [contenteditable]'));
+}
+
+/**
+ * GraphEditController - Graph editing mode: add assumptions, draw attacks,
+ * set weights by double-clicking and delete selected nodes and attacks. Every
+ * edit rewrites the Simple editor fields and the graph is rebuilt from them,
+ * so the text stays the source of truth. Editing works on the assumption-level
+ * graphs, whose nodes are assumptions.
+ */
+export class GraphEditController {
+    constructor(dom, { editorController, graphManager, graphLinkController, onLog }) {
+        this.dom = dom;
+        this.editorController = editorController;
+        this.graphManager = graphManager;
+        this.graphLinkController = graphLinkController;
+        this.onLog = onLog;
+        this.active = false;
+        this.drawing = false;
+        this.weightAtom = null;
+    }
+
+    /**
+     * Needs the graph network, so runs after `GraphManager.initGraph`.
+     */
+    init() {
+        this.dom.graphEditBtn.addEventListener('click', () => this.setActive(!this.active));
+        this.dom.graphEditAttackBtn.addEventListener('click', () => this.setDrawing(!this.drawing));
+        this.dom.graphEditDeleteBtn.addEventListener('click', () => this.deleteSelection());
+        this.dom.graphEditAddForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.addAssumption();
+        });
+        this.dom.graphEditWeightForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.applyWeight();
+        });
+        this.graphManager.onDoubleClick((node, edge) => this.handleDoubleClick(node, edge));
+
+        // Leaving the Simple editor or the assumption-level graphs ends editing.
+        this.dom.inputMode.addEventListener('change', () => {
+            if (this.active && this.dom.inputMode.value !== 'simple') {
+                this.setActive(false);
+            }
+        });
+        this.dom.graphModeRadios.forEach((radio) => {
+            radio.addEventListener('change', () => {
+                if (this.active && radio.checked && !EDITABLE_GRAPH_MODES.includes(radio.value)) {
+                    this.setActive(false);
+                }
+            });
+        });
+
+        this.dom.document.addEventListener('keydown', (event) => {
+            if (!this.active || isTyping(event.target)) {
+                return;
+            }
+            if (event.key === 'Escape') {
+                this.setDrawing(false);
+                this.hideWeightForm();
+            } else if ((event.key === 'Delete' || event.key === 'Backspace') && this.deleteSelection()) {
+                event.preventDefault();
+            }
+        });
+    }
+
+    setActive(active) {
+        if (active === this.active) {
+            return;
+        }
+        this.active = active;
+        this.dom.graphEditBtn.setAttribute('aria-pressed', String(active));
+        this.dom.graphEditToolbar.hidden = !active;
+        if (!active) {
+            this.setDrawing(false);
+            this.hideWeightForm();
+            return;
+        }
+
+        const switched = [];
+        if (this.dom.inputMode.value !== 'simple') {
+            this.dom.inputMode.value = 'simple';
+            this.dom.inputMode.dispatchEvent(new Event('change'));
+            switched.push('the Simple editor');
+        }
+        const graphMode = this.dom.graphModeRadios.find((radio) => radio.checked)?.value;
+        if (!EDITABLE_GRAPH_MODES.includes(graphMode)) {
+            const direct = this.dom.graphModeRadios.find((radio) => radio.value === 'assumption-direct');
+            if (direct) {
+                direct.checked = true;
+                direct.dispatchEvent(new Event('change'));
+                switched.push('the Assumption-Direct graph');
+            }
+        }
+        if (switched.length > 0) {
+            this.onLog(`✏️ Graph editing works on ${switched.join(' and ')}; switched to it.`, 'info');
+        }
+    }
+
+    setDrawing(drawing) {
+        if (drawing === this.drawing) {
+            return;
+        }
+        this.drawing = drawing;
+        this.dom.graphEditAttackBtn.setAttribute('aria-pressed', String(drawing));
+        if (drawing) {
+            this.graphManager.startEdgeDrawing((fromId, toId) => this.handleEdgeDrawn(fromId, toId));
+        } else {
+            this.graphManager.stopEdgeDrawing();
+        }
+    }
+
+    /**
+     * Apply an edit to the Simple fields and redraw, keeping the nodes that
+     * survive where they were. Invalid edits are logged and leave the fields
+     * unchanged.
+     *
+     * @param {(fields: Record<string, string>) => Record<string, string>} edit
+     */
+    async applyEdit(edit) {
+        let fields;
+        try {
+            fields = edit(this.currentFields());
+        } catch (error) {
+            this.onLog(`⚠️ ${error.message}`, 'warning');
+            return false;
+        }
+        const positions = this.graphManager.getNodePositions();
+        this.graphLinkController.clearLineHighlights();
+        await this.editorController.applySimpleEdit(fields);
+        this.graphManager.applyNodePositions(positions);
+        return true;
+    }
+
+    currentFields() {
+        const editorState = this.editorController.getEditorState();
+        return editorState.mode === 'simple'
+            ? editorState.fields
+            : { description: '', assumptions: '', rules: '', contraries: '', weights: '' };
+    }
+
+    async addAssumption() {
+        const input = this.dom.graphEditAtomInput;
+        if (await this.applyEdit((fields) => addAssumption(fields, input.value))) {
+            input.value = '';
+        }
+        input.focus();
+    }
+
+    handleEdgeDrawn(fromId, toId) {
+        const { nodes } = this.graphManager.networkData;
+        const from = nodes.get(fromId);
+        const to = nodes.get(toId);
+        if (!from || !to?.isAssumption) {
+            this.onLog('⚠️ Attacks must end on an assumption.', 'warning');
+            return;
+        }
+        if (from.isJunction) {
+            this.onLog('⚠️ Draw attacks from an assumption or ⊤; joint attacks are rules with several body atoms, written in the Rules field.', 'warning');
+            return;
+        }
+        this.applyEdit((fields) => addAttack(fields, from.isTop ? null : from.id, to.id));
+    }
+
+    /**
+     * A node sets the weight of its assumption (of the contrary for a junction),
+     * an attack the weight of its contrary; the empty canvas starts a new
+     * assumption.
+     */
+    handleDoubleClick(node, edge) {
+        if (!this.active) {
+            return;
+        }
+        if (!node && !edge) {
+            this.dom.graphEditAtomInput.focus();
+            return;
+        }
+        const atom = node
+            ? (node.isAssumption ? node.id : node.contrary)
+            : (edge.contrary ?? edge.attackingElement);
+        if (atom) {
+            this.showWeightForm(atom);
+        }
+    }
+
+    showWeightForm(atom) {
+        const current = parseSimpleField('weights', this.currentFields().weights).statements
+            .find((statement) => statement.kind === 'weight' && statement.atom.name === atom);
+        this.weightAtom = atom;
+        this.dom.graphEditWeightLabel.textContent = `Weight of ${atom}`;
+        this.dom.graphEditWeightInput.value = current ? current.weight : '';
+        this.dom.graphEditWeightForm.hidden = false;
+        this.dom.graphEditWeightInput.focus();
+        this.dom.graphEditWeightInput.select();
+    }
+
+    hideWeightForm() {
+        this.weightAtom = null;
+        this.dom.graphEditWeightForm.hidden = true;
+    }
+
+    async applyWeight() {
+        const atom = this.weightAtom;
+        if (!atom) {
+            return;
+        }
+        const raw = this.dom.graphEditWeightInput.value.trim();
+        const weight = raw === '' ? null : Number(raw);
+        if (await this.applyEdit((fields) => setWeight(fields, atom, weight))) {
+            this.hideWeightForm();
+        }
+    }
+
+    /**
+     * Delete the selected nodes and attacks. Returns false when nothing is
+     * selected.
+     */
+    deleteSelection() {
+        const { nodes, edges } = this.graphManager.getSelectedElements();
+        if (nodes.length === 0 && edges.length === 0) {
+            return false;
+        }
+
+        // ⊤ stands for the facts, so deleting it deletes its attacks.
+        const topEdges = nodes.some((node) => node.isTop)
+            ? this.graphManager.networkData.edges.get({ filter: (edge) => edge.from === '⊤' })
+            : [];
+        const deletedNodes = new Set(nodes.filter((node) => !node.isTop).map((node) => node.id));
+        const deletedEdges = [...edges, ...topEdges]
+            .filter((edge) => !deletedNodes.has(edge.from) && !deletedNodes.has(edge.to));
+
+        const ruleIds = new Set([
+            ...nodes.filter((node) => node.isJunction).map((node) => node.ruleId),
+            ...deletedEdges.filter((edge) => edge.ruleId).map((edge) => edge.ruleId)
+        ]);
+        const contraries = deletedEdges.filter((edge) => !edge.ruleId)
+            .map((edge) => ({ assumption: edge.targetAssumption, contrary: edge.contrary ?? edge.attackingElement }));
+        const atoms = nodes.filter((node) => node.isAssumption).map((node) => node.id);
+
+        this.applyEdit((fields) => {
+            // Rules are numbered by position, so remove the last ones first.
+            let edited = [...ruleIds]
+                .sort((left, right) => Number(right.slice(1)) - Number(left.slice(1)))
+                .reduce((current, ruleId) => removeRule(current, ruleId), fields);
+            edited = contraries.reduce((current, { assumption, contrary }) => removeContrary(current, assumption, contrary), edited);
+            return atoms.reduce((current, atom) => removeAtom(current, atom), edited);
+        });
+        return true;
+    }
+}
@@ -0,0 +1,112 @@
+import { locateInCode } from '../modules/framework-linter.js?v=20260315-1';
+import { edgeTargets, findGraphElements, nodeTargets, targetKey, targetsAtCodeLine } from '../modules/graph-editor-link.js?v=20260315-1';
+import { locateInSimpleFields, targetsAtSimpleLine } from './editor/simple-format.js?v=20260315-1';
+
+const CURSOR_SYNC_DELAY_MS = 120;
+
+/**
+ * GraphLinkController - Links the graph and the editor both ways, in every
+ * graph mode: clicking a node or edge shades the lines of the facts behind it
+ * in the active editor, and moving the cursor onto a line selects and centres
+ * the graph elements that line produces.
+ */
+export class GraphLinkController {
+    constructor(dom, { editorController, graphManager }) {
+        this.dom = dom;
+        this.editorController = editorController;
+        this.graphManager = graphManager;
+        this.pendingCursorSync = null;
+        this.lastCursorKey = null;
+        this.hasLineHighlights = false;
+    }
+
+    init() {
+        this.dom.document.addEventListener('selectionchange', () => {
+            clearTimeout(this.pendingCursorSync);
+            this.pendingCursorSync = setTimeout(() => this.focusGraphFromCursor(), CURSOR_SYNC_DELAY_MS);
+        });
+        Object.values(this.editorController.getEditors()).forEach((editor) => {
+            editor.addEventListener('input', () => this.clearLineHighlights());
+        });
+        this.dom.inputMode.addEventListener('change', () => this.clearLineHighlights());
+    }
+
+    /**
+     * Shade the editor lines of the facts behind a graph node or edge and scroll
+     * the first one into view.
+     *
+     * @param {Record<string, any>} element vis.js node or edge data
+     * @param {'node' | 'edge'} kind
+     */
+    revealGraphElement(element, kind) {
+        const targets = kind === 'node' ? nodeTargets(element) : edgeTargets(element);
+        // The graph selection changed, so the next cursor move re-syncs it.
+        this.lastCursorKey = null;
+        const editorState = this.editorController.getEditorState();
+        const locations = targets.map((target) => {
+            if (editorState.mode === 'simple') {
+                const location = locateInSimpleFields(editorState.fields, target);
+                return location ? { editor: location.field, line: location.line } : null;
+            }
+            const location = locateInCode(editorState.code, target);
+            return location ? { editor: 'advanced', line: location.line } : null;
+        }).filter(Boolean);
+
+        const editors = this.editorController.getEditors();
+        Object.entries(editors).forEach(([name, editor]) => {
+            editor.setLineHighlights(locations.filter((location) => location.editor === name).map((location) => location.line));
+        });
+        this.hasLineHighlights = locations.length > 0;
+        if (locations.length > 0) {
+            editors[locations[0].editor].scrollToLine(locations[0].line);
+        }
+    }
+
+    clearLineHighlights() {
+        if (!this.hasLineHighlights) {
+            return;
+        }
+        Object.values(this.editorController.getEditors()).forEach((editor) => editor.setLineHighlights([]));
+        this.hasLineHighlights = false;
+    }
+
+    /**
+     * Select the graph elements produced by the line under the cursor. Runs
+     * only when the cursor is in an editor and has moved to other facts.
+     */
+    focusGraphFromCursor() {
+        const selection = this.dom.document.getSelection();
+        const entry = Object.entries(this.editorController.getEditors())
+            .find(([, editor]) => selection?.anchorNode && editor.codeElement.contains(selection.anchorNode));
+        if (!entry) {
+            return;
+        }
+        const [name, editor] = entry;
+        const offset = editor.getCursorOffset();
+        if (offset === null) {
+            return;
+        }
+        this.clearLineHighlights();
+
+        const text = editor.value;
+        const line = text.slice(0, offset).split('\n').length;
+        const targets = name === 'advanced'
+            ? targetsAtCodeLine(text, line)
+            : targetsAtSimpleLine(/** @type {'assumptions' | 'rules' | 'contraries' | 'weights'} */ (name), text, line);
+        const key = targets.map(targetKey).join('|');
+        if (key === this.lastCursorKey) {
+            return;
+        }
+        this.lastCursorKey = key;
+        if (targets.length === 0) {
+            return;
+        }
+
+        const { nodes, edges } = this.graphManager.networkData;
+        if (!nodes || !edges) {
+            return;
+        }
+        const { nodeIds, edgeIds } = findGraphElements(targets, nodes.get(), edges.get());
+        this.graphManager.focusElements(nodeIds, edgeIds);
+    }
+}
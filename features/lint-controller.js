@@ -0,0 +1,124 @@
+import { lintFramework, locateInCode } from '../modules/framework-linter.js?v=20260315-1';
+import { SIMPLE_FIELD_KINDS, locateInSimpleFields, parseSimpleField } from './editor/simple-format.js?v=20260315-1';
+
+const LINT_DELAY_MS = 250;
+
+const EDITOR_LABELS = {
+    advanced: 'Line',
+    assumptions: 'Assumptions',
+    rules: 'Rules',
+    contraries: 'Contraries',
+    weights: 'Weights'
+};
+
+const EDITOR_ORDER = Object.keys(EDITOR_LABELS);
+
+/**
+ * LintController - Runs the framework linter after every edit, marks the lines
+ * of the active editors and lists the problems with click-to-jump. In Simple
+ * mode the field syntax diagnostics are listed too.
+ */
+export class LintController {
+    constructor(dom, { editorController }) {
+        this.dom = dom;
+        this.editorController = editorController;
+        this.pendingLint = null;
+        this.problems = [];
+    }
+
+    init() {
+        Object.values(this.editorController.getEditors()).forEach((editor) => {
+            editor.addEventListener('input', () => this.schedule());
+        });
+        this.dom.inputMode.addEventListener('change', () => this.schedule());
+        this.run();
+    }
+
+    schedule() {
+        clearTimeout(this.pendingLint);
+        this.pendingLint = setTimeout(() => this.run(), LINT_DELAY_MS);
+    }
+
+    run() {
+        clearTimeout(this.pendingLint);
+        this.pendingLint = null;
+        this.problems = this.collectProblems();
+
+        Object.entries(this.editorController.getEditors()).forEach(([name, editor]) => {
+            editor.setMarkers(this.problems.filter((problem) => problem.editor === name && problem.line));
+        });
+        this.renderProblems();
+    }
+
+    /**
+     * @returns {Array<{ severity: 'error' | 'warning', message: string, editor: string | null, line?: number, column?: number }>}
+     */
+    collectProblems() {
+        const editorState = this.editorController.getEditorState();
+        const problems = [];
+
+        if (editorState.mode === 'simple') {
+            const { fields } = editorState;
+            Object.keys(SIMPLE_FIELD_KINDS).forEach((field) => {
+                parseSimpleField(/** @type {keyof typeof SIMPLE_FIELD_KINDS} */ (field), fields[field]).diagnostics.forEach((diagnostic) => {
+                    problems.push({ severity: diagnostic.severity, message: diagnostic.message, editor: field, line: diagnostic.line, column: diagnostic.column });
+                });
+            });
+            lintFramework(this.editorController.getFrameworkCode()).forEach((issue) => {
+                const location = locateInSimpleFields(fields, issue.target);
+                problems.push({ severity: issue.severity, message: issue.message, editor: location?.field ?? null, line: location?.line, column: location?.column });
+            });
+        } else {
+            lintFramework(editorState.code).forEach((issue) => {
+                const location = locateInCode(editorState.code, issue.target);
+                problems.push({ severity: issue.severity, message: issue.message, editor: location ? 'advanced' : null, line: location?.line, column: location?.column });
+            });
+        }
+
+        const rank = (problem) => (problem.editor ? EDITOR_ORDER.indexOf(problem.editor) : EDITOR_ORDER.length);
+        return problems.sort((left, right) => rank(left) - rank(right) || (left.line || 0) - (right.line || 0));
+    }
+
+    renderProblems() {
+        const errors = this.problems.filter((problem) => problem.severity === 'error').length;
+        const warnings = this.problems.length - errors;
+        this.dom.problemsPanel.hidden = this.problems.length === 0;
+        this.dom.problemsCount.textContent = [
+            errors ? `${errors} error${errors === 1 ? '' : 's'}` : '',
+            warnings ? `${warnings} warning${warnings === 1 ? '' : 's'}` : ''
+        ].filter(Boolean).join(', ');
+
+        const editors = this.editorController.getEditors();
+        const items = this.problems.map((problem) => {
+            const doc = this.dom.document;
+            const item = doc.createElement('li');
+            const button = doc.createElement('button');
+            button.type = 'button';
+            button.className = `problem-item problem-${problem.severity}`;
+
+            const severity = doc.createElement('span');
+            severity.className = 'problem-severity';
+            severity.textContent = problem.severity === 'error' ? '✖' : '⚠';
+            severity.setAttribute('aria-label', problem.severity);
+
+            const message = doc.createElement('span');
+            message.className = 'problem-message';
+            message.textContent = problem.message;
+            button.append(severity, message);
+
+            if (problem.editor && problem.line) {
+                const location = doc.createElement('span');
+                location.className = 'problem-location';
+                location.textContent = `${EDITOR_LABELS[problem.editor]} ${problem.line}:${problem.column}`;
+                button.appendChild(location);
+                button.addEventListener('click', () => editors[problem.editor].revealPosition(problem.line, problem.column));
+            } else {
+                button.disabled = true;
+            }
+
+            item.appendChild(button);
+            return item;
+        });
+        this.dom.problemsList.replaceChildren(...items);
+    }
+}
@@ -8,11 +8,29 @@ import { PopupManager } from '../modules/popup-manager.js?v=20260315-1';
 import { ClingoManager } from '../modules/clingo-manager.js?v=20260315-1';
 import { OutputManager } from '../modules/output-manager.js?v=20260315-1';
 import { ExportManager } from '../modules/export-manager.js?v=20260315-1';
+import { WorkspaceStore } from '../modules/workspace-store.js?v=20260315-1';
 import { MetricsManager } from '../modules/metrics-manager.js?v=20260315-1';
 import { ConfigController } from './config-controller.js?v=20260315-1';
 import { DocsController } from './docs-controller.js?v=20260315-1';
 import { EditorController } from './editor-controller.js?v=20260315-1';
+import { EditorAssistController } from './editor-assist-controller.js?v=20260315-1';
+import { GraphLinkController } from './graph-link-controller.js?v=20260315-1';
+import { GraphEditController } from './graph-edit-controller.js?v=20260315-1';
 import { ExamplesController } from './examples-controller.js?v=20260315-1';
+import { LintController } from './lint-controller.js?v=20260315-1';
+import { QueryController } from './query-controller.js?v=20260315-1';
+import { SetTestController } from './set-test-controller.js?v=20260315-1';
+import { SweepController } from './sweep-controller.js?v=20260315-1';
+import { CompareController } from './compare-controller.js?v=20260315-1';
+import { WorkspaceController } from './workspace-controller.js?v=20260315-1';
+import { SemiringModuleController } from './semiring-module-controller.js?v=20260315-1';
+import { runBudgetSweep } from '../runtime/budget-sweep.js?v=20260315-1';
+import { compareRuns } from '../runtime/config-compare.js?v=20260315-1';
+import { analyzeWeightSensitivity } from '../runtime/weight-sensitivity.js?v=20260315-1';
+import { PERMALINK_PREFIX, decodePermalink, encodePermalink } from '../runtime/permalink.js?v=20260315-1';
+import { toStoredRun } from '../runtime/workspace-records.js?v=20260315-1';
+import { isIccmaAba } from '../runtime/iccma-format.js?v=20260315-1';
+import { formatWabaDiagnostic } from '../runtime/waba-syntax.js?v=20260315-1';
 
 export class PlaygroundController {
     constructor(dom, store) {
@@ -20,6 +38,7 @@ export class PlaygroundController {
         this.store = store;
         this.pendingExampleLoad = Promise.resolve();
         this.pendingGraphUpdate = Promise.resolve();
+        this.activeRun = null;
         this.initializeManagers();
         this.initializeControllers();
     }
@@ -59,14 +78,83 @@ export class PlaygroundController {
         );
         this.clingoManager = new ClingoManager(this.dom.runBtn, this.dom.introStatus);
         this.outputManager = new OutputManager(this.dom, () => this.configController.getCurrentConfig());
-        this.exportManager = new ExportManager(this.graphManager, this.dom.exportPngBtn, this.dom.exportPdfBtn, this);
+        this.outputManager.onComputeThresholds = (assumptions, config) => this.runBudgetThresholds(assumptions, config);
+        this.outputManager.onComputeSensitivity = (options, config) => this.runWeightSensitivity(options, config);
+        this.outputManager.onExplainOut = (config) => this.runAttackProvenance(config);
+        this.outputManager.getFrameworkExport = () => this.getFrameworkExport();
+        this.exportManager = new ExportManager(this.graphManager, this.dom.exportPngBtn, this.dom.exportPdfBtn, this, () => this.getReportData(), {
+            exportSvgBtn: this.dom.exportSvgBtn,
+            exportTikzBtn: this.dom.exportTikzBtn
+        });
     }
 
     initializeControllers() {
         this.configController = new ConfigController(this.dom);
         this.editorController = new EditorController(this.dom, this.store, this.fileManager);
+        this.lintController = new LintController(this.dom, { editorController: this.editorController });
+        this.editorAssistController = new EditorAssistController(this.dom, { editorController: this.editorController, store: this.store });
+        this.graphLinkController = new GraphLinkController(this.dom, { editorController: this.editorController, graphManager: this.graphManager });
+        this.graphEditController = new GraphEditController(this.dom, {
+            editorController: this.editorController,
+            graphManager: this.graphManager,
+            graphLinkController: this.graphLinkController,
+            onLog: (message, type) => this.outputManager.log(message, type)
+        });
         this.examplesController = new ExamplesController(this.dom, this.configController, this.editorController, this.outputManager);
         this.docsController = new DocsController(this.dom, this.uiManager, this.panelManager);
+        this.queryController = new QueryController(this.dom, {
+            runQuery: (atom) => this.runAcceptanceQuery(atom),
+            getFramework: () => this.editorController.getFrameworkCode(),
+            onHighlightExtension: (inAssumptions, discarded, successful) => this.graphManager.highlightExtension(inAssumptions, discarded, successful),
+            onResetGraph: () => {
+                this.outputManager.clearActiveExtension();
+                this.graphManager.resetGraphColors();
+            }
+        });
+        this.setTestController = new SetTestController(this.dom, {
+            runSetTest: (members) => this.runSetTest(members),
+            getFramework: () => this.editorController.getFrameworkCode(),
+            onHighlightExtension: (inAssumptions, discarded, successful) => this.graphManager.highlightExtension(inAssumptions, discarded, successful),
+            onResetGraph: () => {
+                this.outputManager.clearActiveExtension();
+                this.graphManager.resetGraphColors();
+            }
+        });
+        this.sweepController = new SweepController(this.dom, {
+            runSweep: (betas, onPoint) => this.runBudgetSweep(betas, onPoint),
+            cancelSweep: () => this.cancelRun(),
+            getConfig: () => this.configController.getCurrentConfig()
+        });
+        this.compareController = new CompareController(this.dom, {
+            runCompare: (left, right) => this.runComparison(left, right),
+            getConfig: () => this.configController.getCurrentConfig(),
+            onHighlightExtension: (inAssumptions, discarded, successful) => this.graphManager.highlightExtension(inAssumptions, discarded, successful),
+            onResetGraph: () => {
+                this.outputManager.clearActiveExtension();
+                this.graphManager.resetGraphColors();
+            }
+        });
+        this.semiringModuleController = new SemiringModuleController(this.dom, {
+            configController: this.configController,
+            onLog: (message, type) => this.outputManager.log(message, type)
+        });
+        this.workspaceController = new WorkspaceController(this.dom, {
+            store: new WorkspaceStore(),
+            captureWorkspace: () => ({
+                editor: this.editorController.getEditorState(),
+                framework: this.editorController.getFrameworkCode(),
+                config: this.configController.getCurrentConfig(),
+                graphMode: this.getGraphMode(),
+                positions: this.graphManager.getNodePositions()
+            }),
+            applyWorkspace: (record) => this.openWorkspace(record),
+            openRun: (record) => this.openStoredRun(record),
+            showComparison: (comparison) => {
+                this.compareController.renderComparison(comparison);
+                this.dom.compareResult.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            },
+            onLog: (message, type) => this.outputManager.log(message, type)
+        });
     }
 
     async init() {
@@ -74,7 +162,11 @@ export class PlaygroundController {
         this.fontManager.initFontSize();
         this.editorController.init(() => {
             this.pendingGraphUpdate = this.regenerateGraph();
+            return this.pendingGraphUpdate;
         });
+        this.lintController.init();
+        this.editorAssistController.init();
+        this.graphLinkController.init();
         MetricsManager.runUnitTest();
 
         await this.clingoManager.initClingo();
@@ -91,13 +183,21 @@ export class PlaygroundController {
             (node, x, y) => this.handleNodeClick(node, x, y),
             (edge, x, y) => this.handleEdgeClick(edge, x, y)
         );
+        this.graphEditController.init();
 
         this.docsController.init();
+        this.queryController.init();
+        this.setTestController.init();
+        this.sweepController.init();
+        this.compareController.init();
+        this.semiringModuleController.init();
+        this.workspaceController.init();
         this.attachEventListeners();
 
         UIManager.initializeEmptyStates();
         this.examplesController.populate();
         this.configController.syncUi();
+        await this.restorePermalink();
 
         const selectedExample = this.dom.exampleSelect.value;
         if (selectedExample) {
@@ -111,6 +211,8 @@ export class PlaygroundController {
 
     attachEventListeners() {
         this.dom.runBtn.addEventListener('click', () => this.runWABA());
+        this.dom.cancelRunBtn.addEventListener('click', () => this.cancelRun());
+        this.dom.loadingCancelBtn?.addEventListener('click', () => this.cancelRun());
         this.dom.clearBtn.addEventListener('click', () => this.clearOutput());
         this.dom.exampleSelect.addEventListener('change', (event) => {
             this.pendingExampleLoad = this.examplesController.loadExample(event.target.value, (frameworkCode) => {
@@ -159,6 +261,127 @@ export class PlaygroundController {
 
         this.dom.downloadLpBtn.addEventListener('click', () => this.downloadAsLp());
         this.dom.downloadWabaBtn.addEventListener('click', () => this.downloadAsWaba());
+        this.dom.downloadIccmaBtn.addEventListener('click', () => this.downloadAsIccma());
+        this.dom.downloadJsonBtn.addEventListener('click', () => this.downloadAsJson());
+        this.dom.copyLinkBtn.addEventListener('click', () => this.copyPermalink());
+        window.addEventListener('hashchange', () => {
+            if (window.location.hash.startsWith(PERMALINK_PREFIX)) {
+                this.clearPreviousRun();
+                this.restorePermalink();
+            }
+        });
+    }
+
+    /**
+     * Restore the framework, configuration and graph mode from a `#share=` hash, if
+     * present. On success the example select is cleared, so `init` skips the default
+     * example; a link that cannot be decoded or applied only logs a warning and
+     * leaves the select as it was.
+     */
+    async restorePermalink() {
+        let state;
+        try {
+            state = await decodePermalink(window.location.hash);
+        } catch (error) {
+            this.outputManager.log(`⚠️ Could not restore the shared link: ${error.message}`, 'warning');
+            return false;
+        }
+        if (!state) {
+            return false;
+        }
+
+        const selectedExample = this.dom.exampleSelect.value;
+        try {
+            await this.applySnapshot(state);
+        } catch (error) {
+            console.error('Error restoring the shared link:', error);
+            this.outputManager.log(`⚠️ Could not restore the shared link: ${error.message}`, 'warning');
+            this.dom.exampleSelect.value = selectedExample;
+            return false;
+        }
+        this.outputManager.log('🔗 Restored framework and configuration from the shared link', 'info');
+        return true;
+    }
+
+    /**
+     * Load editor content, configuration and graph mode (from a permalink or a
+     * workspace) and redraw the graph. Clears the example select.
+     *
+     * @param {import('../core/types.js').PermalinkState} snapshot
+     */
+    async applySnapshot({ editor, config, graphMode }) {
+        this.configController.applyRunConfigToUI(config);
+        this.configController.syncUi();
+        this.editorController.applyEditorState(editor);
+        this.dom.graphModeRadios.forEach((radio) => {
+            radio.checked = radio.value === graphMode;
+        });
+        this.dom.exampleSelect.value = '';
+
+        this.pendingGraphUpdate = this.updateGraph(this.editorController.getFrameworkCode());
+        await this.pendingGraphUpdate;
+    }
+
+    /**
+     * @param {import('../core/types.js').WorkspaceRecord} record
+     */
+    async openWorkspace(record) {
+        await this.pendingExampleLoad;
+        this.clearPreviousRun();
+        await this.applySnapshot(record);
+        this.graphManager.applyNodePositions(record.positions);
+    }
+
+    /**
+     * Show a run from the workspace history in the output panel.
+     *
+     * @param {import('../core/types.js').RunRecord} record
+     */
+    openStoredRun(record) {
+        this.showSavedRun(toStoredRun(record));
+        this.outputManager.log(`📜 Showing the run from ${new Date(record.createdAt).toLocaleString()}`, 'info');
+        if (record.framework !== this.editorController.getFrameworkCode()) {
+            this.outputManager.log('⚠️ The framework has changed since this run; graph highlights may not match.', 'warning');
+        }
+    }
+
+    /**
+     * Display a run that was not just computed (history entry or imported JSON).
+     *
+     * @param {{ result: any, elapsed: string, effectiveConfig: import('../core/types.js').EffectiveConfig }} run
+     */
+    showSavedRun({ result, elapsed, effectiveConfig }) {
+        this.clearOutput();
+        this.outputManager.displayResults(
+            result,
+            elapsed,
+            (inAssumptions, discarded, successful) => this.graphManager.highlightExtension(inAssumptions, discarded, successful),
+            () => this.graphManager.resetGraphColors(),
+            effectiveConfig
+        );
+        UIManager.hideOutputEmptyState();
+    }
+
+    async copyPermalink() {
+        try {
+            const hash = await encodePermalink({
+                editor: this.editorController.getEditorState(),
+                config: this.configController.getCurrentConfig(),
+                graphMode: this.getGraphMode()
+            });
+            window.history.replaceState(null, '', hash);
+        } catch (error) {
+            console.error('Permalink error:', error);
+            this.outputManager.log(`❌ Error creating link: ${error.message}`, 'error');
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            this.outputManager.log('🔗 Link copied to clipboard', 'success');
+        } catch {
+            this.outputManager.log('🔗 Link is in the address bar (clipboard access was denied)', 'info');
+        }
     }
 
     initDragAndDrop() {
@@ -212,7 +435,16 @@ export class PlaygroundController {
             const content = await file.text();
             this.clearPreviousRun();
 
-            if (extension === 'lp') {
+            if (extension === 'aba' || isIccmaAba(content)) {
+                const { fields, warnings } = this.fileManager.parseIccmaFile(content, fileName);
+                this.editorController.applyEditorState({ mode: 'simple', fields });
+                this.pendingGraphUpdate = this.updateGraph(this.editorController.getFrameworkCode());
+                await this.pendingGraphUpdate;
+                this.outputManager.log(`📁 Loaded ICCMA ABA file: ${fileName}`, 'info');
+                warnings.forEach((warning) => this.outputManager.log(`⚠️ ${warning}`, 'warning'));
+            } else if (extension === 'json') {
+                await this.loadJsonFile(content, fileName);
+            } else if (extension === 'lp') {
                 this.dom.inputMode.value = 'advanced';
                 this.editorController.loadClingoCode(content, null);
                 this.pendingGraphUpdate = this.updateGraph(content);
@@ -224,8 +456,9 @@ export class PlaygroundController {
                 this.pendingGraphUpdate = this.updateGraph(this.editorController.getFrameworkCode());
                 await this.pendingGraphUpdate;
                 this.outputManager.log(`📁 Loaded .waba file: ${fileName}`, 'info');
+                parsed.diagnostics.forEach((diagnostic) => this.outputManager.log(`⚠️ ${formatWabaDiagnostic(diagnostic)} The line was skipped.`, 'warning'));
             } else {
-                this.outputManager.log(`❌ Unsupported file type: ${extension}. Please use .lp or .waba files.`, 'error');
+                this.outputManager.log(`❌ Unsupported file type: ${extension}. Please use .lp, .waba, .json or ICCMA .aba files.`, 'error');
                 return;
             }
 
@@ -236,8 +469,51 @@ export class PlaygroundController {
         }
     }
 
+    /**
+     * Load a `waba-framework` document into the editor, or a `waba-result` document
+     * into the editor, configuration and output panel.
+     */
+    async loadJsonFile(content, fileName) {
+        const imported = this.fileManager.parseJsonFile(content);
+
+        if (imported.format === 'waba-framework') {
+            this.editorController.applyEditorState(imported.editor);
+            this.pendingGraphUpdate = this.updateGraph(this.editorController.getFrameworkCode());
+            await this.pendingGraphUpdate;
+            this.outputManager.log(`📁 Loaded framework JSON: ${fileName}`, 'info');
+            return;
+        }
+
+        if (imported.editor) {
+            await this.applySnapshot({ editor: imported.editor, config: imported.config, graphMode: this.getGraphMode() });
+        } else {
+            this.configController.applyRunConfigToUI(imported.config);
+            this.configController.syncUi();
+        }
+        this.showSavedRun({
+            result: { Result: imported.status, Call: [{ Witnesses: imported.witnesses }] },
+            elapsed: imported.elapsed,
+            effectiveConfig: imported.config
+        });
+        const when = imported.createdAt ? ` from ${new Date(imported.createdAt).toLocaleString()}` : '';
+        this.outputManager.log(`📁 Loaded results JSON${when}: ${fileName}`, 'info');
+        if (!imported.editor) {
+            this.outputManager.log('⚠️ The file has no framework; graph highlights refer to the current one.', 'warning');
+        }
+    }
+
     async runWABA() {
-        UIManager.showLoadingOverlay('Running WABA...', 'Computing extensions and visualizing results');
+        if (this.activeRun) {
+            return;
+        }
+
+        const run = new AbortController();
+        const streaming = Boolean(this.dom.streamResultsToggle?.checked);
+        this.activeRun = run;
+        this.setRunInProgress(true);
+        if (!streaming) {
+            UIManager.showLoadingOverlay('Running WABA...', 'Computing extensions and visualizing results');
+        }
 
         try {
             await Promise.all([this.pendingExampleLoad, this.pendingGraphUpdate]);
@@ -248,13 +524,34 @@ export class PlaygroundController {
             }
 
             const config = this.configController.getCurrentConfig();
+            const onHighlightExtension = (inAssumptions, discarded, successful) => this.graphManager.highlightExtension(inAssumptions, discarded, successful);
+            const onResetGraph = () => this.graphManager.resetGraphColors();
+
+            if (streaming) {
+                this.clearOutput();
+                await this.updateGraph(framework);
+                UIManager.hideOutputEmptyState();
+                this.outputManager.beginStreaming(onHighlightExtension, onResetGraph, this.clingoManager.normalizeConfig(config));
+            }
+
             const result = await this.clingoManager.runWABA(
                 framework,
                 config,
-                (message, type) => this.outputManager.log(message, type)
+                (message, type) => this.outputManager.log(message, type),
+                {
+                    signal: run.signal,
+                    onWitness: streaming ? (witness) => this.outputManager.appendStreamedWitness(witness) : null
+                }
             );
 
             if (!result) {
+                this.outputManager.abortStreaming();
+                return;
+            }
+            this.workspaceController.recordRun(result, framework);
+
+            if (streaming) {
+                this.outputManager.finishStreaming(result.result, result.elapsed);
                 return;
             }
 
@@ -263,19 +560,170 @@ export class PlaygroundController {
             this.outputManager.displayResults(
                 result.result,
                 result.elapsed,
-                (inAssumptions, discarded, successful) => this.graphManager.highlightExtension(inAssumptions, discarded, successful),
-                () => this.graphManager.resetGraphColors(),
+                onHighlightExtension,
+                onResetGraph,
                 result.effectiveConfig
             );
             UIManager.hideOutputEmptyState();
         } catch (error) {
+            this.outputManager.abortStreaming();
+            if (run.signal.aborted) {
+                this.outputManager.log('⏹️ Run cancelled. The solver was restarted for the next run.', 'warning');
+                return;
+            }
             console.error('Error in runWABA:', error);
             this.outputManager.log(`❌ Error: ${error.message}`, 'error');
         } finally {
+            this.activeRun = null;
+            this.setRunInProgress(false);
             UIManager.hideLoadingOverlay();
         }
     }
 
+    /**
+     * Run a solver task other than `runWABA` as the active run, so it shares the run
+     * button state and cancellation. Resolves to `null` when nothing ran or the task
+     * was cancelled.
+     */
+    async runExclusive(label, task, overlay = null) {
+        if (this.activeRun) {
+            return null;
+        }
+
+        const run = new AbortController();
+        this.activeRun = run;
+        this.setRunInProgress(true);
+        if (overlay) {
+            UIManager.showLoadingOverlay(overlay.text, overlay.subtext);
+        }
+
+        try {
+            await Promise.all([this.pendingExampleLoad, this.pendingGraphUpdate]);
+            const framework = this.editorController.getFrameworkCode();
+            if (!framework) {
+                this.outputManager.log('⚠️ No framework code to run', 'warning');
+                return null;
+            }
+            return await task(framework, run.signal);
+        } catch (error) {
+            if (run.signal.aborted) {
+                this.outputManager.log(`⏹️ ${label} cancelled. The solver was restarted for the next run.`, 'warning');
+                return null;
+            }
+            throw error;
+        } finally {
+            this.activeRun = null;
+            this.setRunInProgress(false);
+            UIManager.hideLoadingOverlay();
+        }
+    }
+
+    runAcceptanceQuery(atom) {
+        return this.runExclusive('Acceptance query', (framework, signal) => this.clingoManager.queryAcceptance(
+            framework,
+            this.configController.getCurrentConfig(),
+            atom,
+            (message, type) => this.outputManager.log(message, type),
+            { signal }
+        ), { text: 'Checking acceptance...', subtext: `Credulous and sceptical acceptance of ${atom}` });
+    }
+
+    runSetTest(members) {
+        return this.runExclusive('Set test', (framework, signal) => this.clingoManager.diagnoseAssumptionSet(
+            framework,
+            this.configController.getCurrentConfig(),
+            members,
+            (message, type) => this.outputManager.log(message, type),
+            { signal }
+        ), { text: 'Testing the set...', subtext: `Is {${members.join(', ')}} an extension, and if not, why not` });
+    }
+
+    /**
+     * Run `runWABA` once per β (all models, so counts are complete). Resolves to
+     * `true` when every β was solved, `false` when stopped early.
+     */
+    async runBudgetSweep(betas, onPoint) {
+        const onLog = (message, type) => {
+            if (type === 'warning' || type === 'error') {
+                this.outputManager.log(message, type);
+            }
+        };
+        const finished = await this.runExclusive('β sweep', async (framework, signal) => {
+            const config = this.configController.getCurrentConfig();
+            const points = await runBudgetSweep(
+                betas,
+                (beta) => this.clingoManager.runWABA(framework, { ...config, beta, numModels: 0 }, onLog, { signal }),
+                { onPoint }
+            );
+            return points.length === betas.length;
+        });
+        return Boolean(finished);
+    }
+
+    /**
+     * Run configuration A, then B, on the current framework (all models, so the diff
+     * is not an artefact of Max Models) and diff their extensions.
+     */
+    runComparison(leftConfig, rightConfig) {
+        const onLog = (message, type) => {
+            if (type === 'warning' || type === 'error') {
+                this.outputManager.log(message, type);
+            }
+        };
+        return this.runExclusive('Comparison', async (framework, signal) => {
+            const left = await this.clingoManager.runWABA(framework, { ...leftConfig, numModels: 0 }, onLog, { signal });
+            if (!left) {
+                return null;
+            }
+            const right = await this.clingoManager.runWABA(framework, { ...rightConfig, numModels: 0 }, onLog, { signal });
+            return right ? compareRuns(left, right) : null;
+        }, { text: 'Comparing configurations...', subtext: 'Running configuration A, then B' });
+    }
+
+    runBudgetThresholds(assumptions, config) {
+        return this.runExclusive('β* analysis', (framework, signal) => this.clingoManager.computeBudgetThresholds(
+            framework,
+            config,
+            assumptions,
+            (message, type) => this.outputManager.log(message, type),
+            { signal }
+        ), { text: 'Computing β*...', subtext: `Tightest budget admitting each of ${assumptions.length} assumption(s)` });
+    }
+
+    async runWeightSensitivity(options, config) {
+        const onLog = (message, type) => this.outputManager.log(message, type);
+        const sensitivity = await this.runExclusive('Weight sensitivity', (framework, signal) => analyzeWeightSensitivity(
+            framework,
+            options,
+            (perturbed) => this.clingoManager.runWABA(perturbed, { ...config, numModels: 0 }, onLog, { signal })
+        ), { text: 'Weight sensitivity...', subtext: 'Re-running with each weight/2 fact perturbed' });
+        if (sensitivity) {
+            this.graphManager.annotateWeightSensitivity(sensitivity);
+        }
+        return sensitivity;
+    }
+
+    runAttackProvenance(config) {
+        return this.runExclusive('Attack provenance', (framework, signal) => this.clingoManager.computeAttackProvenance(
+            framework,
+            config,
+            (message, type) => this.outputManager.log(message, type),
+            { signal }
+        ), { text: 'Explaining out assumptions...', subtext: 'Supports, seed sets and weights of every contrary' });
+    }
+
+    cancelRun() {
+        this.activeRun?.abort();
+    }
+
+    setRunInProgress(running) {
+        this.dom.runBtn.disabled = running || !this.clingoManager.clingoReady;
+        this.dom.cancelRunBtn.hidden = !running;
+        if (this.dom.loadingCancelBtn) {
+            this.dom.loadingCancelBtn.hidden = !running;
+        }
+    }
+
     async regenerateGraph() {
         const activeExtension = this.outputManager.getActiveExtensionData();
         const framework = this.editorController.getFrameworkCode();
@@ -296,13 +744,18 @@ export class PlaygroundController {
         }
     }
 
-    async updateGraph(frameworkCode) {
+    getGraphMode() {
         const selectedMode = this.dom.graphModeRadios.find((radio) => radio.checked);
-        const mode = selectedMode ? selectedMode.value : 'standard';
+        return selectedMode ? selectedMode.value : 'standard';
+    }
+
+    async updateGraph(frameworkCode) {
+        const mode = this.getGraphMode();
         this.store.setState({
             currentFrameworkCode: frameworkCode,
             currentGraphMode: mode
         });
+        this.lintController.schedule();
 
         await this.graphManager.updateGraph(frameworkCode, mode, this.clingoManager, this.configController.getCurrentConfig());
     }
@@ -316,12 +769,68 @@ export class PlaygroundController {
         this.fileManager.downloadAsLp(frameworkCode, (message, type) => this.outputManager.log(message, type));
     }
 
-    downloadAsWaba() {
-        const wabaContent = this.dom.inputMode.value === 'simple'
+    getWabaContent() {
+        return this.dom.inputMode.value === 'simple'
             ? this.fileManager.generateWabaFormat()
             : this.fileManager.convertLpToWaba(this.editorController.getFrameworkCode());
+    }
+
+    downloadAsWaba() {
+        this.fileManager.downloadAsWaba(this.getWabaContent(), (message, type) => this.outputManager.log(message, type));
+    }
+
+    downloadAsIccma() {
+        const frameworkCode = this.editorController.getFrameworkCode();
+        if (!frameworkCode) {
+            this.outputManager.log('⚠️ No framework code to download', 'warning');
+            return;
+        }
+        let exported;
+        try {
+            exported = this.fileManager.convertLpToIccma(frameworkCode);
+        } catch (error) {
+            this.outputManager.log(`❌ Cannot export as ICCMA: ${error.message}`, 'error');
+            return;
+        }
+        const { content, warnings } = exported;
+        this.fileManager.downloadAsIccma(content, (message, type) => this.outputManager.log(message, type));
+        warnings.forEach((warning) => this.outputManager.log(`⚠️ ${warning}`, 'warning'));
+    }
+
+    /**
+     * The current framework as an `AbaFramework` plus its description, for JSON export.
+     */
+    getFrameworkExport() {
+        const frameworkCode = this.editorController.getFrameworkCode();
+        if (!frameworkCode) {
+            return null;
+        }
+        return {
+            framework: this.fileManager.extractFramework(frameworkCode),
+            description: this.fileManager.extractDescription(frameworkCode)
+        };
+    }
+
+    downloadAsJson() {
+        const frameworkCode = this.editorController.getFrameworkCode();
+        if (!frameworkCode) {
+            this.outputManager.log('⚠️ No framework code to download', 'warning');
+            return;
+        }
+        this.fileManager.downloadAsJson(this.fileManager.convertLpToJson(frameworkCode), (message, type) => this.outputManager.log(message, type));
+    }
 
-        this.fileManager.downloadAsWaba(wabaContent, (message, type) => this.outputManager.log(message, type));
+    /**
+     * Everything but the graph image for the PDF report.
+     */
+    getReportData() {
+        const { config, ranked, metrics } = this.outputManager.getReportResults();
+        return {
+            waba: this.getWabaContent(),
+            config,
+            ranked,
+            assumptionTable: metrics ? MetricsManager.getAssumptionTable(metrics) : null
+        };
     }
 
     clearOutput() {
@@ -334,10 +843,12 @@ export class PlaygroundController {
             frameworkCode: state.currentFrameworkCode,
             graphMode: state.currentGraphMode
         });
+        this.graphLinkController.revealGraphElement(node, 'node');
     }
 
     handleEdgeClick(edge, x, y) {
         PopupManager.showEdgePopup(edge, x, y);
+        this.graphLinkController.revealGraphElement(edge, 'edge');
     }
 
     exportGraphInLightMode(callback) {
@@ -0,0 +1,134 @@
+import { ParserUtils } from '../modules/parser-utils.js?v=20260315-1';
+import { getExtensionHighlightData } from '../modules/graph-highlighting.js?v=20260315-1';
+import { parseAnswerSet } from '../runtime/answer-set-parser.js?v=20260315-1';
+import { createMessage, renderMessage } from '../modules/message-builder.js?v=20260315-1';
+
+const METHOD_LABELS = {
+    consequences: 'brave/cautious reasoning',
+    enumeration: 'exact extensions enumerated'
+};
+
+/**
+ * QueryController - Acceptance query panel: credulous/sceptical acceptance of one
+ * atom, with the witnessing extension or counterexample highlighted on the graph.
+ */
+export class QueryController {
+    constructor(dom, { runQuery, getFramework, onHighlightExtension, onResetGraph }) {
+        this.dom = dom;
+        this.runQuery = runQuery;
+        this.getFramework = getFramework;
+        this.onHighlightExtension = onHighlightExtension;
+        this.onResetGraph = onResetGraph;
+    }
+
+    init() {
+        this.dom.queryRunBtn.addEventListener('click', () => this.submit());
+        this.dom.queryAtomInput.addEventListener('focus', () => this.refreshAtomOptions());
+        this.dom.queryAtomInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.submit();
+            }
+        });
+    }
+
+    refreshAtomOptions() {
+        const options = ParserUtils.parseAtoms(this.getFramework()).map((atom) => {
+            const option = this.dom.document.createElement('option');
+            option.value = atom;
+            return option;
+        });
+        this.dom.queryAtomOptions.replaceChildren(...options);
+    }
+
+    async submit() {
+        const atom = this.dom.queryAtomInput.value.trim();
+        if (!atom) {
+            renderMessage(this.dom.queryResult, 'Enter an assumption or derived atom to query.', 'info');
+            return;
+        }
+        if (!ParserUtils.parseAtoms(this.getFramework()).includes(atom)) {
+            renderMessage(this.dom.queryResult, `❌ "${atom}" does not occur in the current framework.`, 'error');
+            return;
+        }
+
+        this.dom.queryRunBtn.disabled = true;
+        try {
+            const run = await this.runQuery(atom);
+            if (run) {
+                this.renderOutcome(run.outcome, run.elapsed);
+            }
+        } catch (error) {
+            console.error('Error in acceptance query:', error);
+            renderMessage(this.dom.queryResult, `❌ Error: ${error.message}`, 'error');
+        } finally {
+            this.dom.queryRunBtn.disabled = false;
+        }
+    }
+
+    /**
+     * @param {import('../core/types.js').AcceptanceOutcome} outcome
+     * @param {string} elapsed
+     */
+    renderOutcome(outcome, elapsed) {
+        const { atom, credulous, sceptical } = outcome;
+        const summary = this.dom.document.createElement('p');
+        summary.className = 'metrics-note';
+        summary.textContent = `${outcome.semantics} semantics, ${METHOD_LABELS[outcome.method]} in ${elapsed}s.`;
+
+        if (!outcome.hasExtensions) {
+            this.dom.queryResult.replaceChildren(
+                summary,
+                createMessage(this.dom.document, `No extensions: "${atom}" is not credulously accepted and is only vacuously sceptically accepted.`, 'info')
+            );
+            this.onResetGraph();
+            return;
+        }
+
+        const credulousRow = this.renderVerdict(
+            credulous.accepted ? `✅ "${atom}" is credulously accepted` : `❌ "${atom}" is not credulously accepted`,
+            credulous.witness,
+            'Highlight witness'
+        );
+        const scepticalRow = this.renderVerdict(
+            sceptical.accepted ? `✅ "${atom}" is sceptically accepted` : `❌ "${atom}" is not sceptically accepted`,
+            sceptical.witness,
+            'Highlight counterexample'
+        );
+        this.dom.queryResult.replaceChildren(summary, credulousRow, scepticalRow);
+
+        const shown = sceptical.witness || credulous.witness;
+        if (shown) {
+            this.highlight(shown);
+        } else {
+            this.onResetGraph();
+        }
+    }
+
+    renderVerdict(message, witness, buttonLabel) {
+        const row = this.dom.document.createElement('div');
+        row.className = 'info-message acceptance-verdict';
+
+        const text = this.dom.document.createElement('span');
+        text.textContent = witness
+            ? `${message} — {${parseAnswerSet(witness.Value || []).in.join(', ')}}`
+            : message;
+        row.appendChild(text);
+
+        if (witness) {
+            const button = this.dom.document.createElement('button');
+            button.type = 'button';
+            button.className = 'analysis-action-btn analysis-action-btn-secondary';
+            button.textContent = buttonLabel;
+            button.addEventListener('click', () => this.highlight(witness));
+            row.appendChild(button);
+        }
+        return row;
+    }
+
+    highlight(witness) {
+        const { inAssumptions, discardedAttacks, successfulAttacks } = getExtensionHighlightData(parseAnswerSet(witness.Value || []));
+        this.onResetGraph();
+        this.onHighlightExtension(inAssumptions, discardedAttacks, successfulAttacks);
+    }
+}
@@ -0,0 +1,102 @@
+import { listExperimentalSemirings, registerSemiringModule, unregisterSemiringModule } from '../runtime/semiring-modules.js?v=20260315-1';
+
+/**
+ * SemiringModuleController - The experimental semiring modules section: pasted
+ * or loaded `.lp` semirings are schema-checked, registered for the session and
+ * offered under Semiring Family with an "unsupported surface" badge.
+ */
+export class SemiringModuleController {
+    constructor(dom, { configController, onLog }) {
+        this.dom = dom;
+        this.configController = configController;
+        this.onLog = onLog;
+    }
+
+    init() {
+        this.dom.semiringModuleRegisterBtn.addEventListener('click', () => this.register());
+        this.dom.semiringModuleUploadBtn.addEventListener('click', () => this.dom.semiringModuleFileInput.click());
+        this.dom.semiringModuleFileInput.addEventListener('change', async (event) => {
+            const file = event.target.files?.[0];
+            if (file) {
+                this.dom.semiringModuleInput.value = await file.text();
+                this.register();
+            }
+            this.dom.semiringModuleFileInput.value = '';
+        });
+        this.dom.semiringModuleList.addEventListener('click', (event) => {
+            const button = /** @type {HTMLElement} */ (event.target).closest('[data-remove-semiring]');
+            if (button) {
+                this.remove(button.getAttribute('data-remove-semiring'));
+            }
+        });
+    }
+
+    register() {
+        const source = this.dom.semiringModuleInput.value;
+        if (!source.trim()) {
+            this.dom.semiringModuleStatus.textContent = 'Paste a semiring module or load an .lp file first.';
+            return;
+        }
+
+        let semiringModule;
+        try {
+            semiringModule = registerSemiringModule(source);
+        } catch (error) {
+            this.dom.semiringModuleStatus.textContent = `Not registered: ${error.message}`;
+            return;
+        }
+
+        this.renderModules();
+        this.dom.semiringSelect.value = semiringModule.key;
+        this.dom.semiringSelect.dispatchEvent(new Event('change'));
+        this.dom.semiringModuleStatus.textContent = `Registered "${semiringModule.key}" and selected it under Semiring Family.`;
+        this.onLog(`🧪 Registered the experimental semiring module "${semiringModule.key}" for this session`, 'info');
+    }
+
+    remove(key) {
+        unregisterSemiringModule(key);
+        const wasSelected = this.dom.semiringSelect.value === key;
+        this.renderModules();
+        if (wasSelected) {
+            this.dom.semiringSelect.value = 'godel';
+            this.dom.semiringSelect.dispatchEvent(new Event('change'));
+        } else {
+            this.configController.syncUi();
+        }
+        this.dom.semiringModuleStatus.textContent = `Removed "${key}".`;
+    }
+
+    renderModules() {
+        const doc = this.dom.document;
+        const modules = listExperimentalSemirings();
+
+        const options = modules.map((semiringModule) => {
+            const option = doc.createElement('option');
+            option.value = semiringModule.key;
+            option.textContent = `🧪 ${semiringModule.key}`;
+            return option;
+        });
+        this.dom.semiringExperimentalGroup.replaceChildren(...options);
+        this.dom.semiringExperimentalGroup.hidden = modules.length === 0;
+
+        const items = modules.map((semiringModule) => {
+            const item = doc.createElement('li');
+            const name = doc.createElement('code');
+            name.textContent = semiringModule.key;
+            const defaults = doc.createElement('span');
+            defaults.className = 'semiring-module-defaults';
+            defaults.textContent = Object.entries(semiringModule.defaultWeights)
+                .map(([policy, weight]) => `${policy}: ${weight}`)
+                .join(' · ');
+            const remove = doc.createElement('button');
+            remove.type = 'button';
+            remove.className = 'analysis-action-btn analysis-action-btn-secondary';
+            remove.setAttribute('data-remove-semiring', semiringModule.key);
+            remove.setAttribute('aria-label', `Remove ${semiringModule.key}`);
+            remove.textContent = '🗑️ Remove';
+            item.append(name, defaults, remove);
+            return item;
+        });
+        this.dom.semiringModuleList.replaceChildren(...items);
+    }
+}
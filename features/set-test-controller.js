@@ -0,0 +1,194 @@
+import { ParserUtils } from '../modules/parser-utils.js?v=20260315-1';
+import { getExtensionHighlightData } from '../modules/graph-highlighting.js?v=20260315-1';
+import { parseAnswerSet } from '../runtime/answer-set-parser.js?v=20260315-1';
+import { resolveBudgetProfile } from '../runtime/config-service.js?v=20260315-1';
+import { SUBSET_SEMANTICS } from '../runtime/subset-semantics.js?v=20260315-1';
+import { createMessage, renderMessage } from '../modules/message-builder.js?v=20260315-1';
+
+const formatSet = (members) => `{${members.join(', ')}}`;
+const formatAttacks = (attacks) => attacks.map(({ source, target, weight }) => `${source} → ${target} (w = ${weight})`).join(', ');
+
+/**
+ * SetTestController - "Why is this set not an extension?": tick assumptions,
+ * run the active semantics with exactly that set in, and report the failing
+ * checks with their culprit attacks highlighted on the graph.
+ */
+export class SetTestController {
+    constructor(dom, { runSetTest, getFramework, onHighlightExtension, onResetGraph }) {
+        this.dom = dom;
+        this.runSetTest = runSetTest;
+        this.getFramework = getFramework;
+        this.onHighlightExtension = onHighlightExtension;
+        this.onResetGraph = onResetGraph;
+    }
+
+    init() {
+        this.dom.setTestRunBtn.addEventListener('click', () => this.submit());
+        // The framework can change at any time, so the checkboxes follow it lazily
+        this.dom.setTestSection.addEventListener('focusin', () => this.refreshAssumptions());
+        this.dom.setTestSection.addEventListener('mouseenter', () => this.refreshAssumptions());
+        this.refreshAssumptions();
+    }
+
+    getSelectedMembers() {
+        return Array.from(this.dom.setTestAssumptions.querySelectorAll('input[type="checkbox"]:checked'))
+            .map((checkbox) => /** @type {HTMLInputElement} */ (checkbox).value);
+    }
+
+    refreshAssumptions() {
+        const assumptions = [...new Set(ParserUtils.parseAssumptions(this.getFramework()))];
+        const rendered = Array.from(this.dom.setTestAssumptions.querySelectorAll('input[type="checkbox"]'))
+            .map((checkbox) => /** @type {HTMLInputElement} */ (checkbox).value);
+        if (assumptions.length === rendered.length && assumptions.every((assumption, index) => assumption === rendered[index])) {
+            return;
+        }
+
+        const selected = new Set(this.getSelectedMembers());
+        if (assumptions.length === 0) {
+            this.dom.setTestAssumptions.replaceChildren(createMessage(this.dom.document, 'The framework has no assumptions.', 'info'));
+            return;
+        }
+        const labels = assumptions.map((assumption) => {
+            const label = this.dom.document.createElement('label');
+            label.className = 'set-test-option';
+            const checkbox = this.dom.document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = assumption;
+            checkbox.checked = selected.has(assumption);
+            label.append(checkbox, assumption);
+            return label;
+        });
+        this.dom.setTestAssumptions.replaceChildren(...labels);
+    }
+
+    async submit() {
+        this.refreshAssumptions();
+        const members = this.getSelectedMembers();
+
+        this.dom.setTestRunBtn.disabled = true;
+        try {
+            const run = await this.runSetTest(members);
+            if (run) {
+                this.renderDiagnosis(run.diagnosis, run.elapsed, run.effectiveConfig);
+            }
+        } catch (error) {
+            console.error('Error testing the set:', error);
+            renderMessage(this.dom.setTestResult, `❌ Error: ${error.message}`, 'error');
+        } finally {
+            this.dom.setTestRunBtn.disabled = false;
+        }
+    }
+
+    /**
+     * @param {import('../core/types.js').SetViolation} violation
+     * @param {import('../core/types.js').EffectiveConfig} config
+     * @returns {string}
+     */
+    describeViolation({ check, attacks, atoms }, config) {
+        const bound = `β ${config.budgetMode === 'ub' ? '≤' : '≥'} ${config.beta}`;
+        switch (check) {
+            case 'closure':
+                return `Not closed: ${formatSet(atoms)} derived from the set but left out (non-flat ABA).`;
+            case 'conflict':
+                return `Not conflict-free: ${formatAttacks(attacks)} from the set ${attacks.length === 1 ? 'succeeds' : 'succeed'}.`;
+            case 'undefended':
+                return `Undefended: the set does not counter-attack ${formatAttacks(attacks)}.`;
+            case 'unattacked':
+                return `Not stable: ${formatSet(atoms)} out but not attacked by the set.`;
+            case 'defended_out':
+                return `Not complete: ${formatSet(atoms)} defended by the set but left out.`;
+            default:
+                if (resolveBudgetProfile(config) === 'no_discard') {
+                    return `Budget: no attack may be discarded, but the set needs ${formatAttacks(attacks)} discarded.`;
+                }
+                return attacks.length > 0
+                    ? `Budget exceeded: the set needs ${formatAttacks(attacks)} discarded, which breaks ${bound}.`
+                    : `Budget not met: no discards of the set reach ${bound}.`;
+        }
+    }
+
+    /**
+     * @param {import('../core/types.js').SetDiagnosis} diagnosis
+     * @param {string} elapsed
+     * @param {import('../core/types.js').EffectiveConfig} config
+     */
+    renderDiagnosis(diagnosis, elapsed, config) {
+        const { members, semantics, baseSemantics, verdict } = diagnosis;
+        const set = formatSet(members);
+        const summary = this.dom.document.createElement('p');
+        summary.className = 'metrics-note';
+        summary.textContent = `${set} under ${semantics} semantics, checked in ${elapsed}s.`;
+        const rows = [summary];
+
+        if (verdict === 'extension') {
+            rows.push(this.renderRow(`✅ ${set} is a ${semantics} extension.`, () => this.highlightWitness(diagnosis.witness)));
+            this.highlightWitness(diagnosis.witness);
+        } else if (verdict === 'violates') {
+            const headline = baseSemantics === semantics
+                ? `❌ ${set} is not a ${semantics} extension:`
+                : `❌ ${set} is not ${baseSemantics}, so it is not a ${semantics} extension:`;
+            rows.push(createMessage(this.dom.document, headline, 'info'));
+            diagnosis.violations.forEach((violation) => {
+                rows.push(this.renderRow(this.describeViolation(violation, config), () => this.highlightViolation(members, violation)));
+            });
+            if (diagnosis.violations.length > 0) {
+                this.highlightViolation(members, diagnosis.violations[0]);
+            }
+        } else if (verdict === 'not-selected') {
+            const extensions = diagnosis.extensions.map(formatSet).join(', ') || 'none';
+            rows.push(createMessage(this.dom.document, 
+                `❌ ${set} is complete but not ${SUBSET_SEMANTICS[semantics]?.description ?? semantics}, so it is not a ${semantics} extension. The ${semantics} extensions: ${extensions}.`,
+                'info'
+            ));
+            this.onResetGraph();
+        } else if (verdict === 'not-optimal') {
+            const { set: setAggregate, best } = diagnosis.aggregates;
+            rows.push(this.renderRow(
+                `❌ ${set} satisfies ${semantics}, but optN keeps only optimal extensions: its best aggregate is ${setAggregate}, the optimum is ${best}.`,
+                () => this.highlightWitness(diagnosis.witness)
+            ));
+            this.highlightWitness(diagnosis.witness);
+        } else {
+            rows.push(createMessage(this.dom.document, `❌ ${set} is not a ${semantics} extension, and no semantics or budget check explains why.`, 'info'));
+            this.onResetGraph();
+        }
+        this.dom.setTestResult.replaceChildren(...rows);
+    }
+
+    renderRow(message, onHighlight) {
+        const row = this.dom.document.createElement('div');
+        row.className = 'info-message acceptance-verdict';
+        const text = this.dom.document.createElement('span');
+        text.textContent = message;
+        const button = this.dom.document.createElement('button');
+        button.type = 'button';
+        button.className = 'analysis-action-btn analysis-action-btn-secondary';
+        button.textContent = 'Highlight';
+        button.addEventListener('click', onHighlight);
+        row.append(text, button);
+        return row;
+    }
+
+    highlightWitness(witness) {
+        const { inAssumptions, discardedAttacks, successfulAttacks } = getExtensionHighlightData(parseAnswerSet(witness?.Value || []));
+        this.onResetGraph();
+        this.onHighlightExtension(inAssumptions, discardedAttacks, successfulAttacks);
+    }
+
+    /**
+     * The tested set in, and the culprit attacks as successful (or, for the
+     * budget, as the discards it needs).
+     * @param {string[]} members
+     * @param {import('../core/types.js').SetViolation} violation
+     */
+    highlightViolation(members, { check, attacks }) {
+        const discarded = check === 'budget'
+            ? attacks.map(({ source, target, weight }) => ({ source, target, via: target, weight }))
+            : [];
+        const successful = check === 'budget'
+            ? []
+            : attacks.map(({ source, target, weight }) => `attacks_successfully_with_weight(${source},${target},${weight})`);
+        this.onResetGraph();
+        this.onHighlightExtension(members, discarded, successful);
+    }
+}
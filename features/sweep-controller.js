@@ -0,0 +1,80 @@
+import { buildSweepValues } from '../runtime/budget-sweep.js?v=20260315-1';
+import { buildSweepChartSvg, buildSweepTableHtml } from '../modules/sweep-chart-builder.js?v=20260315-1';
+import { createMessage, renderMessage } from '../modules/message-builder.js?v=20260315-1';
+
+/**
+ * SweepController - Budget sweep panel: reruns the active configuration for a range
+ * of β and renders the chart and table as points arrive.
+ */
+export class SweepController {
+    constructor(dom, { runSweep, cancelSweep, getConfig }) {
+        this.dom = dom;
+        this.runSweep = runSweep;
+        this.cancelSweep = cancelSweep;
+        this.getConfig = getConfig;
+    }
+
+    init() {
+        this.dom.sweepRunBtn.addEventListener('click', () => this.submit());
+        this.dom.sweepCancelBtn.addEventListener('click', () => this.cancelSweep());
+    }
+
+    async submit() {
+        const config = this.getConfig();
+        if (config.abaRecovery || config.budgetMode === 'none') {
+            renderMessage(this.dom.sweepResult, '❌ A β sweep needs the Upper bound or Lower bound budget mode.', 'error');
+            return;
+        }
+
+        let betas;
+        try {
+            betas = buildSweepValues(
+                Number(this.dom.sweepStartInput.value),
+                Number(this.dom.sweepEndInput.value),
+                Number(this.dom.sweepStepInput.value)
+            );
+        } catch (error) {
+            renderMessage(this.dom.sweepResult, `❌ ${error.message}`, 'error');
+            return;
+        }
+
+        const points = [];
+        this.setSweepInProgress(true);
+        renderMessage(this.dom.sweepResult, `Running β = ${betas[0]} (1/${betas.length})…`, 'info');
+        try {
+            const finished = await this.runSweep(betas, (point, index) => {
+                points.push(point);
+                const next = betas[index + 1];
+                this.renderPoints(points, next !== undefined ? `Running β = ${next} (${index + 2}/${betas.length})…` : null);
+            });
+            if (!finished) {
+                this.renderPoints(points, `Stopped after ${points.length} of ${betas.length} β values.`);
+                return;
+            }
+            const changes = points.filter((point) => point.changed).length;
+            this.renderPoints(points, `${points.length} β values, ${changes} change point(s) in the extension sets.`);
+        } catch (error) {
+            console.error('Error in budget sweep:', error);
+            this.renderPoints(points, null);
+            this.dom.sweepResult.appendChild(createMessage(this.dom.document, `❌ Error: ${error.message}`, 'error'));
+        } finally {
+            this.setSweepInProgress(false);
+        }
+    }
+
+    setSweepInProgress(running) {
+        this.dom.sweepRunBtn.disabled = running;
+        this.dom.sweepCancelBtn.hidden = !running;
+    }
+
+    /**
+     * @param {import('../core/types.js').SweepPoint[]} points
+     * @param {string | null} status
+     */
+    renderPoints(points, status) {
+        this.dom.sweepResult.innerHTML = `${buildSweepChartSvg(points)}${points.length > 0 ? buildSweepTableHtml(points) : ''}`;
+        if (status) {
+            this.dom.sweepResult.prepend(createMessage(this.dom.document, status, 'info'));
+        }
+    }
+}
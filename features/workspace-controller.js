@@ -0,0 +1,202 @@
+import { buildRunHistoryHtml } from '../modules/run-history-builder.js?v=20260315-1';
+import { compareRuns } from '../runtime/config-compare.js?v=20260315-1';
+import { createRunRecord, createWorkspaceRecord, normalizeWorkspaceName, toStoredRun } from '../runtime/workspace-records.js?v=20260315-1';
+
+/**
+ * WorkspaceController - Named workspaces in IndexedDB and the run history of the
+ * open workspace. Runs are recorded only while a workspace is open.
+ */
+export class WorkspaceController {
+    constructor(dom, { store, captureWorkspace, applyWorkspace, openRun, showComparison, onLog }) {
+        this.dom = dom;
+        this.store = store;
+        this.captureWorkspace = captureWorkspace;
+        this.applyWorkspace = applyWorkspace;
+        this.openRun = openRun;
+        this.showComparison = showComparison;
+        this.onLog = onLog;
+        this.activeWorkspace = null;
+        this.runs = [];
+    }
+
+    init() {
+        if (!this.store.available) {
+            [this.dom.workspaceNameInput, this.dom.workspaceSaveBtn, this.dom.workspaceSelect, this.dom.workspaceOpenBtn, this.dom.workspaceDeleteBtn]
+                .forEach((element) => {
+                    element.disabled = true;
+                });
+            this.dom.workspaceStatus.textContent = 'Workspaces need IndexedDB, which this browser does not provide.';
+            return;
+        }
+
+        this.dom.workspaceSaveBtn.addEventListener('click', () => this.save());
+        this.dom.workspaceNameInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.save();
+            }
+        });
+        this.dom.workspaceOpenBtn.addEventListener('click', () => this.open());
+        this.dom.workspaceDeleteBtn.addEventListener('click', () => this.remove());
+        this.dom.runHistory.addEventListener('click', (event) => this.handleHistoryClick(event));
+        this.dom.runHistory.addEventListener('change', () => this.updateCompareButton());
+
+        this.refreshWorkspaces().catch((error) => this.reportError('Could not list workspaces', error));
+    }
+
+    async refreshWorkspaces() {
+        const workspaces = await this.store.listWorkspaces();
+        const placeholder = this.dom.document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = workspaces.length > 0 ? '-- Saved workspaces --' : '-- No saved workspaces --';
+        const options = workspaces.map((workspace) => {
+            const option = this.dom.document.createElement('option');
+            option.value = workspace.name;
+            option.textContent = workspace.name;
+            return option;
+        });
+        this.dom.workspaceSelect.replaceChildren(placeholder, ...options);
+        this.dom.workspaceSelect.value = this.activeWorkspace || '';
+    }
+
+    async save() {
+        try {
+            const name = normalizeWorkspaceName(this.dom.workspaceNameInput.value || this.activeWorkspace || '');
+            await this.store.saveWorkspace(createWorkspaceRecord(name, this.captureWorkspace()));
+            await this.setActiveWorkspace(name);
+            await this.refreshWorkspaces();
+            this.onLog(`💾 Saved workspace "${name}"`, 'success');
+        } catch (error) {
+            this.reportError('Could not save the workspace', error);
+        }
+    }
+
+    async open() {
+        const name = this.dom.workspaceSelect.value;
+        if (!name) {
+            return;
+        }
+        try {
+            const record = await this.store.getWorkspace(name);
+            if (!record) {
+                throw new Error(`Workspace "${name}" no longer exists.`);
+            }
+            await this.applyWorkspace(record);
+            await this.setActiveWorkspace(name);
+            this.onLog(`📂 Opened workspace "${name}"`, 'info');
+        } catch (error) {
+            this.reportError('Could not open the workspace', error);
+        }
+    }
+
+    async remove() {
+        const name = this.dom.workspaceSelect.value;
+        if (!name || !window.confirm(`Delete workspace "${name}" and its run history?`)) {
+            return;
+        }
+        try {
+            await this.store.deleteWorkspace(name);
+            if (this.activeWorkspace === name) {
+                await this.setActiveWorkspace(null);
+            }
+            await this.refreshWorkspaces();
+            this.onLog(`🗑️ Deleted workspace "${name}"`, 'info');
+        } catch (error) {
+            this.reportError('Could not delete the workspace', error);
+        }
+    }
+
+    async setActiveWorkspace(name) {
+        this.activeWorkspace = name;
+        this.dom.workspaceNameInput.value = name || '';
+        this.dom.workspaceStatus.textContent = name
+            ? `Workspace "${name}" is open; runs are recorded in its history.`
+            : 'No workspace open. Save one to keep a run history.';
+        await this.renderHistory();
+    }
+
+    /**
+     * Record a completed `runWABA` result in the open workspace's history.
+     *
+     * @param {{ result: any, elapsed: string, effectiveConfig: import('../core/types.js').EffectiveConfig }} run
+     * @param {string} framework
+     */
+    async recordRun(run, framework) {
+        if (!this.activeWorkspace) {
+            return;
+        }
+        try {
+            await this.store.addRun(createRunRecord(this.activeWorkspace, run, framework));
+            await this.renderHistory();
+        } catch (error) {
+            console.error('Run history error:', error);
+            this.onLog(`⚠️ Could not record the run in the workspace history: ${error.message}`, 'warning');
+        }
+    }
+
+    async renderHistory() {
+        if (!this.activeWorkspace) {
+            this.runs = [];
+            this.dom.runHistory.replaceChildren();
+            return;
+        }
+        this.runs = await this.store.listRuns(this.activeWorkspace);
+        this.dom.runHistory.innerHTML = buildRunHistoryHtml(this.runs);
+    }
+
+    findRun(id) {
+        return this.runs.find((run) => run.id === Number(id));
+    }
+
+    async handleHistoryClick(event) {
+        const target = /** @type {HTMLElement} */ (event.target);
+        if (target.closest('.run-history-compare-btn')) {
+            this.compareSelected();
+            return;
+        }
+
+        const button = /** @type {HTMLElement | null} */ (target.closest('button[data-action]'));
+        const run = button ? this.findRun(button.dataset.runId) : null;
+        if (!run) {
+            return;
+        }
+        if (button.dataset.action === 'open') {
+            this.openRun(run);
+            return;
+        }
+        try {
+            await this.store.deleteRun(run.id);
+            await this.renderHistory();
+        } catch (error) {
+            this.reportError('Could not delete the run', error);
+        }
+    }
+
+    getSelectedRuns() {
+        return Array.from(this.dom.runHistory.querySelectorAll('.run-history-select:checked'))
+            .map((checkbox) => this.findRun(/** @type {HTMLElement} */ (checkbox).dataset.runId))
+            .filter(Boolean);
+    }
+
+    updateCompareButton() {
+        const button = /** @type {HTMLButtonElement | null} */ (this.dom.runHistory.querySelector('.run-history-compare-btn'));
+        if (button) {
+            button.disabled = this.getSelectedRuns().length !== 2;
+        }
+    }
+
+    /** Compare the two selected runs, the older one as A. */
+    compareSelected() {
+        const selected = this.getSelectedRuns();
+        if (selected.length !== 2) {
+            return;
+        }
+        const [older, newer] = selected.sort((left, right) => left.createdAt - right.createdAt);
+        this.showComparison(compareRuns(toStoredRun(older), toStoredRun(newer)));
+    }
+
+    reportError(message, error) {
+        console.error(`${message}:`, error);
+        this.dom.workspaceStatus.textContent = `❌ ${message}: ${error.message}`;
+    }
+}
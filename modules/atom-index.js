@@ -0,0 +1,161 @@
+import { ParserUtils } from './parser-utils.js?v=20260315-1';
+
+/**
+ * Atom index for editor assistance (completion, hover, go-to-definition),
+ * built with the same `ParserUtils` parse that feeds the graph.
+ */
+
+const ATOM_CHAR = /[A-Za-z0-9_]/;
+
+/**
+ * @param {string} code Framework ASP code
+ * @returns {Map<string, import('../core/types.js').AtomInfo>}
+ */
+export function buildAtomIndex(code) {
+    const index = new Map();
+    const entry = (name) => {
+        if (!index.has(name)) {
+            index.set(name, { name, assumption: false, weight: null, rules: [], contraryOf: [], contraries: [] });
+        }
+        return index.get(name);
+    };
+
+    ParserUtils.parseAssumptions(code).forEach((name) => {
+        entry(name).assumption = true;
+    });
+    ParserUtils.parseRules(code).forEach((rule) => {
+        entry(rule.head).rules.push({ id: rule.id, body: rule.body });
+        rule.body.forEach(entry);
+    });
+    ParserUtils.parseContraries(code).forEach(({ assumption, contrary }) => {
+        entry(assumption).contraries.push(contrary);
+        entry(contrary).contraryOf.push(assumption);
+    });
+    Object.entries(ParserUtils.parseWeights(code)).forEach(([name, weight]) => {
+        entry(name).weight = weight;
+    });
+
+    return index;
+}
+
+/**
+ * The atom around a text offset, or null.
+ *
+ * @param {string} text
+ * @param {number} offset
+ * @returns {{ name: string, start: number, end: number } | null}
+ */
+export function atomAt(text, offset) {
+    let start = offset;
+    let end = offset;
+    while (start > 0 && ATOM_CHAR.test(text[start - 1])) {
+        start -= 1;
+    }
+    while (end < text.length && ATOM_CHAR.test(text[end])) {
+        end += 1;
+    }
+    const name = text.slice(start, end);
+    return /^[A-Za-z_]/.test(name) ? { name, start, end } : null;
+}
+
+/**
+ * Where completion applies at the cursor in a Simple editor field: body atoms
+ * after `<-` in Rules, and both sides of a contrary pair in Contraries.
+ * `from`..`offset` is the atom prefix being typed.
+ *
+ * @param {string} field Simple editor field
+ * @param {string} text
+ * @param {number} offset
+ * @returns {{ slot: 'atom' | 'assumption', from: number, prefix: string } | null}
+ */
+export function completionContext(field, text, offset) {
+    const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+    const before = text.slice(lineStart, offset);
+    if (before.includes('%')) {
+        return null;
+    }
+    const prefix = before.match(/[A-Za-z_][A-Za-z0-9_]*$/)?.[0] ?? '';
+    if (/[0-9]$/.test(before) && !prefix) {
+        return null;
+    }
+    const lead = before.slice(0, before.length - prefix.length);
+
+    /** @type {'atom' | 'assumption' | null} */
+    let slot = null;
+    if (field === 'rules' && /(?:<-|←)(?:\s*[A-Za-z_][A-Za-z0-9_]*\s*,)*\s*$/.test(lead)) {
+        slot = 'atom';
+    } else if (field === 'contraries') {
+        if (/^\s*\(\s*$/.test(lead)) {
+            slot = 'assumption';
+        } else if (/^\s*\(\s*[A-Za-z_][A-Za-z0-9_]*\s*,\s*$/.test(lead) || /^\s*[A-Za-z_][A-Za-z0-9_]*\s*:\s*$/.test(lead)) {
+            slot = 'atom';
+        }
+    }
+    return slot ? { slot, from: offset - prefix.length, prefix } : null;
+}
+
+/**
+ * Completion candidates for a slot: assumptions only for the first element of a
+ * contrary pair, otherwise every known atom (assumptions first). The prefix
+ * itself is left out, since it is already typed.
+ *
+ * @param {Map<string, import('../core/types.js').AtomInfo>} index
+ * @param {'atom' | 'assumption'} slot
+ * @param {string} prefix
+ * @returns {Array<{ label: string, detail: string }>}
+ */
+export function completeAtoms(index, slot, prefix) {
+    return [...index.values()]
+        .filter((info) => (slot === 'atom' || info.assumption) && info.name.startsWith(prefix) && info.name !== prefix)
+        .sort((left, right) => Number(right.assumption) - Number(left.assumption) || left.name.localeCompare(right.name))
+        .map((info) => ({ label: info.name, detail: describeAtomKind(info) }));
+}
+
+function describeAtomKind(info) {
+    if (info.assumption) {
+        return 'assumption';
+    }
+    if (info.rules.length > 0) {
+        return 'derived';
+    }
+    return info.contraryOf.length > 0 ? 'contrary' : 'atom';
+}
+
+/**
+ * Hover text for an atom: its kind and weight, the rules deriving it and the
+ * contrary relations it takes part in.
+ *
+ * @param {import('../core/types.js').AtomInfo} info
+ * @returns {string}
+ */
+export function describeAtom(info) {
+    const lines = [`${info.name} (${describeAtomKind(info)}) · weight ${info.weight ?? 'not set'}`];
+    if (info.rules.length > 0) {
+        info.rules.forEach((rule) => {
+            lines.push(`${rule.id}: ${info.name} <- ${rule.body.length > 0 ? rule.body.join(', ') : '(fact)'}`);
+        });
+    } else if (!info.assumption) {
+        lines.push('No rule derives it.');
+    }
+    if (info.contraries.length > 0) {
+        lines.push(`Contrary: ${info.contraries.join(', ')}`);
+    }
+    if (info.contraryOf.length > 0) {
+        lines.push(`Contrary of: ${info.contraryOf.join(', ')}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * The fact that defines an atom: its assumption declaration, else the first
+ * rule deriving it. Same targets as lint issues, so the lint locators apply.
+ *
+ * @param {import('../core/types.js').AtomInfo} info
+ * @returns {import('../core/types.js').LintTarget | null}
+ */
+export function definitionTarget(info) {
+    if (info.assumption) {
+        return { kind: 'assumption', atom: info.name };
+    }
+    return info.rules.length > 0 ? { kind: 'rule', id: info.rules[0].id, occurrence: 0 } : null;
+}
@@ -1,53 +1,41 @@
 /**
  * ClingoManager - Handles Clingo WASM integration and mature WABA program execution.
  */
-import { wabaModules } from '../waba-modules.js?v=20260315-1';
 import {
     normalizeConfig,
     resolveSemiringModuleKey,
     getAliasLabel,
-    shouldApplyNumericPostFilter,
     validateConfig
 } from '../runtime/config-service.js?v=20260315-1';
 import { buildProgram, buildSolverArgs, getConstraintModule, getCoreModule, getDefaultPolicyModule, getFilterModule, getMonoidModule, getOptimizeModule, getSemanticsModule, getSemiringModule } from '../runtime/program-builder.js?v=20260315-1';
-import { compareTuples, computeAggregateFromDiscarded, formatSyntheticOptimization, getObjectiveTuple } from '../runtime/objective-utils.js?v=20260315-1';
+import { queryAcceptance } from '../runtime/acceptance.js?v=20260315-1';
+import { computeAttackProvenance } from '../runtime/attack-provenance.js?v=20260315-1';
+import { diagnoseAssumptionSet } from '../runtime/set-diagnosis.js?v=20260315-1';
+import { computeBudgetThresholds } from '../runtime/budget-threshold.js?v=20260315-1';
+import { assertSolverResult, getWitnessAggregateValue, isSubsetSemantics, runSubsetSemantics } from '../runtime/subset-semantics.js?v=20260315-1';
+import { SolverWorker } from './solver-worker.js?v=20260315-1';
 
 export class ClingoManager {
     constructor(runBtn, introStatus = null) {
         this.runBtn = runBtn;
         this.introStatus = introStatus;
         this.clingoReady = false;
+        this.worker = null;
         this.solverQueue = Promise.resolve();
     }
 
     async initClingo() {
-        const maxAttempts = 20;
-        let attempts = 0;
-        const wasmUrl = this.resolveWasmUrl();
-
-        while (attempts < maxAttempts) {
-            if (typeof clingo !== 'undefined') {
-                try {
-                    if (typeof clingo.run === 'function') {
-                        if (typeof clingo.restart === 'function') {
-                            await clingo.restart(wasmUrl);
-                        } else if (typeof clingo.init === 'function') {
-                            await clingo.init(wasmUrl);
-                        }
-                        this.clingoReady = true;
-                        if (this.introStatus) {
-                            this.introStatus.textContent = 'Clingo WASM loaded successfully';
-                            this.introStatus.style.color = 'var(--success-color)';
-                        }
-                        return true;
-                    }
-                } catch {
-                    // Continue waiting.
-                }
+        try {
+            this.worker = new SolverWorker(this.resolveWorkerUrl(), this.resolveWasmUrl());
+            await this.worker.start();
+            this.clingoReady = true;
+            if (this.introStatus) {
+                this.introStatus.textContent = 'Clingo WASM loaded successfully';
+                this.introStatus.style.color = 'var(--success-color)';
             }
-
-            await new Promise((resolve) => setTimeout(resolve, 500));
-            attempts += 1;
+            return true;
+        } catch (error) {
+            console.error('Error starting Clingo worker:', error);
         }
 
         if (this.introStatus) {
@@ -61,16 +49,37 @@ export class ClingoManager {
     }
 
     resolveWasmUrl() {
+        return this.resolveDistUrl('clingo.wasm');
+    }
+
+    /**
+     * The streaming worker, pointed at the vendored clingo-wasm worker bundle it loads.
+     */
+    resolveWorkerUrl() {
+        const workerUrl = new URL('./clingo-stream-worker.js?v=20260315-1', import.meta.url);
+        workerUrl.searchParams.set('bundle', this.resolveDistUrl('clingo.web.worker.js'));
+        return workerUrl.toString();
+    }
+
+    resolveDistUrl(fileName) {
         if (typeof window !== 'undefined' && window.Module && typeof window.Module.locateFile === 'function') {
-            return window.Module.locateFile('clingo.wasm');
+            return window.Module.locateFile(fileName);
         }
         if (typeof window !== 'undefined' && window.location) {
-            return new URL('dist/clingo.wasm', window.location.href).toString();
+            return new URL(`dist/${fileName}`, window.location.href).toString();
         }
-        return 'dist/clingo.wasm';
+        return `dist/${fileName}`;
     }
 
-    async runWABA(framework, config, onLog) {
+    /**
+     * Run the configured semantics. Pass `options.signal` (an AbortSignal) to make
+     * every solver call of this run cancellable; aborting terminates the worker.
+     * `options.onWitness(witness, index)` receives final witnesses as soon as the
+     * solver reports them, while a direct semantics is still searching; exact
+     * subset semantics report their filtered extensions once the filter is done.
+     */
+    async runWABA(framework, config, onLog, options = {}) {
+        const { signal, onWitness } = options;
         if (!this.clingoReady) {
             onLog('Clingo is still loading.', 'warning');
             return null;
@@ -81,166 +90,205 @@ export class ClingoManager {
         if (validationError) {
             throw new Error(validationError);
         }
+        if (normalized.experimentalSemiring) {
+            onLog(`🧪 Running with the experimental semiring module "${normalized.semiringKey}", outside the supported surface.`, 'warning');
+        }
+
+        let streamed = 0;
+        const streamWitness = onWitness
+            ? (witness) => {
+                streamed += 1;
+                onWitness(witness, streamed);
+            }
+            : null;
 
         try {
             const startTime = performance.now();
-            const result = normalized.semantics === 'preferred' || normalized.semantics === 'grounded'
-                ? await this.runExactSubsetSemantics(framework, normalized, onLog)
-                : await this.runDirect(framework, normalized);
+            const result = isSubsetSemantics(normalized.semantics)
+                ? await this.runExactSubsetSemantics(framework, normalized, onLog, signal)
+                : await this.runDirect(framework, normalized, signal, streamWitness);
             const elapsed = ((performance.now() - startTime) / 1000).toFixed(3);
+            await this.emitWitnesses(result, onWitness, signal, streamed);
             return { result, elapsed, effectiveConfig: normalized };
         } catch (error) {
-            console.error('Error running WABA:', error);
+            if (!signal?.aborted) {
+                console.error('Error running WABA:', error);
+            }
             throw error;
         }
     }
 
-    async runDirect(framework, config) {
+    async runDirect(framework, config, signal, onWitness = null) {
         const program = buildProgram(framework, config);
         const args = buildSolverArgs(config);
-        const result = await this.runSolver(program, config.numModels, args, config.timeout);
+        const result = await this.runSolver(program, config.numModels, args, config.timeout, signal, onWitness);
         this.assertSolverResult(result);
         return result;
     }
 
-    async runExactSubsetSemantics(framework, config, onLog) {
-        const filterKind = config.semantics === 'grounded' ? 'subset_minimal_filter' : 'subset_maximal_filter';
-        const targetLabel = config.semantics;
-        onLog(`Enumerating complete candidates for exact ${targetLabel} semantics…`, 'info');
-
-        const candidateConfig = {
-            ...config,
-            semantics: 'complete',
-            optMode: 'ignore'
-        };
-        const candidateProgram = buildProgram(framework, candidateConfig, {
-            includeObjective: false
+    async runExactSubsetSemantics(framework, config, onLog, signal) {
+        return runSubsetSemantics(framework, config, {
+            solve: (program, numModels, args) => this.runSolver(program, numModels, args, config.timeout, signal),
+            onLog
         });
-        const candidateResult = await this.runSolver(candidateProgram, 0, ['--opt-mode=ignore'], config.timeout);
-        this.assertSolverResult(candidateResult);
+    }
 
-        const candidateWitnesses = candidateResult.Call?.[0]?.Witnesses || [];
-        if (candidateWitnesses.length === 0) {
-            return candidateResult;
+    /**
+     * Shared by the analysis wrappers below: normalize and validate `config`,
+     * then run `task(normalized, solve)` with a `solve(program, numModels, args)`
+     * on the solver queue, cancellable through `signal`. Resolves to null while
+     * Clingo is still loading.
+     */
+    async runAnalysis(config, onLog, signal, task) {
+        if (!this.clingoReady) {
+            onLog('Clingo is still loading.', 'warning');
+            return null;
         }
 
-        const candidateFacts = candidateWitnesses.map((witness, index) => {
-            const modelId = index + 1;
-            const members = (witness.Value || [])
-                .map((predicate) => predicate.match(/^in\(([^)]+)\)$/))
-                .filter(Boolean)
-                .map((match) => `member(${modelId},${match[1]}).`);
-            return [`candidate(${modelId}).`, ...members].join('\n');
-        }).join('\n');
-
-        const filterDescription = filterKind === 'subset_minimal_filter' ? 'subset-minimal' : 'subset-maximal';
-        onLog(`Filtering ${filterDescription} complete candidates…`, 'info');
-        const subsetProgram = `
-${candidateFacts}
-${wabaModules.semantics[filterKind]}
-`;
-        const subsetResult = await this.runSolver(subsetProgram, 0, ['--project'], config.timeout);
-        this.assertSolverResult(subsetResult);
-        const keepWitness = subsetResult.Call?.[0]?.Witnesses?.[0]?.Value || [];
-        const keepIds = new Set(
-            keepWitness
-                .map((predicate) => predicate.match(/^keep\((\d+)\)$/))
-                .filter(Boolean)
-                .map((match) => Number.parseInt(match[1], 10))
-        );
-
-        let filteredWitnesses = candidateWitnesses.filter((_, index) => keepIds.has(index + 1));
-
-        if (shouldApplyNumericPostFilter(config)) {
-            onLog(`Applying numeric objective after exact ${targetLabel} filtering…`, 'info');
-            const ranked = filteredWitnesses.map((witness) => {
-                const aggregate = this.getWitnessAggregateValue(witness, config.monoid);
-                return {
-                    witness: {
-                        ...witness,
-                        Optimization: formatSyntheticOptimization(aggregate)
-                    },
-                    tuple: getObjectiveTuple(config, aggregate)
-                };
-            });
-            const bestTuple = ranked.reduce((best, entry) => {
-                if (!best) {
-                    return entry.tuple;
-                }
-                return compareTuples(entry.tuple, best) < 0 ? entry.tuple : best;
-            }, null);
-            filteredWitnesses = ranked
-                .filter((entry) => compareTuples(entry.tuple, bestTuple) === 0)
-                .map((entry) => entry.witness);
+        const normalized = normalizeConfig(config);
+        const validationError = validateConfig(normalized);
+        if (validationError) {
+            throw new Error(validationError);
         }
 
-        if (config.numModels > 0) {
-            filteredWitnesses = filteredWitnesses.slice(0, config.numModels);
-        }
+        return task(normalized, (program, numModels, args) => this.runSolver(program, numModels, args, normalized.timeout, signal));
+    }
 
-        return {
-            Result: filteredWitnesses.length > 0
-                ? (config.optMode === 'optN' ? 'OPTIMUM FOUND' : 'SATISFIABLE')
-                : 'UNSATISFIABLE',
-            Call: [
-                {
-                    Witnesses: filteredWitnesses
-                }
-            ]
-        };
+    /**
+     * Credulous and sceptical acceptance of `atom` under `config`; cancellable
+     * through `options.signal` like `runWABA`.
+     */
+    async queryAcceptance(framework, config, atom, onLog, options = {}) {
+        return this.runAnalysis(config, onLog, options.signal, async (normalized, solve) => {
+            const startTime = performance.now();
+            const outcome = await queryAcceptance(framework, normalized, atom, { solve, onLog });
+            const elapsed = ((performance.now() - startTime) / 1000).toFixed(3);
+            return { outcome, elapsed, effectiveConfig: normalized };
+        });
     }
 
-    getWitnessAggregateValue(witness, monoid) {
-        const predicates = witness.Value || [];
-        const discarded = predicates.filter((predicate) => predicate.startsWith('discarded_attack('));
-        return computeAggregateFromDiscarded(discarded, monoid);
+    /**
+     * Whether exactly `members` is an extension under `config`, and which checks
+     * fail if not (see `runtime/set-diagnosis.js`); cancellable through `options.signal`.
+     */
+    async diagnoseAssumptionSet(framework, config, members, onLog, options = {}) {
+        return this.runAnalysis(config, onLog, options.signal, async (normalized, solve) => {
+            const startTime = performance.now();
+            const diagnosis = await diagnoseAssumptionSet(framework, normalized, members, { solve, onLog });
+            const elapsed = ((performance.now() - startTime) / 1000).toFixed(3);
+            return { diagnosis, elapsed, effectiveConfig: normalized };
+        });
     }
 
-    async runSolver(program, numModels, args, timeout) {
-        return this.enqueueSolver(() => this.executeSolver(program, numModels, args, timeout));
+    /**
+     * β* per assumption under `config` (see `runtime/budget-threshold.js`);
+     * cancellable through `options.signal`.
+     */
+    async computeBudgetThresholds(framework, config, assumptions, onLog, options = {}) {
+        return this.runAnalysis(config, onLog, options.signal, (normalized, solve) => (
+            computeBudgetThresholds(framework, normalized, assumptions, { solve })
+        ));
     }
 
-    async runRaw(program, numModels = 0, args = [], timeout = 60000) {
-        return this.enqueueSolver(() => this.executeSolver(program, numModels, args, timeout));
+    /**
+     * Every support of every atom with its seed set and weight under `config`
+     * (see `runtime/attack-provenance.js`); cancellable through `options.signal`.
+     */
+    async computeAttackProvenance(framework, config, onLog, options = {}) {
+        return this.runAnalysis(config, onLog, options.signal, (normalized, solve) => (
+            computeAttackProvenance(framework, normalized, { solve })
+        ));
     }
 
-    assertSolverResult(result) {
-        if (!result || typeof result !== 'object') {
-            throw new Error('Clingo returned an invalid result.');
+    /**
+     * Emit the witnesses of `result` from index `from` on: all of them for exact
+     * subset semantics, whose intermediate candidates must not show, and any the
+     * worker did not stream (a clingo-wasm build without the stdout hook).
+     */
+    async emitWitnesses(result, onWitness, signal, from = 0) {
+        if (!onWitness) {
+            return;
         }
-        if (result.Result === 'ERROR' || result.Result === 'UNKNOWN') {
-            throw new Error(`Clingo returned ${result.Result}.`);
+        const witnesses = result.Call?.[0]?.Witnesses || [];
+        for (let index = from; index < witnesses.length; index += 1) {
+            if (signal?.aborted) {
+                throw signal.reason;
+            }
+            await onWitness(witnesses[index], index + 1);
         }
     }
 
-    async runWithTimeout(promise, timeoutMs, timeoutMessage) {
-        let timeoutHandle;
-        const timeoutPromise = new Promise((_, reject) => {
-            timeoutHandle = setTimeout(() => reject(new Error(timeoutMessage)), timeoutMs);
-        });
+    getWitnessAggregateValue(witness, monoid) {
+        return getWitnessAggregateValue(witness, monoid);
+    }
 
-        try {
-            const result = await Promise.race([promise, timeoutPromise]);
-            clearTimeout(timeoutHandle);
-            return result;
-        } catch (error) {
-            clearTimeout(timeoutHandle);
-            throw error;
-        }
+    async runSolver(program, numModels, args, timeout, signal, onWitness = null) {
+        return this.enqueueSolver((taskSignal) => this.executeSolver(program, numModels, args, timeout, taskSignal, onWitness), { signal });
     }
 
-    enqueueSolver(task) {
-        const run = this.solverQueue.then(() => task());
+    async runRaw(program, numModels = 0, args = [], timeout = 60000, signal) {
+        return this.enqueueSolver((taskSignal) => this.executeSolver(program, numModels, args, timeout, taskSignal), { signal });
+    }
+
+    assertSolverResult(result) {
+        assertSolverResult(result);
+    }
+
+    /**
+     * Serialize solver tasks. A task whose signal is aborted while it is still queued
+     * is skipped; one aborted while running is stopped by `executeSolver`.
+     */
+    enqueueSolver(task, { signal } = {}) {
+        const run = this.solverQueue.then(() => {
+            if (signal?.aborted) {
+                throw signal.reason;
+            }
+            return task(signal);
+        });
         this.solverQueue = run.catch(() => undefined);
         return run;
     }
 
-    async executeSolver(program, numModels, args, timeout) {
-        return this.runWithTimeout(
-            clingo.run(program, numModels || 0, args),
-            timeout || 60000,
-            'Clingo execution timed out. Try a smaller framework or a less permissive search mode.'
-        );
+    /**
+     * Run one solve on the worker. Timeouts and aborts terminate the search for real
+     * by restarting the worker, so the next queued task starts on a clean instance.
+     * `onWitness` receives each model the worker streams before the result arrives.
+     */
+    async executeSolver(program, numModels, args, timeout, signal, onWitness = null) {
+        if (!this.worker) {
+            throw new Error('Clingo worker is not running.');
+        }
+
+        return new Promise((resolve, reject) => {
+            let timeoutHandle = null;
+            const onAbort = () => stop(signal.reason);
+            const finish = (settle, value) => {
+                clearTimeout(timeoutHandle);
+                signal?.removeEventListener('abort', onAbort);
+                settle(value);
+            };
+            const stop = (reason) => {
+                this.restartWorker(reason);
+                finish(reject, reason);
+            };
+
+            timeoutHandle = setTimeout(
+                () => stop(new Error('Clingo execution timed out. Try a smaller framework or a less permissive search mode.')),
+                timeout || 60000
+            );
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            this.worker.run(program, numModels || 0, args, onWitness).then(
+                (result) => finish(resolve, result),
+                (error) => finish(reject, error)
+            );
+        });
+    }
+
+    restartWorker(reason) {
+        this.worker.restart(reason).catch((error) => {
+            console.error('Error restarting Clingo worker:', error);
+        });
     }
 
     normalizeConfig(config) {
@@ -0,0 +1,153 @@
+/* global importScripts */
+/**
+ * Clingo worker with model streaming.
+ *
+ * Loads the vendored clingo-wasm worker (`?bundle=<url>`) with its stdout hook
+ * exposed. clingo prints its JSON output while it searches, so every model is
+ * posted as `{ type: 'witness', witness }` the moment it is complete; the
+ * `init` and `run` replies of the bundle are unchanged. A bundle without the
+ * known hook is loaded as is (with a console warning), and models only arrive
+ * with the `run` reply. tests/unit/clingo-manager.test.js checks the vendored
+ * bundle still has the hook.
+ */
+const STDOUT_HOOK = 'print:e=>this.results.push(e)';
+
+/**
+ * Incremental reader for clingo `--outf=2` output. It follows the JSON
+ * structure character by character, so it does not depend on how clingo lays
+ * the output out, and hands each object of `Call[0].Witnesses` to `onWitness`
+ * once it is closed. Malformed output stops the reader until `reset()`, so the
+ * streamed witnesses stay a prefix of the final `Witnesses` array.
+ *
+ * @param {(witness: any) => void} onWitness
+ * @returns {{ push: (text: string) => void, reset: () => void }}
+ */
+function createWitnessReader(onWitness) {
+    // Open containers, outermost first: `key` is the member an object or array
+    // is the value of, `index` its position among the containers of an array.
+    let stack;
+    let inString;
+    let escaped;
+    let string;
+    let key;
+    let witness;
+    let stopped;
+
+    const reset = () => {
+        stack = [];
+        inString = false;
+        escaped = false;
+        string = '';
+        key = null;
+        witness = null;
+        stopped = false;
+    };
+
+    const opensWitness = () => stack.length === 4
+        && stack[3].type === 'array' && stack[3].key === 'Witnesses'
+        && stack[2].type === 'object' && stack[2].index === 0
+        && stack[1].type === 'array' && stack[1].key === 'Call';
+
+    const read = (char) => {
+        if (witness !== null) {
+            witness += char;
+        }
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+                return;
+            }
+            string += char;
+            return;
+        }
+
+        if (char === '"') {
+            inString = true;
+            string = '';
+        } else if (char === ':') {
+            key = string;
+        } else if (char === ',') {
+            key = null;
+        } else if (char === '{' || char === '[') {
+            const parent = stack[stack.length - 1];
+            const startsWitness = char === '{' && opensWitness();
+            stack.push({
+                type: char === '{' ? 'object' : 'array',
+                key: parent?.type === 'object' ? key : null,
+                index: parent?.type === 'array' ? parent.count++ : 0,
+                count: 0
+            });
+            key = null;
+            if (startsWitness) {
+                witness = '{';
+            }
+        } else if (char === '}' || char === ']') {
+            const closed = stack.pop();
+            if (!closed || closed.type !== (char === '}' ? 'object' : 'array')) {
+                stopped = true;
+                return;
+            }
+            if (witness !== null && stack.length === 4) {
+                const source = witness;
+                witness = null;
+                onWitness(JSON.parse(source));
+            }
+        }
+    };
+
+    reset();
+    return {
+        push(text) {
+            for (const char of `${text}\n`) {
+                if (stopped) {
+                    return;
+                }
+                try {
+                    read(char);
+                } catch {
+                    stopped = true;
+                }
+            }
+        },
+        reset
+    };
+}
+
+// The bundle registers its own message listener once it is loaded; until then,
+// messages are held back and replayed in order.
+const heldMessages = [];
+function holdMessage(event) {
+    event.stopImmediatePropagation();
+    heldMessages.push(event.data);
+}
+self.addEventListener('message', holdMessage);
+
+async function loadBundle(bundleUrl) {
+    const response = await fetch(bundleUrl);
+    const source = response.ok ? await response.text() : '';
+    if (source.includes(STDOUT_HOOK)) {
+        const reader = createWitnessReader((witness) => postMessage({ type: 'witness', witness }));
+        self.addEventListener('message', (event) => {
+            if (event.data?.type === 'run') {
+                reader.reset();
+            }
+        });
+        self.clingoStdout = (line) => reader.push(line);
+        const patched = source.replace(STDOUT_HOOK, 'print:e=>{this.results.push(e);self.clingoStdout(e)}');
+        importScripts(URL.createObjectURL(new Blob([patched], { type: 'text/javascript' })));
+    } else {
+        console.warn('The clingo bundle has no known stdout hook; models arrive with the run reply instead of streaming.');
+        importScripts(bundleUrl);
+    }
+}
+
+loadBundle(new URL(self.location.href).searchParams.get('bundle'))
+    .catch((error) => reportError(error))
+    .finally(() => {
+        self.removeEventListener('message', holdMessage);
+        heldMessages.splice(0).forEach((data) => self.dispatchEvent(new MessageEvent('message', { data })));
+    });
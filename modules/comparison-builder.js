@@ -0,0 +1,79 @@
+import { describeConfig } from '../runtime/config-compare.js?v=20260315-1';
+
+const PRESENCE_LABELS = {
+    both: 'A and B',
+    left: 'only A',
+    right: 'only B'
+};
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderCell(extension, side, index) {
+    if (!extension) {
+        return '<td class="metric-num">–</td>';
+    }
+    const cost = extension.cost !== null ? escapeHtml(extension.cost) : '✓';
+    return `<td class="metric-num">${cost} <button type="button" class="compare-highlight-btn" data-side="${side}" data-row="${index}" title="Highlight this extension as found under ${side === 'left' ? 'A' : 'B'}">${side === 'left' ? 'A' : 'B'}</button></td>`;
+}
+
+/**
+ * Summary of a comparison: both profiles, the settings that differ and the diff counts.
+ *
+ * @param {import('../core/types.js').ConfigComparison} comparison
+ * @returns {string}
+ */
+export function buildComparisonSummaryHtml(comparison) {
+    const { left, right, configDifferences, counts } = comparison;
+    const differences = configDifferences.length > 0
+        ? configDifferences.map((difference) => `${escapeHtml(difference.label)}: <code>${escapeHtml(difference.left)}</code> → <code>${escapeHtml(difference.right)}</code>`).join('; ')
+        : 'none (both runs use the same settings)';
+
+    return `
+        <div class="metrics-section compare-summary">
+            <p><strong>A</strong> <code>${escapeHtml(describeConfig(left.config))}</code>: ${escapeHtml(left.result)}, ${left.ranked.length} extension(s) in ${escapeHtml(left.elapsed)}s</p>
+            <p><strong>B</strong> <code>${escapeHtml(describeConfig(right.config))}</code>: ${escapeHtml(right.result)}, ${right.ranked.length} extension(s) in ${escapeHtml(right.elapsed)}s</p>
+            <p>Changed settings: ${differences}</p>
+            <p>Accepted-assumption sets: <span class="analysis-rank-badge">${counts.both} in both</span> <span class="analysis-rank-badge">${counts.left} only A</span> <span class="analysis-rank-badge">${counts.right} only B</span></p>
+        </div>`;
+}
+
+/**
+ * Diff table, one row per accepted-assumption set. The A/B cells show that side's
+ * best cost (✓ when the run has no cost) and a highlight button.
+ *
+ * @param {import('../core/types.js').ConfigComparison} comparison
+ * @returns {string}
+ */
+export function buildComparisonTableHtml(comparison) {
+    if (comparison.rows.length === 0) {
+        return '<div class="info-message">Neither configuration has extensions.</div>';
+    }
+
+    const rows = comparison.rows.map((row, index) => `
+        <tr class="compare-${row.presence}">
+            <td>${escapeHtml(row.key)}</td>
+            <td>${PRESENCE_LABELS[row.presence]}</td>
+            ${renderCell(row.left, 'left', index)}
+            ${renderCell(row.right, 'right', index)}
+        </tr>`).join('');
+
+    return `
+        <div class="metrics-table-container">
+            <table class="metrics-table compare-table">
+                <thead><tr>
+                    <th>Extension</th>
+                    <th>Found under</th>
+                    <th title="Best cost of this set under configuration A">A</th>
+                    <th title="Best cost of this set under configuration B">B</th>
+                </tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>`;
+}
@@ -1,12 +1,18 @@
+import { buildReportPdf } from '../runtime/pdf-report.js?v=20260315-1';
+import { buildVectorGraph, renderGraphSvg, renderGraphTikz } from '../runtime/graph-vector-export.js?v=20260315-1';
+
 /**
- * ExportManager - PNG/PDF export with watermarks
+ * ExportManager - PNG export with watermarks, SVG/TikZ vector export and the PDF report
  */
 export class ExportManager {
-    constructor(graphManager, exportPngBtn, exportPdfBtn, themeManager) {
+    constructor(graphManager, exportPngBtn, exportPdfBtn, themeManager, getReportData, options = {}) {
         this.graphManager = graphManager;
         this.exportPngBtn = exportPngBtn;
         this.exportPdfBtn = exportPdfBtn;
+        this.exportSvgBtn = options.exportSvgBtn || null;
+        this.exportTikzBtn = options.exportTikzBtn || null;
         this.themeManager = themeManager;
+        this.getReportData = getReportData;
 
         this.attachEventListeners();
     }
@@ -14,6 +20,8 @@ export class ExportManager {
     attachEventListeners() {
         this.exportPngBtn.addEventListener('click', () => this.exportGraphAsPng());
         this.exportPdfBtn.addEventListener('click', () => this.exportGraphAsPdf());
+        this.exportSvgBtn?.addEventListener('click', () => this.exportGraphAsVector('svg'));
+        this.exportTikzBtn?.addEventListener('click', () => this.exportGraphAsVector('tikz'));
     }
 
     addWatermark(sourceCanvas) {
@@ -95,6 +103,24 @@ export class ExportManager {
         });
     }
 
+    /**
+     * JPEG bytes of the watermarked graph on a white background (JPEG has no alpha).
+     */
+    captureGraphJpeg(sourceCanvas) {
+        const watermarkedCanvas = this.addWatermark(sourceCanvas);
+        const flatCanvas = document.createElement('canvas');
+        flatCanvas.width = watermarkedCanvas.width;
+        flatCanvas.height = watermarkedCanvas.height;
+        const ctx = flatCanvas.getContext('2d');
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, flatCanvas.width, flatCanvas.height);
+        ctx.drawImage(watermarkedCanvas, 0, 0);
+
+        const base64 = flatCanvas.toDataURL('image/jpeg', 0.92).split(',')[1];
+        const jpeg = Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+        return { jpeg, width: flatCanvas.width, height: flatCanvas.height };
+    }
+
     exportGraphAsPdf() {
         if (!this.graphManager.network) {
             alert('No graph to export. Please run WABA first.');
@@ -104,17 +130,46 @@ export class ExportManager {
         // Export in light mode
         this.themeManager.exportGraphInLightMode(() => {
             const sourceCanvas = this.graphManager.network.canvas.frame.canvas;
-            const watermarkedCanvas = this.addWatermark(sourceCanvas);
+            const now = new Date();
+            const bytes = buildReportPdf({
+                generatedAt: now.toISOString().slice(0, 19).replace('T', ' '),
+                graph: this.captureGraphJpeg(sourceCanvas),
+                ...this.getReportData()
+            });
 
-            const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-            watermarkedCanvas.toBlob((blob) => {
-                const url = URL.createObjectURL(blob);
-                const link = document.createElement('a');
-                link.href = url;
-                link.download = `waba-graph-${timestamp}.png`;
-                link.click();
-                URL.revokeObjectURL(url);
-            }, 'image/png', 1.0);  // Quality 1.0 for high-resolution export
+            const timestamp = now.toISOString().slice(0, 19).replace(/:/g, '-');
+            const url = URL.createObjectURL(new Blob([bytes], { type: 'application/pdf' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `waba-report-${timestamp}.pdf`;
+            link.click();
+            URL.revokeObjectURL(url);
         });
     }
+
+    /**
+     * Download the graph as drawn (layout, graph mode, highlighting) as a standalone
+     * SVG or a TikZ picture. Colours are taken from the graph data, so no theme
+     * switch is needed.
+     *
+     * @param {'svg' | 'tikz'} format
+     */
+    exportGraphAsVector(format) {
+        if (!this.graphManager.network) {
+            alert('No graph to export. Please run WABA first.');
+            return;
+        }
+
+        const graph = buildVectorGraph(this.graphManager.getGraphSnapshot());
+        const content = format === 'svg' ? renderGraphSvg(graph) : renderGraphTikz(graph);
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        const url = URL.createObjectURL(new Blob([content], {
+            type: format === 'svg' ? 'image/svg+xml;charset=utf-8' : 'text/x-tex;charset=utf-8'
+        }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `waba-graph-${timestamp}.${format === 'svg' ? 'svg' : 'tex'}`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
 }
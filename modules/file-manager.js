@@ -1,3 +1,8 @@
+import { ParserUtils } from './parser-utils.js?v=20260315-1';
+import { formatIccmaAba, frameworkToSimpleFields, parseIccmaAba } from '../runtime/iccma-format.js?v=20260315-1';
+import { formatWaba, parseWabaDocument } from '../runtime/waba-syntax.js?v=20260315-1';
+import { RESULT_FORMAT, frameworkToEditorState, parseWabaJson, serializeFramework } from '../runtime/waba-json.js?v=20260315-1';
+
 /**
  * FileManager - Handles file upload/download and format conversion
  */
@@ -18,28 +23,34 @@ export class FileManager {
     // ===================================
     // Download Files
     // ===================================
-    downloadAsLp(frameworkCode, onLog) {
-        if (!frameworkCode) {
-            onLog('⚠️ No framework code to download', 'warning');
-            return;
-        }
-
-        // Create blob and download
-        const blob = new Blob([frameworkCode], { type: 'text/plain' });
+    /**
+     * Save text as `waba-<kind>-<timestamp>.<extension>` and return the file name.
+     */
+    saveTextFile(content, kind, extension, type = 'text/plain') {
+        const blob = new Blob([content], { type });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
 
         // Generate filename with timestamp
         const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-        a.download = `waba-framework-${timestamp}.lp`;
+        a.download = `waba-${kind}-${timestamp}.${extension}`;
 
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
+        return a.download;
+    }
+
+    downloadAsLp(frameworkCode, onLog) {
+        if (!frameworkCode) {
+            onLog('⚠️ No framework code to download', 'warning');
+            return;
+        }
 
-        onLog(`💾 Downloaded framework as ${a.download}`, 'success');
+        const fileName = this.saveTextFile(frameworkCode, 'framework', 'lp');
+        onLog(`💾 Downloaded framework as ${fileName}`, 'success');
     }
 
     downloadAsWaba(wabaContent, onLog) {
@@ -48,27 +59,80 @@ export class FileManager {
             return;
         }
 
-        // Create blob and download
-        const blob = new Blob([wabaContent], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
+        const fileName = this.saveTextFile(wabaContent, 'framework', 'waba');
+        onLog(`💾 Downloaded framework as ${fileName}`, 'success');
+    }
 
-        // Generate filename with timestamp
-        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-        a.download = `waba-framework-${timestamp}.waba`;
+    downloadAsIccma(iccmaContent, onLog) {
+        if (!iccmaContent) {
+            onLog('⚠️ Could not generate ICCMA format', 'warning');
+            return;
+        }
 
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        const fileName = this.saveTextFile(iccmaContent, 'framework', 'aba');
+        onLog(`💾 Downloaded framework as ${fileName} (ICCMA ABA format)`, 'success');
+    }
 
-        onLog(`💾 Downloaded framework as ${a.download}`, 'success');
+    /**
+     * @param {import('../core/types.js').WabaFrameworkDocument | import('../core/types.js').WabaResultDocument} payload
+     * @param {(message: string, type: string) => void} onLog
+     */
+    downloadAsJson(payload, onLog) {
+        const kind = payload.format === RESULT_FORMAT ? 'results' : 'framework';
+        const fileName = this.saveTextFile(`${JSON.stringify(payload, null, 2)}\n`, kind, 'json', 'application/json');
+        onLog(`💾 Downloaded ${kind} as ${fileName} (${payload.format} v${payload.version})`, 'success');
     }
 
     // ===================================
     // Format Generation
     // ===================================
+    /**
+     * @param {string} clingoCode
+     * @returns {import('../core/types.js').AbaFramework}
+     */
+    extractFramework(clingoCode) {
+        return {
+            assumptions: ParserUtils.parseAssumptions(clingoCode),
+            rules: ParserUtils.parseRules(clingoCode),
+            contraries: ParserUtils.parseContraries(clingoCode),
+            weights: ParserUtils.parseWeights(clingoCode)
+        };
+    }
+
+    /**
+     * Description lines (`% // ...`) of a framework.
+     */
+    extractDescription(clingoCode) {
+        return clingoCode.split('\n')
+            .map((line) => line.trim())
+            .filter((line) => line.startsWith('% //'))
+            .map((line) => line.slice(4).trim())
+            .join('\n');
+    }
+
+    convertLpToIccma(clingoCode) {
+        return formatIccmaAba(this.extractFramework(clingoCode));
+    }
+
+    convertLpToJson(clingoCode) {
+        return serializeFramework(this.extractFramework(clingoCode), this.extractDescription(clingoCode));
+    }
+
+    parseIccmaFile(content, fileName) {
+        const { atomCount, framework, warnings } = parseIccmaAba(content);
+        return {
+            fields: frameworkToSimpleFields(framework, `Imported from ICCMA ABA file ${fileName} (${atomCount} atoms)`),
+            warnings
+        };
+    }
+
+    parseJsonFile(content) {
+        const document = parseWabaJson(content);
+        return document.framework
+            ? { ...document, editor: frameworkToEditorState(document.framework, document.description) }
+            : { ...document, editor: null };
+    }
+
     generateWabaFormat() {
         // Generate .waba format from Simple Mode fields
         let content = '';
@@ -101,92 +165,7 @@ export class FileManager {
     }
 
     convertLpToWaba(clingoCode) {
-        // Parse .lp format and convert to .waba Simple Mode format
-        const preprocessed = clingoCode.replace(/\.\s+/g, '.\n');
-        const lines = preprocessed.split('\n').map(l => l.trim()).filter(l => l && !l.startsWith('%'));
-
-        const assumptions = [];
-        const weights = [];
-        const contraries = [];
-        const rules = new Map();
-
-        // Parse each line
-        lines.forEach(line => {
-            // Parse assumptions
-            let match = line.match(/^assumption\(([^)]+)\)\.$/);
-            if (match) {
-                assumptions.push(match[1]);
-                return;
-            }
-
-            // Parse weights
-            match = line.match(/^weight\(([^,]+),\s*(\d+)\)\.$/);
-            if (match) {
-                weights.push(`${match[1]}: ${match[2]}`);
-                return;
-            }
-
-            // Parse contraries
-            match = line.match(/^contrary\(([^,]+),\s*([^)]+)\)\.$/);
-            if (match) {
-                contraries.push(`${match[1]}: ${match[2]}`);
-                return;
-            }
-
-            // Parse head
-            match = line.match(/^head\(([^,]+),\s*([^)]+)\)\.$/);
-            if (match) {
-                const ruleId = match[1];
-                const head = match[2];
-                if (!rules.has(ruleId)) {
-                    rules.set(ruleId, { head: head, body: [] });
-                } else {
-                    rules.get(ruleId).head = head;
-                }
-                return;
-            }
-
-            // Parse body
-            match = line.match(/^body\(([^,]+),\s*([^)]+)\)\.$/);
-            if (match) {
-                const ruleId = match[1];
-                const bodyAtom = match[2];
-                if (!rules.has(ruleId)) {
-                    rules.set(ruleId, { head: null, body: [bodyAtom] });
-                } else {
-                    rules.get(ruleId).body.push(bodyAtom);
-                }
-                return;
-            }
-        });
-
-        // Generate .waba format
-        let content = '';
-
-        if (assumptions.length > 0) {
-            content += '% Assumptions:\n' + assumptions.join('\n') + '\n\n';
-        }
-
-        if (rules.size > 0) {
-            content += '% Rules:\n';
-            rules.forEach((rule) => {
-                if (rule.head) {
-                    const bodyStr = rule.body.length > 0 ? rule.body.join(', ') : '';
-                    content += `${rule.head} ← ${bodyStr}\n`;
-                }
-            });
-            content += '\n';
-        }
-
-        if (contraries.length > 0) {
-            content += '% Contraries:\n' + contraries.join('\n') + '\n\n';
-        }
-
-        if (weights.length > 0) {
-            content += '% Weights:\n' + weights.join('\n') + '\n';
-        }
-
-        return content.trim();
+        return formatWaba(this.extractFramework(clingoCode));
     }
 
     // ===================================
@@ -249,50 +228,13 @@ export class FileManager {
         }
     }
 
+    /**
+     * Parse a `.waba` file into canonical Simple editor lines (`(a, c)` contraries,
+     * `<-` rules). Lines that do not parse are returned as diagnostics.
+     *
+     * @param {string} content
+     */
     parseWabaFile(content) {
-        const lines = content.split('\n').map(l => l.trim());
-
-        const assumptions = [];
-        const rules = [];
-        const contraries = [];
-        const weights = [];
-
-        for (const line of lines) {
-            // Skip empty lines and comments (% is ASP/WABA standard)
-            if (!line || line.startsWith('%')) continue;
-
-            // Check for rule: "a <- b,d" or "d <- c"
-            const ruleMatch = line.match(/^([a-z_][a-z0-9_]*)\s*<-\s*(.*)$/i);
-            if (ruleMatch) {
-                rules.push(line);
-                continue;
-            }
-
-            // Check for weight first (has colon + number): "d : 10" or "a: 80"
-            const weightMatch = line.match(/^([a-z_][a-z0-9_]*)\s*:\s*(\d+)$/i);
-            if (weightMatch) {
-                weights.push(line);
-                continue;
-            }
-
-            // Check for contrary (has colon + atom): "a: attack_element" format
-            const contraryMatch = line.match(/^([a-z_][a-z0-9_]*)\s*:\s*([a-z_][a-z0-9_]*)$/i);
-            if (contraryMatch) {
-                contraries.push(line);
-                continue;
-            }
-
-            // Otherwise treat as assumption (single atom)
-            const assumptionMatch = line.match(/^[a-z_][a-z0-9_]*$/i);
-            if (assumptionMatch) {
-                assumptions.push(line);
-                continue;
-            }
-
-            // Unrecognized line format - log warning
-            console.warn(`Unrecognized .waba line format: "${line}"`);
-        }
-
-        return { assumptions, rules, contraries, weights };
+        return parseWabaDocument(content);
     }
 }
@@ -0,0 +1,182 @@
+import { ParserUtils } from './parser-utils.js?v=20260315-1';
+
+/**
+ * Framework lint pass over the ASP facts both editor modes produce. Issues name
+ * the fact they are about (`target`); `locateInCode` and the Simple editor map
+ * that back to a line.
+ */
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Strongly connected components of the head -> body dependency graph that form
+ * cycles (more than one atom, or an atom deriving itself).
+ *
+ * @param {Array<{ id: string, head: string, body: string[] }>} rules
+ * @returns {string[][]}
+ */
+function findCycles(rules) {
+    const edges = new Map();
+    rules.forEach((rule) => {
+        if (!edges.has(rule.head)) {
+            edges.set(rule.head, new Set());
+        }
+        rule.body.forEach((atom) => edges.get(rule.head).add(atom));
+    });
+
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycles = [];
+
+    const visit = (atom) => {
+        index.set(atom, index.size);
+        lowLink.set(atom, index.get(atom));
+        stack.push(atom);
+        onStack.add(atom);
+
+        (edges.get(atom) || new Set()).forEach((next) => {
+            if (!index.has(next)) {
+                visit(next);
+                lowLink.set(atom, Math.min(lowLink.get(atom), lowLink.get(next)));
+            } else if (onStack.has(next)) {
+                lowLink.set(atom, Math.min(lowLink.get(atom), index.get(next)));
+            }
+        });
+
+        if (lowLink.get(atom) === index.get(atom)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== atom);
+            if (component.length > 1 || edges.get(atom)?.has(atom)) {
+                cycles.push(component.reverse());
+            }
+        }
+    };
+
+    edges.forEach((_, atom) => {
+        if (!index.has(atom)) {
+            visit(atom);
+        }
+    });
+    return cycles;
+}
+
+/**
+ * Lint a framework: contraries of undefined atoms or of non-assumptions,
+ * assumptions without a contrary, weights on unknown atoms, rules deriving an
+ * assumption (non-flat), repeated rule ids and cyclic derivations.
+ *
+ * @param {string} code Framework ASP code
+ * @returns {import('../core/types.js').LintIssue[]}
+ */
+export function lintFramework(code) {
+    const assumptions = ParserUtils.parseAssumptions(code);
+    const contraries = ParserUtils.parseContraries(code);
+    const rules = ParserUtils.parseRules(code);
+    const heads = ParserUtils.parseHeads(code);
+    const weights = ParserUtils.parseWeights(code);
+
+    const assumptionSet = new Set(assumptions);
+    const headSet = new Set(heads.map((fact) => fact.head));
+    const mentioned = new Set([...assumptions, ...headSet]);
+    rules.forEach((rule) => rule.body.forEach((atom) => mentioned.add(atom)));
+    contraries.forEach(({ assumption, contrary }) => {
+        mentioned.add(assumption);
+        mentioned.add(contrary);
+    });
+
+    const issues = [];
+
+    contraries.forEach(({ assumption, contrary }) => {
+        const target = { kind: 'contrary', assumption, contrary };
+        if (!assumptionSet.has(assumption)) {
+            issues.push({ code: 'contrary-of-non-assumption', severity: 'error', message: `${assumption} has a contrary but is not an assumption.`, target });
+        }
+        if (!assumptionSet.has(contrary) && !headSet.has(contrary)) {
+            issues.push({ code: 'undefined-contrary', severity: 'warning', message: `Contrary ${contrary} of ${assumption} is undefined: it is not an assumption and no rule derives it.`, target });
+        }
+    });
+
+    const withContrary = new Set(contraries.map(({ assumption }) => assumption));
+    [...assumptionSet].filter((assumption) => !withContrary.has(assumption)).forEach((assumption) => {
+        issues.push({ code: 'missing-contrary', severity: 'warning', message: `Assumption ${assumption} has no contrary, so it can never be attacked.`, target: { kind: 'assumption', atom: assumption } });
+    });
+
+    Object.keys(weights).filter((atom) => !mentioned.has(atom)).forEach((atom) => {
+        issues.push({ code: 'unknown-weight', severity: 'warning', message: `Weight on ${atom}, which no assumption, rule or contrary mentions.`, target: { kind: 'weight', atom } });
+    });
+
+    rules.filter((rule) => assumptionSet.has(rule.head)).forEach((rule) => {
+        issues.push({ code: 'non-flat', severity: 'warning', message: `Rule ${rule.id} derives the assumption ${rule.head}, so the framework is not flat.`, target: { kind: 'rule', id: rule.id, occurrence: 0 } });
+    });
+
+    const headCounts = new Map();
+    heads.forEach((fact) => {
+        const occurrence = headCounts.get(fact.id) || 0;
+        headCounts.set(fact.id, occurrence + 1);
+        if (occurrence > 0) {
+            issues.push({ code: 'duplicate-rule-id', severity: 'error', message: `Rule id ${fact.id} is used again (head ${fact.head}); the rules are merged.`, target: { kind: 'rule', id: fact.id, occurrence } });
+        }
+    });
+
+    findCycles(rules).forEach((cycle) => {
+        const rule = rules.find((candidate) => candidate.head === cycle[0] && candidate.body.some((atom) => cycle.includes(atom)));
+        issues.push({
+            code: 'cyclic-derivation',
+            severity: 'warning',
+            message: `Cyclic derivation: ${[...cycle, cycle[0]].join(' <- ')}. None of these atoms can be derived through the cycle.`,
+            target: { kind: 'rule', id: rule.id, occurrence: 0 }
+        });
+    });
+
+    return issues;
+}
+
+/**
+ * Line and column (1-based) of the fact an issue is about in ASP code, or null.
+ *
+ * @param {string} code
+ * @param {import('../core/types.js').LintTarget} target
+ * @returns {{ line: number, column: number, endColumn: number } | null}
+ */
+export function locateInCode(code, target) {
+    let pattern;
+    let occurrence = 0;
+    if (target.kind === 'assumption') {
+        pattern = `assumption\\(\\s*${escapeRegExp(target.atom)}\\s*\\)`;
+    } else if (target.kind === 'contrary') {
+        pattern = `contrary\\(\\s*${escapeRegExp(target.assumption)}\\s*,\\s*${escapeRegExp(target.contrary)}\\s*\\)`;
+    } else if (target.kind === 'weight') {
+        pattern = `weight\\(\\s*${escapeRegExp(target.atom)}\\s*,`;
+    } else {
+        // Matches both `head(r1, a).` and the compact `head(r1, a; r1, b).` form.
+        pattern = `head\\((?:[^)]*;)?\\s*${escapeRegExp(target.id)}\\s*,`;
+        occurrence = target.occurrence;
+    }
+
+    const regex = new RegExp(`(?<![A-Za-z0-9_])${pattern}`);
+    const lines = code.split('\n');
+    for (let index = 0; index < lines.length; index += 1) {
+        const text = lines[index];
+        const commentStart = text.indexOf('%');
+        const searchable = commentStart === -1 ? text : text.slice(0, commentStart);
+        const match = searchable.match(regex);
+        if (!match) {
+            continue;
+        }
+        if (occurrence > 0) {
+            occurrence -= 1;
+            continue;
+        }
+        return { line: index + 1, column: match.index + 1, endColumn: match.index + match[0].length + 1 };
+    }
+    return null;
+}
@@ -0,0 +1,112 @@
+/**
+ * Mapping between graph elements and the framework facts they come from, for
+ * graph <-> editor linking. Facts are `LintTarget`s, so the lint locators find
+ * their lines in either editor mode.
+ */
+
+/**
+ * @param {import('../core/types.js').LintTarget} target
+ * @returns {string}
+ */
+export function targetKey(target) {
+    switch (target.kind) {
+        case 'assumption':
+            return `assumption:${target.atom}`;
+        case 'contrary':
+            return `contrary:${target.assumption},${target.contrary}`;
+        case 'weight':
+            return `weight:${target.atom}`;
+        default:
+            return `rule:${target.id}`;
+    }
+}
+
+function ruleTargets(ids) {
+    return (ids || []).map((id) => ({ kind: 'rule', id, occurrence: 0 }));
+}
+
+/**
+ * The facts a node of any graph mode stands for, most specific first:
+ * standard-mode set nodes are their assumptions, assumption-level nodes their
+ * assumption and weight, junctions their rule.
+ *
+ * @param {Record<string, any>} node vis.js node data
+ * @returns {import('../core/types.js').LintTarget[]}
+ */
+export function nodeTargets(node) {
+    if (node.isJunction) {
+        return ruleTargets([node.ruleId]);
+    }
+    if (node.isTop) {
+        return [];
+    }
+    if (node.isAssumption) {
+        return [{ kind: 'assumption', atom: node.id }, { kind: 'weight', atom: node.id }];
+    }
+    return (node.assumptions || []).map((atom) => ({ kind: 'assumption', atom }));
+}
+
+/**
+ * The facts an attack edge stands for: the contrary, the rules deriving it and
+ * its weight. Standard-mode edges carry `attackedAssumption`/`derivedBy`, the
+ * assumption-level modes `targetAssumption`/`contrary`/`ruleId`.
+ *
+ * @param {Record<string, any>} edge vis.js edge data
+ * @returns {import('../core/types.js').LintTarget[]}
+ */
+export function edgeTargets(edge) {
+    const assumption = edge.attackedAssumption ?? edge.targetAssumption;
+    const contrary = edge.contrary ?? edge.attackingElement;
+    if (!assumption || !contrary) {
+        return ruleTargets(edge.ruleId ? [edge.ruleId] : []);
+    }
+    return [
+        { kind: 'contrary', assumption, contrary },
+        ...ruleTargets(edge.derivedBy ?? (edge.ruleId ? [edge.ruleId] : [])),
+        { kind: 'weight', atom: contrary }
+    ];
+}
+
+/**
+ * Nodes and edges standing for any of the given facts.
+ *
+ * @param {import('../core/types.js').LintTarget[]} targets
+ * @param {Array<Record<string, any>>} nodes
+ * @param {Array<Record<string, any>>} edges
+ * @returns {{ nodeIds: string[], edgeIds: string[] }}
+ */
+export function findGraphElements(targets, nodes, edges) {
+    const keys = new Set(targets.map(targetKey));
+    const matches = (elementTargets) => elementTargets.some((target) => keys.has(targetKey(target)));
+    return {
+        nodeIds: nodes.filter((node) => matches(nodeTargets(node))).map((node) => node.id),
+        edgeIds: edges.filter((edge) => matches(edgeTargets(edge))).map((edge) => edge.id)
+    };
+}
+
+/**
+ * The facts on one line (1-based) of ASP code, comments excluded. A weight
+ * comes with its atom, as in `targetsAtSimpleLine`.
+ *
+ * @param {string} code
+ * @param {number} line
+ * @returns {import('../core/types.js').LintTarget[]}
+ */
+export function targetsAtCodeLine(code, line) {
+    const text = (code.split('\n')[line - 1] || '').replace(/%.*/, '');
+    const targets = [];
+    const argsOf = (predicate) => [...text.matchAll(new RegExp(`(?<![A-Za-z0-9_])${predicate}\\(([^)]*)\\)`, 'g'))]
+        // Compact `p(x, y; x, z)` facts list several argument tuples.
+        .flatMap((match) => match[1].split(';'))
+        .map((args) => args.split(',').map((arg) => arg.trim()));
+
+    argsOf('assumption').forEach(([atom]) => targets.push({ kind: 'assumption', atom }));
+    argsOf('contrary').forEach(([assumption, contrary]) => targets.push({ kind: 'contrary', assumption, contrary }));
+    argsOf('weight').forEach(([atom]) => targets.push({ kind: 'weight', atom }, { kind: 'assumption', atom }));
+    [...argsOf('head'), ...argsOf('body')].forEach(([id]) => {
+        if (!targets.some((target) => target.kind === 'rule' && target.id === id)) {
+            targets.push({ kind: 'rule', id, occurrence: 0 });
+        }
+    });
+    return targets;
+}
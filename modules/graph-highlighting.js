@@ -39,6 +39,27 @@ function edgeMatches(edge, source, target) {
     return fromMatch && toMatch;
 }
 
+/**
+ * Arguments for `GraphManager.highlightExtension` from a parsed extension.
+ *
+ * @param {import('../core/types.js').ParsedExtension} parsed
+ */
+export function getExtensionHighlightData(parsed) {
+    return {
+        inAssumptions: parsed.in,
+        discardedAttacks: parsed.discarded.map((attack) => {
+            const match = attack.match(/discarded_attack\(([^,]+),\s*([^,]+),\s*([^)]+)\)/);
+            if (!match) {
+                return null;
+            }
+            const [, source, target, weight] = match;
+            // `via` is the attacked assumption, which is what edge matching keys on
+            return { source, target, via: target, weight };
+        }).filter(Boolean),
+        successfulAttacks: parsed.successful
+    };
+}
+
 export function buildResetUpdates(networkData) {
     const nodes = networkData.nodes.get();
     const edges = networkData.edges.get();
@@ -125,6 +146,65 @@ export function buildHighlightUpdates(networkData, inAssumptions, discardedAttac
     return { resetOnly: false, nodeUpdates, edgeUpdates };
 }
 
+/**
+ * Graph label for a weight whose perturbation flips the extensions or the
+ * top-ranked extension: the nearest flipping values below and above it, or
+ * null when the weight is stable over every value tried.
+ *
+ * @param {import('../core/types.js').WeightSensitivityRow} row
+ * @returns {string | null}
+ */
+export function formatSensitivityAnnotation({ setThresholds, topThresholds }) {
+    const below = [setThresholds.below, topThresholds.below].filter((value) => value !== null);
+    const above = [setThresholds.above, topThresholds.above].filter((value) => value !== null);
+    const parts = [
+        ...(below.length > 0 ? [`≤${Math.max(...below)}`] : []),
+        ...(above.length > 0 ? [`≥${Math.min(...above)}`] : [])
+    ];
+    return parts.length > 0 ? `⚖ ${parts.join(' | ')}` : null;
+}
+
+/**
+ * Label updates annotating the sensitive weights of `sensitivity`: the node of
+ * a weighted assumption and every edge whose attacking element is the weighted
+ * atom. The unannotated label is kept in `originalLabel`, so annotating again
+ * or with null restores it first.
+ *
+ * @param {any} networkData
+ * @param {import('../core/types.js').WeightSensitivity | null} sensitivity
+ */
+export function buildSensitivityAnnotationUpdates(networkData, sensitivity) {
+    const annotations = new Map((sensitivity?.weights || [])
+        .map((row) => [row.atom, formatSensitivityAnnotation(row)])
+        .filter(([, annotation]) => annotation !== null));
+    const annotate = (item, atom, separator) => {
+        const originalLabel = item.originalLabel ?? item.label ?? '';
+        const annotation = annotations.get(atom);
+        return {
+            id: item.id,
+            originalLabel,
+            label: annotation ? [originalLabel, annotation].filter(Boolean).join(separator) : originalLabel
+        };
+    };
+
+    return {
+        nodeUpdates: networkData.nodes.get().flatMap((node) => {
+            const members = node.assumptions ?? (node.isAssumption ? [node.id] : []);
+            if (members.length !== 1 || (!annotations.has(members[0]) && node.originalLabel === undefined)) {
+                return [];
+            }
+            return [annotate(node, members[0], '\n')];
+        }),
+        edgeUpdates: networkData.edges.get().flatMap((edge) => {
+            const attacker = edge.attackingElement ?? edge.contrary;
+            if (!annotations.has(attacker) && edge.originalLabel === undefined) {
+                return [];
+            }
+            return [annotate(edge, attacker, ' ')];
+        })
+    };
+}
+
 export function renderIsolatedAssumptionsOverlay(banner, list, isolatedNodes) {
     if (!banner || !list) {
         return;
@@ -6,7 +6,7 @@ import { GraphUtils } from './graph-utils.js?v=20260315-1';
 import { ParserUtils } from './parser-utils.js?v=20260315-1';
 import { UIManager } from './ui-manager.js?v=20260315-1';
 import { buildBranchingAssumptionGraph, buildDirectAssumptionGraph } from './graph-assumption-builder.js?v=20260315-1';
-import { buildHighlightUpdates, buildResetUpdates, renderIsolatedAssumptionsOverlay } from './graph-highlighting.js?v=20260315-1';
+import { buildHighlightUpdates, buildResetUpdates, buildSensitivityAnnotationUpdates, renderIsolatedAssumptionsOverlay } from './graph-highlighting.js?v=20260315-1';
 import { buildSetAttackTooltip, buildSetNodeTooltip } from './graph-tooltip-builder.js?v=20260315-1';
 
 export class GraphManager {
@@ -211,6 +211,132 @@ export class GraphManager {
         }
     }
 
+    /**
+     * Annotate the weights whose perturbation flips the extensions, or clear
+     * the annotations with null.
+     * @param {import('../core/types.js').WeightSensitivity | null} sensitivity
+     */
+    annotateWeightSensitivity(sensitivity) {
+        if (!this.network) {
+            return;
+        }
+        const { nodeUpdates, edgeUpdates } = buildSensitivityAnnotationUpdates(this.networkData, sensitivity);
+        this.networkData.nodes.update(nodeUpdates);
+        this.networkData.edges.update(edgeUpdates);
+    }
+
+    /**
+     * Call `onDoubleClick(node, edge)` with the data of the double-clicked node
+     * or edge; both are null on the empty canvas.
+     */
+    onDoubleClick(onDoubleClick) {
+        if (!this.network) return;
+
+        this.network.on('doubleClick', (params) => {
+            const node = params.nodes.length > 0 ? this.networkData.nodes.get(params.nodes[0]) : null;
+            const edge = !node && params.edges.length > 0 ? this.networkData.edges.get(params.edges[0]) : null;
+            onDoubleClick(node, edge);
+        });
+    }
+
+    /**
+     * Let the user drag edges between nodes until `stopEdgeDrawing`. Drawn
+     * edges are not added to the graph; `onEdgeDrawn(fromId, toId)` decides.
+     */
+    startEdgeDrawing(onEdgeDrawn) {
+        if (!this.network) return;
+
+        this.network.setOptions({
+            manipulation: {
+                enabled: false,
+                addEdge: (edgeData, callback) => {
+                    callback(null);
+                    onEdgeDrawn(edgeData.from, edgeData.to);
+                }
+            }
+        });
+        this.network.addEdgeMode();
+    }
+
+    stopEdgeDrawing() {
+        if (!this.network) return;
+        this.network.disableEditMode();
+    }
+
+    /**
+     * Data of the selected nodes and edges.
+     */
+    getSelectedElements() {
+        if (!this.network) {
+            return { nodes: [], edges: [] };
+        }
+        return {
+            nodes: this.network.getSelectedNodes().map((id) => this.networkData.nodes.get(id)).filter(Boolean),
+            edges: this.network.getSelectedEdges().map((id) => this.networkData.edges.get(id)).filter(Boolean)
+        };
+    }
+
+    /**
+     * Select nodes and edges and bring them into view: one node is centred at
+     * the current zoom, several are fitted. Empty lists clear the selection.
+     */
+    focusElements(nodeIds, edgeIds) {
+        if (!this.network) {
+            return;
+        }
+        if (nodeIds.length === 0 && edgeIds.length === 0) {
+            this.network.unselectAll();
+            return;
+        }
+
+        this.network.setSelection({ nodes: nodeIds, edges: edgeIds }, { unselectAll: true, highlightEdges: false });
+        const focusIds = nodeIds.length > 0
+            ? nodeIds
+            : [...new Set(edgeIds.flatMap((id) => {
+                const edge = this.networkData.edges.get(id);
+                return edge ? [edge.from, edge.to] : [];
+            }))];
+        const animation = { duration: 400, easingFunction: 'easeInOutQuad' };
+        if (focusIds.length === 1) {
+            this.network.focus(focusIds[0], { scale: this.network.getScale(), animation });
+        } else if (focusIds.length > 1) {
+            this.network.fit({ nodes: focusIds, animation });
+        }
+    }
+
+    getNodePositions() {
+        return this.network ? this.network.getPositions() : {};
+    }
+
+    /**
+     * Nodes and edges as currently drawn (including highlighting) with their
+     * positions, for the vector exporters.
+     */
+    getGraphSnapshot() {
+        return {
+            nodes: this.networkData.nodes.get(),
+            edges: this.networkData.edges.get(),
+            positions: this.getNodePositions(),
+            graphMode: this.currentGraphMode || 'standard'
+        };
+    }
+
+    /**
+     * Move nodes to saved positions (ids not in the current graph are skipped) and
+     * keep physics off so the layout does not drift away from them.
+     */
+    applyNodePositions(positions) {
+        if (!this.network) {
+            return;
+        }
+        this.network.setOptions({ physics: { enabled: false } });
+        Object.entries(positions).forEach(([id, { x, y }]) => {
+            if (this.networkData.nodes.get(id)) {
+                this.network.moveNode(id, x, y);
+            }
+        });
+    }
+
     updateIsolatedAssumptionsOverlay() {
         renderIsolatedAssumptionsOverlay(this.isolatedBanner, this.isolatedList, this.isolatedNodes);
     }
@@ -0,0 +1,25 @@
+/**
+ * Info or error line of the analysis panel sections.
+ *
+ * @param {Document} document
+ * @param {string} message
+ * @param {string} type `'error'` or `'info'`
+ * @returns {HTMLDivElement}
+ */
+export function createMessage(document, message, type) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = type === 'error' ? 'error-message' : 'info-message';
+    messageDiv.textContent = message;
+    return messageDiv;
+}
+
+/**
+ * Replace the content of `container` with one message line.
+ *
+ * @param {HTMLElement} container
+ * @param {string} message
+ * @param {string} type
+ */
+export function renderMessage(container, message, type) {
+    container.replaceChildren(createMessage(container.ownerDocument, message, type));
+}
@@ -13,22 +13,55 @@ export class MetricsManager {
     static getAnalysisContext(config = {}) {
         const optimization = config.optimization || 'minimize';
         const supportHigherBetter = config.polarity === 'higher' || config.polarity === 'strength';
-        const budgetThresholdMode = config.budgetMode === 'none' && config.budgetIntent === 'explore';
+        const budgetMode = config.budgetMode || 'none';
 
         return {
             optimization,
             objectiveHigherBetter: optimization === 'maximize',
             supportHigherBetter,
-            budgetThresholdMode,
-            scoreLabel: budgetThresholdMode ? 'Minimum β' : 'Objective score',
-            bestLabel: budgetThresholdMode ? 'Best threshold' : 'Best objective',
-            gapLabel: budgetThresholdMode ? 'Threshold gap' : 'Objective gap',
-            summaryText: budgetThresholdMode
-                ? 'Extensions are first grouped by accepted assumptions, then ranked by their minimum observed β*.'
-                : 'Extensions are first grouped by accepted assumptions, then ranked by the active objective.'
+            thresholdAvailable: budgetMode === 'ub' || budgetMode === 'lb',
+            thresholdTitle: budgetMode === 'lb'
+                ? 'Largest lower bound β under which some extension accepts the assumption (never = at no β)'
+                : 'Smallest upper bound β under which some extension accepts the assumption (never = at no β)',
+            scoreLabel: 'Objective score',
+            bestLabel: 'Best objective',
+            gapLabel: 'Objective gap',
+            summaryText: 'Extensions are first grouped by accepted assumptions, then ranked by the active objective.'
         };
     }
 
+    /**
+     * Attach β* values (from `runtime/budget-threshold.js`) to the assumption rows.
+     *
+     * @param {any} metricsData
+     * @param {Map<string, string | number | null>} thresholds
+     */
+    static applyBudgetThresholds(metricsData, thresholds) {
+        metricsData.atoms.forEach((metric) => {
+            metric.budgetThreshold = thresholds.get(metric.atom) ?? null;
+        });
+        metricsData.hasThresholds = true;
+        return metricsData;
+    }
+
+    /**
+     * Attach a weight sensitivity analysis (from `runtime/weight-sensitivity.js`)
+     * and the options it ran with, which the form is re-rendered with.
+     *
+     * @param {any} metricsData
+     * @param {import('../core/types.js').WeightSensitivity} sensitivity
+     * @param {import('../core/types.js').SensitivityOptions} options
+     */
+    static applyWeightSensitivity(metricsData, sensitivity, options) {
+        metricsData.sensitivity = sensitivity;
+        metricsData.sensitivityOptions = options;
+        return metricsData;
+    }
+
+    static formatThreshold(value) {
+        return value === null || value === undefined ? 'never' : this.formatValue(value);
+    }
+
     static computeMetrics(entries, config = {}) {
         if (!Array.isArray(entries) || entries.length === 0) {
             return null;
@@ -94,7 +127,10 @@ export class MetricsManager {
             extensions,
             nearBest,
             atoms: metrics,
-            hasSupport
+            hasSupport,
+            hasThresholds: false,
+            sensitivity: null,
+            sensitivityOptions: null
         };
     }
 
@@ -410,13 +446,16 @@ export class MetricsManager {
             return '<div class="info-message">No analysis available. Run WABA first.</div>';
         }
 
-        const { context, global, atoms, hasSupport } = metricsData;
+        const { context, global, atoms, hasSupport, hasThresholds } = metricsData;
         const topAtoms = atoms.slice(0, 3);
         const topExtensions = global.topExtensions;
 
         let html = '<div class="metrics-container">';
         html += '<div class="metrics-actions">';
         html += '<button id="export-metrics-csv-btn" class="analysis-action-btn">📥 Download Decision Analysis</button>';
+        if (context.thresholdAvailable && !hasThresholds) {
+            html += `<button id="compute-thresholds-btn" class="analysis-action-btn analysis-action-btn-secondary" title="${context.thresholdTitle}">🎯 Compute β* per Assumption</button>`;
+        }
         html += '</div>';
 
         html += '<div class="metrics-section">';
@@ -473,6 +512,9 @@ export class MetricsManager {
         html += '<th title="Best rank level that contains the assumption">Best Level</th>';
         html += '<th title="Positive means the best extension with the assumption outranks the best extension without it">Level Advantage</th>';
         html += `<th title="Numeric ${context.gapLabel.toLowerCase()} from the global best, when comparable">${context.gapLabel}</th>`;
+        if (hasThresholds) {
+            html += `<th title="${context.thresholdTitle}">β*</th>`;
+        }
         if (hasSupport) {
             html += '<th title="Best support observed in S, interpreted using the current ordered-semiring polarity">Best Support</th>';
             html += '<th title="Worst support observed in S, interpreted using the current ordered-semiring polarity">Worst Support</th>';
@@ -496,6 +538,9 @@ export class MetricsManager {
             html += `<td class="metric-num">${metric.bestLevel !== null ? metric.bestLevel : '–'}</td>`;
             html += `<td class="metric-num ${metric.levelAdvantage > 0 ? 'metric-positive' : metric.levelAdvantage < 0 ? 'metric-negative' : ''}">${metric.levelAdvantage !== null ? this.formatSignedNumber(metric.levelAdvantage) : '–'}</td>`;
             html += `<td class="metric-num">${metric.objectiveGap !== null ? this.formatNumber(metric.objectiveGap) : '–'}</td>`;
+            if (hasThresholds) {
+                html += `<td class="metric-num">${this.formatThreshold(metric.budgetThreshold)}</td>`;
+            }
             if (hasSupport) {
                 html += `<td class="metric-num">${metric.supportBest !== null ? this.formatValue(metric.supportBest) : '–'}</td>`;
                 html += `<td class="metric-num">${metric.supportWorst !== null ? this.formatValue(metric.supportWorst) : '–'}</td>`;
@@ -505,10 +550,76 @@ export class MetricsManager {
             html += '</tr>';
         });
 
-        html += '</tbody></table></div></div></div>';
+        html += '</tbody></table></div></div>';
+        html += this.formatSensitivitySection(metricsData.sensitivity, metricsData.sensitivityOptions);
+        html += '</div>';
         return html;
     }
 
+    /**
+     * @param {import('../core/types.js').WeightSensitivity | null} sensitivity
+     * @param {any} options Last options used, or null for the defaults
+     */
+    static formatSensitivitySection(sensitivity, options) {
+        const { mode = 'offset', radius = 2, start = 0, end = 10, step = 1 } = options || {};
+        let html = '<div class="metrics-section">';
+        html += '<h3 class="metrics-header">Weight Sensitivity</h3>';
+        html += '<p class="metrics-note">Perturb each integer <code>weight/2</code> fact (±k around its value, or across a range), re-run the active configuration with all models, and find the nearest values at which the set of extensions or the top-ranked extension flips. Sensitive weights are annotated on the graph.</p>';
+        html += '<div class="analysis-inline-form">';
+        html += `<select id="sensitivity-mode-select" class="select" aria-label="Perturbation mode">
+            <option value="offset"${mode === 'offset' ? ' selected' : ''}>±k around each weight</option>
+            <option value="range"${mode === 'range' ? ' selected' : ''}>Range of values</option>
+        </select>`;
+        html += `<input type="number" id="sensitivity-radius-input" class="select" value="${radius}" min="1" step="1" aria-label="Perturbation ±k" title="±k"${mode === 'offset' ? '' : ' hidden'}>`;
+        html += `<input type="number" id="sensitivity-start-input" class="select" value="${start}" step="1" aria-label="Range start" title="Range start"${mode === 'range' ? '' : ' hidden'}>`;
+        html += `<input type="number" id="sensitivity-end-input" class="select" value="${end}" step="1" aria-label="Range end" title="Range end"${mode === 'range' ? '' : ' hidden'}>`;
+        html += `<input type="number" id="sensitivity-step-input" class="select" value="${step}" min="1" step="1" aria-label="Perturbation step" title="Step">`;
+        html += '<button id="compute-sensitivity-btn" class="analysis-action-btn analysis-action-btn-secondary">⚖️ Run Weight Sensitivity</button>';
+        html += '</div>';
+
+        if (!sensitivity) {
+            return `${html}</div>`;
+        }
+
+        const { baseline, weights, complete } = sensitivity;
+        html += `<p class="metrics-note">Unperturbed: ${baseline.extensionSets.length} extension set(s), top-ranked ${baseline.top ?? 'none'}.${complete ? '' : ' Stopped early: only the weights below were analysed.'}</p>`;
+        html += '<div class="metrics-table-container">';
+        html += '<table class="metrics-table sensitivity-table">';
+        html += '<thead><tr>';
+        html += '<th>Weight</th>';
+        html += '<th>Value</th>';
+        html += '<th>Tried</th>';
+        html += '<th title="Nearest tried value below / above the current one at which the set of extensions changes">Extensions Flip At</th>';
+        html += '<th title="Nearest tried value below / above the current one at which the top-ranked extension changes">Top Flips At</th>';
+        html += '<th title="Top-ranked extension at the nearest flipping values">Flipped Top</th>';
+        html += '</tr></thead>';
+        html += '<tbody>';
+        weights.forEach((row) => {
+            const values = row.points.map((point) => point.value);
+            const sensitive = [row.setThresholds, row.topThresholds].some(({ below, above }) => below !== null || above !== null);
+            const flippedTops = [row.topThresholds.below, row.topThresholds.above]
+                .filter((value) => value !== null)
+                .map((value) => `${value}: ${row.points.find((point) => point.value === value).top ?? 'none'}`);
+            html += `<tr class="${sensitive ? 'decision-contender' : ''}">`;
+            html += `<td class="atom-name">${row.atom}</td>`;
+            html += `<td class="metric-num">${row.baseline}</td>`;
+            html += `<td class="metric-num">${values.length > 0 ? `${Math.min(...values)}..${Math.max(...values)}` : '–'}</td>`;
+            html += `<td class="metric-num">${this.formatFlipThresholds(row.setThresholds)}</td>`;
+            html += `<td class="metric-num">${this.formatFlipThresholds(row.topThresholds)}</td>`;
+            html += `<td>${flippedTops.join(' · ') || '–'}</td>`;
+            html += '</tr>';
+        });
+        html += '</tbody></table></div></div>';
+        return html;
+    }
+
+    static formatFlipThresholds({ below, above }) {
+        if (below === null && above === null) {
+            return 'stable';
+        }
+        return `${below ?? '–'} / ${above ?? '–'}`;
+    }
+
     static renderSummaryCard(label, value) {
         return `
             <div class="metric-item">
@@ -535,8 +646,13 @@ export class MetricsManager {
         return csv;
     }
 
-    static exportAssumptionCSV(metricsData) {
-        const { atoms, hasSupport, context } = metricsData;
+    /**
+     * Assumption ranking as plain cells, shared by the CSV export and the PDF report.
+     *
+     * @returns {{ headers: string[], rows: string[][] }}
+     */
+    static getAssumptionTable(metricsData) {
+        const { atoms, hasSupport, hasThresholds, context } = metricsData;
         const headers = [
             'Assumption',
             'DecisionScore',
@@ -547,22 +663,29 @@ export class MetricsManager {
             context.gapLabel.replace(/\s+/g, '')
         ];
 
+        if (hasThresholds) {
+            headers.push('BudgetThreshold');
+        }
+
         if (hasSupport) {
             headers.push('BestSupport', 'WorstSupport', 'SupportMargin', 'Contrary');
         }
 
-        let csv = `${headers.join(',')}\n`;
-        atoms.forEach((metric) => {
+        const rows = atoms.map((metric) => {
             const row = [
-                `"${metric.atom}"`,
+                metric.atom,
                 this.formatNumber(metric.decisionScore),
                 this.formatPercent(metric.robustness),
                 this.formatPercent(metric.acceptanceRate),
-                metric.bestLevel ?? '',
-                metric.levelAdvantage ?? '',
+                String(metric.bestLevel ?? ''),
+                String(metric.levelAdvantage ?? ''),
                 metric.objectiveGap !== null ? this.formatNumber(metric.objectiveGap) : ''
             ];
 
+            if (hasThresholds) {
+                row.push(this.formatThreshold(metric.budgetThreshold));
+            }
+
             if (hasSupport) {
                 row.push(
                     metric.supportBest !== null ? this.formatValue(metric.supportBest) : '',
@@ -572,7 +695,17 @@ export class MetricsManager {
                 );
             }
 
-            csv += `${row.join(',')}\n`;
+            return row;
+        });
+
+        return { headers, rows };
+    }
+
+    static exportAssumptionCSV(metricsData) {
+        const { headers, rows } = this.getAssumptionTable(metricsData);
+        let csv = `${headers.join(',')}\n`;
+        rows.forEach(([atom, ...cells]) => {
+            csv += `${[`"${atom}"`, ...cells].join(',')}\n`;
         });
         return csv;
     }
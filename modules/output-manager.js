@@ -3,8 +3,14 @@
  */
 import { PopupManager } from './popup-manager.js?v=20260315-1';
 import { MetricsManager } from './metrics-manager.js?v=20260315-1';
+import { getExtensionHighlightData } from './graph-highlighting.js?v=20260315-1';
 import { parseAnswerSet } from '../runtime/answer-set-parser.js?v=20260315-1';
-import { compareTuples, computeAggregateFromDiscarded, displayValue, getObjectiveTuple, normalizeAggregateValue } from '../runtime/objective-utils.js?v=20260315-1';
+import { explainOutAssumptions } from '../runtime/attack-provenance.js?v=20260315-1';
+import { compareRankedExtensions, computeAggregateFromDiscarded, normalizeAggregateValue } from '../runtime/objective-utils.js?v=20260315-1';
+import { extractDisplayCost, rankWitness, rankWitnesses } from '../runtime/extension-ranking.js?v=20260315-1';
+import { serializeRunResult } from '../runtime/waba-json.js?v=20260315-1';
+
+const STREAM_YIELD_INTERVAL = 10;
 
 export class OutputManager {
     constructor(dom, getConfig = null) {
@@ -17,6 +23,12 @@ export class OutputManager {
         this.polaritySelect = dom.polaritySelect;
         this.getConfig = getConfig;
         this.activeExtensionId = null;  // Track currently highlighted extension
+        this.stream = null;  // Active streaming run state
+        this.onComputeThresholds = null;  // (assumptions, config) => Promise<Map | null>, set by the playground
+        this.onComputeSensitivity = null;  // (options, config) => Promise<WeightSensitivity | null>, set by the playground
+        this.onExplainOut = null;  // (config) => Promise<AttackProvenance | null>, set by the playground
+        this.provenance = null;  // { config, provenance } of the run whose out assumptions were last explained
+        this.getFrameworkExport = null;  // () => { framework, description } for JSON results, set by the playground
         this.renderAnalysisHome();
     }
 
@@ -60,81 +72,172 @@ export class OutputManager {
     displayResults(result, elapsed, onHighlightExtension, onResetGraph, effectiveConfig = null) {
         // Handle clingo-wasm object format
         const witnesses = result.Call?.[0]?.Witnesses || [];
-        const isSuccessful = result.Result === 'SATISFIABLE' ||
-                            result.Result === 'OPTIMUM FOUND';
-        const config = effectiveConfig || (this.getConfig ? this.getConfig() : {
+        const config = this.resolveRunConfig(effectiveConfig);
+        this.lastRunConfig = config;
+
+        // Reset active extension when displaying new results
+        this.activeExtensionId = null;
+
+        this.log(`\n${result.Result}`, 'info');
+
+        const rankedExtensions = this.isSuccessfulResult(result)
+            ? rankWitnesses(witnesses, config)
+            : [];
+
+        // Display all witnesses in sorted order
+        this.renderRankedExtensions(rankedExtensions, onHighlightExtension, onResetGraph);
+        this.finishResults(result, rankedExtensions, elapsed, config);
+    }
+
+    // ===================================
+    // Streaming
+    // ===================================
+    beginStreaming(onHighlightExtension, onResetGraph, effectiveConfig = null) {
+        const config = this.resolveRunConfig(effectiveConfig);
+        this.lastRunConfig = config;
+        this.activeExtensionId = null;
+
+        const counter = this.dom.document.createElement('div');
+        counter.className = 'info-message stream-counter';
+        counter.setAttribute('aria-live', 'polite');
+        this.output.appendChild(counter);
+
+        this.stream = {
+            config,
+            counter,
+            items: [],
+            onHighlightExtension,
+            onResetGraph
+        };
+        this.updateStreamCounter();
+    }
+
+    /**
+     * Parse and render one witness as soon as the solver reports it, in arrival order.
+     * Yields to the browser every few witnesses so the counter and panel stay live.
+     */
+    async appendStreamedWitness(witness) {
+        const stream = this.stream;
+        if (!stream) {
+            return;
+        }
+
+        const item = this.rankWitness(witness, stream.config);
+        stream.items.push(item);
+        this.appendAnswerSet(
+            item.witness,
+            stream.items.length,
+            stream.onHighlightExtension,
+            stream.onResetGraph,
+            item.cost,
+            item.parsed.budgetValue
+        );
+        this.updateStreamCounter();
+
+        if (stream.items.length % STREAM_YIELD_INTERVAL === 0) {
+            await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+    }
+
+    /**
+     * Final pass once the search is over: re-sort by objective and re-render only
+     * when the arrival order differs from the ranked order.
+     */
+    finishStreaming(result, elapsed) {
+        const stream = this.stream;
+        if (!stream) {
+            return;
+        }
+        this.stream = null;
+        stream.counter.remove();
+
+        const rankedExtensions = stream.items.slice().sort(compareRankedExtensions);
+        const orderChanged = rankedExtensions.some((item, index) => item !== stream.items[index]);
+        if (orderChanged) {
+            this.output.querySelectorAll('.answer-set').forEach((element) => element.remove());
+            this.activeExtensionId = null;
+            this.renderRankedExtensions(rankedExtensions, stream.onHighlightExtension, stream.onResetGraph);
+        }
+
+        this.log(`\n${result.Result}`, 'info');
+        this.finishResults(result, rankedExtensions, elapsed, stream.config);
+    }
+
+    /**
+     * Stop streaming without a final pass (cancel or error); rendered witnesses stay visible.
+     */
+    abortStreaming() {
+        if (!this.stream) {
+            return;
+        }
+        this.stream.counter.remove();
+        if (this.stream.items.length > 0) {
+            this.log(`Stopped after ${this.stream.items.length} extension(s).`, 'warning');
+        }
+        this.stream = null;
+    }
+
+    updateStreamCounter() {
+        const count = this.stream.items.length;
+        this.stream.counter.textContent = `⏳ Searching… ${count} extension(s) found so far`;
+    }
+
+    // ===================================
+    // Result Rendering
+    // ===================================
+    resolveRunConfig(effectiveConfig) {
+        return effectiveConfig || (this.getConfig ? this.getConfig() : {
             monoid: this.monoidSelect?.value || 'sum',
             optimization: this.optimizeSelect?.value || 'minimize',
             budgetMode: 'none',
             budgetIntent: 'no_discard'
         });
-        this.lastRunConfig = config;
+    }
 
-        // Reset active extension when displaying new results
-        this.activeExtensionId = null;
+    isSuccessfulResult(result) {
+        return result.Result === 'SATISFIABLE' || result.Result === 'OPTIMUM FOUND';
+    }
 
-        this.log(`\n${result.Result}`, 'info');
+    rankWitness(witness, config) {
+        return rankWitness(witness, config);
+    }
+
+    renderRankedExtensions(rankedExtensions, onHighlightExtension, onResetGraph) {
+        rankedExtensions.forEach((item, index) => {
+            this.appendAnswerSet(
+                item.witness,
+                index + 1,
+                onHighlightExtension,
+                onResetGraph,
+                item.cost,
+                item.parsed.budgetValue
+            );
+        });
+    }
 
-        if (!isSuccessful || witnesses.length === 0) {
+    finishResults(result, rankedExtensions, elapsed, config) {
+        this.lastRunStatus = { status: result.Result, elapsed };
+
+        if (!this.isSuccessfulResult(result) || rankedExtensions.length === 0) {
             this.log('⚠️ No extensions found', 'warning');
             this.log('Try adjusting the budget or framework constraints', 'info');
         } else {
-            const witnessesWithCosts = witnesses.map((witness) => {
-                const predicates = witness.Value || [];
-                const parsed = this.parseAnswerSet(predicates);
-                const aggregateValue = parsed.budgetValueRaw !== null
-                    ? normalizeAggregateValue(parsed.budgetValueRaw)
-                    : computeAggregateFromDiscarded(parsed.discarded, config.monoid);
-                const cost = (config.budgetMode === 'none' && config.budgetIntent === 'no_discard')
-                    ? null
-                    : this.extractDisplayCost(witness, aggregateValue, config.monoid);
-
-                return {
-                    witness,
-                    parsed,
-                    cost,
-                    aggregateValue,
-                    objectiveTuple: getObjectiveTuple(config, aggregateValue)
-                };
-            });
-
-            witnessesWithCosts.sort((a, b) => {
-                const tupleComparison = compareTuples(a.objectiveTuple, b.objectiveTuple);
-                if (tupleComparison !== 0) {
-                    return tupleComparison;
-                }
-                return a.parsed.in.join(',').localeCompare(b.parsed.in.join(','));
-            });
-
-            // Display all witnesses in sorted order
-            witnessesWithCosts.forEach((item, index) => {
-                this.appendAnswerSet(
-                    item.witness,
-                    index + 1,
-                    onHighlightExtension,
-                    onResetGraph,
-                    item.cost,
-                    item.parsed.budgetValue
-                );
-            });
-
             if (result.Result === 'OPTIMUM FOUND') {
-                this.log(`\n✓ Found ${witnesses.length} optimal extension(s)`, 'success');
+                this.log(`\n✓ Found ${rankedExtensions.length} optimal extension(s)`, 'success');
             }
 
             // Store witnesses for download
-            this.storedWitnesses = witnessesWithCosts;
+            this.storedWitnesses = rankedExtensions;
 
             // Add download and metrics buttons if there are extensions
             this.addDownloadButton();
             this.addMetricsButton();
-            this.addRankingSummary(witnessesWithCosts, config);
         }
 
         // Display statistics
         this.stats.innerHTML = `
             <strong>Execution Stats:</strong>
-            ${witnesses.length} extension(s) found |
+            ${rankedExtensions.length} extension(s) found |
             Computed in ${elapsed}s |
             Semiring: ${this.semiringSelect.options[this.semiringSelect.selectedIndex].text} |
             Monoid: ${this.monoidSelect.options[this.monoidSelect.selectedIndex].text} |
@@ -155,6 +258,13 @@ export class OutputManager {
         button.innerHTML = '💾 Download All Extensions';
         button.addEventListener('click', () => this.downloadAllExtensions());
 
+        const jsonButton = document.createElement('button');
+        jsonButton.id = 'download-results-json-btn';
+        jsonButton.className = 'analysis-action-btn';
+        jsonButton.innerHTML = '💾 Download Results (JSON)';
+        jsonButton.title = 'Versioned waba-result document: framework, effective configuration, extensions and analysis metrics';
+        jsonButton.addEventListener('click', () => this.downloadAllExtensions('json'));
+
         // Get or create button group container
         let buttonGroup = this.dom.document.getElementById('analysis-button-group');
         const exportSection = this.dom.exportSection;
@@ -167,18 +277,41 @@ export class OutputManager {
         }
 
         if (buttonGroup) {
-            buttonGroup.appendChild(button);
+            buttonGroup.append(button, jsonButton);
         } else {
             // Fallback: insert at top of output if export section not found
+            this.output.insertBefore(jsonButton, this.output.firstChild);
             this.output.insertBefore(button, this.output.firstChild);
         }
     }
 
-    downloadAllExtensions() {
+    /**
+     * Download the stored extensions as the ad-hoc `.txt` predicate dump, or with
+     * `format = 'json'` as a versioned `waba-result` document.
+     *
+     * @param {'txt' | 'json'} [format]
+     */
+    downloadAllExtensions(format = 'txt') {
         if (!this.storedWitnesses || this.storedWitnesses.length === 0) {
             return;
         }
 
+        if (format === 'json') {
+            const { config, ranked, metrics } = this.getReportResults();
+            const { framework = null, description = '' } = this.getFrameworkExport?.() || {};
+            const payload = serializeRunResult({
+                framework,
+                description,
+                config,
+                status: this.lastRunStatus?.status || 'SATISFIABLE',
+                elapsed: this.lastRunStatus?.elapsed || '',
+                ranked,
+                metrics
+            });
+            this.saveDownload(`${JSON.stringify(payload, null, 2)}\n`, 'json', 'application/json');
+            return;
+        }
+
         let textContent = '';
 
         this.storedWitnesses.forEach((item, index) => {
@@ -227,14 +360,17 @@ export class OutputManager {
             textContent += extensionText + '\n';
         });
 
-        // Create and download file
-        const blob = new Blob([textContent], { type: 'text/plain' });
+        this.saveDownload(textContent, 'txt', 'text/plain');
+    }
+
+    saveDownload(content, extension, type) {
+        const blob = new Blob([content], { type });
         const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
         link.href = url;
 
         const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-        link.download = `waba-extensions-${timestamp}.txt`;
+        link.download = `waba-extensions-${timestamp}.${extension}`;
 
         link.click();
         URL.revokeObjectURL(url);
@@ -277,6 +413,19 @@ export class OutputManager {
         }
     }
 
+    /**
+     * Results of the last run for the PDF report. Metrics are reused when the
+     * decision analysis is open (so β* thresholds are included) and computed
+     * otherwise.
+     */
+    getReportResults() {
+        const config = this.lastRunConfig || this.getConfig();
+        const ranked = this.storedWitnesses || [];
+        const metrics = this.storedMetricsData
+            || (ranked.length > 0 ? MetricsManager.computeMetrics(ranked, config) : null);
+        return { config, ranked, metrics };
+    }
+
     toggleMetrics(button) {
         const metricsDiv = this.dom.document.getElementById('metrics-display');
 
@@ -347,8 +496,15 @@ export class OutputManager {
             }
         }
 
-        // Render metrics HTML
-        metricsDiv.innerHTML = MetricsManager.formatMetricsHTML(metricsData);
+        this.renderMetrics(metricsDiv, config);
+
+        // Update button text
+        button.innerHTML = '<span class="toggle-icon">▼</span> Hide Decision Analysis';
+        button.classList.add('expanded');
+    }
+
+    renderMetrics(metricsDiv, config) {
+        metricsDiv.innerHTML = MetricsManager.formatMetricsHTML(this.storedMetricsData);
 
         // Wire up CSV export button
         const csvButton = this.dom.document.getElementById('export-metrics-csv-btn');
@@ -358,9 +514,93 @@ export class OutputManager {
             });
         }
 
-        // Update button text
-        button.innerHTML = '<span class="toggle-icon">▼</span> Hide Decision Analysis';
-        button.classList.add('expanded');
+        const thresholdsButton = this.dom.document.getElementById('compute-thresholds-btn');
+        if (thresholdsButton && this.onComputeThresholds) {
+            thresholdsButton.addEventListener('click', () => this.computeThresholds(metricsDiv, thresholdsButton, config));
+        }
+
+        const sensitivityButton = this.dom.document.getElementById('compute-sensitivity-btn');
+        if (sensitivityButton && this.onComputeSensitivity) {
+            const modeSelect = /** @type {HTMLSelectElement} */ (this.dom.document.getElementById('sensitivity-mode-select'));
+            modeSelect.addEventListener('change', () => {
+                this.dom.document.getElementById('sensitivity-radius-input').hidden = modeSelect.value !== 'offset';
+                this.dom.document.getElementById('sensitivity-start-input').hidden = modeSelect.value !== 'range';
+                this.dom.document.getElementById('sensitivity-end-input').hidden = modeSelect.value !== 'range';
+            });
+            sensitivityButton.addEventListener('click', () => this.computeSensitivity(metricsDiv, sensitivityButton, config));
+        }
+    }
+
+    /**
+     * @returns {import('../core/types.js').SensitivityOptions}
+     */
+    readSensitivityOptions() {
+        const read = (id) => Number(/** @type {HTMLInputElement} */ (this.dom.document.getElementById(id)).value);
+        const mode = /** @type {HTMLSelectElement} */ (this.dom.document.getElementById('sensitivity-mode-select')).value;
+        const step = read('sensitivity-step-input');
+        return mode === 'range'
+            ? { mode, start: read('sensitivity-start-input'), end: read('sensitivity-end-input'), step }
+            : { mode: 'offset', radius: read('sensitivity-radius-input'), step };
+    }
+
+    async computeSensitivity(metricsDiv, button, config) {
+        const metricsData = this.storedMetricsData;
+        button.disabled = true;
+        try {
+            const options = this.readSensitivityOptions();
+            const sensitivity = await this.onComputeSensitivity(options, config);
+            if (!sensitivity || metricsData !== this.storedMetricsData) {
+                return;
+            }
+            MetricsManager.applyWeightSensitivity(metricsData, sensitivity, options);
+            this.renderMetrics(metricsDiv, config);
+        } catch (error) {
+            console.error('Error computing weight sensitivity:', error);
+            this.log(`❌ Error computing weight sensitivity: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async computeThresholds(metricsDiv, button, config) {
+        const metricsData = this.storedMetricsData;
+        button.disabled = true;
+        try {
+            const thresholds = await this.onComputeThresholds(metricsData.atoms.map((metric) => metric.atom), config);
+            if (!thresholds || metricsData !== this.storedMetricsData) {
+                return;
+            }
+            MetricsManager.applyBudgetThresholds(metricsData, thresholds);
+            this.renderMetrics(metricsDiv, config);
+        } catch (error) {
+            console.error('Error computing β*:', error);
+            this.log(`❌ Error computing β*: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Explanation tree for an out assumption. Supports do not depend on the
+     * extension, so the solver runs once per result set and every out chip of
+     * that run reuses its provenance.
+     */
+    async explainOut(assumption, parsed, chipElement) {
+        const config = this.lastRunConfig;
+        try {
+            if (this.provenance?.config !== config) {
+                const provenance = await this.onExplainOut(config);
+                if (!provenance || config !== this.lastRunConfig) {
+                    return;
+                }
+                this.provenance = { config, provenance };
+            }
+            const [explanation] = explainOutAssumptions(this.provenance.provenance, { ...parsed, out: [assumption] });
+            PopupManager.showOutExplanation(explanation, chipElement);
+        } catch (error) {
+            console.error('Error explaining out assumption:', error);
+            this.log(`❌ Error explaining why ${assumption} is out: ${error.message}`, 'error');
+        }
     }
 
     appendAnswerSet(witness, answerNumber, onHighlightExtension, onResetGraph, precomputedCost = null, budgetValue = null) {
@@ -407,7 +647,7 @@ export class OutputManager {
 
             // Out assumptions (greyed out chips)
             parsed.out.forEach(a => {
-                contentHTML += `<span class="chip out"><span class="chip-icon">✗</span>${a}</span>`;
+                contentHTML += `<span class="chip out explainable" data-explain-out="${a}" title="Why is ${a} out?"><span class="chip-icon">✗</span>${a}</span>`;
             });
 
             contentHTML += '</div>';
@@ -563,24 +803,7 @@ export class OutputManager {
         `;
 
         // Store extension data for highlighting
-        const extensionData = {
-            inAssumptions: parsed.in,
-            discardedAttacks: parsed.discarded.map(attack => {
-                const match = attack.match(/discarded_attack\(([^,]+),\s*([^,]+),\s*([^)]+)\)/);
-                if (match) {
-                    const [, from, to, weight] = match;
-                    // Map to the format needed for filtering
-                    return {
-                        source: from,
-                        target: to,
-                        via: to, // The attacked assumption
-                        weight: weight
-                    };
-                }
-                return null;
-            }).filter(a => a !== null),
-            successfulAttacks: parsed.successful // Add successful attacks for highlighting
-        };
+        const extensionData = getExtensionHighlightData(parsed);
 
         // Add click handler to toggle highlight for this extension
         const header = answerDiv.querySelector('.answer-header');
@@ -634,6 +857,15 @@ export class OutputManager {
             });
         }
 
+        if (this.onExplainOut) {
+            answerDiv.querySelectorAll('[data-explain-out]').forEach((chipElement) => {
+                chipElement.addEventListener('click', (e) => {
+                    e.stopPropagation(); // Don't trigger extension highlight
+                    this.explainOut(chipElement.getAttribute('data-explain-out'), parsed, chipElement);
+                });
+            });
+        }
+
         // Add click handler for textual result toggle
         const toggleButton = answerDiv.querySelector('.textual-result-toggle');
         const textualContent = answerDiv.querySelector('.textual-result');
@@ -679,58 +911,7 @@ export class OutputManager {
     }
 
     extractDisplayCost(witness, aggregateValue, monoid) {
-        if (witness.Optimization !== undefined) {
-            const opt = witness.Optimization;
-            if (Array.isArray(opt) && opt.length > 0) {
-                const lastValue = opt[opt.length - 1];
-                return displayValue(lastValue);
-            }
-            return displayValue(opt);
-        }
-
-        if (aggregateValue !== null && aggregateValue !== undefined) {
-            return displayValue(aggregateValue);
-        }
-
-        return monoid === 'count' ? 0 : null;
-    }
-
-    addRankingSummary(witnessesWithCosts, config) {
-        if (!Array.isArray(witnessesWithCosts) || witnessesWithCosts.length === 0) {
-            return;
-        }
-
-        const shouldShow = config.budgetMode === 'none' && config.budgetIntent === 'explore';
-        if (!shouldShow) {
-            return;
-        }
-
-        const grouped = new Map();
-        witnessesWithCosts.forEach((item) => {
-            const key = item.parsed.in.slice().sort().join(',') || '∅';
-            if (!grouped.has(key)) {
-                grouped.set(key, { extension: item.parsed.in.slice(), thresholds: [] });
-            }
-            grouped.get(key).thresholds.push(item.parsed.budgetValue ?? item.aggregateValue);
-        });
-
-        const container = this.dom.document.createElement('div');
-        container.className = 'info-message';
-        const lines = ['Threshold view (grouped by extension):'];
-
-        grouped.forEach((value) => {
-            const sortedThresholds = value.thresholds.slice().sort((left, right) =>
-                String(left).localeCompare(String(right), undefined, { numeric: true })
-            );
-            const threshold = config.budgetMode === 'lb'
-                ? sortedThresholds[sortedThresholds.length - 1]
-                : sortedThresholds[0];
-            const extensionLabel = value.extension.length > 0 ? `{${value.extension.join(', ')}}` : '∅';
-            lines.push(`${extensionLabel} -> β*: ${threshold}`);
-        });
-
-        container.innerHTML = `<pre style="margin: 0; white-space: pre-wrap;">${lines.join('\n')}</pre>`;
-        this.output.insertBefore(container, this.output.firstChild);
+        return extractDisplayCost(witness, aggregateValue, monoid);
     }
 
     // ===================================
@@ -794,6 +975,8 @@ export class OutputManager {
         // Clear stored data
         this.storedWitnesses = null;
         this.storedMetricsData = null;
+        this.lastRunStatus = null;
+        this.provenance = null;
         this.activeExtensionId = null;
 
         // Reset graph highlighting
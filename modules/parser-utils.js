@@ -45,18 +45,7 @@ export class ParserUtils {
     static parseRules(code) {
         const rules = [];
         const ruleMap = new Map(); // rule_id -> {head: ..., body: [...]}
-
-        // Expand compact semicolon form first
-        // body(r1, b; r1, c). -> body(r1, b). body(r1, c).
-        let expandedCode = code.replace(/body\(([^)]+)\)\./g, (match, content) => {
-            const parts = content.split(';').map(p => p.trim());
-            return parts.map(p => `body(${p}).`).join(' ');
-        });
-
-        expandedCode = expandedCode.replace(/head\(([^)]+)\)\./g, (match, content) => {
-            const parts = content.split(';').map(p => p.trim());
-            return parts.map(p => `head(${p}).`).join(' ');
-        });
+        const expandedCode = ParserUtils.expandRuleFacts(code);
 
         // Parse head/2 predicates: head(rule_id, head_atom).
         const headRegex = /head\(([^,]+),\s*([^)]+)\)\./g;
@@ -97,12 +86,46 @@ export class ParserUtils {
         return rules;
     }
 
+    /**
+     * Expand compact semicolon form: body(r1, b; r1, c). -> body(r1, b). body(r1, c).
+     * @param {string} code - ASP code
+     * @returns {string}
+     */
+    static expandRuleFacts(code) {
+        const expandedCode = code.replace(/body\(([^)]+)\)\./g, (match, content) => {
+            const parts = content.split(';').map(p => p.trim());
+            return parts.map(p => `body(${p}).`).join(' ');
+        });
+
+        return expandedCode.replace(/head\(([^)]+)\)\./g, (match, content) => {
+            const parts = content.split(';').map(p => p.trim());
+            return parts.map(p => `head(${p}).`).join(' ');
+        });
+    }
+
+    /**
+     * Parse every head/2 fact in order, keeping repeated rule ids (which parseRules merges)
+     * @param {string} code - ASP code
+     * @returns {Array<{id: string, head: string}>} - Head facts
+     */
+    static parseHeads(code) {
+        const heads = [];
+        const regex = /head\(([^,]+),\s*([^)]+)\)\./g;
+        const expandedCode = ParserUtils.expandRuleFacts(code);
+        let match;
+        while ((match = regex.exec(expandedCode)) !== null) {
+            heads.push({ id: match[1].trim(), head: match[2].trim() });
+        }
+        return heads;
+    }
+
     /**
      * Parse weight predicates from ASP code
      * @param {string} code - ASP code
      * @returns {Object<string, string>} - Map of atom -> weight
      */
     static parseWeights(code) {
+        /** @type {Object<string, string>} */
         const weights = {};
         const regex = /weight\(([^,]+),\s*([^)]+)\)\./g;
         let match;
@@ -113,4 +136,19 @@ export class ParserUtils {
         }
         return weights;
     }
+
+    /**
+     * Collect every atom the framework mentions: assumptions, contraries and rule atoms
+     * @param {string} code - ASP code
+     * @returns {Array<string>} - Sorted, de-duplicated atoms
+     */
+    static parseAtoms(code) {
+        const atoms = new Set(ParserUtils.parseAssumptions(code));
+        ParserUtils.parseContraries(code).forEach(({ contrary }) => atoms.add(contrary));
+        ParserUtils.parseRules(code).forEach((rule) => {
+            atoms.add(rule.head);
+            rule.body.forEach((atom) => atoms.add(atom));
+        });
+        return [...atoms].sort((left, right) => left.localeCompare(right));
+    }
 }
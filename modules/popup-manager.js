@@ -70,6 +70,91 @@ export class PopupManager {
         }, 100);
     }
 
+    /**
+     * Explanation tree for an out assumption: each support of its contrary,
+     * derived from which `in` assumptions, by which rules, with the weight the
+     * active semiring computed at every step, and what became of the attack.
+     * @param {import('../core/types.js').OutExplanation} explanation
+     * @returns {string}
+     */
+    static formatOutExplanation(explanation) {
+        const { assumption, contrary, attacks } = explanation;
+        let html = `<strong>Why is ${assumption} out?</strong>`;
+
+        if (!contrary) {
+            return `${html}<em>${assumption} has no contrary, so nothing attacks it: the semantics left it out.</em>`;
+        }
+        if (attacks.length === 0) {
+            return `${html}<em>Its contrary ${contrary} is never derived: the semantics left ${assumption} out.</em>`;
+        }
+        if (!attacks.some((attack) => attack.status === 'succeeded')) {
+            html += `<em>No attack on ${assumption} succeeds in this extension: the semantics left it out.</em>`;
+        }
+
+        const statusLabels = {
+            succeeded: '✓ succeeded',
+            discarded: '✗ discarded within the budget',
+            inactive: '– inactive'
+        };
+        const renderNode = (node) => {
+            const via = {
+                assumption: 'assumption',
+                fact: `fact ${node.ruleId}`,
+                rule: `rule ${node.ruleId}`,
+                weight: 'explicit weight'
+            }[node.via];
+            const weight = node.weight !== null ? ` <span class="provenance-weight">w = ${node.weight}</span>` : '';
+            const children = node.children.length > 0
+                ? `<ul>${node.children.map(renderNode).join('')}</ul>`
+                : '';
+            return `<li><code>${node.atom}</code> <span class="provenance-via">${via}</span>${weight}${children}</li>`;
+        };
+
+        attacks.forEach((attack) => {
+            const seeds = attack.seeds.length > 0 ? `{${attack.seeds.join(', ')}}` : '∅';
+            const missing = attack.status === 'inactive' ? `: ${attack.missingSeeds.join(', ')} out` : '';
+            html += `
+                <div class="provenance-attack provenance-${attack.status}">
+                    <div class="provenance-attack-head">
+                        ${seeds} ⊢ ${attack.contrary} → ${assumption}
+                        <span class="provenance-weight">w = ${attack.weight}</span>
+                        <span class="provenance-status">${statusLabels[attack.status]}${missing}</span>
+                    </div>
+                    <ul class="provenance-tree">${renderNode(attack.derivation)}</ul>
+                </div>
+            `;
+        });
+        return html;
+    }
+
+    /**
+     * Show the explanation tree of an out assumption below its chip
+     * @param {import('../core/types.js').OutExplanation} explanation
+     * @param {HTMLElement} element - The out chip
+     */
+    static showOutExplanation(explanation, element) {
+        document.querySelectorAll('.derivation-tooltip').forEach(t => t.remove());
+
+        const tooltip = document.createElement('div');
+        tooltip.className = 'derivation-tooltip provenance-tooltip';
+        tooltip.innerHTML = PopupManager.formatOutExplanation(explanation);
+        document.body.appendChild(tooltip);
+
+        const rect = element.getBoundingClientRect();
+        tooltip.style.left = `${rect.left}px`;
+        tooltip.style.top = `${rect.bottom + 5}px`;
+
+        setTimeout(() => {
+            const removeTooltip = (e) => {
+                if (!tooltip.contains(e.target) && !element.contains(e.target)) {
+                    tooltip.remove();
+                    document.removeEventListener('click', removeTooltip);
+                }
+            };
+            document.addEventListener('click', removeTooltip);
+        }, 100);
+    }
+
     /**
      * Show attack tooltip with derivation information
      * @param {Object} edge - Edge data from vis.js
@@ -0,0 +1,31 @@
+/**
+ * Prism.js language definition for the Advanced (ASP) editor: framework facts,
+ * rules and directives as clingo reads them.
+ */
+export const CLINGO_GRAMMAR = {
+    comment: {
+        pattern: /%.*/,
+        greedy: true
+    },
+    string: {
+        pattern: /"(?:\\.|[^"\\])*"/,
+        greedy: true
+    },
+    directive: {
+        pattern: /#[a-z]+/,
+        alias: 'keyword'
+    },
+    function: /\b[a-z_][A-Za-z0-9_']*(?=\s*\()/,
+    variable: {
+        pattern: /\b_?[A-Z][A-Za-z0-9_']*/,
+        alias: 'property'
+    },
+    keyword: /\bnot\b/,
+    number: /\b\d+\b/,
+    operator: /:-|:~|!=|<=|>=|==|\.\.|[=<>+\-*/\\|@]/,
+    punctuation: /[(){}[\],.;:]/
+};
+
+if (typeof Prism !== 'undefined') {
+    Prism.languages.clingo = CLINGO_GRAMMAR;
+}
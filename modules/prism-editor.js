@@ -1,20 +1,46 @@
+import './prism-waba.js?v=20260315-1';
+import './prism-clingo.js?v=20260315-1';
+
 /**
  * PrismEditor - contenteditable wrapper with Prism highlighting.
+ *
+ * `options.validate(text)` returns diagnostics (1-based line/column ranges, see
+ * `runtime/waba-syntax.js`) that are underlined after every highlight.
+ * `setMarkers` shows per-line markers in the gutter (the framework linter uses
+ * it) and `setLineHighlights` shades whole lines (graph selection uses it);
+ * `options.className` is added to the container.
+ *
+ * Editor assistance hooks, all called with the text and a character offset:
+ * `options.complete` returns `{ from, items }` for the completion list (opened
+ * while typing or with Ctrl+Space), `options.hover` the tooltip text under the
+ * pointer, and `options.onDefinition` handles Ctrl/Cmd+click (returning true
+ * when it jumped). `setAssistance` sets them after construction.
  */
 export class PrismEditor {
-    constructor(textarea, language = 'waba') {
+    constructor(textarea, language = 'waba', options = {}) {
         this.textarea = textarea;
         this.language = language;
+        this.validate = options.validate || null;
+        this.className = options.className || '';
+        this.setAssistance(options);
+        this.completion = null;
+        this.completionElement = null;
+        this.hoverElement = null;
+        this.diagnostics = [];
+        this.markers = [];
+        this.highlightedLines = [];
         this.container = null;
         this.preElement = null;
         this.codeElement = null;
+        this.gutterElement = null;
+        this.lineHighlightElement = null;
         this.inputListeners = [];
         this.init();
     }
 
     init() {
         this.container = document.createElement('div');
-        this.container.className = 'prism-editor-container';
+        this.container.className = `prism-editor-container ${this.className}`.trim();
 
         this.preElement = document.createElement('pre');
         this.preElement.className = 'prism-editor-pre';
@@ -23,16 +49,56 @@ export class PrismEditor {
         this.codeElement.className = `language-${this.language} prism-editor-code`;
         this.codeElement.contentEditable = 'true';
         this.codeElement.spellcheck = false;
+        this.codeElement.dataset.placeholder = this.textarea.placeholder || '';
         this.codeElement.textContent = this.textarea.value;
 
+        this.gutterElement = document.createElement('div');
+        this.gutterElement.className = 'prism-editor-gutter';
+        this.gutterElement.setAttribute('aria-hidden', 'true');
+
+        this.lineHighlightElement = document.createElement('div');
+        this.lineHighlightElement.className = 'prism-editor-line-highlights';
+        this.lineHighlightElement.setAttribute('aria-hidden', 'true');
+
         Prism.highlightElement(this.codeElement);
+        this.renderDiagnostics();
+
+        this.completionElement = document.createElement('ul');
+        this.completionElement.className = 'prism-editor-completions';
+        this.completionElement.setAttribute('role', 'listbox');
+        this.completionElement.hidden = true;
 
+        this.hoverElement = document.createElement('div');
+        this.hoverElement.className = 'prism-editor-hover';
+        this.hoverElement.setAttribute('role', 'tooltip');
+        this.hoverElement.hidden = true;
+
+        this.preElement.appendChild(this.lineHighlightElement);
+        this.preElement.appendChild(this.gutterElement);
         this.preElement.appendChild(this.codeElement);
-        this.container.appendChild(this.preElement);
+        this.container.append(this.preElement, this.completionElement, this.hoverElement);
         this.textarea.style.display = 'none';
         this.textarea.parentNode.insertBefore(this.container, this.textarea.nextSibling);
 
         this.setupEventHandlers();
+        // Marker positions depend on layout: re-place them when the editor is
+        // resized or shown again after being hidden.
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.renderLineDecorations()).observe(this.preElement);
+        }
+    }
+
+    /**
+     * @param {{
+     *   complete?: (text: string, offset: number) => { from: number, items: Array<{ label: string, detail?: string }> } | null,
+     *   hover?: (text: string, offset: number) => string | null,
+     *   onDefinition?: (text: string, offset: number) => boolean
+     * }} assistance
+     */
+    setAssistance({ complete, hover, onDefinition }) {
+        this.complete = complete || null;
+        this.hover = hover || null;
+        this.onDefinition = onDefinition || null;
     }
 
     setupEventHandlers() {
@@ -40,6 +106,33 @@ export class PrismEditor {
             this.highlight();
             this.syncToTextarea();
             this.inputListeners.forEach((listener) => listener(event));
+            // After the listeners, so completion sees the framework they updated.
+            const inputType = /** @type {InputEvent} */ (event).inputType || '';
+            if (this.completion || inputType.startsWith('insert')) {
+                this.updateCompletion();
+            }
+        });
+
+        this.codeElement.addEventListener('blur', () => this.closeCompletion());
+        this.codeElement.addEventListener('mousemove', (event) => this.updateHover(event));
+        this.codeElement.addEventListener('mouseleave', () => this.hideHover());
+        this.codeElement.addEventListener('click', (event) => {
+            if (this.onDefinition && (event.ctrlKey || event.metaKey)) {
+                const offset = this.getCursorOffset();
+                if (offset !== null && this.onDefinition(this.value, offset)) {
+                    event.preventDefault();
+                    this.hideHover();
+                }
+            }
+        });
+
+        this.completionElement.addEventListener('mousedown', (event) => {
+            // Keep the focus (and the cursor) in the editor.
+            event.preventDefault();
+            const item = /** @type {HTMLElement} */ (event.target).closest('[data-index]');
+            if (item) {
+                this.acceptCompletion(Number(item.dataset.index));
+            }
         });
 
         this.codeElement.addEventListener('paste', (event) => {
@@ -49,6 +142,16 @@ export class PrismEditor {
         });
 
         this.codeElement.addEventListener('keydown', (event) => {
+            if (this.handleCompletionKey(event)) {
+                return;
+            }
+
+            if (this.complete && event.ctrlKey && event.key === ' ') {
+                event.preventDefault();
+                this.updateCompletion();
+                return;
+            }
+
             if (event.key === 'Tab') {
                 event.preventDefault();
                 document.execCommand('insertText', false, '    ');
@@ -63,11 +166,398 @@ export class PrismEditor {
     highlight() {
         const cursorOffset = this.getCursorOffset();
         Prism.highlightElement(this.codeElement);
+        this.renderDiagnostics();
+        this.renderLineDecorations();
         if (cursorOffset !== null) {
             this.setCursorOffset(cursorOffset);
         }
     }
 
+    /**
+     * Wrap the text of each diagnostic in an underlined span. Runs on the freshly
+     * highlighted DOM, so the text (and the cursor offset) is unchanged.
+     */
+    renderDiagnostics() {
+        const text = this.codeElement.textContent;
+        this.diagnostics = this.validate ? this.validate(text) : [];
+        if (this.diagnostics.length === 0) {
+            return;
+        }
+
+        const lineStarts = this.getLineStarts();
+        this.diagnostics.forEach((diagnostic) => {
+            const lineStart = lineStarts[diagnostic.line - 1];
+            if (lineStart === undefined) {
+                return;
+            }
+            const lineEnd = diagnostic.line < lineStarts.length ? lineStarts[diagnostic.line] - 1 : text.length;
+            // Errors at the end of the line underline its last character.
+            const start = Math.min(lineStart + diagnostic.column - 1, Math.max(lineStart, lineEnd - 1));
+            const end = Math.max(start + 1, Math.min(lineStart + diagnostic.endColumn - 1, lineEnd));
+            this.wrapRange(start, end, diagnostic);
+        });
+    }
+
+    /**
+     * Character offset of each line start in the editor text.
+     *
+     * @returns {number[]}
+     */
+    getLineStarts() {
+        const text = this.codeElement.textContent;
+        const lineStarts = [0];
+        for (let index = 0; index < text.length; index += 1) {
+            if (text[index] === '\n') {
+                lineStarts.push(index + 1);
+            }
+        }
+        return lineStarts;
+    }
+
+    /**
+     * DOM range over the characters [start, end) of the editor text.
+     *
+     * @param {number} start
+     * @param {number} end
+     * @returns {Range | null}
+     */
+    createTextRange(start, end) {
+        const walker = document.createTreeWalker(this.codeElement, NodeFilter.SHOW_TEXT);
+        const range = document.createRange();
+        let offset = 0;
+        let started = false;
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            const length = node.textContent.length;
+            if (!started && offset + length >= start) {
+                range.setStart(node, start - offset);
+                started = true;
+            }
+            if (started && offset + length >= end) {
+                range.setEnd(node, end - offset);
+                return range;
+            }
+            offset += length;
+        }
+        return null;
+    }
+
+    /**
+     * Show gutter markers, one per line; several markers on a line are merged
+     * into one with the most severe level and all messages.
+     *
+     * @param {Array<{ line: number, severity: 'error' | 'warning', message: string }>} markers
+     */
+    setMarkers(markers) {
+        this.markers = markers;
+        this.renderMarkers();
+    }
+
+    /**
+     * Shade whole lines (1-based); an empty list clears them.
+     *
+     * @param {number[]} lines
+     */
+    setLineHighlights(lines) {
+        this.highlightedLines = lines;
+        this.renderLineHighlights();
+    }
+
+    renderLineDecorations() {
+        this.renderMarkers();
+        this.renderLineHighlights();
+    }
+
+    /**
+     * Vertical extent of a line (1-based), including wrapped rows, relative to
+     * the top of the scrolled content; null for lines past the end.
+     *
+     * @param {number} line
+     * @returns {{ top: number, height: number } | null}
+     */
+    measureLine(line) {
+        const text = this.codeElement.textContent;
+        const lineStarts = this.getLineStarts();
+        const lineStart = lineStarts[line - 1];
+        if (lineStart === undefined) {
+            return null;
+        }
+        const lineEnd = line < lineStarts.length ? lineStarts[line] - 1 : text.length;
+        // An empty line is measured by its newline character.
+        const range = this.createTextRange(lineStart, Math.min(Math.max(lineEnd, lineStart + 1), text.length));
+        const rect = range?.getBoundingClientRect();
+        if (!rect || (rect.height === 0 && rect.width === 0)) {
+            return null;
+        }
+        const preTop = this.preElement.getBoundingClientRect().top - this.preElement.scrollTop;
+        return { top: rect.top - preTop, height: rect.height };
+    }
+
+    renderLineHighlights() {
+        const bands = this.highlightedLines.map((line) => this.measureLine(line)).filter(Boolean).map(({ top, height }) => {
+            const band = document.createElement('div');
+            band.className = 'prism-editor-line-highlight';
+            band.style.top = `${top}px`;
+            band.style.height = `${height}px`;
+            return band;
+        });
+        this.lineHighlightElement.replaceChildren(...bands);
+    }
+
+    renderMarkers() {
+        this.gutterElement.replaceChildren();
+        if (this.markers.length === 0) {
+            return;
+        }
+
+        const byLine = new Map();
+        this.markers.forEach((marker) => {
+            const existing = byLine.get(marker.line);
+            byLine.set(marker.line, existing
+                ? { severity: existing.severity === 'error' ? 'error' : marker.severity, messages: [...existing.messages, marker.message] }
+                : { severity: marker.severity, messages: [marker.message] });
+        });
+
+        byLine.forEach(({ severity, messages }, line) => {
+            const extent = this.measureLine(line);
+            if (!extent) {
+                return;
+            }
+            const marker = document.createElement('span');
+            marker.className = `prism-editor-marker prism-editor-marker-${severity}`;
+            marker.title = messages.join('\n');
+            marker.style.top = `${extent.top}px`;
+            marker.style.height = `${extent.height}px`;
+            this.gutterElement.appendChild(marker);
+        });
+    }
+
+    /**
+     * Scroll a line (1-based) into view without moving focus or the cursor.
+     *
+     * @param {number} line
+     */
+    scrollToLine(line) {
+        const extent = this.measureLine(line);
+        if (!extent) {
+            return;
+        }
+        this.container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        const visibleTop = this.preElement.scrollTop;
+        if (extent.top < visibleTop || extent.top + extent.height > visibleTop + this.preElement.clientHeight) {
+            this.preElement.scrollTop = extent.top - this.preElement.clientHeight / 2;
+        }
+    }
+
+    /**
+     * Focus the editor with the cursor at a 1-based line and column, scrolling
+     * it into view.
+     *
+     * @param {number} line
+     * @param {number} [column]
+     */
+    revealPosition(line, column = 1) {
+        const lineStarts = this.getLineStarts();
+        const lineStart = lineStarts[Math.min(line, lineStarts.length) - 1];
+        const lineEnd = line < lineStarts.length ? lineStarts[line] - 1 : this.codeElement.textContent.length;
+        const offset = Math.min(lineStart + column - 1, lineEnd);
+
+        this.container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        this.codeElement.focus();
+        this.setCursorOffset(offset);
+
+        const range = this.createTextRange(offset, offset);
+        const rect = range?.getBoundingClientRect();
+        const preRect = this.preElement.getBoundingClientRect();
+        if (rect && (rect.top < preRect.top || rect.bottom > preRect.bottom)) {
+            this.preElement.scrollTop += rect.top - preRect.top - preRect.height / 2;
+        }
+    }
+
+    /**
+     * Viewport rectangle of the cursor position at a text offset.
+     *
+     * @param {number} offset
+     * @returns {DOMRect | null}
+     */
+    getCaretRect(offset) {
+        const collapsed = this.createTextRange(offset, offset)?.getClientRects()[0];
+        if (collapsed) {
+            return collapsed;
+        }
+        // Collapsed ranges after a line break have no rect; use the previous character.
+        const previous = offset > 0 ? this.createTextRange(offset - 1, offset)?.getBoundingClientRect() : null;
+        return previous ? new DOMRect(previous.right, previous.top, 0, previous.height) : null;
+    }
+
+    /**
+     * Text offset under a viewport point, or null.
+     *
+     * @param {number} x
+     * @param {number} y
+     * @returns {number | null}
+     */
+    getOffsetFromPoint(x, y) {
+        let node = null;
+        let nodeOffset = 0;
+        if (document.caretPositionFromPoint) {
+            const position = document.caretPositionFromPoint(x, y);
+            node = position?.offsetNode;
+            nodeOffset = position?.offset ?? 0;
+        } else if (document.caretRangeFromPoint) {
+            const range = document.caretRangeFromPoint(x, y);
+            node = range?.startContainer;
+            nodeOffset = range?.startOffset ?? 0;
+        }
+        if (!node || !this.codeElement.contains(node)) {
+            return null;
+        }
+        const range = document.createRange();
+        range.selectNodeContents(this.codeElement);
+        range.setEnd(node, nodeOffset);
+        return range.toString().length;
+    }
+
+    updateCompletion() {
+        const offset = this.getCursorOffset();
+        const result = this.complete && offset !== null ? this.complete(this.value, offset) : null;
+        if (!result || result.items.length === 0) {
+            this.closeCompletion();
+            return;
+        }
+
+        const selected = this.completion
+            ? Math.max(0, result.items.findIndex((item) => item.label === this.completion.items[this.completion.selected]?.label))
+            : 0;
+        this.completion = { from: result.from, items: result.items.slice(0, 50), selected };
+        this.renderCompletion();
+
+        const caret = this.getCaretRect(offset);
+        if (caret) {
+            const containerRect = this.container.getBoundingClientRect();
+            this.completionElement.style.left = `${caret.left - containerRect.left}px`;
+            this.completionElement.style.top = `${caret.bottom - containerRect.top + 2}px`;
+        }
+    }
+
+    renderCompletion() {
+        const items = this.completion.items.map((item, index) => {
+            const option = document.createElement('li');
+            option.className = `prism-editor-completion${index === this.completion.selected ? ' is-selected' : ''}`;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', String(index === this.completion.selected));
+            option.dataset.index = String(index);
+
+            const label = document.createElement('span');
+            label.className = 'prism-editor-completion-label';
+            label.textContent = item.label;
+            const detail = document.createElement('span');
+            detail.className = 'prism-editor-completion-detail';
+            detail.textContent = item.detail || '';
+            option.append(label, detail);
+            return option;
+        });
+        this.completionElement.replaceChildren(...items);
+        this.completionElement.hidden = false;
+        this.completionElement.children[this.completion.selected]?.scrollIntoView({ block: 'nearest' });
+    }
+
+    closeCompletion() {
+        this.completion = null;
+        this.completionElement.hidden = true;
+    }
+
+    /**
+     * Arrow keys, Enter/Tab and Escape while the completion list is open.
+     *
+     * @param {KeyboardEvent} event
+     * @returns {boolean} Whether the key was handled
+     */
+    handleCompletionKey(event) {
+        if (!this.completion) {
+            return false;
+        }
+        const count = this.completion.items.length;
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            this.completion.selected = (this.completion.selected + (event.key === 'ArrowDown' ? 1 : count - 1)) % count;
+            this.renderCompletion();
+        } else if (event.key === 'Enter' || event.key === 'Tab') {
+            this.acceptCompletion(this.completion.selected);
+        } else if (event.key === 'Escape') {
+            this.closeCompletion();
+        } else {
+            return false;
+        }
+        event.preventDefault();
+        return true;
+    }
+
+    /**
+     * Replace the typed prefix with a completion item, through the editing
+     * commands so undo and the input listeners work as for typing.
+     *
+     * @param {number} index
+     */
+    acceptCompletion(index) {
+        const item = this.completion?.items[index];
+        const offset = this.getCursorOffset();
+        const range = item && offset !== null ? this.createTextRange(this.completion.from, offset) : null;
+        this.closeCompletion();
+        if (!range) {
+            return;
+        }
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+        document.execCommand('insertText', false, item.label);
+        this.closeCompletion();
+    }
+
+    /**
+     * @param {MouseEvent} event
+     */
+    updateHover(event) {
+        const offset = this.hover ? this.getOffsetFromPoint(event.clientX, event.clientY) : null;
+        const text = offset !== null ? this.hover(this.value, offset) : null;
+        this.codeElement.classList.toggle('prism-editor-link', Boolean(text && this.onDefinition && (event.ctrlKey || event.metaKey)));
+        if (!text || this.completion) {
+            this.hideHover();
+            return;
+        }
+        const containerRect = this.container.getBoundingClientRect();
+        this.hoverElement.textContent = text;
+        this.hoverElement.style.left = `${event.clientX - containerRect.left + 8}px`;
+        this.hoverElement.style.top = `${event.clientY - containerRect.top + 16}px`;
+        this.hoverElement.hidden = false;
+    }
+
+    hideHover() {
+        this.hoverElement.hidden = true;
+        this.codeElement.classList.remove('prism-editor-link');
+    }
+
+    wrapRange(start, end, diagnostic) {
+        const walker = document.createTreeWalker(this.codeElement, NodeFilter.SHOW_TEXT);
+        const segments = [];
+        let offset = 0;
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            const length = node.textContent.length;
+            if (offset + length > start && offset < end) {
+                segments.push({ node, from: Math.max(start - offset, 0), to: Math.min(end - offset, length) });
+            }
+            offset += length;
+        }
+
+        segments.forEach(({ node, from, to }) => {
+            const middle = /** @type {Text} */ (node).splitText(from);
+            middle.splitText(to - from);
+            const mark = document.createElement('span');
+            mark.className = `waba-diagnostic waba-diagnostic-${diagnostic.severity}`;
+            mark.title = diagnostic.message;
+            middle.parentNode.replaceChild(mark, middle);
+            mark.appendChild(middle);
+        });
+    }
+
     getCursorOffset() {
         const selection = window.getSelection();
         if (!selection || selection.rangeCount === 0) {
@@ -75,6 +565,10 @@ export class PrismEditor {
         }
 
         const range = selection.getRangeAt(0);
+        // Programmatic updates of an editor without focus must not move the cursor into it.
+        if (!this.codeElement.contains(range.endContainer)) {
+            return null;
+        }
         const preRange = range.cloneRange();
         preRange.selectNodeContents(this.codeElement);
         preRange.setEnd(range.endContainer, range.endOffset);
@@ -123,6 +617,11 @@ export class PrismEditor {
         return this.codeElement.textContent;
     }
 
+    /** Container style, so the editor can be shown and hidden like the textarea it replaces. */
+    get style() {
+        return this.container.style;
+    }
+
     set value(text) {
         this.codeElement.textContent = text;
         this.highlight();
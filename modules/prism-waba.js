@@ -1,37 +1,44 @@
+import { WABA_TOKEN_SOURCES } from '../runtime/waba-syntax.js?v=20260315-1';
+
+const { atom, arrow, comment, number } = WABA_TOKEN_SOURCES;
+
 /**
- * Prism.js language definition for the WABA simple editor.
+ * Prism.js language definition for the WABA simple editor, built from the
+ * token patterns of the `.waba` parser so highlighting and parsing agree.
  */
-(function registerWabaLanguage(Prism) {
-    Prism.languages.waba = {
-        comment: {
-            pattern: /%.*$/m,
-            greedy: true
-        },
-        rule: {
-            pattern: /([a-z_][a-z0-9_]*)\s*<-/i,
-            inside: {
-                atom: /^[a-z_][a-z0-9_]*/i,
-                arrow: /<-/
-            }
-        },
-        contrary: {
-            pattern: /\([^)]+\)/,
-            inside: {
-                punctuation: /[(),]/,
-                atom: /[a-z_][a-z0-9_]*/i
-            }
-        },
-        weight: {
-            pattern: /([a-z_][a-z0-9_]*)\s*:\s*(\d+)/i,
-            inside: {
-                atom: /^[a-z_][a-z0-9_]*/i,
-                punctuation: /:/,
-                number: /\d+/
-            }
-        },
-        atom: /\b[a-z_][a-z0-9_]*\b/i,
-        number: /\b\d+\b/,
-        punctuation: /[(){},;:]/,
-        operator: /<-/
-    };
-}(Prism));
+export const WABA_GRAMMAR = {
+    comment: {
+        pattern: new RegExp(comment),
+        greedy: true
+    },
+    rule: {
+        pattern: new RegExp(`${atom}\\s*(?:${arrow})`),
+        inside: {
+            atom: new RegExp(`^${atom}`),
+            arrow: new RegExp(arrow)
+        }
+    },
+    contrary: {
+        pattern: new RegExp(`\\(\\s*${atom}\\s*,\\s*${atom}\\s*\\)|${atom}\\s*:\\s*${atom}`),
+        inside: {
+            punctuation: /[(),:]/,
+            atom: new RegExp(atom)
+        }
+    },
+    weight: {
+        pattern: new RegExp(`${atom}\\s*:\\s*${number}`),
+        inside: {
+            atom: new RegExp(`^${atom}`),
+            punctuation: /:/,
+            number: new RegExp(number)
+        }
+    },
+    atom: new RegExp(`\\b${atom}\\b`),
+    number: new RegExp(`\\b${number}\\b`),
+    punctuation: new RegExp(WABA_TOKEN_SOURCES.punctuation),
+    operator: new RegExp(arrow)
+};
+
+if (typeof Prism !== 'undefined') {
+    Prism.languages.waba = WABA_GRAMMAR;
+}
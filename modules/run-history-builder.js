@@ -0,0 +1,54 @@
+import { describeConfig } from '../runtime/config-compare.js?v=20260315-1';
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Run history of a workspace, newest first. Rows carry `data-run-id`; the
+ * checkboxes pick two runs to compare.
+ *
+ * @param {import('../core/types.js').RunRecord[]} runs
+ * @returns {string}
+ */
+export function buildRunHistoryHtml(runs) {
+    if (runs.length === 0) {
+        return '<div class="info-message">No runs recorded in this workspace yet. Runs are added here as you run WABA.</div>';
+    }
+
+    const rows = runs.map((run) => `
+        <tr data-run-id="${run.id}">
+            <td><input type="checkbox" class="run-history-select" data-run-id="${run.id}" aria-label="Select run for comparison"></td>
+            <td>${escapeHtml(new Date(run.createdAt).toLocaleString())}</td>
+            <td><code>${escapeHtml(describeConfig(run.effectiveConfig))}</code></td>
+            <td>${escapeHtml(run.result)}</td>
+            <td class="metric-num">${run.ranked.length}</td>
+            <td class="metric-num">${escapeHtml(run.elapsed)}s</td>
+            <td>
+                <button type="button" class="compare-highlight-btn" data-action="open" data-run-id="${run.id}" title="Show this run in the output panel">Open</button>
+                <button type="button" class="compare-highlight-btn" data-action="delete" data-run-id="${run.id}" title="Delete this run from the history">Delete</button>
+            </td>
+        </tr>`).join('');
+
+    return `
+        <div class="metrics-table-container">
+            <table class="metrics-table run-history-table">
+                <thead><tr>
+                    <th title="Pick two runs to compare">Compare</th>
+                    <th>When</th>
+                    <th>Configuration</th>
+                    <th>Result</th>
+                    <th>Extensions</th>
+                    <th>Time</th>
+                    <th></th>
+                </tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        <button type="button" class="analysis-action-btn analysis-action-btn-secondary run-history-compare-btn" disabled>⚖️ Compare Selected Runs</button>`;
+}
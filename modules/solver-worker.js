@@ -0,0 +1,78 @@
+/**
+ * SolverWorker - Owns the dedicated clingo-wasm Web Worker.
+ *
+ * The worker script (`modules/clingo-stream-worker.js` around the vendored
+ * `dist/clingo.web.worker.js`) answers one message at a time: `{ type: 'init', wasmUrl }`
+ * replies with `null`, `{ type: 'run', args }` replies with the clingo JSON result.
+ * While a run searches, it may post `{ type: 'witness', witness }` for each model
+ * found, which goes to the run's `onWitness`. Callers are expected to serialize runs
+ * (see `ClingoManager.enqueueSolver`); this class only adds termination and restart.
+ */
+export class SolverWorker {
+    constructor(workerUrl, wasmUrl) {
+        this.workerUrl = workerUrl;
+        this.wasmUrl = wasmUrl;
+        this.worker = null;
+        this.ready = null;
+        this.pending = null;
+    }
+
+    start() {
+        this.worker = new Worker(this.workerUrl);
+        this.worker.addEventListener('message', (event) => {
+            if (event.data?.type === 'witness') {
+                this.pending?.onWitness?.(event.data.witness);
+                return;
+            }
+            this.settle('resolve', event.data);
+        });
+        this.worker.addEventListener('error', (event) => {
+            event.preventDefault();
+            this.settle('reject', new Error(event.message || 'Clingo worker failed.'));
+        });
+        this.ready = this.post({ type: 'init', wasmUrl: this.wasmUrl });
+        // A restart can reject an init nobody awaits yet; run() still observes it.
+        this.ready.catch(() => undefined);
+        return this.ready;
+    }
+
+    async run(program, numModels = 0, args = [], onWitness = null) {
+        await this.ready;
+        return this.post({ type: 'run', args: [program, numModels, args] }, onWitness);
+    }
+
+    /**
+     * Stop the current search immediately. Any in-flight request is rejected.
+     */
+    terminate(reason = new Error('Clingo worker terminated.')) {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.settle('reject', reason);
+    }
+
+    restart(reason) {
+        this.terminate(reason);
+        return this.start();
+    }
+
+    post(message, onWitness = null) {
+        return new Promise((resolve, reject) => {
+            if (!this.worker) {
+                reject(new Error('Clingo worker is not running.'));
+                return;
+            }
+            this.pending = { resolve, reject, onWitness };
+            this.worker.postMessage(message);
+        });
+    }
+
+    settle(outcome, value) {
+        const pending = this.pending;
+        this.pending = null;
+        if (pending) {
+            pending[outcome](value);
+        }
+    }
+}
@@ -0,0 +1,124 @@
+import { displayValue } from '../runtime/objective-utils.js?v=20260315-1';
+
+const WIDTH = 640;
+const HEIGHT = 260;
+const MARGIN = { top: 16, right: 52, bottom: 40, left: 44 };
+const MAX_X_LABELS = 10;
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Chart of a β sweep: extension count as bars (left axis), best objective as a
+ * line (right axis; infinite aggregates are left out), and dashed markers at the
+ * β values where the set of extensions changes.
+ *
+ * @param {import('../core/types.js').SweepPoint[]} points
+ * @returns {string}
+ */
+export function buildSweepChartSvg(points) {
+    if (points.length === 0) {
+        return '';
+    }
+
+    const innerWidth = WIDTH - MARGIN.left - MARGIN.right;
+    const innerHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const band = innerWidth / points.length;
+    const xCenter = (index) => MARGIN.left + band * (index + 0.5);
+    const bottom = MARGIN.top + innerHeight;
+
+    const maxCount = Math.max(1, ...points.map((point) => point.extensionCount));
+    const countY = (count) => bottom - (count / maxCount) * innerHeight;
+
+    const objectives = points
+        .map((point, index) => ({ index, value: point.bestObjective }))
+        .filter((entry) => typeof entry.value === 'number' && Number.isFinite(entry.value));
+    const minObjective = Math.min(...objectives.map((entry) => entry.value));
+    const maxObjective = Math.max(...objectives.map((entry) => entry.value));
+    const objectiveSpan = maxObjective - minObjective || 1;
+    const objectiveY = (value) => bottom - ((value - minObjective) / objectiveSpan) * innerHeight;
+
+    const barWidth = Math.max(1, band * 0.6);
+    const bars = points.map((point, index) => {
+        const y = countY(point.extensionCount);
+        return `<rect class="sweep-bar" x="${round(xCenter(index) - barWidth / 2)}" y="${round(y)}" width="${round(barWidth)}" height="${round(bottom - y)}"><title>β = ${point.beta}: ${point.extensionCount} extension(s)</title></rect>`;
+    });
+
+    const changes = points
+        .map((point, index) => (point.changed
+            ? `<line class="sweep-change" x1="${round(xCenter(index) - band / 2)}" x2="${round(xCenter(index) - band / 2)}" y1="${MARGIN.top}" y2="${bottom}"><title>Extensions change at β = ${point.beta}</title></line>`
+            : ''))
+        .filter(Boolean);
+
+    const line = objectives.length > 1
+        ? `<polyline class="sweep-line" points="${objectives.map((entry) => `${round(xCenter(entry.index))},${round(objectiveY(entry.value))}`).join(' ')}"/>`
+        : '';
+    const dots = objectives.map((entry) => `<circle class="sweep-dot" cx="${round(xCenter(entry.index))}" cy="${round(objectiveY(entry.value))}" r="3"><title>β = ${points[entry.index].beta}: best objective ${entry.value}</title></circle>`);
+
+    const labelEvery = Math.ceil(points.length / MAX_X_LABELS);
+    const xLabels = points
+        .map((point, index) => (index % labelEvery === 0
+            ? `<text class="sweep-axis-label" x="${round(xCenter(index))}" y="${bottom + 16}" text-anchor="middle">${point.beta}</text>`
+            : ''))
+        .filter(Boolean);
+
+    const axes = [
+        `<line class="sweep-axis" x1="${MARGIN.left}" x2="${WIDTH - MARGIN.right}" y1="${bottom}" y2="${bottom}"/>`,
+        `<line class="sweep-axis" x1="${MARGIN.left}" x2="${MARGIN.left}" y1="${MARGIN.top}" y2="${bottom}"/>`,
+        `<text class="sweep-axis-label" x="${MARGIN.left - 6}" y="${bottom}" text-anchor="end">0</text>`,
+        `<text class="sweep-axis-label" x="${MARGIN.left - 6}" y="${MARGIN.top + 4}" text-anchor="end">${maxCount}</text>`,
+        `<text class="sweep-axis-title" x="${WIDTH / 2}" y="${HEIGHT - 4}" text-anchor="middle">β</text>`
+    ];
+    if (objectives.length > 0) {
+        axes.push(
+            `<line class="sweep-axis" x1="${WIDTH - MARGIN.right}" x2="${WIDTH - MARGIN.right}" y1="${MARGIN.top}" y2="${bottom}"/>`,
+            `<text class="sweep-axis-label sweep-objective-label" x="${WIDTH - MARGIN.right + 6}" y="${bottom}">${escapeHtml(displayValue(minObjective))}</text>`,
+            `<text class="sweep-axis-label sweep-objective-label" x="${WIDTH - MARGIN.right + 6}" y="${MARGIN.top + 4}">${escapeHtml(displayValue(maxObjective))}</text>`
+        );
+    }
+
+    return `<svg class="sweep-chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="Extensions and best objective per β">
+${[...axes, ...xLabels, ...bars, ...changes, line, ...dots].filter(Boolean).join('\n')}
+</svg>`;
+}
+
+/**
+ * Table of a β sweep; rows where the set of extensions changes are marked.
+ *
+ * @param {import('../core/types.js').SweepPoint[]} points
+ * @returns {string}
+ */
+export function buildSweepTableHtml(points) {
+    const rows = points.map((point) => `
+        <tr class="${point.changed ? 'sweep-changed' : ''}">
+            <td class="metric-num">${point.beta}</td>
+            <td>${escapeHtml(point.result)}</td>
+            <td class="metric-num">${point.extensionCount}</td>
+            <td class="metric-num">${point.bestObjective !== null ? escapeHtml(displayValue(point.bestObjective)) : '–'}</td>
+            <td>${point.changed ? '<span class="analysis-rank-badge">changed</span>' : ''}${point.extensionSets.length > 0 ? escapeHtml(point.extensionSets.join(' ')) : '–'}</td>
+        </tr>`).join('');
+
+    return `
+        <div class="metrics-table-container">
+            <table class="metrics-table sweep-table">
+                <thead><tr>
+                    <th>β</th>
+                    <th>Result</th>
+                    <th>Extensions</th>
+                    <th title="Aggregate of the best-ranked extension under the active objective">Best Objective</th>
+                    <th>Extension Sets</th>
+                </tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>`;
+}
@@ -0,0 +1,136 @@
+import { selectRunsToPrune } from '../runtime/workspace-records.js?v=20260315-1';
+
+const DB_NAME = 'waba-playground';
+const DB_VERSION = 1;
+const WORKSPACES = 'workspaces';
+const RUNS = 'runs';
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve(undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted.'));
+    });
+}
+
+/**
+ * WorkspaceStore - IndexedDB persistence for named workspaces and their run history.
+ * Workspaces are keyed by name; runs are auto-numbered and indexed by workspace.
+ */
+export class WorkspaceStore {
+    constructor(factory = globalThis.indexedDB) {
+        this.factory = factory;
+        this.dbPromise = null;
+    }
+
+    get available() {
+        return Boolean(this.factory);
+    }
+
+    open() {
+        if (!this.available) {
+            return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+        }
+        if (!this.dbPromise) {
+            const request = this.factory.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore(WORKSPACES, { keyPath: 'name' });
+                const runs = db.createObjectStore(RUNS, { keyPath: 'id', autoIncrement: true });
+                runs.createIndex('workspace', 'workspace');
+            };
+            this.dbPromise = requestToPromise(request).catch((error) => {
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * @returns {Promise<import('../core/types.js').WorkspaceRecord[]>} Most recently saved first
+     */
+    async listWorkspaces() {
+        const db = await this.open();
+        const workspaces = await requestToPromise(db.transaction(WORKSPACES).objectStore(WORKSPACES).getAll());
+        return workspaces.sort((left, right) => right.updatedAt - left.updatedAt);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<import('../core/types.js').WorkspaceRecord | undefined>}
+     */
+    async getWorkspace(name) {
+        const db = await this.open();
+        return requestToPromise(db.transaction(WORKSPACES).objectStore(WORKSPACES).get(name));
+    }
+
+    /**
+     * @param {import('../core/types.js').WorkspaceRecord} record
+     */
+    async saveWorkspace(record) {
+        const db = await this.open();
+        const transaction = db.transaction(WORKSPACES, 'readwrite');
+        transaction.objectStore(WORKSPACES).put(record);
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Delete a workspace together with its run history.
+     *
+     * @param {string} name
+     */
+    async deleteWorkspace(name) {
+        const db = await this.open();
+        const transaction = db.transaction([WORKSPACES, RUNS], 'readwrite');
+        transaction.objectStore(WORKSPACES).delete(name);
+        const runs = transaction.objectStore(RUNS);
+        const keys = await requestToPromise(runs.index('workspace').getAllKeys(name));
+        keys.forEach((key) => runs.delete(key));
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Add a run and drop the workspace's oldest runs beyond the history limit.
+     *
+     * @param {import('../core/types.js').RunRecord} record
+     * @returns {Promise<number>} Id of the stored run
+     */
+    async addRun(record) {
+        const db = await this.open();
+        const transaction = db.transaction(RUNS, 'readwrite');
+        const runs = transaction.objectStore(RUNS);
+        const id = await requestToPromise(runs.add(record));
+        const existing = await requestToPromise(runs.index('workspace').getAll(record.workspace));
+        selectRunsToPrune(existing).forEach((staleId) => runs.delete(staleId));
+        await transactionDone(transaction);
+        return id;
+    }
+
+    /**
+     * @param {string} workspace
+     * @returns {Promise<import('../core/types.js').RunRecord[]>} Newest first
+     */
+    async listRuns(workspace) {
+        const db = await this.open();
+        const runs = await requestToPromise(db.transaction(RUNS).objectStore(RUNS).index('workspace').getAll(workspace));
+        return runs.sort((left, right) => right.createdAt - left.createdAt);
+    }
+
+    /**
+     * @param {number} id
+     */
+    async deleteRun(id) {
+        const db = await this.open();
+        const transaction = db.transaction(RUNS, 'readwrite');
+        transaction.objectStore(RUNS).delete(id);
+        await transactionDone(transaction);
+    }
+}
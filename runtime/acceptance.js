@@ -0,0 +1,145 @@
+import { buildProgram, buildSolverArgs } from './program-builder.js?v=20260315-1';
+import { assertSolverResult, isSubsetSemantics, runSubsetSemantics } from './subset-semantics.js?v=20260315-1';
+
+const QUERY_ATOM = 'query_accepted';
+const ATOM_PATTERN = /^[a-z][A-Za-z0-9_]*(\([A-Za-z0-9_, ]*\))?$/;
+
+/**
+ * Rules that derive `query_accepted` when the queried atom is supported by the
+ * extension (for assumptions: when it is `in`).
+ *
+ * @param {string} atom
+ * @returns {string}
+ */
+export function buildQueryRules(atom) {
+    if (!ATOM_PATTERN.test(atom)) {
+        throw new Error(`"${atom}" is not a valid atom.`);
+    }
+    return [
+        '%% Acceptance query',
+        `${QUERY_ATOM} :- supported(${atom}).`,
+        `#show ${QUERY_ATOM}/0.`
+    ].join('\n');
+}
+
+/**
+ * @param {{ Value?: string[] } | null | undefined} witness
+ * @returns {boolean}
+ */
+export function hasQueryAtom(witness) {
+    return (witness?.Value || []).includes(QUERY_ATOM);
+}
+
+/**
+ * @template {{ Value?: string[] }} T
+ * @param {T | null | undefined} witness
+ * @returns {T | null}
+ */
+export function stripQueryAtom(witness) {
+    if (!witness) {
+        return null;
+    }
+    return {
+        ...witness,
+        Value: (witness.Value || []).filter((predicate) => predicate !== QUERY_ATOM)
+    };
+}
+
+/**
+ * The witness holding the consequences of a brave/cautious run. Under optimization
+ * clingo first reports the improving models, so take the last one.
+ *
+ * @param {any} result
+ */
+function getConsequences(result) {
+    const witnesses = result.Call?.[0]?.Witnesses || [];
+    return witnesses[witnesses.length - 1];
+}
+
+async function queryDirect(framework, config, atom, solve) {
+    const program = `${buildProgram(framework, config)}${buildQueryRules(atom)}\n`;
+    const args = buildSolverArgs(config);
+    const consequences = async (mode) => {
+        const result = await solve(program, 0, [...args, `--enum-mode=${mode}`]);
+        assertSolverResult(result);
+        return result;
+    };
+    // Any extension satisfying the constraint. When the consequences say one exists
+    // among the (optimal) extensions, the constrained optimum equals the global one.
+    const findExtension = async (constraint) => {
+        const result = await solve(`${program}${constraint}\n`, 1, args);
+        assertSolverResult(result);
+        const witnesses = result.Call?.[0]?.Witnesses || [];
+        return stripQueryAtom(witnesses[witnesses.length - 1]);
+    };
+
+    const brave = await consequences('brave');
+    if (brave.Result === 'UNSATISFIABLE') {
+        return { hasExtensions: false, credulous: { accepted: false, witness: null }, sceptical: { accepted: true, witness: null } };
+    }
+
+    if (!hasQueryAtom(getConsequences(brave))) {
+        return {
+            hasExtensions: true,
+            credulous: { accepted: false, witness: null },
+            sceptical: { accepted: false, witness: await findExtension(`:- ${QUERY_ATOM}.`) }
+        };
+    }
+
+    const credulousWitness = await findExtension(`:- not ${QUERY_ATOM}.`);
+    const cautious = await consequences('cautious');
+    const scepticallyAccepted = hasQueryAtom(getConsequences(cautious));
+    return {
+        hasExtensions: true,
+        credulous: { accepted: true, witness: credulousWitness },
+        sceptical: {
+            accepted: scepticallyAccepted,
+            witness: scepticallyAccepted ? null : await findExtension(`:- ${QUERY_ATOM}.`)
+        }
+    };
+}
+
+async function queryByEnumeration(framework, config, atom, solve, onLog) {
+    const result = await runSubsetSemantics(framework, { ...config, numModels: 0 }, {
+        solve,
+        onLog,
+        candidateExtras: buildQueryRules(atom)
+    });
+    const extensions = result.Call?.[0]?.Witnesses || [];
+    const witness = extensions.find((extension) => hasQueryAtom(extension));
+    const counterexample = extensions.find((extension) => !hasQueryAtom(extension));
+    return {
+        hasExtensions: extensions.length > 0,
+        credulous: { accepted: Boolean(witness), witness: stripQueryAtom(witness) },
+        sceptical: { accepted: !counterexample, witness: stripQueryAtom(counterexample) }
+    };
+}
+
+/**
+ * Credulous and sceptical acceptance of one atom under the given config.
+ * Direct semantics use clingo's brave/cautious consequences plus at most one call
+ * for the witnessing extension (credulous) or counterexample (sceptical).
+ * Post-filtered semantics have no single program to reason over, so their exact
+ * extensions are enumerated and checked.
+ *
+ * @param {string} framework
+ * @param {import('../core/types.js').EffectiveConfig} config
+ * @param {string} atom
+ * @param {{
+ *   solve: (program: string, numModels: number, args: string[]) => Promise<any>,
+ *   onLog?: (message: string, type?: string) => void
+ * }} options
+ * @returns {Promise<import('../core/types.js').AcceptanceOutcome>}
+ */
+export async function queryAcceptance(framework, config, atom, { solve, onLog = () => {} }) {
+    const enumerate = isSubsetSemantics(config.semantics);
+    const outcome = enumerate
+        ? await queryByEnumeration(framework, config, atom, solve, onLog)
+        : await queryDirect(framework, config, atom, solve);
+    return {
+        atom,
+        semantics: config.semantics,
+        method: enumerate ? 'enumeration' : 'consequences',
+        ...outcome
+    };
+}
@@ -0,0 +1,209 @@
+import { parseAnswerSet } from './answer-set-parser.js?v=20260315-1';
+import { getCoreModule, getDefaultPolicyModule, getSemiringModule } from './program-builder.js?v=20260315-1';
+import { assertSolverResult } from './subset-semantics.js?v=20260315-1';
+
+/**
+ * Attack provenance: why an assumption is out. The core keys attacks by the
+ * seed set of their contrary's support (`supported_with_weight_from/3` in
+ * `core/base.lp`), which does not depend on the extension, so one solver call
+ * per run gives every support with the weight the active semiring computed.
+ * The derivation trees are rebuilt from the rules and those supports.
+ */
+
+const SUPPORT_PATTERN = /^supported_with_weight_from\((.+),(-?\d+),([^,()]+)\)$/;
+const SEED_MEMBER_PATTERN = /^seed_member\((-?\d+),(.+)\)$/;
+const DISCARDED_PATTERN = /^discarded_attack\((.+),(.+),([^,()]+)\)$/;
+const STATUS_ORDER = { succeeded: 0, discarded: 1, inactive: 2 };
+
+/**
+ * Framework, core, semiring and default policy only: no semantics, budget or
+ * filter, since supports are computed independently of the extension.
+ *
+ * @param {string} framework
+ * @param {import('../core/types.js').EffectiveConfig} config
+ * @returns {string}
+ */
+export function buildProvenanceProgram(framework, config) {
+    return [
+        '%% Framework',
+        framework.trim(),
+        '',
+        '%% Core',
+        getCoreModule(),
+        '',
+        '%% Ordered semiring',
+        getSemiringModule(config),
+        '',
+        '%% Default policy',
+        getDefaultPolicyModule(config.defaultPolicy),
+        '',
+        '%% Attack provenance',
+        '#show assumption/1.',
+        '#show contrary/2.',
+        '#show head/2.',
+        '#show body/2.',
+        '#show supported_with_weight_from/3.',
+        '#show seed_member/2.'
+    ].join('\n') + '\n';
+}
+
+/**
+ * @param {string[]} predicates
+ * @returns {import('../core/types.js').AttackProvenance}
+ */
+export function parseProvenance(predicates) {
+    const { assumptions, contraries, rules } = parseAnswerSet(predicates);
+    const seedSets = new Map([['0', []]]);
+    predicates.forEach((predicate) => {
+        const match = predicate.match(SEED_MEMBER_PATTERN);
+        if (match) {
+            seedSets.set(match[1], [...(seedSets.get(match[1]) || []), match[2]]);
+        }
+    });
+
+    /** @type {Map<string, Map<string, { seeds: string[], weight: string }>>} */
+    const supports = new Map();
+    predicates.forEach((predicate) => {
+        const match = predicate.match(SUPPORT_PATTERN);
+        if (!match) {
+            return;
+        }
+        const [, atom, seedKey, weight] = match;
+        if (!supports.has(atom)) {
+            supports.set(atom, new Map());
+        }
+        supports.get(atom).set(seedKey, { seeds: [...(seedSets.get(seedKey) || [])].sort(), weight });
+    });
+
+    return { assumptions, contraries, rules, supports };
+}
+
+/**
+ * Pick one support per body atom so that their seed sets are subsets of
+ * `seeds` and together cover it. Returns the chosen seed keys, or null.
+ */
+function matchBody(body, seeds, supports) {
+    const target = new Set(seeds);
+    const pick = (index, covered) => {
+        if (index === body.length) {
+            return covered.size === target.size ? [] : null;
+        }
+        for (const [seedKey, support] of supports.get(body[index]) || []) {
+            if (support.seeds.every((seed) => target.has(seed))) {
+                const rest = pick(index + 1, new Set([...covered, ...support.seeds]));
+                if (rest) {
+                    return [seedKey, ...rest];
+                }
+            }
+        }
+        return null;
+    };
+    return pick(0, new Set());
+}
+
+/**
+ * How `atom` is supported from the seed set `seedKey`: the assumption itself,
+ * a fact, a rule over supported body atoms (recursively), or an explicit
+ * weight on a derived atom.
+ *
+ * @param {import('../core/types.js').AttackProvenance} provenance
+ * @param {string} atom
+ * @param {string} seedKey
+ * @param {Set<string>} [path] supports already being explained, to stop on cycles
+ * @returns {import('../core/types.js').DerivationNode}
+ */
+export function explainSupport(provenance, atom, seedKey, path = new Set()) {
+    const support = provenance.supports.get(atom)?.get(seedKey);
+    const seeds = support?.seeds || [];
+    /** @type {import('../core/types.js').DerivationNode} */
+    const node = { atom, weight: support?.weight ?? null, seeds, via: 'weight', ruleId: null, children: [] };
+
+    if (provenance.assumptions.has(atom) && seeds.length === 1 && seeds[0] === atom) {
+        return { ...node, via: 'assumption' };
+    }
+    const key = `${atom}@${seedKey}`;
+    if (path.has(key)) {
+        return node;
+    }
+
+    const nextPath = new Set([...path, key]);
+    for (const [ruleId, rule] of provenance.rules) {
+        if (rule.head !== atom) {
+            continue;
+        }
+        if (rule.body.length === 0) {
+            if (seeds.length === 0) {
+                return { ...node, via: 'fact', ruleId };
+            }
+            continue;
+        }
+        const bodySeeds = matchBody(rule.body, seeds, provenance.supports);
+        if (bodySeeds) {
+            return {
+                ...node,
+                via: 'rule',
+                ruleId,
+                children: rule.body.map((bodyAtom, index) => explainSupport(provenance, bodyAtom, bodySeeds[index], nextPath))
+            };
+        }
+    }
+    return node;
+}
+
+/**
+ * Every attack on each out assumption of `extension`: the supports of the
+ * contrary, their derivation trees, and whether the attack succeeded, was
+ * discarded, or does not apply because some seed is out. Discards are matched
+ * on contrary, target and weight, which is what `discarded_attack/3` reports.
+ *
+ * @param {import('../core/types.js').AttackProvenance} provenance
+ * @param {Pick<import('../core/types.js').ParsedExtension, 'in' | 'out' | 'discarded'>} extension
+ * @returns {import('../core/types.js').OutExplanation[]}
+ */
+export function explainOutAssumptions(provenance, extension) {
+    const inSet = new Set(extension.in);
+    const discarded = new Set(extension.discarded
+        .map((predicate) => predicate.match(DISCARDED_PATTERN))
+        .filter(Boolean)
+        .map(([, contrary, target, weight]) => `${contrary}|${target}|${weight}`));
+
+    return extension.out.map((assumption) => {
+        const contrary = provenance.contraries.get(assumption) ?? null;
+        const attacks = [...(provenance.supports.get(contrary) || [])].map(([seedKey, support]) => {
+            const missingSeeds = support.seeds.filter((seed) => !inSet.has(seed));
+            /** @type {import('../core/types.js').AttackExplanation['status']} */
+            const status = missingSeeds.length > 0
+                ? 'inactive'
+                : (discarded.has(`${contrary}|${assumption}|${support.weight}`) ? 'discarded' : 'succeeded');
+            return {
+                contrary,
+                target: assumption,
+                seeds: support.seeds,
+                missingSeeds,
+                weight: support.weight,
+                status,
+                derivation: explainSupport(provenance, contrary, seedKey)
+            };
+        });
+        attacks.sort((left, right) => STATUS_ORDER[left.status] - STATUS_ORDER[right.status]);
+        return { assumption, contrary, attacks };
+    });
+}
+
+/**
+ * Run the provenance program once; `solve` is the same injected solver the
+ * other multi-pass analyses use.
+ *
+ * @param {string} framework
+ * @param {import('../core/types.js').EffectiveConfig} config
+ * @param {{ solve: (program: string, numModels: number, args: string[]) => Promise<any> }} deps
+ * @returns {Promise<import('../core/types.js').AttackProvenance>}
+ */
+export async function computeAttackProvenance(framework, config, { solve }) {
+    const result = await solve(buildProvenanceProgram(framework, config), 1, ['--opt-mode=ignore']);
+    assertSolverResult(result);
+    if (result.Result === 'UNSATISFIABLE') {
+        throw new Error('The framework has no supports to explain: the core program is unsatisfiable.');
+    }
+    return parseProvenance(result.Call?.[0]?.Witnesses?.[0]?.Value || []);
+}
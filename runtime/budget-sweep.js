@@ -0,0 +1,87 @@
+import { rankWitnesses } from './extension-ranking.js?v=20260315-1';
+
+export const MAX_SWEEP_POINTS = 200;
+
+/**
+ * β values from `start` to `end` (inclusive) in steps of `step`. β is an integer in
+ * the UI, so all three must be integers.
+ *
+ * @param {number} start
+ * @param {number} end
+ * @param {number} step
+ * @returns {number[]}
+ */
+export function buildSweepValues(start, end, step) {
+    if (![start, end, step].every(Number.isInteger)) {
+        throw new Error('β sweep start, end and step must be integers.');
+    }
+    if (step <= 0) {
+        throw new Error('β sweep step must be positive.');
+    }
+    if (end < start) {
+        throw new Error('β sweep end must not be below its start.');
+    }
+    const count = Math.floor((end - start) / step) + 1;
+    if (count > MAX_SWEEP_POINTS) {
+        throw new Error(`β sweep would run ${count} solves; use a larger step (at most ${MAX_SWEEP_POINTS} values).`);
+    }
+    return Array.from({ length: count }, (_, index) => start + index * step);
+}
+
+/**
+ * Label of an extension by its accepted assumptions, e.g. `{a, b}`.
+ *
+ * @param {import('../core/types.js').ParsedExtension} parsed
+ * @returns {string}
+ */
+export function formatExtensionSet(parsed) {
+    return `{${[...parsed.in].sort().join(', ')}}`;
+}
+
+/**
+ * @param {number} beta
+ * @param {any} result
+ * @param {import('../core/types.js').EffectiveConfig} config
+ * @returns {import('../core/types.js').SweepPoint}
+ */
+export function summarizeSweepPoint(beta, result, config) {
+    const successful = result.Result === 'SATISFIABLE' || result.Result === 'OPTIMUM FOUND';
+    const ranked = successful ? rankWitnesses(result.Call?.[0]?.Witnesses || [], config) : [];
+    return {
+        beta,
+        result: result.Result,
+        extensionCount: ranked.length,
+        bestObjective: ranked.length > 0 ? ranked[0].aggregateValue : null,
+        extensionSets: [...new Set(ranked.map((item) => formatExtensionSet(item.parsed)))].sort(),
+        changed: false
+    };
+}
+
+function sameSets(left, right) {
+    return left.length === right.length && left.every((set, index) => set === right[index]);
+}
+
+/**
+ * Run `runAt(beta)` for every β in order (the solver queue is serial anyway) and
+ * flag the points whose set of extensions differs from the previous β.
+ *
+ * @param {number[]} betas
+ * @param {(beta: number) => Promise<{ result: any, effectiveConfig: import('../core/types.js').EffectiveConfig } | null>} runAt
+ * @param {{ onPoint?: (point: import('../core/types.js').SweepPoint, index: number) => void }} [options]
+ * @returns {Promise<import('../core/types.js').SweepPoint[]>}
+ */
+export async function runBudgetSweep(betas, runAt, { onPoint = () => {} } = {}) {
+    const points = [];
+    for (const beta of betas) {
+        const run = await runAt(beta);
+        if (!run) {
+            break;
+        }
+        const point = summarizeSweepPoint(beta, run.result, run.effectiveConfig);
+        const previous = points[points.length - 1];
+        point.changed = Boolean(previous) && !sameSets(previous.extensionSets, point.extensionSets);
+        points.push(point);
+        onPoint(point, points.length - 1);
+    }
+    return points;
+}
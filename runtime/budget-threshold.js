@@ -0,0 +1,128 @@
+import { NEG_INF, POS_INF, normalizeAggregateValue } from './objective-utils.js?v=20260315-1';
+import { buildProgram } from './program-builder.js?v=20260315-1';
+import { assertSolverResult, enumerateSubsetCandidates, inMembers, isSubsetSemantics, selectSubsetExtensions } from './subset-semantics.js?v=20260315-1';
+
+const BUDGET_VALUE_PATTERN = /^budget_value\((.+)\)$/;
+
+/**
+ * The `budget/1` value that makes the active bound vacuous.
+ *
+ * @param {import('../core/types.js').EffectiveConfig} config
+ */
+export function getRelaxedBudget(config) {
+    return config.budgetMode === 'lb' ? NEG_INF : POS_INF;
+}
+
+function toOrderKey(value) {
+    if (value === POS_INF) {
+        return Infinity;
+    }
+    if (value === NEG_INF) {
+        return -Infinity;
+    }
+    return Number(value);
+}
+
+/**
+ * Order aggregate values from the tightest β to the loosest: ascending for an upper
+ * bound, descending for a lower bound.
+ *
+ * @param {import('../core/types.js').EffectiveConfig} config
+ * @returns {(left: string | number, right: string | number) => number}
+ */
+export function compareThresholds(config) {
+    const direction = config.budgetMode === 'lb' ? -1 : 1;
+    return (left, right) => {
+        const leftKey = toOrderKey(left);
+        const rightKey = toOrderKey(right);
+        // Equal infinities would subtract to NaN
+        return leftKey === rightKey ? 0 : direction * (leftKey - rightKey);
+    };
+}
+
+/**
+ * @param {{ Value?: string[] } | undefined} witness
+ * @returns {string | number | null}
+ */
+export function getWitnessBudgetValue(witness) {
+    const match = (witness?.Value || []).map((predicate) => predicate.match(BUDGET_VALUE_PATTERN)).find(Boolean);
+    return match ? normalizeAggregateValue(match[1]) : null;
+}
+
+/**
+ * Direct semantics: one optimisation per assumption with `in(a)` forced and the
+ * bound lifted; the optimal aggregate is the tightest β that still admits `a`.
+ */
+async function thresholdsByOptimisation(framework, config, assumptions, solve) {
+    const program = buildProgram(framework, {
+        ...config,
+        optimization: config.budgetMode === 'lb' ? 'maximize' : 'minimize'
+    }, {
+        includeObjective: true,
+        budget: getRelaxedBudget(config)
+    });
+
+    const thresholds = new Map();
+    for (const atom of assumptions) {
+        const result = await solve(`${program}:- not in(${atom}).\n`, 0, ['--opt-mode=opt']);
+        assertSolverResult(result);
+        const witnesses = result.Call?.[0]?.Witnesses || [];
+        thresholds.set(atom, result.Result === 'UNSATISFIABLE' ? null : getWitnessBudgetValue(witnesses[witnesses.length - 1]));
+    }
+    return thresholds;
+}
+
+/**
+ * Post-filtered semantics are not monotone in β, so scan instead: enumerate the
+ * candidates once with the bound lifted, then filter the candidates feasible at
+ * each distinct aggregate value, tightest first, until every assumption is placed.
+ */
+async function thresholdsByScan(framework, config, assumptions, solve) {
+    const candidateResult = await enumerateSubsetCandidates(framework, config, {
+        solve,
+        budget: getRelaxedBudget(config)
+    });
+    const candidates = (candidateResult.Call?.[0]?.Witnesses || []).map((witness) => ({
+        witness,
+        value: getWitnessBudgetValue(witness)
+    }));
+    const compare = compareThresholds(config);
+    const values = [...new Set(candidates.map((candidate) => candidate.value))].sort(compare);
+
+    const thresholds = new Map(assumptions.map((atom) => [atom, null]));
+    for (const value of values) {
+        const feasible = candidates
+            .filter((candidate) => compare(candidate.value, value) <= 0)
+            .map((candidate) => candidate.witness);
+        const extensions = await selectSubsetExtensions(config.semantics, feasible, solve);
+        extensions.flatMap(inMembers).forEach((atom) => {
+            if (thresholds.has(atom) && thresholds.get(atom) === null) {
+                thresholds.set(atom, value);
+            }
+        });
+        if ([...thresholds.values()].every((threshold) => threshold !== null)) {
+            break;
+        }
+    }
+    return thresholds;
+}
+
+/**
+ * β* per assumption: the tightest budget (smallest β for `ub`, largest for `lb`)
+ * under which some extension of the active semantics accepts it, or `null` if none
+ * does at any β. The opt mode is ignored: acceptability, not optimality, counts.
+ *
+ * @param {string} framework
+ * @param {import('../core/types.js').EffectiveConfig} config Bounded config (`ub` or `lb`)
+ * @param {string[]} assumptions
+ * @param {{ solve: (program: string, numModels: number, args: string[]) => Promise<any> }} options
+ * @returns {Promise<Map<string, string | number | null>>}
+ */
+export async function computeBudgetThresholds(framework, config, assumptions, { solve }) {
+    if (config.budgetMode !== 'ub' && config.budgetMode !== 'lb') {
+        throw new Error('β* needs an upper- or lower-bound budget mode.');
+    }
+    return isSubsetSemantics(config.semantics)
+        ? thresholdsByScan(framework, config, assumptions, solve)
+        : thresholdsByOptimisation(framework, config, assumptions, solve);
+}
@@ -0,0 +1,109 @@
+import { formatExtensionSet } from './budget-sweep.js?v=20260315-1';
+import { rankWitnesses } from './extension-ranking.js?v=20260315-1';
+
+/** Config fields shown in the comparison summary, in panel order. */
+export const COMPARED_CONFIG_FIELDS = [
+    ['semiringKey', 'Semiring'],
+    ['defaultPolicy', 'Default policy'],
+    ['abaRecovery', 'ABA recovery'],
+    ['semantics', 'Semantics'],
+    ['monoid', 'Monoid'],
+    ['optimization', 'Optimization'],
+    ['budgetMode', 'Budget mode'],
+    ['beta', 'β'],
+    ['optMode', 'Opt mode']
+];
+
+/**
+ * One-line profile of a configuration, e.g. `godel · legacy · stable · sum + ub (β = 3)`.
+ *
+ * @param {import('../core/types.js').EffectiveConfig} config
+ * @returns {string}
+ */
+export function describeConfig(config) {
+    const budget = config.abaRecovery
+        ? 'ABA recovery'
+        : (config.budgetMode === 'none' ? 'no budget' : `${config.monoid} + ${config.budgetMode} (β = ${config.beta})`);
+    return [config.semiringKey, config.defaultPolicy, config.semantics, budget].join(' · ');
+}
+
+/**
+ * @param {import('../core/types.js').EffectiveConfig} left
+ * @param {import('../core/types.js').EffectiveConfig} right
+ * @returns {Array<{ field: string, label: string, left: unknown, right: unknown }>}
+ */
+export function describeConfigDifferences(left, right) {
+    return COMPARED_CONFIG_FIELDS
+        .filter(([field]) => left[field] !== right[field])
+        .map(([field, label]) => ({ field, label, left: left[field], right: right[field] }));
+}
+
+function groupBySet(ranked) {
+    const groups = new Map();
+    ranked.forEach((item) => {
+        const key = formatExtensionSet(item.parsed);
+        if (!groups.has(key)) {
+            groups.set(key, item);
+        }
+    });
+    return groups;
+}
+
+/**
+ * Diff two ranked extension lists by accepted-assumption set. Each row keeps the
+ * best-ranked extension of that set on either side; rows are ordered shared first,
+ * then only-A, then only-B.
+ *
+ * @param {import('../core/types.js').RankedExtension[]} leftRanked
+ * @param {import('../core/types.js').RankedExtension[]} rightRanked
+ * @returns {import('../core/types.js').ComparisonRow[]}
+ */
+export function diffRankedExtensions(leftRanked, rightRanked) {
+    const leftGroups = groupBySet(leftRanked);
+    const rightGroups = groupBySet(rightRanked);
+    const order = { both: 0, left: 1, right: 2 };
+
+    return [...new Set([...leftGroups.keys(), ...rightGroups.keys()])]
+        .map((key) => {
+            const left = leftGroups.get(key) || null;
+            const right = rightGroups.get(key) || null;
+            const presence = /** @type {'both' | 'left' | 'right'} */ (left && right ? 'both' : (left ? 'left' : 'right'));
+            return { key, presence, left, right };
+        })
+        .sort((a, b) => order[a.presence] - order[b.presence] || a.key.localeCompare(b.key));
+}
+
+function summarizeSide(run) {
+    const successful = run.result.Result === 'SATISFIABLE' || run.result.Result === 'OPTIMUM FOUND';
+    const ranked = successful ? rankWitnesses(run.result.Call?.[0]?.Witnesses || [], run.effectiveConfig) : [];
+    return {
+        config: run.effectiveConfig,
+        result: run.result.Result,
+        elapsed: run.elapsed,
+        ranked
+    };
+}
+
+/**
+ * Compare two completed runs of the same framework.
+ *
+ * @param {{ result: any, elapsed: string, effectiveConfig: import('../core/types.js').EffectiveConfig }} leftRun
+ * @param {{ result: any, elapsed: string, effectiveConfig: import('../core/types.js').EffectiveConfig }} rightRun
+ * @returns {import('../core/types.js').ConfigComparison}
+ */
+export function compareRuns(leftRun, rightRun) {
+    const left = summarizeSide(leftRun);
+    const right = summarizeSide(rightRun);
+    const rows = diffRankedExtensions(left.ranked, right.ranked);
+    return {
+        left,
+        right,
+        configDifferences: describeConfigDifferences(left.config, right.config),
+        rows,
+        counts: {
+            both: rows.filter((row) => row.presence === 'both').length,
+            left: rows.filter((row) => row.presence === 'left').length,
+            right: rows.filter((row) => row.presence === 'right').length
+        }
+    };
+}
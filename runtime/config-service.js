@@ -1,6 +1,8 @@
 import { wabaModules } from '../waba-modules.js?v=20260315-1';
+import { isExperimentalSemiring } from './semiring-modules.js?v=20260315-1';
 
 const SUPPORTED_SEMANTICS = new Set(wabaModules.metadata.supportedSemantics);
+const POST_FILTERED_SEMANTICS = new Set(wabaModules.metadata.postFilteredSemantics);
 const SUPPORTED_BOUNDED_PAIRS = new Set(
     wabaModules.metadata.supportedBudgetPairs.map(({ monoid, budgetMode }) => `${monoid}:${budgetMode}`)
 );
@@ -14,18 +16,18 @@ const OBJECTIVE_MAP = {
     'min-min': { monoid: 'min', optimization: 'minimize' },
     'min-max': { monoid: 'min', optimization: 'maximize' }
 };
-const SEMIRING_POLARITY = {
-    godel: 'higher',
-    lukasiewicz: 'higher',
-    lukasiewicz_low: 'lower'
-};
+const SUPPORTED_SEMIRING_KEYS = new Set(wabaModules.metadata.supportedSemiringKeys);
 
 export function resolveSemiringModuleKey(semiringFamily, polarity) {
-    if (wabaModules.semiring[semiringFamily]) {
+    if (wabaModules.semiring[semiringFamily] || isExperimentalSemiring(semiringFamily)) {
         return semiringFamily;
     }
     const familyEntry = wabaModules.metadata.canonicalSemiring[semiringFamily];
     if (!familyEntry) {
+        const alias = wabaModules.metadata.aliases[semiringFamily];
+        if (alias) {
+            return resolveSemiringModuleKey(alias.family, alias.polarity);
+        }
         throw new Error(`Unknown semiring family "${semiringFamily}".`);
     }
     const moduleKey = familyEntry[polarity];
@@ -35,6 +37,31 @@ export function resolveSemiringModuleKey(semiringFamily, polarity) {
     return moduleKey;
 }
 
+/**
+ * Polarities with a canonical module for the family, from the synced metadata
+ * (`godel`: higher only, `tropical`: lower only). Families without an entry,
+ * such as experimental modules, take either polarity.
+ *
+ * @param {string} semiringFamily
+ * @returns {Array<'higher'|'lower'>}
+ */
+export function getSemiringPolarities(semiringFamily) {
+    const familyEntry = wabaModules.metadata.canonicalSemiring[semiringFamily];
+    return familyEntry ? /** @type {Array<'higher'|'lower'>} */ (Object.keys(familyEntry)) : ['higher', 'lower'];
+}
+
+/**
+ * The only polarity of a single-polarity family, otherwise the requested one.
+ *
+ * @param {string} semiringFamily
+ * @param {'higher'|'lower'} polarity
+ * @returns {'higher'|'lower'}
+ */
+export function resolveSemiringPolarity(semiringFamily, polarity) {
+    const polarities = getSemiringPolarities(semiringFamily);
+    return polarities.length === 1 ? polarities[0] : polarity;
+}
+
 export function getAliasLabel(semiringFamily, polarity) {
     const aliases = Object.entries(wabaModules.metadata.aliases);
     const match = aliases.find(([, value]) => value.family === semiringFamily && value.polarity === polarity);
@@ -45,14 +72,45 @@ export function deriveObjectiveParts(objective = 'count-min') {
     return OBJECTIVE_MAP[objective] || OBJECTIVE_MAP['count-min'];
 }
 
+/** The user-set `RunConfig` fields; everything else is derived by `normalizeConfig`. */
+export const RUN_CONFIG_FIELDS = [
+    'semiringFamily',
+    'polarity',
+    'defaultPolicy',
+    'abaRecovery',
+    'monoid',
+    'optimization',
+    'budgetMode',
+    'semantics',
+    'optMode',
+    'beta',
+    'numModels',
+    'timeout',
+    'filterType'
+];
+
 /**
+ * Copy the `RunConfig` fields of a config, e.g. to persist or share it.
+ *
  * @param {Partial<import('../core/types.js').RunConfig>} config
+ * @returns {Partial<import('../core/types.js').RunConfig>}
+ */
+export function pickRunConfig(config) {
+    return Object.fromEntries(RUN_CONFIG_FIELDS
+        .filter((field) => config?.[field] !== undefined)
+        .map((field) => [field, config[field]]));
+}
+
+/**
+ * @param {import('../core/types.js').RunConfigInput} config
  * @returns {import('../core/types.js').EffectiveConfig}
  */
 export function normalizeConfig(config = {}) {
-    const semiringFamily = config.semiringFamily || config.semiring || 'godel';
-    const requestedPolarity = config.polarity || 'higher';
-    const polarity = semiringFamily === 'godel' ? 'higher' : requestedPolarity;
+    const requestedFamily = config.semiringFamily || config.semiring || 'godel';
+    const alias = wabaModules.metadata.aliases[requestedFamily];
+    const semiringFamily = alias ? alias.family : requestedFamily;
+    const requestedPolarity = alias ? alias.polarity : (config.polarity || 'higher');
+    const polarity = resolveSemiringPolarity(semiringFamily, requestedPolarity);
     const abaRecovery = Boolean(config.abaRecovery);
     const defaultPolicy = abaRecovery ? 'neutral' : (config.defaultPolicy || 'legacy');
     const objective = config.objective || 'count-min';
@@ -64,8 +122,8 @@ export function normalizeConfig(config = {}) {
     const semantics = config.semantics || 'stable';
     const optMode = config.optMode || 'ignore';
     const filterType = config.filterType || 'projection';
-    const beta = Number.isFinite(config.beta) ? config.beta : parseInt(config.beta || config.budget || '0', 10) || 0;
-    const numModels = Number.isFinite(config.numModels) ? config.numModels : parseInt(config.numModels || '0', 10) || 0;
+    const beta = Number.isFinite(config.beta) ? config.beta : parseInt(String(config.beta || config.budget || 0), 10) || 0;
+    const numModels = Number.isFinite(config.numModels) ? config.numModels : parseInt(String(config.numModels || 0), 10) || 0;
     const timeout = Number.isFinite(config.timeout) ? config.timeout : 60000;
     const semiringKey = resolveSemiringModuleKey(semiringFamily, polarity);
     const aliasLabel = getAliasLabel(semiringFamily, polarity);
@@ -76,6 +134,7 @@ export function normalizeConfig(config = {}) {
         polarity,
         semiringKey,
         aliasLabel,
+        experimentalSemiring: isExperimentalSemiring(semiringKey),
         abaRecovery,
         defaultPolicy,
         objective,
@@ -101,7 +160,7 @@ export function validateConfig(config) {
         return `Unsupported semantics "${config.semantics}" in the supported playground surface.`;
     }
 
-    if (config.semiringKey && !SEMIRING_POLARITY[config.semiringKey]) {
+    if (config.semiringKey && !SUPPORTED_SEMIRING_KEYS.has(config.semiringKey) && !isExperimentalSemiring(config.semiringKey)) {
         return `Unsupported semiring "${config.semiringKey}" in the supported playground surface.`;
     }
 
@@ -137,6 +196,15 @@ export function validateConfig(config) {
     return null;
 }
 
+/**
+ * Semantics computed browser-side by filtering `complete` candidates in extra passes.
+ *
+ * @param {string} semantics
+ */
+export function isPostFilteredSemantics(semantics) {
+    return POST_FILTERED_SEMANTICS.has(semantics);
+}
+
 /**
  * @param {import('../core/types.js').EffectiveConfig} config
  * @returns {'bounded'|'unbounded'|'no_discard'}
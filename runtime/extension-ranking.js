@@ -0,0 +1,61 @@
+import { parseAnswerSet } from './answer-set-parser.js?v=20260315-1';
+import {
+    compareRankedExtensions,
+    computeAggregateFromDiscarded,
+    displayValue,
+    getObjectiveTuple,
+    normalizeAggregateValue
+} from './objective-utils.js?v=20260315-1';
+
+export function extractDisplayCost(witness, aggregateValue, monoid) {
+    if (witness.Optimization !== undefined) {
+        const opt = witness.Optimization;
+        if (Array.isArray(opt) && opt.length > 0) {
+            const lastValue = opt[opt.length - 1];
+            return displayValue(lastValue);
+        }
+        return displayValue(opt);
+    }
+
+    if (aggregateValue !== null && aggregateValue !== undefined) {
+        return displayValue(aggregateValue);
+    }
+
+    return monoid === 'count' ? 0 : null;
+}
+
+/**
+ * Parse one clingo witness and attach its aggregate, display cost and objective tuple.
+ *
+ * @param {{ Value?: string[], Optimization?: unknown }} witness
+ * @param {import('../core/types.js').EffectiveConfig} config
+ * @returns {import('../core/types.js').RankedExtension}
+ */
+export function rankWitness(witness, config) {
+    const parsed = parseAnswerSet(witness.Value || []);
+    const aggregateValue = parsed.budgetValueRaw !== null
+        ? normalizeAggregateValue(parsed.budgetValueRaw)
+        : computeAggregateFromDiscarded(parsed.discarded, config.monoid);
+    const cost = (config.budgetMode === 'none' && config.budgetIntent === 'no_discard')
+        ? null
+        : extractDisplayCost(witness, aggregateValue, config.monoid);
+
+    return {
+        witness,
+        parsed,
+        cost,
+        aggregateValue,
+        objectiveTuple: getObjectiveTuple(config, aggregateValue)
+    };
+}
+
+/**
+ * Rank witnesses in the order the output panel shows them.
+ *
+ * @param {Array<{ Value?: string[], Optimization?: unknown }>} witnesses
+ * @param {import('../core/types.js').EffectiveConfig} config
+ * @returns {import('../core/types.js').RankedExtension[]}
+ */
+export function rankWitnesses(witnesses, config) {
+    return witnesses.map((witness) => rankWitness(witness, config)).sort(compareRankedExtensions);
+}
@@ -0,0 +1,390 @@
+/**
+ * Vector export of the argumentation graph (standalone SVG and a TikZ picture)
+ * from a snapshot of the vis.js data: node/edge records as currently shown, so
+ * extension highlighting is included, plus the node positions.
+ */
+
+export const GRAPH_MODE_LABELS = {
+    standard: 'Standard (sets of assumptions)',
+    'assumption-direct': 'Assumption-level (direct)',
+    'assumption-branching': 'Assumption-level (branching)'
+};
+
+const DEFAULT_NODE_FILL = '#667eea';
+const DEFAULT_NODE_STROKE = '#5568d3';
+const DEFAULT_EDGE_COLOR = '#9ca3af';
+const LABEL_COLOR = '#1e293b';
+const NODE_FONT_SIZE = 11;
+const EDGE_FONT_SIZE = 12;
+const PADDING = 40;
+const BEND_STEP = 25;
+// Pixels per TikZ centimetre; vis.js coordinates are used directly.
+const PX_PER_CM = 50;
+
+function round(value) {
+    return Number(value.toFixed(2));
+}
+
+/**
+ * Split a vis.js colour (`#rrggbb`, `#rgb` or `rgba(...)`) into a hex colour and
+ * an opacity.
+ *
+ * @param {string | undefined} color
+ * @param {string} fallback
+ * @returns {{ hex: string, opacity: number }}
+ */
+export function parseColor(color, fallback) {
+    if (typeof color !== 'string') {
+        return { hex: fallback, opacity: 1 };
+    }
+    const rgba = color.match(/rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)/);
+    if (rgba) {
+        const hex = rgba.slice(1, 4).map((channel) => Number(channel).toString(16).padStart(2, '0')).join('');
+        return { hex: `#${hex}`, opacity: rgba[4] !== undefined ? Number(rgba[4]) : 1 };
+    }
+    const short = color.match(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/i);
+    if (short) {
+        return { hex: `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`.toLowerCase(), opacity: 1 };
+    }
+    if (/^#[0-9a-f]{6}$/i.test(color)) {
+        return { hex: color.toLowerCase(), opacity: 1 };
+    }
+    return { hex: fallback, opacity: 1 };
+}
+
+function estimateTextWidth(text, fontSize) {
+    return text.length * fontSize * 0.56;
+}
+
+/**
+ * @param {any} node vis.js node
+ * @returns {Pick<import('../core/types.js').VectorNode, 'shape' | 'rx' | 'ry'>}
+ */
+function resolveNodeShape(node) {
+    const label = String(node.label ?? node.id);
+    const fontSize = node.font?.size ?? NODE_FONT_SIZE;
+    const textWidth = estimateTextWidth(label, fontSize);
+    if (node.shape === 'diamond') {
+        return { shape: 'diamond', rx: node.size ?? 25, ry: node.size ?? 25 };
+    }
+    if (node.shape === 'ellipse') {
+        return { shape: 'ellipse', rx: Math.max(textWidth / 2 + 10, fontSize), ry: fontSize / 2 + 8 };
+    }
+    const radius = Math.max(14, Math.max(textWidth, fontSize) / 2 + 6);
+    return { shape: 'circle', rx: radius, ry: radius };
+}
+
+function resolveDashes(dashes) {
+    if (Array.isArray(dashes)) {
+        return dashes;
+    }
+    return dashes ? [5, 5] : null;
+}
+
+/**
+ * Resolve a vis.js snapshot into drawable nodes and edges. Nodes without a
+ * position and edges to missing nodes are dropped. Parallel and opposite edges
+ * between the same pair get distinct bends, in degrees to the left of travel.
+ *
+ * @param {{ nodes: any[], edges: any[], positions: Record<string, { x: number, y: number }>, graphMode?: string }} snapshot
+ * @returns {import('../core/types.js').VectorGraph}
+ */
+export function buildVectorGraph({ nodes, edges, positions, graphMode = 'standard' }) {
+    const vectorNodes = nodes
+        .filter((node) => positions[node.id])
+        .map((node, index) => {
+            const color = typeof node.color === 'string' ? { background: node.color, border: node.color } : (node.color || {});
+            const fill = parseColor(color.background, DEFAULT_NODE_FILL);
+            const stroke = parseColor(color.border, DEFAULT_NODE_STROKE);
+            return {
+                id: String(node.id),
+                key: `n${index + 1}`,
+                label: String(node.label ?? node.id),
+                x: round(positions[node.id].x),
+                y: round(positions[node.id].y),
+                ...resolveNodeShape(node),
+                fontSize: node.font?.size ?? NODE_FONT_SIZE,
+                fill: fill.hex,
+                stroke: stroke.hex,
+                opacity: Math.min(fill.opacity, stroke.opacity),
+                borderWidth: node.borderWidth ?? 2
+            };
+        });
+    const byId = new Map(vectorNodes.map((node) => [node.id, node]));
+
+    const drawable = edges.filter((edge) => byId.has(String(edge.from)) && byId.has(String(edge.to)));
+    const pairs = new Map();
+    drawable.forEach((edge) => {
+        const [first, second] = [String(edge.from), String(edge.to)].sort();
+        const pairKey = `${first}\u0000${second}`;
+        if (!pairs.has(pairKey)) {
+            pairs.set(pairKey, []);
+        }
+        pairs.get(pairKey).push(edge);
+    });
+
+    const vectorEdges = drawable.map((edge) => {
+        const from = String(edge.from);
+        const to = String(edge.to);
+        const [first, second] = [from, to].sort();
+        const siblings = pairs.get(`${first}\u0000${second}`);
+        const index = siblings.indexOf(edge);
+        // Bends are laid out for the first→second direction; reversed edges flip sign
+        // so that they still land on the same side of the straight line.
+        const offset = siblings.length > 1 ? (index - (siblings.length - 1) / 2) * BEND_STEP : 0;
+        const bend = from === first ? offset : -offset;
+        const color = parseColor(typeof edge.color === 'string' ? edge.color : edge.color?.color, DEFAULT_EDGE_COLOR);
+        const label = edge.label === undefined || edge.label === null ? '' : String(edge.label);
+        return {
+            from,
+            to,
+            label,
+            color: color.hex,
+            opacity: color.opacity,
+            width: edge.width ?? 2,
+            dashes: resolveDashes(edge.dashes),
+            bend: siblings.length === 1 && from !== to ? 0 : bend,
+            loop: from === to
+        };
+    });
+
+    const xs = vectorNodes.flatMap((node) => [node.x - node.rx, node.x + node.rx]);
+    const ys = vectorNodes.flatMap((node) => [node.y - node.ry * (vectorEdges.some((edge) => edge.loop && edge.from === node.id) ? 3.2 : 1), node.y + node.ry]);
+    const minX = xs.length ? Math.min(...xs) - PADDING : 0;
+    const minY = ys.length ? Math.min(...ys) - PADDING : 0;
+    const maxX = xs.length ? Math.max(...xs) + PADDING : 100;
+    const maxY = ys.length ? Math.max(...ys) + PADDING : 100;
+
+    return {
+        graphMode,
+        bounds: { minX: round(minX), minY: round(minY), width: round(maxX - minX), height: round(maxY - minY) },
+        nodes: vectorNodes,
+        edges: vectorEdges
+    };
+}
+
+function boundaryDistance(node, ux, uy) {
+    if (node.shape === 'diamond') {
+        return node.rx / (Math.abs(ux) + Math.abs(uy) || 1);
+    }
+    if (node.shape === 'ellipse') {
+        return 1 / Math.sqrt((ux / node.rx) ** 2 + (uy / node.ry) ** 2);
+    }
+    return node.rx;
+}
+
+function pointTowards(node, targetX, targetY) {
+    const dx = targetX - node.x;
+    const dy = targetY - node.y;
+    const length = Math.hypot(dx, dy) || 1;
+    const distance = boundaryDistance(node, dx / length, dy / length);
+    return { x: node.x + (dx / length) * distance, y: node.y + (dy / length) * distance };
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function edgeGeometry(edge, source, target) {
+    if (edge.loop) {
+        const r = source.ry;
+        const start = { x: source.x - source.rx * 0.5, y: source.y - r * 0.87 };
+        const end = { x: source.x + source.rx * 0.5, y: source.y - r * 0.87 };
+        return {
+            path: `M ${round(start.x)} ${round(start.y)} C ${round(source.x - source.rx * 1.6)} ${round(source.y - r * 3.2)} ${round(source.x + source.rx * 1.6)} ${round(source.y - r * 3.2)} ${round(end.x)} ${round(end.y)}`,
+            labelX: source.x,
+            labelY: source.y - r * 2.55
+        };
+    }
+
+    const dx = target.x - source.x;
+    const dy = target.y - source.y;
+    const length = Math.hypot(dx, dy) || 1;
+    // A TikZ `bend left=θ` curve leaves at θ to the left of the chord; the matching
+    // quadratic control point sits tan(θ)·length/2 off the midpoint.
+    const offset = Math.tan((edge.bend * Math.PI) / 180) * (length / 2);
+    const control = {
+        x: (source.x + target.x) / 2 + (dy / length) * offset,
+        y: (source.y + target.y) / 2 - (dx / length) * offset
+    };
+    const start = pointTowards(source, control.x, control.y);
+    const end = pointTowards(target, control.x, control.y);
+    const path = edge.bend === 0
+        ? `M ${round(start.x)} ${round(start.y)} L ${round(end.x)} ${round(end.y)}`
+        : `M ${round(start.x)} ${round(start.y)} Q ${round(control.x)} ${round(control.y)} ${round(end.x)} ${round(end.y)}`;
+    return {
+        path,
+        labelX: 0.25 * start.x + 0.5 * control.x + 0.25 * end.x,
+        labelY: 0.25 * start.y + 0.5 * control.y + 0.25 * end.y
+    };
+}
+
+function renderSvgNode(node) {
+    const common = `fill="${node.fill}" stroke="${node.stroke}" stroke-width="${node.borderWidth}"${node.opacity < 1 ? ` opacity="${node.opacity}"` : ''}`;
+    let shape;
+    if (node.shape === 'diamond') {
+        const points = [[node.x, node.y - node.ry], [node.x + node.rx, node.y], [node.x, node.y + node.ry], [node.x - node.rx, node.y]]
+            .map(([x, y]) => `${round(x)},${round(y)}`)
+            .join(' ');
+        shape = `<polygon points="${points}" ${common}/>`;
+    } else if (node.shape === 'ellipse') {
+        shape = `<ellipse cx="${node.x}" cy="${node.y}" rx="${round(node.rx)}" ry="${round(node.ry)}" ${common}/>`;
+    } else {
+        shape = `<circle cx="${node.x}" cy="${node.y}" r="${round(node.rx)}" ${common}/>`;
+    }
+    const label = node.label
+        ? `\n    <text x="${node.x}" y="${node.y}" font-size="${node.fontSize}" text-anchor="middle" dominant-baseline="central" fill="${LABEL_COLOR}">${escapeXml(node.label)}</text>`
+        : '';
+    return `  <g class="node" data-id="${escapeXml(node.id)}">\n    ${shape}${label}\n  </g>`;
+}
+
+/**
+ * Standalone SVG document of the graph.
+ *
+ * @param {import('../core/types.js').VectorGraph} graph
+ * @returns {string}
+ */
+export function renderGraphSvg(graph) {
+    const byId = new Map(graph.nodes.map((node) => [node.id, node]));
+    const markers = new Map();
+    const markerFor = (edge) => {
+        const key = `${edge.color}|${edge.opacity}`;
+        if (!markers.has(key)) {
+            markers.set(key, { id: `arrow-${markers.size + 1}`, color: edge.color, opacity: edge.opacity });
+        }
+        return markers.get(key).id;
+    };
+
+    const edgeMarkup = graph.edges.map((edge) => {
+        const { path, labelX, labelY } = edgeGeometry(edge, byId.get(edge.from), byId.get(edge.to));
+        const attributes = [
+            `d="${path}"`,
+            'fill="none"',
+            `stroke="${edge.color}"`,
+            `stroke-width="${edge.width}"`,
+            edge.opacity < 1 ? `stroke-opacity="${edge.opacity}"` : '',
+            edge.dashes ? `stroke-dasharray="${edge.dashes.join(' ')}"` : '',
+            `marker-end="url(#${markerFor(edge)})"`
+        ].filter(Boolean).join(' ');
+        const label = edge.label
+            ? `\n    <text x="${round(labelX)}" y="${round(labelY)}" font-size="${EDGE_FONT_SIZE}" text-anchor="middle" dominant-baseline="central" fill="${LABEL_COLOR}" stroke="#ffffff" stroke-width="3" paint-order="stroke">${escapeXml(edge.label)}</text>`
+            : '';
+        return `  <g class="edge" data-from="${escapeXml(edge.from)}" data-to="${escapeXml(edge.to)}">\n    <path ${attributes}/>${label}\n  </g>`;
+    });
+
+    const markerMarkup = Array.from(markers.values()).map((marker) => (
+        `    <marker id="${marker.id}" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="10" markerHeight="10" markerUnits="userSpaceOnUse" orient="auto">\n`
+        + `      <path d="M 0 0 L 10 5 L 0 10 z" fill="${marker.color}"${marker.opacity < 1 ? ` fill-opacity="${marker.opacity}"` : ''}/>\n`
+        + '    </marker>'
+    ));
+
+    const { minX, minY, width, height } = graph.bounds;
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${minX} ${minY} ${width} ${height}" width="${width}" height="${height}" font-family="Arial, Helvetica, sans-serif">`,
+        `  <title>WABA graph - ${escapeXml(GRAPH_MODE_LABELS[graph.graphMode] || graph.graphMode)}</title>`,
+        `  <rect x="${minX}" y="${minY}" width="${width}" height="${height}" fill="#ffffff"/>`,
+        '  <defs>',
+        ...markerMarkup,
+        '  </defs>',
+        ...edgeMarkup,
+        ...graph.nodes.map(renderSvgNode),
+        '</svg>',
+        ''
+    ].join('\n');
+}
+
+const TEX_SYMBOLS = {
+    '∅': '$\\emptyset$',
+    '⊤': '$\\top$',
+    '\\': '\\textbackslash{}',
+    '{': '\\{',
+    '}': '\\}',
+    '#': '\\#',
+    '$': '\\$',
+    '%': '\\%',
+    '&': '\\&',
+    _: '\\_',
+    '^': '\\^{}',
+    '~': '\\~{}'
+};
+
+/**
+ * Escape a label for TikZ node text. `∅` and `⊤` become math symbols.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeTex(text) {
+    return Array.from(String(text), (char) => TEX_SYMBOLS[char] ?? char).join('');
+}
+
+function formatCm(px) {
+    return round(px / PX_PER_CM);
+}
+
+/**
+ * `tikzpicture` of the graph. Colours are defined with `\definecolor`, so the
+ * picture needs `xcolor` (loaded by TikZ) and the `arrows.meta` and
+ * `shapes.geometric` libraries.
+ *
+ * @param {import('../core/types.js').VectorGraph} graph
+ * @returns {string}
+ */
+export function renderGraphTikz(graph) {
+    const colors = new Map();
+    const colorName = (hex) => {
+        if (!colors.has(hex)) {
+            colors.set(hex, `waba${colors.size + 1}`);
+        }
+        return colors.get(hex);
+    };
+    const byId = new Map(graph.nodes.map((node) => [node.id, node]));
+
+    const nodeLines = graph.nodes.map((node) => {
+        const options = [
+            node.shape === 'circle' ? 'circle' : node.shape,
+            `draw=${colorName(node.stroke)}`,
+            `fill=${colorName(node.fill)}`,
+            `line width=${round(node.borderWidth * 0.5)}pt`,
+            node.opacity < 1 ? `opacity=${node.opacity}` : '',
+            node.shape === 'circle' ? `minimum size=${formatCm(node.rx * 2)}cm` : `minimum width=${formatCm(node.rx * 2)}cm, minimum height=${formatCm(node.ry * 2)}cm`
+        ].filter(Boolean).join(', ');
+        return `  \\node[wabanode, ${options}] (${node.key}) at (${formatCm(node.x)}, ${formatCm(-node.y)}) {${escapeTex(node.label)}};`;
+    });
+
+    const edgeLines = graph.edges.map((edge) => {
+        const options = [
+            colorName(edge.color),
+            `line width=${round(edge.width * 0.5)}pt`,
+            edge.opacity < 1 ? `draw opacity=${edge.opacity}` : '',
+            edge.dashes ? `dash pattern=on ${round(edge.dashes[0] * 0.5)}pt off ${round((edge.dashes[1] ?? edge.dashes[0]) * 0.5)}pt` : '',
+            edge.loop ? 'loop above' : '',
+            edge.bend > 0 ? `bend left=${edge.bend}` : '',
+            edge.bend < 0 ? `bend right=${-edge.bend}` : ''
+        ].filter(Boolean).join(', ');
+        const label = edge.label ? ` node[wabalabel] {${escapeTex(edge.label)}}` : '';
+        return `  \\draw[wabaedge, ${options}] (${byId.get(edge.from).key}) to${label} (${byId.get(edge.to).key});`;
+    });
+
+    const colorLines = Array.from(colors.entries()).map(([hex, name]) => `\\definecolor{${name}}{HTML}{${hex.slice(1).toUpperCase()}}`);
+
+    return [
+        `% WABA graph - ${GRAPH_MODE_LABELS[graph.graphMode] || graph.graphMode}`,
+        '% Requires \\usepackage{tikz} and \\usetikzlibrary{arrows.meta, shapes.geometric}',
+        ...colorLines,
+        '\\begin{tikzpicture}[',
+        '  wabanode/.style={inner sep=1pt, font=\\small, text=black},',
+        '  wabaedge/.style={-{Stealth[length=6pt]}},',
+        '  wabalabel/.style={midway, fill=white, inner sep=1pt, font=\\footnotesize, text=black}',
+        ']',
+        ...nodeLines,
+        ...edgeLines,
+        '\\end{tikzpicture}',
+        ''
+    ].join('\n');
+}
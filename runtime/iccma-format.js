@@ -0,0 +1,239 @@
+/**
+ * ICCMA ABA format (`p aba <n>` header, atoms numbered 1..n, `a`, `c` and `r`
+ * lines, `#` comments).
+ *
+ * WABA data that ICCMA cannot express travels in comment lines, which ICCMA
+ * solvers ignore:
+ *
+ *   # name <atom> <readable name>
+ *   # weight <atom> <non-negative integer weight>
+ *
+ * Atoms without a `# name` line are named `a<i>` (assumptions) or `s<i>`.
+ */
+
+const ATOM_NAME = /^[a-z][A-Za-z0-9_]*$/;
+// Simple mode weights are non-negative integers.
+const INTEGER = /^\d+$/;
+
+/**
+ * Whether the text is an ICCMA ABA file, i.e. its first non-comment line is the
+ * `p aba` header.
+ *
+ * @param {string} content
+ */
+export function isIccmaAba(content) {
+    const first = content.split('\n').map((line) => line.trim()).find((line) => line && !line.startsWith('#'));
+    return Boolean(first && /^p\s+aba\s+\d+$/.test(first));
+}
+
+function parseAtom(token, atomCount, lineNumber) {
+    if (!/^\d+$/.test(token || '') || Number(token) < 1 || Number(token) > atomCount) {
+        throw new Error(`Line ${lineNumber}: "${token ?? ''}" is not an atom between 1 and ${atomCount}.`);
+    }
+    return Number(token);
+}
+
+/**
+ * Parse an ICCMA ABA file into a framework over readable atom names.
+ *
+ * @param {string} content
+ * @returns {{
+ *   atomCount: number,
+ *   framework: import('../core/types.js').AbaFramework,
+ *   warnings: string[]
+ * }}
+ */
+export function parseIccmaAba(content) {
+    let atomCount = null;
+    const assumptionIds = [];
+    const contraryIds = new Map();
+    const ruleIds = [];
+    const names = new Map();
+    const weightIds = new Map();
+    const warnings = [];
+
+    content.split('\n').forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        const line = rawLine.trim();
+        if (!line) {
+            return;
+        }
+
+        if (line.startsWith('#')) {
+            const annotation = line.slice(1).trim().split(/\s+/);
+            if ((annotation[0] === 'name' || annotation[0] === 'weight') && atomCount === null) {
+                throw new Error(`Line ${lineNumber}: "# ${annotation[0]}" comes before the "p aba" header.`);
+            }
+            if (annotation[0] === 'name' && annotation.length === 3) {
+                const atom = parseAtom(annotation[1], atomCount, lineNumber);
+                const taken = Array.from(names).some(([other, name]) => other !== atom && name === annotation[2]);
+                if (ATOM_NAME.test(annotation[2]) && !taken) {
+                    names.set(atom, annotation[2]);
+                } else {
+                    warnings.push(`Line ${lineNumber}: "${annotation[2]}" is ${taken ? 'already used' : 'not a valid atom name'}; atom ${atom} keeps a generated name.`);
+                }
+            } else if (annotation[0] === 'weight' && annotation.length === 3) {
+                const atom = parseAtom(annotation[1], atomCount, lineNumber);
+                if (INTEGER.test(annotation[2])) {
+                    weightIds.set(atom, annotation[2]);
+                } else {
+                    warnings.push(`Line ${lineNumber}: weight "${annotation[2]}" of atom ${atom} is not a non-negative integer and was skipped.`);
+                }
+            }
+            return;
+        }
+
+        const tokens = line.split(/\s+/);
+        if (tokens[0] === 'p') {
+            if (atomCount !== null) {
+                throw new Error(`Line ${lineNumber}: duplicate "p aba" header.`);
+            }
+            if (tokens[1] !== 'aba' || tokens.length !== 3 || !/^\d+$/.test(tokens[2])) {
+                throw new Error(`Line ${lineNumber}: expected "p aba <number of atoms>".`);
+            }
+            atomCount = Number(tokens[2]);
+            return;
+        }
+        if (atomCount === null) {
+            throw new Error(`Line ${lineNumber}: the file must start with a "p aba <number of atoms>" header.`);
+        }
+
+        if (tokens[0] === 'a' && tokens.length === 2) {
+            assumptionIds.push(parseAtom(tokens[1], atomCount, lineNumber));
+        } else if (tokens[0] === 'c' && tokens.length === 3) {
+            const assumption = parseAtom(tokens[1], atomCount, lineNumber);
+            if (contraryIds.has(assumption)) {
+                throw new Error(`Line ${lineNumber}: atom ${assumption} already has a contrary.`);
+            }
+            contraryIds.set(assumption, parseAtom(tokens[2], atomCount, lineNumber));
+        } else if (tokens[0] === 'r' && tokens.length >= 2) {
+            const [head, ...body] = tokens.slice(1).map((token) => parseAtom(token, atomCount, lineNumber));
+            ruleIds.push({ head, body });
+        } else {
+            throw new Error(`Line ${lineNumber}: unrecognised line "${line}".`);
+        }
+    });
+
+    if (atomCount === null) {
+        throw new Error('The file has no "p aba <number of atoms>" header.');
+    }
+
+    const assumptionSet = new Set(assumptionIds);
+    contraryIds.forEach((_, atom) => {
+        if (!assumptionSet.has(atom)) {
+            throw new Error(`Atom ${atom} has a contrary but is not an assumption.`);
+        }
+    });
+
+    const usedNames = new Set(names.values());
+    const nameOf = (atom) => {
+        if (!names.has(atom)) {
+            let name = `${assumptionSet.has(atom) ? 'a' : 's'}${atom}`;
+            while (usedNames.has(name)) {
+                name = `${name}_`;
+            }
+            names.set(atom, name);
+            usedNames.add(name);
+        }
+        return names.get(atom);
+    };
+
+    assumptionIds.filter((atom) => !contraryIds.has(atom)).forEach((atom) => {
+        warnings.push(`Assumption ${atom} has no contrary.`);
+    });
+
+    return {
+        atomCount,
+        framework: {
+            assumptions: assumptionIds.map(nameOf),
+            rules: ruleIds.map(({ head, body }) => ({ head: nameOf(head), body: body.map(nameOf) })),
+            contraries: Array.from(contraryIds, ([assumption, contrary]) => ({ assumption: nameOf(assumption), contrary: nameOf(contrary) })),
+            weights: Object.fromEntries(Array.from(weightIds, ([atom, weight]) => [nameOf(atom), weight]))
+        },
+        warnings
+    };
+}
+
+/**
+ * Simple editor fields for a framework.
+ *
+ * @param {import('../core/types.js').AbaFramework} framework
+ * @param {string} [description]
+ * @returns {import('../core/types.js').SimpleFields}
+ */
+export function frameworkToSimpleFields(framework, description = '') {
+    return {
+        description,
+        assumptions: framework.assumptions.join('\n'),
+        rules: framework.rules.map((rule) => `${rule.head} <- ${rule.body.join(', ')}`).join('\n'),
+        contraries: framework.contraries.map(({ assumption, contrary }) => `(${assumption}, ${contrary})`).join('\n'),
+        weights: Object.entries(framework.weights).map(([atom, weight]) => `${atom}: ${weight}`).join('\n')
+    };
+}
+
+/**
+ * Write a framework in ICCMA ABA format. Atoms are numbered assumptions first,
+ * then in order of appearance; names and weights go in comment lines. Weights
+ * other than non-negative integers (e.g. `#sup`) cannot be carried and are reported.
+ * An assumption with several contraries cannot be written at all, since ICCMA
+ * (and `parseIccmaAba`) allows one `c` line per assumption.
+ *
+ * @param {import('../core/types.js').AbaFramework} framework
+ * @returns {{ content: string, warnings: string[] }}
+ */
+export function formatIccmaAba(framework) {
+    const contraryCounts = new Map();
+    framework.contraries.forEach(({ assumption }) => {
+        contraryCounts.set(assumption, (contraryCounts.get(assumption) || 0) + 1);
+    });
+    const ambiguous = Array.from(contraryCounts).filter(([, count]) => count > 1).map(([assumption]) => assumption);
+    if (ambiguous.length > 0) {
+        throw new Error(`ICCMA allows one contrary per assumption, but ${ambiguous.join(', ')} ${ambiguous.length === 1 ? 'has' : 'have'} several. Keep one contrary each before exporting.`);
+    }
+
+    const ids = new Map();
+    const idOf = (name) => {
+        if (!ids.has(name)) {
+            ids.set(name, ids.size + 1);
+        }
+        return ids.get(name);
+    };
+    framework.assumptions.forEach(idOf);
+    framework.contraries.forEach(({ assumption, contrary }) => {
+        idOf(assumption);
+        idOf(contrary);
+    });
+    framework.rules.forEach((rule) => {
+        idOf(rule.head);
+        rule.body.forEach(idOf);
+    });
+
+    const warnings = [];
+    const assumptionSet = new Set(framework.assumptions);
+    const weightLines = [];
+    Object.entries(framework.weights).forEach(([atom, weight]) => {
+        if (INTEGER.test(String(weight))) {
+            weightLines.push(`# weight ${idOf(atom)} ${weight}`);
+        } else {
+            warnings.push(`Weight "${weight}" of ${atom} is not a non-negative integer and was not exported.`);
+        }
+    });
+
+    framework.assumptions.filter((assumption) => !contraryCounts.has(assumption)).forEach((assumption) => {
+        warnings.push(`Assumption ${assumption} has no contrary; ICCMA expects exactly one.`);
+    });
+    framework.rules.filter((rule) => assumptionSet.has(rule.head)).forEach((rule) => {
+        warnings.push(`Rule head ${rule.head} is an assumption, so the framework is not flat.`);
+    });
+
+    const lines = [
+        `p aba ${ids.size}`,
+        '# Exported from WABA Playground. "# name" and "# weight" lines keep atom names and WABA weights.',
+        ...Array.from(ids, ([name, id]) => `# name ${id} ${name}`),
+        ...framework.assumptions.map((assumption) => `a ${idOf(assumption)}`),
+        ...framework.contraries.map(({ assumption, contrary }) => `c ${idOf(assumption)} ${idOf(contrary)}`),
+        ...framework.rules.map((rule) => ['r', idOf(rule.head), ...rule.body.map(idOf)].join(' ')),
+        ...weightLines
+    ];
+    return { content: `${lines.join('\n')}\n`, warnings };
+}
@@ -166,3 +166,11 @@ export function formatSyntheticOptimization(aggregateValue) {
     }
     return aggregateValue;
 }
+
+export function compareRankedExtensions(left, right) {
+    const tupleComparison = compareTuples(left.objectiveTuple, right.objectiveTuple);
+    if (tupleComparison !== 0) {
+        return tupleComparison;
+    }
+    return left.parsed.in.join(',').localeCompare(right.parsed.in.join(','));
+}
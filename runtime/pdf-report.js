@@ -0,0 +1,234 @@
+import { formatExtensionSet } from './budget-sweep.js?v=20260315-1';
+import { COMPARED_CONFIG_FIELDS, describeConfig } from './config-compare.js?v=20260315-1';
+import { createPdfWriter, measureText, toWinAnsi } from './pdf-writer.js?v=20260315-1';
+
+const MARGIN = 48;
+const FOOTER_GAP = 24;
+const BODY_SIZE = 10;
+const MONO_SIZE = 8.5;
+const TABLE_SIZE = 8.5;
+const CELL_PADDING = 3;
+const MUTED = [0.35, 0.35, 0.4];
+const ACCENT = [0.33, 0.41, 0.83];
+const REPORT_CONFIG_FIELDS = [
+    ...COMPARED_CONFIG_FIELDS,
+    ['polarity', 'Polarity'],
+    ['numModels', 'Max models'],
+    ['filterType', 'Output filter']
+];
+
+/**
+ * Split text into lines no wider than `maxWidth`, breaking at spaces and, for
+ * overlong words, inside the word.
+ *
+ * @param {string} text
+ * @param {'regular' | 'bold' | 'mono'} font
+ * @param {number} size
+ * @param {number} maxWidth
+ * @returns {string[]}
+ */
+export function wrapText(text, font, size, maxWidth) {
+    const lines = [];
+    String(text).replace(/\r/g, '').split('\n').forEach((paragraph) => {
+        let line = '';
+        toWinAnsi(paragraph).split(/(?<= )/).forEach((word) => {
+            let rest = word;
+            while (measureText(line + rest, font, size) > maxWidth) {
+                if (line.trim()) {
+                    lines.push(line.trimEnd());
+                    line = '';
+                    continue;
+                }
+                let cut = rest.length - 1;
+                while (cut > 1 && measureText(rest.slice(0, cut), font, size) > maxWidth) {
+                    cut -= 1;
+                }
+                lines.push(rest.slice(0, cut));
+                rest = rest.slice(cut);
+            }
+            line += rest;
+        });
+        lines.push(line.trimEnd());
+    });
+    return lines;
+}
+
+function formatDiscardedAttack(predicate) {
+    const match = predicate.match(/^discarded_attack\(([^,]+),([^,]+),(.+)\)$/);
+    return match ? `${match[1]}->${match[2]} (${match[3]})` : predicate;
+}
+
+/**
+ * Flowing layout over a PDF writer: a cursor that moves down the page and starts
+ * a new page when the next block does not fit.
+ */
+function createLayout(pdf) {
+    const contentWidth = pdf.width - MARGIN * 2;
+    const bottom = pdf.height - MARGIN - FOOTER_GAP;
+    const layout = {
+        y: MARGIN,
+        contentWidth,
+        newPage() {
+            pdf.addPage();
+            layout.y = MARGIN;
+        },
+        fits(height) {
+            return layout.y + height <= bottom;
+        },
+        ensure(height) {
+            if (!layout.fits(height)) {
+                layout.newPage();
+            }
+        },
+        heading(text) {
+            layout.ensure(40);
+            layout.y += 18;
+            pdf.text(MARGIN, layout.y, text, { font: 'bold', size: 13, color: ACCENT });
+            layout.y += 6;
+            pdf.line(MARGIN, layout.y, MARGIN + contentWidth, layout.y, { color: ACCENT });
+            layout.y += 8;
+        },
+        /**
+         * @param {string} text
+         * @param {{ font?: 'regular' | 'bold' | 'mono', size?: number, color?: number[] }} [options]
+         */
+        paragraph(text, { font = 'regular', size = BODY_SIZE, color = [0, 0, 0] } = {}) {
+            const lineHeight = size * 1.35;
+            wrapText(text, font, size, contentWidth).forEach((line) => {
+                layout.ensure(lineHeight);
+                layout.y += lineHeight;
+                pdf.text(MARGIN, layout.y, line, { font, size, color });
+            });
+            layout.y += 4;
+        },
+        /**
+         * @param {string[]} headers
+         * @param {string[][]} rows
+         * @param {number[]} weights Relative column widths
+         */
+        table(headers, rows, weights) {
+            const total = weights.reduce((sum, weight) => sum + weight, 0);
+            const widths = weights.map((weight) => (weight / total) * contentWidth);
+            const lineHeight = TABLE_SIZE * 1.3;
+
+            const measureRow = (cells, font) => {
+                const wrapped = cells.map((cell, index) => wrapText(cell, font, TABLE_SIZE, widths[index] - CELL_PADDING * 2));
+                return { font, wrapped, height: Math.max(...wrapped.map((lines) => lines.length)) * lineHeight + CELL_PADDING * 2 };
+            };
+            const drawRow = ({ font, wrapped, height }, shaded) => {
+                if (shaded) {
+                    pdf.rect(MARGIN, layout.y, contentWidth, height, { fill: font === 'bold' ? [0.9, 0.91, 0.97] : [0.97, 0.97, 0.97] });
+                }
+                let x = MARGIN;
+                wrapped.forEach((lines, index) => {
+                    lines.forEach((line, lineIndex) => {
+                        pdf.text(x + CELL_PADDING, layout.y + CELL_PADDING + (lineIndex + 1) * lineHeight - 2, line, { font, size: TABLE_SIZE });
+                    });
+                    x += widths[index];
+                });
+                layout.y += height;
+            };
+
+            // Rows are measured before anything is drawn: a row that does not fit
+            // starts a new page under a repeated header, and the header never ends
+            // a page on its own.
+            const header = measureRow(headers, 'bold');
+            const measured = rows.map((cells) => measureRow(cells, 'regular'));
+            layout.ensure(header.height + (measured[0]?.height ?? 0));
+            drawRow(header, true);
+            measured.forEach((row, index) => {
+                if (!layout.fits(row.height)) {
+                    layout.newPage();
+                    drawRow(header, true);
+                }
+                drawRow(row, index % 2 === 1);
+            });
+            layout.y += 8;
+        }
+    };
+    pdf.addPage();
+    return layout;
+}
+
+/**
+ * Multi-page analysis report: the watermarked graph, the framework in `.waba`
+ * notation, the effective configuration, the ranked extensions and the assumption
+ * ranking table.
+ *
+ * @param {{
+ *   generatedAt: string,
+ *   graph: { jpeg: Uint8Array, width: number, height: number } | null,
+ *   waba: string,
+ *   config: import('../core/types.js').EffectiveConfig,
+ *   ranked: import('../core/types.js').RankedExtension[],
+ *   assumptionTable: { headers: string[], rows: string[][] } | null
+ * }} report
+ * @returns {Uint8Array}
+ */
+export function buildReportPdf({ generatedAt, graph, waba, config, ranked, assumptionTable }) {
+    const pdf = createPdfWriter();
+    const layout = createLayout(pdf);
+
+    layout.y += 20;
+    pdf.text(MARGIN, layout.y, 'WABA Playground Report', { font: 'bold', size: 20 });
+    layout.y += 8;
+    layout.paragraph(`Generated ${generatedAt} with WABA Playground by Fabio Aurelio d'Asaro - https://github.com/dasaro/waba-playground`, { size: 8.5, color: MUTED });
+    layout.paragraph(describeConfig(config), { font: 'bold' });
+
+    layout.heading('Graph');
+    if (graph) {
+        const scale = Math.min(layout.contentWidth / graph.width, 420 / graph.height);
+        const drawWidth = graph.width * scale;
+        const drawHeight = graph.height * scale;
+        layout.ensure(drawHeight);
+        pdf.image(pdf.addJpeg(graph.jpeg, graph.width, graph.height), MARGIN + (layout.contentWidth - drawWidth) / 2, layout.y, drawWidth, drawHeight);
+        layout.y += drawHeight + 8;
+    } else {
+        layout.paragraph('No graph was available.', { color: MUTED });
+    }
+
+    layout.heading('Framework (.waba)');
+    const codeLineHeight = MONO_SIZE * 1.3;
+    wrapText(waba.trim() || '(empty framework)', 'mono', MONO_SIZE, layout.contentWidth).forEach((line) => {
+        layout.ensure(codeLineHeight);
+        layout.y += codeLineHeight;
+        pdf.text(MARGIN, layout.y, line, { font: 'mono', size: MONO_SIZE });
+    });
+    layout.y += 8;
+
+    layout.heading('Effective configuration');
+    layout.table(
+        ['Setting', 'Value'],
+        REPORT_CONFIG_FIELDS.map(([field, label]) => [label, String(config[field] ?? '-')]),
+        [1, 2]
+    );
+
+    layout.heading(`Ranked extensions (${ranked.length})`);
+    if (ranked.length === 0) {
+        layout.paragraph('No extensions.', { color: MUTED });
+    } else {
+        layout.table(
+            ['Rank', 'Accepted assumptions', 'Cost', 'Discarded attacks'],
+            ranked.map((item, index) => [
+                String(index + 1),
+                formatExtensionSet(item.parsed),
+                item.cost !== null && item.cost !== undefined ? String(item.cost) : '-',
+                item.parsed.discarded.map(formatDiscardedAttack).join(', ') || '-'
+            ]),
+            [0.6, 3, 1, 3]
+        );
+    }
+
+    if (assumptionTable) {
+        layout.heading('Assumption ranking');
+        layout.table(assumptionTable.headers, assumptionTable.rows, assumptionTable.headers.map((_, index) => (index === 0 ? 1.6 : 1)));
+    }
+
+    const pageCount = pdf.pageCount;
+    for (let page = 0; page < pageCount; page += 1) {
+        const label = `WABA Playground report - page ${page + 1} of ${pageCount}`;
+        pdf.text(pdf.width - MARGIN - measureText(label, 'regular', 8), pdf.height - MARGIN + 8, label, { size: 8, color: MUTED, page });
+    }
+
+    return pdf.toBytes();
+}
@@ -0,0 +1,248 @@
+/**
+ * Minimal PDF 1.4 writer: standard Type 1 fonts (no embedding), lines, filled
+ * rectangles and JPEG images. Enough for the playground report without a PDF
+ * library or any network access.
+ */
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+export const FONTS = {
+    regular: { resource: 'F1', baseFont: 'Helvetica' },
+    bold: { resource: 'F2', baseFont: 'Helvetica-Bold' },
+    mono: { resource: 'F3', baseFont: 'Courier' }
+};
+
+// Advance widths (1/1000 em) of ASCII 32..126 from the standard Helvetica AFM files.
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+const FALLBACK_WIDTH = 556;
+const MONO_WIDTH = 600;
+
+// WinAnsi code points outside Latin-1, and readable stand-ins for common symbols
+// the standard fonts cannot show.
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+const WIN_ANSI_EXTRA_CODES = new Set(Object.values(WIN_ANSI_EXTRAS));
+const SUBSTITUTES = {
+    'β': 'beta', 'α': 'alpha', 'γ': 'gamma', '∅': '{}', '←': '<-', '→': '->', '⇒': '=>', '≤': '<=', '≥': '>=',
+    '≠': '!=', '⊆': 'subseteq', '∞': 'inf', '✓': 'yes', '✗': 'no', '−': '-'
+};
+
+/**
+ * Map text to single-byte WinAnsi characters. Known symbols get ASCII stand-ins,
+ * emoji and variation selectors are dropped, anything else becomes `?`. Already
+ * converted text is left unchanged.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function toWinAnsi(text) {
+    let output = '';
+    for (const char of String(text)) {
+        const code = char.codePointAt(0);
+        if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff) || WIN_ANSI_EXTRA_CODES.has(code)) {
+            output += char;
+        } else if (WIN_ANSI_EXTRAS[char]) {
+            output += String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+        } else if (SUBSTITUTES[char]) {
+            output += SUBSTITUTES[char];
+        } else if (char === '\t') {
+            output += '    ';
+        } else if (code >= 0x1f000 || (code >= 0x2600 && code <= 0x27bf) || (code >= 0xfe00 && code <= 0xfe0f) || code === 0x200d) {
+            continue;
+        } else {
+            output += '?';
+        }
+    }
+    return output;
+}
+
+/**
+ * Width in points of `text` (already WinAnsi) in one of the `FONTS`.
+ *
+ * @param {string} text
+ * @param {keyof typeof FONTS} font
+ * @param {number} size
+ */
+export function measureText(text, font, size) {
+    if (font === 'mono') {
+        return (text.length * MONO_WIDTH * size) / 1000;
+    }
+    const widths = font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let units = 0;
+    for (let index = 0; index < text.length; index += 1) {
+        const code = text.charCodeAt(index);
+        units += code >= 32 && code <= 126 ? widths[code - 32] : FALLBACK_WIDTH;
+    }
+    return (units * size) / 1000;
+}
+
+function escapePdfString(text) {
+    return text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+function formatNumber(value) {
+    return Number(value.toFixed(2)).toString();
+}
+
+function formatColor(color) {
+    return color.map((channel) => formatNumber(channel)).join(' ');
+}
+
+function bytesToBinary(bytes) {
+    let binary = '';
+    for (let index = 0; index < bytes.length; index += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+    }
+    return binary;
+}
+
+/**
+ * Create a PDF document. Coordinates are in points with `y` measured from the top
+ * of the page; colours are RGB triples in 0..1.
+ *
+ * @param {{ width: number, height: number }} [pageSize]
+ */
+export function createPdfWriter(pageSize = A4) {
+    const { width, height } = pageSize;
+    /** @type {string[][]} */
+    const pages = [];
+    /** @type {Array<{ name: string, bytes: Uint8Array, width: number, height: number }>} */
+    const images = [];
+
+    const current = () => {
+        if (pages.length === 0) {
+            throw new Error('Add a page before drawing.');
+        }
+        return pages[pages.length - 1];
+    };
+
+    return {
+        width,
+        height,
+
+        get pageCount() {
+            return pages.length;
+        },
+
+        addPage() {
+            pages.push([]);
+            return pages.length - 1;
+        },
+
+        /**
+         * Draw single-line text with its baseline at `y`. The text is converted with
+         * `toWinAnsi`. `page` defaults to the last page.
+         *
+         * @param {number} x
+         * @param {number} y
+         * @param {string} text
+         * @param {{ font?: keyof typeof FONTS, size?: number, color?: number[], page?: number }} [options]
+         */
+        text(x, y, text, { font = 'regular', size = 10, color = [0, 0, 0], page = pages.length - 1 } = {}) {
+            const target = pages[page] || current();
+            target.push(`BT /${FONTS[font].resource} ${formatNumber(size)} Tf ${formatColor(color)} rg ${formatNumber(x)} ${formatNumber(height - y)} Td (${escapePdfString(toWinAnsi(text))}) Tj ET`);
+        },
+
+        line(x1, y1, x2, y2, { lineWidth = 0.5, color = [0, 0, 0] } = {}) {
+            current().push(`${formatNumber(lineWidth)} w ${formatColor(color)} RG ${formatNumber(x1)} ${formatNumber(height - y1)} m ${formatNumber(x2)} ${formatNumber(height - y2)} l S`);
+        },
+
+        rect(x, y, rectWidth, rectHeight, { fill = [0.95, 0.95, 0.95] } = {}) {
+            current().push(`${formatColor(fill)} rg ${formatNumber(x)} ${formatNumber(height - y - rectHeight)} ${formatNumber(rectWidth)} ${formatNumber(rectHeight)} re f`);
+        },
+
+        /**
+         * Register a baseline JPEG (e.g. from `canvas.toDataURL('image/jpeg')`).
+         *
+         * @param {Uint8Array} bytes
+         * @param {number} pixelWidth
+         * @param {number} pixelHeight
+         * @returns {string} Image name for `image()`
+         */
+        addJpeg(bytes, pixelWidth, pixelHeight) {
+            const name = `Im${images.length + 1}`;
+            images.push({ name, bytes, width: pixelWidth, height: pixelHeight });
+            return name;
+        },
+
+        image(name, x, y, drawWidth, drawHeight) {
+            current().push(`q ${formatNumber(drawWidth)} 0 0 ${formatNumber(drawHeight)} ${formatNumber(x)} ${formatNumber(height - y - drawHeight)} cm /${name} Do Q`);
+        },
+
+        /**
+         * @returns {Uint8Array}
+         */
+        toBytes() {
+            if (pages.length === 0) {
+                throw new Error('A PDF needs at least one page.');
+            }
+
+            const objects = [];
+            const reserve = () => {
+                objects.push(null);
+                return objects.length;
+            };
+            const set = (id, body) => {
+                objects[id - 1] = body;
+            };
+
+            const catalogId = reserve();
+            const pagesId = reserve();
+            const fontIds = Object.fromEntries(Object.values(FONTS).map((font) => {
+                const id = reserve();
+                set(id, `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`);
+                return [font.resource, id];
+            }));
+            const imageIds = Object.fromEntries(images.map((image) => {
+                const id = reserve();
+                set(id, `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n${bytesToBinary(image.bytes)}\nendstream`);
+                return [image.name, id];
+            }));
+
+            const fontResources = Object.entries(fontIds).map(([name, id]) => `/${name} ${id} 0 R`).join(' ');
+            const imageResources = Object.entries(imageIds).map(([name, id]) => `/${name} ${id} 0 R`).join(' ');
+            const resources = `<< /Font << ${fontResources} >>${imageResources ? ` /XObject << ${imageResources} >>` : ''} >>`;
+
+            const pageIds = pages.map((operations) => {
+                const content = operations.join('\n');
+                const contentId = reserve();
+                set(contentId, `<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+                const pageId = reserve();
+                set(pageId, `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(width)} ${formatNumber(height)}] /Resources ${resources} /Contents ${contentId} 0 R >>`);
+                return pageId;
+            });
+
+            set(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+            set(pagesId, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+
+            let output = '%PDF-1.4\n%âãÏÓ\n';
+            const offsets = objects.map((body, index) => {
+                const offset = output.length;
+                output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+                return offset;
+            });
+            const xrefOffset = output.length;
+            output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+            output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+            return Uint8Array.from(output, (char) => char.charCodeAt(0));
+        }
+    };
+}
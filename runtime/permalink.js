@@ -0,0 +1,103 @@
+import { normalizeConfig, pickRunConfig, validateConfig } from './config-service.js?v=20260315-1';
+
+export const PERMALINK_PREFIX = '#share=';
+export const PERMALINK_VERSION = 1;
+
+const SIMPLE_FIELDS = ['description', 'assumptions', 'rules', 'contraries', 'weights'];
+const GRAPH_MODES = new Set(['standard', 'assumption-direct', 'assumption-branching']);
+
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let index = 0; index < bytes.length; index += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function assertString(value, label) {
+    if (typeof value !== 'string') {
+        throw new Error(`Shared link is missing ${label}.`);
+    }
+    return value;
+}
+
+/**
+ * @param {any} editor
+ * @returns {import('../core/types.js').PermalinkState['editor']}
+ */
+function readEditorState(editor) {
+    if (editor?.mode === 'advanced') {
+        return { mode: 'advanced', code: assertString(editor.code, 'the framework code') };
+    }
+    if (editor?.mode === 'simple') {
+        const fields = Object.fromEntries(SIMPLE_FIELDS.map((field) => [field, assertString(editor.fields?.[field] ?? '', `the ${field} field`)]));
+        return { mode: 'simple', fields: /** @type {any} */ (fields) };
+    }
+    throw new Error('Shared link has an unknown editor mode.');
+}
+
+/**
+ * Encode the editor content, run configuration and graph mode as a URL hash
+ * (`#share=` + base64url of deflated JSON). Only static browser APIs are used, so
+ * links work from GitHub Pages.
+ *
+ * @param {import('../core/types.js').PermalinkState} state
+ * @returns {Promise<string>}
+ */
+export async function encodePermalink(state) {
+    const payload = {
+        v: PERMALINK_VERSION,
+        editor: state.editor,
+        config: pickRunConfig(state.config),
+        graphMode: state.graphMode
+    };
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    return `${PERMALINK_PREFIX}${toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))}`;
+}
+
+/**
+ * Decode a `#share=` hash. Resolves to `null` when the hash is not a permalink and
+ * throws when it is one but cannot be restored.
+ *
+ * @param {string} hash
+ * @returns {Promise<import('../core/types.js').PermalinkState | null>}
+ */
+export async function decodePermalink(hash) {
+    if (!hash || !hash.startsWith(PERMALINK_PREFIX)) {
+        return null;
+    }
+
+    let payload;
+    try {
+        const bytes = await pipeBytes(fromBase64Url(hash.slice(PERMALINK_PREFIX.length)), new DecompressionStream('deflate-raw'));
+        payload = JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+        throw new Error('Shared link is damaged or truncated.');
+    }
+
+    if (payload?.v !== PERMALINK_VERSION) {
+        throw new Error(`Shared link version ${payload?.v} is not supported by this playground.`);
+    }
+
+    const config = normalizeConfig(pickRunConfig(payload.config));
+    const configError = validateConfig(config);
+    if (configError) {
+        throw new Error(configError);
+    }
+
+    return {
+        editor: readEditorState(payload.editor),
+        config,
+        graphMode: GRAPH_MODES.has(payload.graphMode) ? payload.graphMode : 'standard'
+    };
+}
@@ -1,12 +1,13 @@
 import { wabaModules } from '../waba-modules.js?v=20260315-1';
-import { resolveBudgetProfile, resolveSolverOptMode, shouldLoadObjective } from './config-service.js?v=20260315-1';
+import { getExperimentalSemiring } from './semiring-modules.js?v=20260315-1';
+import { isPostFilteredSemantics, resolveBudgetProfile, resolveSolverOptMode, shouldLoadObjective } from './config-service.js?v=20260315-1';
 
 export function getCoreModule() {
     return wabaModules.core.base;
 }
 
 export function getSemiringModule(config) {
-    return wabaModules.semiring[config.semiringKey] || wabaModules.semiring.godel;
+    return getExperimentalSemiring(config.semiringKey)?.source || wabaModules.semiring[config.semiringKey] || wabaModules.semiring.godel;
 }
 
 export function getDefaultPolicyModule(defaultPolicy) {
@@ -30,7 +31,7 @@ export function getFilterModule(filterType = 'standard') {
 }
 
 export function getSemanticsModule(semantics) {
-    if (semantics === 'preferred' || semantics === 'grounded') {
+    if (isPostFilteredSemantics(semantics)) {
         return wabaModules.semantics.complete;
     }
     return wabaModules.semantics[semantics] || wabaModules.semantics.stable;
@@ -39,7 +40,8 @@ export function getSemanticsModule(semantics) {
 /**
  * @param {string} framework
  * @param {import('../core/types.js').EffectiveConfig} config
- * @param {{ semantics?: string, includeObjective?: boolean }} [options]
+ * @param {{ semantics?: string, includeObjective?: boolean, budget?: string | number }} [options]
+ *   `budget` replaces `config.beta` in the `budget/1` fact, e.g. `#sup` to lift an upper bound.
  */
 export function buildProgram(framework, config, options = {}) {
     const semanticsKey = options.semantics || config.semantics;
@@ -50,7 +52,7 @@ export function buildProgram(framework, config, options = {}) {
         framework.trim(),
         '',
         '%% Budget',
-        `budget(${config.beta}).`,
+        `budget(${options.budget ?? config.beta}).`,
         '',
         '%% Core',
         getCoreModule(),
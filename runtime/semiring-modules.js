@@ -0,0 +1,115 @@
+import { wabaModules } from '../waba-modules.js?v=20260315-1';
+
+/**
+ * Experimental semiring modules: user `.lp` files registered for the session
+ * next to the synced built-ins. They are schema-checked on registration but
+ * sit outside the supported surface.
+ */
+
+const BUILT_IN_KEYS = new Set([
+    ...Object.keys(wabaModules.semiring),
+    ...Object.keys(wabaModules.metadata.canonicalSemiring),
+    ...Object.keys(wabaModules.metadata.aliases)
+]);
+const DEFAULT_POLICIES = Object.keys(wabaModules.defaults);
+const CONSTANT_PATTERN = /^[a-z][A-Za-z0-9_]*$/;
+
+/** @type {Map<string, import('../core/types.js').SemiringModule>} */
+const experimentalSemirings = new Map();
+
+function stripComments(source) {
+    return source
+        .replace(/%\*[\s\S]*?\*%/g, (comment) => comment.replace(/[^\n]/g, ' '))
+        .replace(/%.*$/gm, '');
+}
+
+/** Arguments of the facts `name(args).`, as trimmed strings. */
+function factArguments(code, name) {
+    const pattern = new RegExp(`(?<=^|\\.)\\s*${name}\\s*\\(([^()]*)\\)\\s*\\.(?!\\.)`, 'g');
+    return [...code.matchAll(pattern)].map((match) => match[1].split(',').map((argument) => argument.trim()));
+}
+
+/**
+ * Schema-check an ordered-semiring module. It must declare one
+ * `active_semiring/1` fact naming a new semiring, a `semiring_default_weight/2`
+ * fact for every default policy, and define `supported_with_weight_from/3`,
+ * which the core attack rules read.
+ *
+ * @param {string} source
+ * @returns {import('../core/types.js').SemiringModule}
+ */
+export function parseSemiringModule(source) {
+    const code = stripComments(String(source ?? ''));
+    const problems = [];
+
+    if (/#include\b/.test(code)) {
+        problems.push('#include is not available in the browser; paste the included files into the module.');
+    }
+
+    const names = factArguments(code, 'active_semiring').filter((args) => args.length === 1).map(([name]) => name);
+    const key = names[0] ?? null;
+    if (names.length !== 1) {
+        problems.push(names.length === 0
+            ? 'The module must declare its name with an active_semiring/1 fact, e.g. active_semiring(arctic).'
+            : `The module declares ${names.length} active_semiring/1 facts (${names.join(', ')}); it must declare exactly one.`);
+    } else if (!CONSTANT_PATTERN.test(key)) {
+        problems.push(`active_semiring(${key}) must name a lowercase constant.`);
+    } else if (BUILT_IN_KEYS.has(key)) {
+        problems.push(`"${key}" is a built-in semiring; give the module another name.`);
+    }
+
+    const defaultWeights = Object.fromEntries(factArguments(code, 'semiring_default_weight')
+        .filter((args) => args.length === 2)
+        .map(([policy, weight]) => [policy, weight]));
+    const missingPolicies = DEFAULT_POLICIES.filter((policy) => !(policy in defaultWeights));
+    if (missingPolicies.length > 0) {
+        problems.push(`semiring_default_weight/2 is missing for the ${missingPolicies.join(', ')} default ${missingPolicies.length === 1 ? 'policy' : 'policies'}.`);
+    }
+
+    if (!/(?<=^|\.)\s*supported_with_weight_from\s*\([^()]*\)\s*:-/.test(code)) {
+        problems.push('The module must define supported_with_weight_from/3 (atom, source set, weight), which the core attack rules read.');
+    }
+
+    if (problems.length > 0) {
+        throw new Error(problems.join(' '));
+    }
+    return { key, defaultWeights, source: String(source) };
+}
+
+/**
+ * Check and register a module for this session, replacing a module of the
+ * same name.
+ *
+ * @param {string} source
+ * @returns {import('../core/types.js').SemiringModule}
+ */
+export function registerSemiringModule(source) {
+    const semiringModule = parseSemiringModule(source);
+    experimentalSemirings.set(semiringModule.key, semiringModule);
+    return semiringModule;
+}
+
+/**
+ * @param {string} key
+ */
+export function unregisterSemiringModule(key) {
+    return experimentalSemirings.delete(key);
+}
+
+/**
+ * @param {string} key
+ */
+export function getExperimentalSemiring(key) {
+    return experimentalSemirings.get(key) ?? null;
+}
+
+/**
+ * @param {string} key
+ */
+export function isExperimentalSemiring(key) {
+    return experimentalSemirings.has(key);
+}
+
+export function listExperimentalSemirings() {
+    return [...experimentalSemirings.values()];
+}
@@ -0,0 +1,236 @@
+import { shouldApplyNumericPostFilter } from './config-service.js?v=20260315-1';
+import { buildProgram } from './program-builder.js?v=20260315-1';
+import { compareTuples, getObjectiveTuple } from './objective-utils.js?v=20260315-1';
+import {
+    applyNumericPostFilter,
+    assertSolverResult,
+    getWitnessAggregateValue,
+    inMembers,
+    isSubsetSemantics,
+    runSubsetSemantics
+} from './subset-semantics.js?v=20260315-1';
+
+/**
+ * "Why is this set not an extension?": the set is pinned with `set_member/1`
+ * facts and the active semantics run on it. When that is unsatisfiable, the
+ * semantics and budget constraints are relaxed into `set_violation/1` atoms and
+ * the fewest violations are looked for, keeping the budget if at all possible,
+ * so the report names the failing checks and the attacks behind them.
+ */
+
+const ATOM_PATTERN = /^[a-z][A-Za-z0-9_]*(\([A-Za-z0-9_, ]*\))?$/;
+const VIOLATION_PATTERN = /^set_violation\(([a-z_]+)\)$/;
+const ATTACK_CULPRIT_PATTERN = /^set_attack_culprit\(([a-z_]+),(.+),(.+),([^,()]+)\)$/;
+const ATOM_CULPRIT_PATTERN = /^set_atom_culprit\(([a-z_]+),(.+)\)$/;
+const DISCARDED_PATTERN = /^discarded_attack\((.+),(.+),([^,()]+)\)$/;
+
+/**
+ * Integrity constraints of the synced semantics and budget modules, by the
+ * check they implement. Constraints not listed stay hard.
+ */
+const RELAXED_CONSTRAINTS = [
+    { check: 'closure', body: 'out(X), assumption(X), supported(X)' },
+    { check: 'conflict', body: 'in(X), attacked_by_candidate(X)' },
+    { check: 'undefended', body: 'in(X), undefended(X)' },
+    { check: 'unattacked', body: 'out(X), assumption(X), not attacked_by_candidate(X)' },
+    { check: 'defended_out', body: 'out(X), assumption(X), defended(X)' },
+    { check: 'budget', body: 'budget_value(C), C > B, budget(B)' },
+    { check: 'budget', body: 'budget_value(C), C < B, budget(B)' },
+    { check: 'budget', body: 'discarded_attack_detail(_,_,_,_,#sup)' },
+    { check: 'budget', body: 'discarded_attack(_)' }
+];
+
+const CHECK_ORDER = ['closure', 'conflict', 'undefended', 'unattacked', 'defended_out', 'budget'];
+
+const DIAGNOSIS_RULES = [
+    '%% Set diagnosis',
+    'set_attack_culprit(conflict,X,Y,W) :- set_violation(conflict), in(Y), candidate_successful_attack(_,_,X,Y,W).',
+    'set_attack_culprit(undefended,X,Y,W) :- set_violation(undefended), in(Y), successful_attack(_,S,X,Y,W), not counterattacks_closure(S).',
+    'set_attack_culprit(budget,X,Y,W) :- set_violation(budget), discarded_attack(X,Y,W).',
+    'set_atom_culprit(closure,X) :- set_violation(closure), out(X), assumption(X), supported(X).',
+    'set_atom_culprit(unattacked,X) :- set_violation(unattacked), out(X), assumption(X), not attacked_by_candidate(X).',
+    'set_atom_culprit(defended_out,X) :- set_violation(defended_out), out(X), assumption(X), defended(X).',
+    ':~ set_violation(budget). [1@2]',
+    ':~ set_violation(K). [1@1,K]',
+    ':~ discarded_attack(A). [1@0,A]',
+    '#show set_violation/1.',
+    '#show set_attack_culprit/4.',
+    '#show set_atom_culprit/2.',
+    '#show discarded_attack/3.'
+].join('\n');
+
+/**
+ * Facts pinning the extension to exactly `members`.
+ *
+ * @param {string[]} members
+ * @returns {string}
+ */
+export function buildSetFacts(members) {
+    members.forEach((member) => {
+        if (!ATOM_PATTERN.test(member)) {
+            throw new Error(`"${member}" is not a valid assumption.`);
+        }
+    });
+    return [
+        '%% Tested set',
+        ...members.map((member) => `set_member(${member}).`),
+        'in(X) :- set_member(X), assumption(X).',
+        'out(X) :- assumption(X), not set_member(X).'
+    ].join('\n');
+}
+
+/**
+ * Turn the known semantics and budget constraints of `program` into
+ * `set_violation/1` rules.
+ *
+ * @param {string} program
+ * @returns {string}
+ */
+export function relaxConstraints(program) {
+    return RELAXED_CONSTRAINTS.reduce(
+        (relaxed, { check, body }) => relaxed.split(`:- ${body}.`).join(`set_violation(${check}) :- ${body}.`),
+        program
+    );
+}
+
+/**
+ * @param {string[]} predicates
+ * @returns {import('../core/types.js').SetViolation[]}
+ */
+export function parseViolations(predicates) {
+    const violations = new Map();
+    predicates.forEach((predicate) => {
+        const match = predicate.match(VIOLATION_PATTERN);
+        if (match) {
+            violations.set(match[1], { check: match[1], attacks: [], atoms: [] });
+        }
+    });
+    predicates.forEach((predicate) => {
+        const attack = predicate.match(ATTACK_CULPRIT_PATTERN);
+        if (attack && violations.has(attack[1])) {
+            violations.get(attack[1]).attacks.push({ source: attack[2], target: attack[3], weight: attack[4] });
+        }
+        const atom = predicate.match(ATOM_CULPRIT_PATTERN);
+        if (atom && violations.has(atom[1])) {
+            violations.get(atom[1]).atoms.push(atom[2]);
+        }
+    });
+    return [...violations.values()].sort((left, right) => CHECK_ORDER.indexOf(left.check) - CHECK_ORDER.indexOf(right.check));
+}
+
+function lastWitness(result) {
+    const witnesses = result.Call?.[0]?.Witnesses || [];
+    return witnesses[witnesses.length - 1] || null;
+}
+
+const sameSet = (left, right) => left.length === right.length && left.every((member) => right.includes(member));
+
+/**
+ * @returns {Promise<Pick<import('../core/types.js').SetDiagnosis, 'verdict' | 'violations' | 'witness'>>}
+ */
+async function diagnose(pinnedProgram, solve) {
+    const result = await solve(`${relaxConstraints(pinnedProgram)}${DIAGNOSIS_RULES}\n`, 1, ['--opt-mode=opt']);
+    assertSolverResult(result);
+    const witness = lastWitness(result);
+    if (!witness) {
+        return { verdict: 'unexplained', violations: [], witness: null };
+    }
+    return {
+        verdict: 'violates',
+        violations: parseViolations(witness.Value || []),
+        witness: {
+            ...witness,
+            Value: (witness.Value || []).filter((predicate) => DISCARDED_PATTERN.test(predicate))
+        }
+    };
+}
+
+/**
+ * Whether the objective keeps the set: its best aggregate against the best
+ * aggregate of any extension.
+ */
+async function compareObjective(framework, config, setFacts, solve) {
+    const program = buildProgram(framework, config, { includeObjective: true });
+    const pinned = await solve(`${program}${setFacts}\n`, 0, ['--opt-mode=opt']);
+    assertSolverResult(pinned);
+    const global = await solve(program, 0, ['--opt-mode=opt']);
+    assertSolverResult(global);
+    const setAggregate = getWitnessAggregateValue(lastWitness(pinned), config.monoid);
+    const bestAggregate = getWitnessAggregateValue(lastWitness(global), config.monoid);
+    const optimal = compareTuples(getObjectiveTuple(config, setAggregate), getObjectiveTuple(config, bestAggregate)) <= 0;
+    return { optimal, aggregates: { set: setAggregate, best: bestAggregate }, witness: lastWitness(pinned) };
+}
+
+/**
+ * Is `members` an extension under `config`, and if not, why not. Post-filtered
+ * semantics check the set against `complete` first (each of their extensions
+ * is complete), then against the exact extensions.
+ *
+ * @param {string} framework
+ * @param {import('../core/types.js').EffectiveConfig} config
+ * @param {string[]} members
+ * @param {{
+ *   solve: (program: string, numModels: number, args: string[]) => Promise<any>,
+ *   onLog?: (message: string, type?: string) => void
+ * }} options
+ * @returns {Promise<import('../core/types.js').SetDiagnosis>}
+ */
+export async function diagnoseAssumptionSet(framework, config, members, { solve, onLog = () => {} }) {
+    const sortedMembers = [...members].sort();
+    const setFacts = buildSetFacts(sortedMembers);
+    const subset = isSubsetSemantics(config.semantics);
+    const baseSemantics = subset ? 'complete' : config.semantics;
+    /** @type {import('../core/types.js').SetDiagnosis} */
+    const outcome = {
+        members: sortedMembers,
+        semantics: config.semantics,
+        baseSemantics,
+        verdict: 'extension',
+        violations: [],
+        witness: null,
+        extensions: [],
+        aggregates: null
+    };
+
+    const pinnedProgram = `${buildProgram(framework, config, { semantics: baseSemantics, includeObjective: false })}${setFacts}\n`;
+    const check = await solve(pinnedProgram, 1, ['--opt-mode=ignore']);
+    assertSolverResult(check);
+    if (check.Result === 'UNSATISFIABLE') {
+        return { ...outcome, ...await diagnose(pinnedProgram, solve) };
+    }
+
+    if (!subset) {
+        if (!shouldApplyNumericPostFilter(config)) {
+            return { ...outcome, witness: lastWitness(check) };
+        }
+        const { optimal, aggregates, witness } = await compareObjective(framework, config, setFacts, solve);
+        return { ...outcome, verdict: optimal ? 'extension' : 'not-optimal', aggregates, witness };
+    }
+
+    const result = await runSubsetSemantics(framework, { ...config, optMode: 'ignore', numModels: 0 }, { solve, onLog });
+    const extensions = result.Call?.[0]?.Witnesses || [];
+    const own = extensions.filter((witness) => sameSet(inMembers(witness), sortedMembers));
+    const extensionSets = [...new Set(extensions.map((witness) => JSON.stringify(inMembers(witness).sort())))]
+        .map((key) => JSON.parse(key));
+    if (own.length === 0) {
+        return { ...outcome, verdict: 'not-selected', witness: lastWitness(check), extensions: extensionSets };
+    }
+    if (!shouldApplyNumericPostFilter(config)) {
+        return { ...outcome, witness: own[0], extensions: extensionSets };
+    }
+
+    const kept = applyNumericPostFilter(extensions, config);
+    const keptOwn = kept.find((witness) => sameSet(inMembers(witness), sortedMembers));
+    const aggregates = {
+        set: getWitnessAggregateValue(applyNumericPostFilter(own, config)[0], config.monoid),
+        best: getWitnessAggregateValue(kept[0], config.monoid)
+    };
+    return {
+        ...outcome,
+        verdict: keptOwn ? 'extension' : 'not-optimal',
+        witness: keptOwn || own[0],
+        extensions: extensionSets,
+        aggregates
+    };
+}
+
@@ -0,0 +1,272 @@
+import { wabaModules } from '../waba-modules.js?v=20260315-1';
+import { shouldApplyNumericPostFilter } from './config-service.js?v=20260315-1';
+import { buildProgram } from './program-builder.js?v=20260315-1';
+import { compareTuples, computeAggregateFromDiscarded, formatSyntheticOptimization, getObjectiveTuple } from './objective-utils.js?v=20260315-1';
+
+const IN_PATTERN = /^in\(([^)]+)\)$/;
+const ATTACKED_PATTERN = /^attacked_by_candidate\(([^)]+)\)$/;
+const RANGE_SHOW = '#show attacked_by_candidate/1.';
+
+function matchAll(witness, pattern) {
+    return (witness.Value || [])
+        .map((predicate) => predicate.match(pattern))
+        .filter(Boolean)
+        .map((match) => match[1]);
+}
+
+/**
+ * Accepted assumptions of a candidate witness.
+ *
+ * @param {{ Value?: string[] }} witness
+ * @returns {string[]}
+ */
+export function inMembers(witness) {
+    return matchAll(witness, IN_PATTERN);
+}
+
+/**
+ * Range of a candidate: accepted assumptions plus the assumptions it attacks.
+ * Needs `attacked_by_candidate/1` to be shown in the candidate pass.
+ *
+ * @param {{ Value?: string[] }} witness
+ * @returns {string[]}
+ */
+export function rangeMembers(witness) {
+    return [...new Set([...inMembers(witness), ...matchAll(witness, ATTACKED_PATTERN)])];
+}
+
+/**
+ * Semantics computed by enumerating `complete` candidates and filtering them in
+ * further passes. `select` receives the candidates and a `filter(witnesses, pass)`
+ * helper that runs one synced filter module (emitting `keep/1`) over them.
+ */
+export const SUBSET_SEMANTICS = {
+    preferred: {
+        description: 'subset-maximal',
+        select: (candidates, filter) => filter(candidates, { filterKind: 'subset_maximal_filter' })
+    },
+    grounded: {
+        description: 'subset-minimal',
+        select: (candidates, filter) => filter(candidates, { filterKind: 'subset_minimal_filter' })
+    },
+    'semi-stable': {
+        description: 'range-maximal',
+        showRange: true,
+        select: (candidates, filter) => filter(candidates, { filterKind: 'subset_maximal_filter', members: rangeMembers })
+    },
+    ideal: {
+        description: 'subset-maximal sceptically preferred',
+        select: async (candidates, filter) => {
+            const preferred = await filter(candidates, { filterKind: 'subset_maximal_filter' });
+            const sceptical = intersectMembers(preferred);
+            const inside = candidates.filter((witness) => inMembers(witness).every((member) => sceptical.has(member)));
+            return filter(inside, { filterKind: 'subset_maximal_filter' });
+        }
+    }
+};
+
+export function isSubsetSemantics(semantics) {
+    return Object.prototype.hasOwnProperty.call(SUBSET_SEMANTICS, semantics);
+}
+
+/**
+ * @param {Array<{ Value?: string[] }>} witnesses
+ * @returns {Set<string>}
+ */
+export function intersectMembers(witnesses) {
+    if (witnesses.length === 0) {
+        return new Set();
+    }
+    const [first, ...rest] = witnesses.map((witness) => new Set(inMembers(witness)));
+    return new Set([...first].filter((member) => rest.every((set) => set.has(member))));
+}
+
+/**
+ * @param {any} result
+ */
+export function assertSolverResult(result) {
+    if (!result || typeof result !== 'object') {
+        throw new Error('Clingo returned an invalid result.');
+    }
+    if (result.Result === 'ERROR' || result.Result === 'UNKNOWN') {
+        throw new Error(`Clingo returned ${result.Result}.`);
+    }
+}
+
+/**
+ * Encode candidate witnesses as `candidate(i).` and `member(i, a).` facts (1-based ids).
+ *
+ * @param {Array<{ Value?: string[] }>} witnesses
+ * @param {(witness: { Value?: string[] }) => string[]} [members]
+ * @returns {string}
+ */
+export function buildCandidateFacts(witnesses, members = inMembers) {
+    return witnesses.map((witness, index) => {
+        const modelId = index + 1;
+        const facts = members(witness).map((member) => `member(${modelId},${member}).`);
+        return [`candidate(${modelId}).`, ...facts].join('\n');
+    }).join('\n');
+}
+
+/**
+ * @param {{ Value?: string[] } | undefined} witness
+ * @returns {Set<number>}
+ */
+export function parseKeepIds(witness) {
+    return new Set(
+        (witness?.Value || [])
+            .map((predicate) => predicate.match(/^keep\((\d+)\)$/))
+            .filter(Boolean)
+            .map((match) => Number.parseInt(match[1], 10))
+    );
+}
+
+export function getWitnessAggregateValue(witness, monoid) {
+    const predicates = witness.Value || [];
+    const discarded = predicates.filter((predicate) => predicate.startsWith('discarded_attack('));
+    return computeAggregateFromDiscarded(discarded, monoid);
+}
+
+/**
+ * Keep only the witnesses with the best objective tuple and give them a synthetic
+ * `Optimization` value, since the filter pass ran without the objective loaded.
+ */
+export function applyNumericPostFilter(witnesses, config) {
+    const ranked = witnesses.map((witness) => {
+        const aggregate = getWitnessAggregateValue(witness, config.monoid);
+        return {
+            witness: {
+                ...witness,
+                Optimization: formatSyntheticOptimization(aggregate)
+            },
+            tuple: getObjectiveTuple(config, aggregate)
+        };
+    });
+    const bestTuple = ranked.reduce((best, entry) => {
+        if (!best) {
+            return entry.tuple;
+        }
+        return compareTuples(entry.tuple, best) < 0 ? entry.tuple : best;
+    }, null);
+    return ranked
+        .filter((entry) => compareTuples(entry.tuple, bestTuple) === 0)
+        .map((entry) => entry.witness);
+}
+
+/**
+ * Enumerate the `complete` candidates a post-filtered semantics filters, without
+ * the objective. `budget` overrides the `budget/1` fact (e.g. `#sup` to lift an
+ * upper bound); `candidateExtras` is appended to the program.
+ *
+ * @param {string} framework
+ * @param {import('../core/types.js').EffectiveConfig} config
+ * @param {{
+ *   solve: (program: string, numModels: number, args: string[]) => Promise<any>,
+ *   candidateExtras?: string,
+ *   budget?: string | number
+ * }} options
+ */
+export async function enumerateSubsetCandidates(framework, config, { solve, candidateExtras = '', budget }) {
+    const spec = SUBSET_SEMANTICS[config.semantics];
+    /** @type {import('../core/types.js').EffectiveConfig} */
+    const candidateConfig = {
+        ...config,
+        semantics: 'complete',
+        optMode: 'ignore'
+    };
+    const candidateProgram = buildProgram(framework, candidateConfig, {
+        includeObjective: false,
+        budget
+    });
+    const extras = [spec.showRange ? RANGE_SHOW : '', candidateExtras].filter(Boolean).join('\n');
+    const candidateResult = await solve(
+        extras ? `${candidateProgram}${extras}\n` : candidateProgram,
+        0,
+        ['--opt-mode=ignore']
+    );
+    assertSolverResult(candidateResult);
+    return candidateResult;
+}
+
+/**
+ * Run the filter passes of a post-filtered semantics over enumerated candidates.
+ *
+ * @param {string} semantics
+ * @param {Array<{ Value?: string[] }>} candidates
+ * @param {(program: string, numModels: number, args: string[]) => Promise<any>} solve
+ */
+export async function selectSubsetExtensions(semantics, candidates, solve) {
+    const spec = SUBSET_SEMANTICS[semantics];
+    const filter = async (witnesses, { filterKind, members = inMembers }) => {
+        if (witnesses.length === 0) {
+            return [];
+        }
+        const subsetProgram = `
+${buildCandidateFacts(witnesses, members)}
+${wabaModules.semantics[filterKind]}
+`;
+        const subsetResult = await solve(subsetProgram, 0, ['--project']);
+        assertSolverResult(subsetResult);
+        const keepIds = parseKeepIds(subsetResult.Call?.[0]?.Witnesses?.[0]);
+        return witnesses.filter((_, index) => keepIds.has(index + 1));
+    };
+
+    const selected = await spec.select(candidates, filter);
+    if (!spec.showRange) {
+        return selected;
+    }
+    return selected.map((witness) => ({
+        ...witness,
+        Value: (witness.Value || []).filter((predicate) => !ATTACKED_PATTERN.test(predicate))
+    }));
+}
+
+/**
+ * Exact subset semantics as plain multi-pass clingo:
+ * enumerate `complete` candidates, filter them with one or more synced subset
+ * filter passes (see `SUBSET_SEMANTICS`),
+ * then apply the numeric objective (if any) and the model limit.
+ *
+ * @param {string} framework
+ * @param {import('../core/types.js').EffectiveConfig} config
+ * @param {{
+ *   solve: (program: string, numModels: number, args: string[]) => Promise<any>,
+ *   onLog?: (message: string, type?: string) => void,
+ *   candidateExtras?: string
+ * }} options `candidateExtras` is appended to the candidate program; atoms it shows
+ *   are kept on the returned witnesses.
+ */
+export async function runSubsetSemantics(framework, config, { solve, onLog = () => {}, candidateExtras = '' }) {
+    const spec = SUBSET_SEMANTICS[config.semantics];
+    const targetLabel = config.semantics;
+    onLog(`Enumerating complete candidates for exact ${targetLabel} semantics…`, 'info');
+
+    const candidateResult = await enumerateSubsetCandidates(framework, config, { solve, candidateExtras });
+    const candidateWitnesses = candidateResult.Call?.[0]?.Witnesses || [];
+    if (candidateWitnesses.length === 0) {
+        return candidateResult;
+    }
+
+    onLog(`Filtering ${spec.description} complete candidates…`, 'info');
+    let filteredWitnesses = await selectSubsetExtensions(config.semantics, candidateWitnesses, solve);
+
+    if (shouldApplyNumericPostFilter(config)) {
+        onLog(`Applying numeric objective after exact ${targetLabel} filtering…`, 'info');
+        filteredWitnesses = applyNumericPostFilter(filteredWitnesses, config);
+    }
+
+    if (config.numModels > 0) {
+        filteredWitnesses = filteredWitnesses.slice(0, config.numModels);
+    }
+
+    return {
+        Result: filteredWitnesses.length > 0
+            ? (config.optMode === 'optN' ? 'OPTIMUM FOUND' : 'SATISFIABLE')
+            : 'UNSATISFIABLE',
+        Call: [
+            {
+                Witnesses: filteredWitnesses
+            }
+        ]
+    };
+}
@@ -0,0 +1,322 @@
+import { normalizeConfig, pickRunConfig, validateConfig } from './config-service.js?v=20260315-1';
+import { frameworkToSimpleFields } from './iccma-format.js?v=20260315-1';
+import { NEG_INF, POS_INF } from './objective-utils.js?v=20260315-1';
+
+/**
+ * Versioned JSON documents for a framework (`waba-framework`) and for a run
+ * result (`waba-result`). Every document carries `format` and `version`; readers
+ * reject versions they do not know. The shapes are the `WabaFrameworkDocument`
+ * and `WabaResultDocument` typedefs in `core/types.js`.
+ */
+
+export const WABA_JSON_VERSION = 1;
+export const FRAMEWORK_FORMAT = 'waba-framework';
+export const RESULT_FORMAT = 'waba-result';
+
+const ATOM = /^[a-z_][A-Za-z0-9_]*$/;
+const INTEGER = /^-?\d+$/;
+// Simple mode only writes non-negative integer weights and numbers rules r1..rn.
+const SIMPLE_WEIGHT = /^\d+$/;
+const SIMPLE_ATOM = /^[a-z_][a-z0-9_]*$/i;
+
+/**
+ * Integer weights become JSON numbers; `#sup`/`#inf` and anything else stay strings.
+ *
+ * @param {string | number | null | undefined} value
+ * @returns {string | number | null}
+ */
+function toJsonValue(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    return INTEGER.test(String(value)) ? Number(value) : String(value);
+}
+
+function parseAttack(predicate) {
+    const match = predicate.match(/^\w+\(([^,]+),\s*([^,]+),\s*(.+)\)$/);
+    return match
+        ? { source: match[1].trim(), target: match[2].trim(), weight: toJsonValue(match[3].trim()) }
+        : { source: null, target: null, weight: null, predicate };
+}
+
+/**
+ * @param {import('../core/types.js').AbaFramework} framework
+ * @param {string} [description]
+ * @returns {import('../core/types.js').WabaFrameworkDocument}
+ */
+export function serializeFramework(framework, description = '') {
+    return {
+        format: FRAMEWORK_FORMAT,
+        version: WABA_JSON_VERSION,
+        description,
+        assumptions: framework.assumptions.slice(),
+        rules: framework.rules.map((rule, index) => ({ id: rule.id || `r${index + 1}`, head: rule.head, body: rule.body.slice() })),
+        contraries: framework.contraries.map(({ assumption, contrary }) => ({ assumption, contrary })),
+        weights: Object.fromEntries(Object.entries(framework.weights).map(([atom, weight]) => [atom, toJsonValue(weight)]))
+    };
+}
+
+/**
+ * Metrics without the per-extension bookkeeping of `MetricsManager`: the global
+ * summary (top extensions by label) and the assumption ranking.
+ *
+ * @param {any} metrics `MetricsManager.computeMetrics` output
+ */
+function serializeMetrics(metrics) {
+    if (!metrics) {
+        return null;
+    }
+    const { topExtensions, ...summary } = metrics.global;
+    return {
+        summary: { ...summary, topExtensions: topExtensions.map((extension) => extension.label) },
+        assumptions: metrics.atoms.map((metric) => ({ ...metric }))
+    };
+}
+
+/**
+ * @param {{
+ *   framework: import('../core/types.js').AbaFramework | null,
+ *   description?: string,
+ *   config: import('../core/types.js').EffectiveConfig,
+ *   status: string,
+ *   elapsed: string,
+ *   ranked: import('../core/types.js').RankedExtension[],
+ *   metrics?: any,
+ *   createdAt?: string
+ * }} run
+ * @returns {import('../core/types.js').WabaResultDocument}
+ */
+export function serializeRunResult({ framework, description = '', config, status, elapsed, ranked, metrics = null, createdAt = new Date().toISOString() }) {
+    return {
+        format: RESULT_FORMAT,
+        version: WABA_JSON_VERSION,
+        createdAt,
+        framework: framework ? serializeFramework(framework, description) : null,
+        config: /** @type {import('../core/types.js').EffectiveConfig} */ ({ ...config }),
+        status,
+        elapsed,
+        extensions: ranked.map((item, index) => ({
+            rank: index + 1,
+            in: item.parsed.in.slice(),
+            out: item.parsed.out.slice(),
+            supported: item.parsed.supported.map((atom) => ({ atom, weight: toJsonValue(item.parsed.weights.get(atom)) })),
+            discardedAttacks: item.parsed.discarded.map(parseAttack),
+            successfulAttacks: item.parsed.successful.map(parseAttack),
+            aggregateValue: item.aggregateValue,
+            cost: item.cost,
+            budgetValue: toJsonValue(item.parsed.budgetValue),
+            objectiveTuple: item.objectiveTuple.slice(),
+            answerSet: (item.witness.Value || []).slice(),
+            ...(item.witness.Optimization !== undefined ? { optimization: item.witness.Optimization } : {})
+        })),
+        metrics: serializeMetrics(metrics)
+    };
+}
+
+function fail(path, message) {
+    throw new Error(`${path} ${message}.`);
+}
+
+function readString(value, path) {
+    if (typeof value !== 'string') {
+        fail(path, 'must be a string');
+    }
+    return value;
+}
+
+function readAtom(value, path) {
+    if (typeof value !== 'string' || !ATOM.test(value)) {
+        fail(path, `must be an atom name, got ${JSON.stringify(value)}`);
+    }
+    return value;
+}
+
+function readArray(value, path) {
+    if (!Array.isArray(value)) {
+        fail(path, 'must be an array');
+    }
+    return value;
+}
+
+function readWeight(value, path) {
+    if (typeof value === 'number' && Number.isInteger(value)) {
+        return String(value);
+    }
+    if (typeof value === 'string' && (value === POS_INF || value === NEG_INF || INTEGER.test(value))) {
+        return value;
+    }
+    return fail(path, `must be an integer, "${POS_INF}" or "${NEG_INF}"`);
+}
+
+/**
+ * @param {any} document
+ * @param {string} path
+ * @returns {{ framework: import('../core/types.js').AbaFramework, description: string }}
+ */
+function readFramework(document, path) {
+    if (!document || typeof document !== 'object') {
+        fail(path, 'must be an object');
+    }
+    const ruleIds = new Set();
+    const rules = readArray(document.rules ?? [], `${path}.rules`).map((rule, index) => {
+        const rulePath = `${path}.rules[${index}]`;
+        const id = rule?.id === undefined ? `r${index + 1}` : readAtom(rule.id, `${rulePath}.id`);
+        if (ruleIds.has(id)) {
+            fail(`${rulePath}.id`, `repeats rule id "${id}"`);
+        }
+        ruleIds.add(id);
+        return {
+            id,
+            head: readAtom(rule?.head, `${rulePath}.head`),
+            body: readArray(rule?.body ?? [], `${rulePath}.body`).map((atom, position) => readAtom(atom, `${rulePath}.body[${position}]`))
+        };
+    });
+    const weights = document.weights ?? {};
+    if (typeof weights !== 'object' || Array.isArray(weights)) {
+        fail(`${path}.weights`, 'must be an object mapping atoms to weights');
+    }
+
+    return {
+        description: readString(document.description ?? '', `${path}.description`),
+        framework: {
+            assumptions: readArray(document.assumptions ?? [], `${path}.assumptions`).map((atom, index) => readAtom(atom, `${path}.assumptions[${index}]`)),
+            rules,
+            contraries: readArray(document.contraries ?? [], `${path}.contraries`).map((entry, index) => ({
+                assumption: readAtom(entry?.assumption, `${path}.contraries[${index}].assumption`),
+                contrary: readAtom(entry?.contrary, `${path}.contraries[${index}].contrary`)
+            })),
+            weights: Object.fromEntries(Object.entries(weights).map(([atom, weight]) => [
+                readAtom(atom, `${path}.weights key`),
+                readWeight(weight, `${path}.weights.${atom}`)
+            ]))
+        }
+    };
+}
+
+function checkHeader(document, format, path) {
+    if (document?.version !== WABA_JSON_VERSION) {
+        throw new Error(`${path === '$' ? 'File' : path} has ${format} version ${document?.version}, which this playground does not support (expected ${WABA_JSON_VERSION}).`);
+    }
+}
+
+/**
+ * Read a `waba-framework` or `waba-result` JSON document. Throws with the JSON
+ * path of the first invalid field. Result documents come back with their
+ * witnesses, so they can be ranked and displayed like a fresh run.
+ *
+ * @param {string} text
+ * @returns {{
+ *   format: 'waba-framework',
+ *   framework: import('../core/types.js').AbaFramework,
+ *   description: string
+ * } | {
+ *   format: 'waba-result',
+ *   framework: import('../core/types.js').AbaFramework | null,
+ *   description: string,
+ *   config: import('../core/types.js').EffectiveConfig,
+ *   status: string,
+ *   elapsed: string,
+ *   createdAt: string | null,
+ *   witnesses: Array<{ Value: string[], Optimization?: unknown }>
+ * }}
+ */
+export function parseWabaJson(text) {
+    let document;
+    try {
+        document = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not valid JSON: ${error.message}`);
+    }
+
+    if (document?.format === FRAMEWORK_FORMAT) {
+        checkHeader(document, FRAMEWORK_FORMAT, '$');
+        return { format: FRAMEWORK_FORMAT, ...readFramework(document, '$') };
+    }
+
+    if (document?.format !== RESULT_FORMAT) {
+        throw new Error(`Unknown JSON format ${JSON.stringify(document?.format)}; expected "${FRAMEWORK_FORMAT}" or "${RESULT_FORMAT}".`);
+    }
+    checkHeader(document, RESULT_FORMAT, '$');
+
+    let framework = null;
+    let description = '';
+    if (document.framework) {
+        if (document.framework.format !== FRAMEWORK_FORMAT) {
+            fail('$.framework.format', `must be "${FRAMEWORK_FORMAT}"`);
+        }
+        checkHeader(document.framework, FRAMEWORK_FORMAT, '$.framework');
+        ({ framework, description } = readFramework(document.framework, '$.framework'));
+    }
+
+    const config = normalizeConfig(pickRunConfig(document.config));
+    const configError = validateConfig(config);
+    if (configError) {
+        throw new Error(`$.config: ${configError}`);
+    }
+
+    const witnesses = readArray(document.extensions ?? [], '$.extensions').map((extension, index) => {
+        const answerSet = readArray(extension?.answerSet, `$.extensions[${index}].answerSet`)
+            .map((predicate, position) => readString(predicate, `$.extensions[${index}].answerSet[${position}]`));
+        return extension.optimization !== undefined
+            ? { Value: answerSet, Optimization: extension.optimization }
+            : { Value: answerSet };
+    });
+
+    return {
+        format: RESULT_FORMAT,
+        framework,
+        description,
+        config,
+        status: readString(document.status, '$.status'),
+        elapsed: String(document.elapsed ?? ''),
+        createdAt: typeof document.createdAt === 'string' ? document.createdAt : null,
+        witnesses
+    };
+}
+
+/**
+ * Clingo facts for a framework, keeping its rule ids and weights as written.
+ *
+ * @param {import('../core/types.js').AbaFramework} framework
+ * @param {string} [description]
+ * @returns {string}
+ */
+export function frameworkToClingo(framework, description = '') {
+    const lines = ['%% Imported from WABA JSON'];
+    description.split('\n').filter((line) => line.trim()).forEach((line) => lines.push(`% // ${line}`));
+
+    lines.push('', '%% Assumptions', ...framework.assumptions.map((atom) => `assumption(${atom}).`));
+    lines.push('', '%% Weights', ...Object.entries(framework.weights).map(([atom, weight]) => `weight(${atom}, ${weight}).`));
+    lines.push('', '%% Rules');
+    framework.rules.forEach((rule, index) => {
+        const id = rule.id || `r${index + 1}`;
+        lines.push([`head(${id}, ${rule.head}).`, ...rule.body.map((atom) => `body(${id}, ${atom}).`)].join(' '));
+    });
+    lines.push('', '%% Contraries', ...framework.contraries.map(({ assumption, contrary }) => `contrary(${assumption}, ${contrary}).`));
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Editor state for a framework: Simple mode when the Simple fields can express it
+ * unchanged (non-negative integer weights, rules numbered r1..rn in order),
+ * Advanced mode otherwise.
+ *
+ * @param {import('../core/types.js').AbaFramework} framework
+ * @param {string} [description]
+ * @returns {import('../core/types.js').PermalinkState['editor']}
+ */
+export function frameworkToEditorState(framework, description = '') {
+    const atoms = [
+        ...framework.assumptions,
+        ...framework.rules.flatMap((rule) => [rule.head, ...rule.body]),
+        ...framework.contraries.flatMap(({ assumption, contrary }) => [assumption, contrary]),
+        ...Object.keys(framework.weights)
+    ];
+    const simple = atoms.every((atom) => SIMPLE_ATOM.test(atom))
+        && Object.values(framework.weights).every((weight) => SIMPLE_WEIGHT.test(weight))
+        && framework.rules.every((rule, index) => !rule.id || rule.id === `r${index + 1}`);
+
+    return simple
+        ? { mode: 'simple', fields: frameworkToSimpleFields(framework, description) }
+        : { mode: 'advanced', code: frameworkToClingo(framework, description) };
+}
@@ -0,0 +1,320 @@
+/**
+ * Tokenizer and line parser for the `.waba` notation used by `.waba` files and
+ * the Simple editor fields. One statement per line:
+ *
+ *   a                  assumption
+ *   h <- b1, b2        rule (`←` is accepted for `<-`; an empty body is a fact)
+ *   (a, c)             contrary (`a: c` is accepted too)
+ *   a: 80              weight (non-negative integer)
+ *   % ...              comment (`% // ...` lines are the description)
+ *
+ * Every token, atom and diagnostic carries a 1-based line and column (end
+ * column exclusive), so editors can underline problems.
+ */
+
+/** Regex sources shared with the Prism grammar (`modules/prism-waba.js`). */
+export const WABA_TOKEN_SOURCES = {
+    comment: '%.*',
+    arrow: '<-|←',
+    atom: '[A-Za-z_][A-Za-z0-9_]*',
+    number: '\\d+',
+    punctuation: '[(),:]'
+};
+
+/** @type {Array<[import('../core/types.js').WabaToken['type'] | 'whitespace', RegExp]>} */
+const TOKEN_RULES = [
+    ['whitespace', /\s+/y],
+    ['comment', new RegExp(WABA_TOKEN_SOURCES.comment, 'y')],
+    ['arrow', new RegExp(WABA_TOKEN_SOURCES.arrow, 'y')],
+    ['atom', new RegExp(WABA_TOKEN_SOURCES.atom, 'y')],
+    ['number', new RegExp(WABA_TOKEN_SOURCES.number, 'y')],
+    ['lparen', /\(/y],
+    ['rparen', /\)/y],
+    ['comma', /,/y],
+    ['colon', /:/y]
+];
+
+const KIND_LABELS = {
+    assumption: 'an assumption (a single atom)',
+    rule: 'a rule (head <- body)',
+    contrary: 'a contrary ((assumption, contrary))',
+    weight: 'a weight (atom: integer)'
+};
+
+const TOKEN_LABELS = {
+    arrow: '"<-"',
+    atom: 'atom',
+    number: 'number',
+    lparen: '"("',
+    rparen: '")"',
+    comma: '","',
+    colon: '":"',
+    invalid: 'character'
+};
+
+/**
+ * Split one line into tokens. Whitespace is dropped; characters that start no
+ * token become single-character `invalid` tokens.
+ *
+ * @param {string} text
+ * @param {number} [line]
+ * @returns {import('../core/types.js').WabaToken[]}
+ */
+export function tokenizeWabaLine(text, line = 1) {
+    /** @type {import('../core/types.js').WabaToken[]} */
+    const tokens = [];
+    let index = 0;
+
+    while (index < text.length) {
+        let matched = false;
+        for (const [type, pattern] of TOKEN_RULES) {
+            pattern.lastIndex = index;
+            const match = pattern.exec(text);
+            if (!match || match[0].length === 0) {
+                continue;
+            }
+            if (type !== 'whitespace') {
+                tokens.push({ type, value: match[0], line, column: index + 1, endColumn: index + match[0].length + 1 });
+            }
+            index += match[0].length;
+            matched = true;
+            break;
+        }
+        if (!matched) {
+            const char = String.fromCodePoint(text.codePointAt(index));
+            tokens.push({ type: 'invalid', value: char, line, column: index + 1, endColumn: index + char.length + 1 });
+            index += char.length;
+        }
+    }
+
+    return tokens;
+}
+
+function describeToken(token) {
+    return token.type === 'invalid' || token.type === 'atom' || token.type === 'number'
+        ? `${TOKEN_LABELS[token.type]} "${token.value}"`
+        : TOKEN_LABELS[token.type];
+}
+
+/**
+ * Error for one line; `token` (null at end of line) is where the underline goes.
+ */
+function lineError(message, token) {
+    return Object.assign(new Error(message), { token: token || null });
+}
+
+function toAtom(token) {
+    return { name: token.value, line: token.line, column: token.column, endColumn: token.endColumn };
+}
+
+/**
+ * Recursive-descent parse of the significant tokens of one non-comment line.
+ *
+ * @param {import('../core/types.js').WabaToken[]} tokens
+ * @param {{ line: number, column: number, endColumn: number }} span
+ * @returns {import('../core/types.js').WabaStatement}
+ */
+function parseStatement(tokens, span) {
+    let position = 0;
+    const peek = () => tokens[position] || null;
+    const expect = (type, what) => {
+        const token = peek();
+        if (!token || token.type !== type) {
+            throw lineError(`Expected ${what}, found ${token ? describeToken(token) : 'end of line'}.`, token);
+        }
+        position += 1;
+        return token;
+    };
+    const finish = (statement) => {
+        const extra = peek();
+        if (extra) {
+            throw lineError(`Unexpected ${describeToken(extra)} after ${KIND_LABELS[statement.kind].split(' (')[0]}.`, extra);
+        }
+        return statement;
+    };
+
+    if (peek()?.type === 'lparen') {
+        position += 1;
+        const assumption = expect('atom', 'an assumption');
+        expect('comma', '","');
+        const contrary = expect('atom', 'a contrary atom');
+        expect('rparen', '")"');
+        return finish({ kind: 'contrary', ...span, assumption: toAtom(assumption), contrary: toAtom(contrary), syntax: 'pair' });
+    }
+
+    const first = expect('atom', 'an atom, "(" or a comment');
+    const next = peek();
+    if (!next) {
+        return { kind: 'assumption', ...span, atom: toAtom(first) };
+    }
+
+    if (next.type === 'arrow') {
+        position += 1;
+        const body = [];
+        if (peek()) {
+            body.push(toAtom(expect('atom', 'a body atom')));
+            while (peek()?.type === 'comma') {
+                position += 1;
+                body.push(toAtom(expect('atom', 'a body atom after ","')));
+            }
+        }
+        return finish({ kind: 'rule', ...span, head: toAtom(first), body, arrow: next.value });
+    }
+
+    if (next.type === 'colon') {
+        position += 1;
+        const value = peek();
+        if (value?.type === 'number') {
+            position += 1;
+            return finish({ kind: 'weight', ...span, atom: toAtom(first), weight: value.value });
+        }
+        if (value?.type === 'atom') {
+            position += 1;
+            return finish({ kind: 'contrary', ...span, assumption: toAtom(first), contrary: toAtom(value), syntax: 'colon' });
+        }
+        throw lineError(`Expected a weight or a contrary atom after ":", found ${value ? describeToken(value) : 'end of line'}.`, value);
+    }
+
+    throw lineError(`Unexpected ${describeToken(next)} after "${first.value}"; expected "<-", ":" or end of line.`, next);
+}
+
+/**
+ * Parse `.waba` text into statements and diagnostics. With `expect` (a Simple
+ * editor field), statements of another kind are reported and left out.
+ *
+ * @param {string} source
+ * @param {{ expect?: 'assumption' | 'rule' | 'contrary' | 'weight' }} [options]
+ * @returns {{ statements: import('../core/types.js').WabaStatement[], diagnostics: import('../core/types.js').WabaDiagnostic[] }}
+ */
+export function parseWaba(source, { expect } = {}) {
+    const statements = [];
+    const diagnostics = [];
+
+    String(source ?? '').split('\n').forEach((text, index) => {
+        const line = index + 1;
+        const tokens = tokenizeWabaLine(text, line);
+        if (tokens.length === 0) {
+            return;
+        }
+
+        const comment = tokens[tokens.length - 1].type === 'comment' ? tokens.pop() : null;
+        if (tokens.length === 0) {
+            const value = comment.value.trim();
+            statements.push({
+                kind: 'comment',
+                line,
+                column: comment.column,
+                endColumn: comment.endColumn,
+                text: value,
+                description: value.startsWith('% //')
+            });
+            return;
+        }
+
+        const span = { line, column: tokens[0].column, endColumn: tokens[tokens.length - 1].endColumn };
+        try {
+            const statement = parseStatement(tokens, span);
+            if (expect && statement.kind !== expect) {
+                diagnostics.push({ severity: 'error', message: `Expected ${KIND_LABELS[expect]}, found ${KIND_LABELS[statement.kind]}.`, ...span });
+                return;
+            }
+            statements.push(statement);
+        } catch (error) {
+            const token = error.token;
+            diagnostics.push({
+                severity: 'error',
+                message: error.message,
+                line,
+                column: token ? token.column : span.endColumn,
+                endColumn: token ? token.endColumn : span.endColumn + 1
+            });
+        }
+    });
+
+    return { statements, diagnostics };
+}
+
+/**
+ * Canonical `.waba` text of a statement, as the Simple editor writes it.
+ *
+ * @param {import('../core/types.js').WabaStatement} statement
+ * @returns {string}
+ */
+export function formatWabaStatement(statement) {
+    switch (statement.kind) {
+        case 'assumption':
+            return statement.atom.name;
+        case 'rule':
+            return `${statement.head.name} <- ${statement.body.map((atom) => atom.name).join(', ')}`;
+        case 'contrary':
+            return `(${statement.assumption.name}, ${statement.contrary.name})`;
+        case 'weight':
+            return `${statement.atom.name}: ${statement.weight}`;
+        default:
+            return statement.text;
+    }
+}
+
+/**
+ * Parse a whole `.waba` file into canonical Simple editor lines per section.
+ *
+ * @param {string} source
+ * @returns {{
+ *   description: string,
+ *   assumptions: string[],
+ *   rules: string[],
+ *   contraries: string[],
+ *   weights: string[],
+ *   statements: import('../core/types.js').WabaStatement[],
+ *   diagnostics: import('../core/types.js').WabaDiagnostic[]
+ * }}
+ */
+export function parseWabaDocument(source) {
+    const { statements, diagnostics } = parseWaba(source);
+    const lines = (kind) => statements.filter((statement) => statement.kind === kind).map(formatWabaStatement);
+
+    return {
+        description: statements
+            .filter((statement) => statement.kind === 'comment' && statement.description)
+            .map((statement) => formatWabaStatement(statement).slice(4).trim())
+            .join('\n'),
+        assumptions: lines('assumption'),
+        rules: lines('rule'),
+        contraries: lines('contrary'),
+        weights: lines('weight'),
+        statements,
+        diagnostics
+    };
+}
+
+/**
+ * `.waba` text for a framework, in the canonical notation. Weights that are not
+ * non-negative integers (e.g. `#sup`) have no `.waba` form and are left out.
+ *
+ * @param {import('../core/types.js').AbaFramework} framework
+ * @returns {string}
+ */
+export function formatWaba(framework) {
+    /** @type {Array<[string, string[]]>} */
+    const sections = [
+        ['Assumptions', framework.assumptions],
+        ['Rules', framework.rules.map((rule) => `${rule.head} <- ${rule.body.join(', ')}`)],
+        ['Contraries', framework.contraries.map(({ assumption, contrary }) => `(${assumption}, ${contrary})`)],
+        ['Weights', Object.entries(framework.weights)
+            .filter(([, weight]) => /^\d+$/.test(String(weight)))
+            .map(([atom, weight]) => `${atom}: ${weight}`)]
+    ];
+
+    return sections
+        .filter(([, lines]) => lines.length > 0)
+        .map(([title, lines]) => `% ${title}:\n${lines.join('\n')}`)
+        .join('\n\n');
+}
+
+/**
+ * @param {import('../core/types.js').WabaDiagnostic} diagnostic
+ * @returns {string}
+ */
+export function formatWabaDiagnostic(diagnostic) {
+    return `Line ${diagnostic.line}, column ${diagnostic.column}: ${diagnostic.message}`;
+}
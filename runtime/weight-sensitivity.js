@@ -0,0 +1,187 @@
+import { formatExtensionSet } from './budget-sweep.js?v=20260315-1';
+import { rankWitnesses } from './extension-ranking.js?v=20260315-1';
+
+export const MAX_SENSITIVITY_RUNS = 200;
+
+const WEIGHT_FACT_PATTERN = /\bweight\(\s*([a-z][A-Za-z0-9_]*(?:\([^()]*\))?)\s*,\s*(-?\d+)\s*\)\s*\./g;
+const COMPACT_WEIGHT_PATTERN = /\bweight\(((?:[^()]|\([^()]*\))*;(?:[^()]|\([^()]*\))*)\)\s*\./g;
+
+/**
+ * Code part of each framework line, so commented-out facts are not perturbed.
+ * Compact facts (`weight(a, 1; b, 2).`) are expanded into one fact per atom,
+ * as `ParserUtils.expandRuleFacts` does for rules.
+ */
+function splitComment(line) {
+    const index = line.indexOf('%');
+    const [code, comment] = index === -1 ? [line, ''] : [line.slice(0, index), line.slice(index)];
+    return [expandWeightFacts(code), comment];
+}
+
+function expandWeightFacts(code) {
+    return code.replace(COMPACT_WEIGHT_PATTERN, (fact, content) => (
+        content.split(';').map((part) => `weight(${part.trim()}).`).join(' ')
+    ));
+}
+
+/**
+ * Integer `weight/2` facts of the framework, in order. `#sup`/`#inf` weights
+ * have no neighbourhood to perturb and are skipped.
+ *
+ * @param {string} framework
+ * @returns {Array<{ atom: string, value: number }>}
+ */
+export function parseWeightFacts(framework) {
+    const facts = new Map();
+    framework.split('\n').forEach((line) => {
+        for (const match of splitComment(line)[0].matchAll(WEIGHT_FACT_PATTERN)) {
+            if (!facts.has(match[1])) {
+                facts.set(match[1], Number.parseInt(match[2], 10));
+            }
+        }
+    });
+    return [...facts].map(([atom, value]) => ({ atom, value }));
+}
+
+/**
+ * The framework with the weight of `atom` set to `value`.
+ *
+ * @param {string} framework
+ * @param {string} atom
+ * @param {number} value
+ * @returns {string}
+ */
+export function setWeight(framework, atom, value) {
+    return framework.split('\n').map((line) => {
+        const [code, comment] = splitComment(line);
+        const replaced = code.replace(WEIGHT_FACT_PATTERN, (fact, factAtom) => (
+            factAtom === atom ? `weight(${atom}, ${value}).` : fact
+        ));
+        return `${replaced}${comment}`;
+    }).join('\n');
+}
+
+/**
+ * Values tried for one weight: `offset` mode goes ±`radius` around the
+ * baseline (never below 0, since `.waba` weights are non-negative), `range`
+ * mode covers `start`..`end`; both in steps of `step` and without the baseline
+ * itself.
+ *
+ * @param {number} baseline
+ * @param {import('../core/types.js').SensitivityOptions} options
+ * @returns {number[]}
+ */
+export function buildPerturbations(baseline, options) {
+    const { mode, step } = options;
+    if (!Number.isInteger(step) || step <= 0) {
+        throw new Error('Sensitivity step must be a positive integer.');
+    }
+    if (mode === 'offset') {
+        if (!Number.isInteger(options.radius) || options.radius <= 0) {
+            throw new Error('Sensitivity ±k must be a positive integer.');
+        }
+        const offsets = Array.from({ length: Math.floor(options.radius / step) }, (_, index) => (index + 1) * step);
+        return [...offsets.map((offset) => baseline - offset).reverse(), ...offsets.map((offset) => baseline + offset)]
+            .filter((value) => value >= 0);
+    }
+    if (mode === 'range') {
+        const { start, end } = options;
+        if (!Number.isInteger(start) || !Number.isInteger(end)) {
+            throw new Error('Sensitivity range start and end must be integers.');
+        }
+        if (end < start) {
+            throw new Error('Sensitivity range end must not be below its start.');
+        }
+        return Array.from({ length: Math.floor((end - start) / step) + 1 }, (_, index) => start + index * step)
+            .filter((value) => value !== baseline);
+    }
+    throw new Error(`Unknown sensitivity mode "${mode}".`);
+}
+
+/**
+ * @param {any} result
+ * @param {import('../core/types.js').EffectiveConfig} config
+ * @returns {{ extensionSets: string[], top: string | null }}
+ */
+export function summarizeRun(result, config) {
+    const successful = result.Result === 'SATISFIABLE' || result.Result === 'OPTIMUM FOUND';
+    const ranked = successful ? rankWitnesses(result.Call?.[0]?.Witnesses || [], config) : [];
+    return {
+        extensionSets: [...new Set(ranked.map((item) => formatExtensionSet(item.parsed)))].sort(),
+        top: ranked.length > 0 ? formatExtensionSet(ranked[0].parsed) : null
+    };
+}
+
+/**
+ * Nearest tried values below and above the baseline at which `flag` holds.
+ *
+ * @param {number} baseline
+ * @param {import('../core/types.js').SensitivityPoint[]} points
+ * @param {(point: import('../core/types.js').SensitivityPoint) => boolean} flag
+ * @returns {{ below: number | null, above: number | null }}
+ */
+export function findThresholds(baseline, points, flag) {
+    const flipped = points.filter(flag).map((point) => point.value);
+    const below = flipped.filter((value) => value < baseline);
+    const above = flipped.filter((value) => value > baseline);
+    return {
+        below: below.length > 0 ? Math.max(...below) : null,
+        above: above.length > 0 ? Math.min(...above) : null
+    };
+}
+
+const sameSets = (left, right) => left.length === right.length && left.every((set, index) => set === right[index]);
+
+/**
+ * Re-run the active configuration once per perturbed value of every integer
+ * weight fact (the solver queue is serial anyway) and report the values at
+ * which the set of extensions or the top-ranked extension flips. Stops early,
+ * with `complete: false`, when `runOn` returns null.
+ *
+ * @param {string} framework
+ * @param {import('../core/types.js').SensitivityOptions} options
+ * @param {(framework: string) => Promise<{ result: any, effectiveConfig: import('../core/types.js').EffectiveConfig } | null>} runOn
+ * @returns {Promise<import('../core/types.js').WeightSensitivity | null>}
+ */
+export async function analyzeWeightSensitivity(framework, options, runOn) {
+    const facts = parseWeightFacts(framework);
+    if (facts.length === 0) {
+        throw new Error('The framework has no integer weight/2 facts to perturb.');
+    }
+    const plans = facts.map((fact) => ({ ...fact, values: buildPerturbations(fact.value, options) }));
+    const runs = plans.reduce((total, plan) => total + plan.values.length, 0);
+    if (runs > MAX_SENSITIVITY_RUNS) {
+        throw new Error(`Sensitivity analysis would run ${runs} solves; narrow the range or use a larger step (at most ${MAX_SENSITIVITY_RUNS}).`);
+    }
+
+    const baselineRun = await runOn(framework);
+    if (!baselineRun) {
+        return null;
+    }
+    const baseline = summarizeRun(baselineRun.result, baselineRun.effectiveConfig);
+
+    const weights = [];
+    for (const plan of plans) {
+        const points = [];
+        for (const value of plan.values) {
+            const run = await runOn(setWeight(framework, plan.atom, value));
+            if (!run) {
+                return { baseline, weights, complete: false };
+            }
+            const summary = summarizeRun(run.result, run.effectiveConfig);
+            points.push({
+                value,
+                ...summary,
+                setsChanged: !sameSets(summary.extensionSets, baseline.extensionSets),
+                topChanged: summary.top !== baseline.top
+            });
+        }
+        weights.push({
+            atom: plan.atom,
+            baseline: plan.value,
+            points,
+            setThresholds: findThresholds(plan.value, points, (point) => point.setsChanged),
+            topThresholds: findThresholds(plan.value, points, (point) => point.topChanged)
+        });
+    }
+    return { baseline, weights, complete: true };
+}
@@ -0,0 +1,97 @@
+import { pickRunConfig } from './config-service.js?v=20260315-1';
+import { rankWitnesses } from './extension-ranking.js?v=20260315-1';
+
+export const MAX_WORKSPACE_NAME_LENGTH = 80;
+export const MAX_RUNS_PER_WORKSPACE = 50;
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeWorkspaceName(name) {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) {
+        throw new Error('Workspace name must not be empty.');
+    }
+    if (trimmed.length > MAX_WORKSPACE_NAME_LENGTH) {
+        throw new Error(`Workspace name must be at most ${MAX_WORKSPACE_NAME_LENGTH} characters.`);
+    }
+    return trimmed;
+}
+
+/**
+ * Snapshot of the playground as a named workspace. Saving under an existing name
+ * replaces that workspace but keeps its run history.
+ *
+ * @param {string} name
+ * @param {Omit<import('../core/types.js').WorkspaceRecord, 'name' | 'updatedAt'>} snapshot
+ * @param {number} [now]
+ * @returns {import('../core/types.js').WorkspaceRecord}
+ */
+export function createWorkspaceRecord(name, { editor, framework, config, graphMode, positions }, now = Date.now()) {
+    return {
+        name: normalizeWorkspaceName(name),
+        updatedAt: now,
+        editor,
+        framework,
+        config: /** @type {import('../core/types.js').RunConfig} */ (pickRunConfig(config)),
+        graphMode,
+        positions: positions || {}
+    };
+}
+
+/**
+ * History entry for one completed run. Unsuccessful runs are kept (with no
+ * extensions) so the history shows them too.
+ *
+ * @param {string} workspace
+ * @param {{ result: any, elapsed: string, effectiveConfig: import('../core/types.js').EffectiveConfig }} run
+ * @param {string} framework
+ * @param {number} [now]
+ * @returns {import('../core/types.js').RunRecord}
+ */
+export function createRunRecord(workspace, run, framework, now = Date.now()) {
+    const successful = run.result.Result === 'SATISFIABLE' || run.result.Result === 'OPTIMUM FOUND';
+    return {
+        workspace,
+        createdAt: now,
+        framework,
+        result: run.result.Result,
+        elapsed: run.elapsed,
+        effectiveConfig: run.effectiveConfig,
+        ranked: successful ? rankWitnesses(run.result.Call?.[0]?.Witnesses || [], run.effectiveConfig) : []
+    };
+}
+
+/**
+ * Rebuild the `runWABA` result shape from a history entry, so it can be displayed
+ * or compared like a fresh run.
+ *
+ * @param {import('../core/types.js').RunRecord} record
+ * @returns {{ result: any, elapsed: string, effectiveConfig: import('../core/types.js').EffectiveConfig }}
+ */
+export function toStoredRun(record) {
+    return {
+        result: {
+            Result: record.result,
+            Call: [{ Witnesses: record.ranked.map((item) => item.witness) }]
+        },
+        elapsed: record.elapsed,
+        effectiveConfig: record.effectiveConfig
+    };
+}
+
+/**
+ * Ids of the oldest runs beyond `max`.
+ *
+ * @param {Array<{ id?: number, createdAt: number }>} runs
+ * @param {number} [max]
+ * @returns {number[]}
+ */
+export function selectRunsToPrune(runs, max = MAX_RUNS_PER_WORKSPACE) {
+    return runs
+        .slice()
+        .sort((left, right) => right.createdAt - left.createdAt)
+        .slice(max)
+        .map((run) => run.id);
+}
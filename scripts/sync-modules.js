@@ -18,7 +18,8 @@ const MANIFEST = {
     semiring: {
         godel: 'semiring/godel.lp',
         lukasiewicz: 'semiring/lukasiewicz.lp',
-        lukasiewicz_low: 'semiring/lukasiewicz_low.lp'
+        lukasiewicz_low: 'semiring/lukasiewicz_low.lp',
+        tropical: 'semiring/tropical.lp'
     },
     defaults: {
         legacy: 'defaults/legacy.lp',
@@ -61,21 +62,24 @@ const MANIFEST = {
     },
     metadata: {
         generatedFrom: 'ABA-variants/WABA',
-        semiringFamilies: ['godel', 'lukasiewicz'],
+        semiringFamilies: ['godel', 'lukasiewicz', 'tropical'],
         polarities: ['higher', 'lower'],
-        supportedSemiringKeys: ['godel', 'lukasiewicz', 'lukasiewicz_low'],
+        supportedSemiringKeys: ['godel', 'lukasiewicz', 'lukasiewicz_low', 'tropical'],
         defaults: ['legacy', 'aba', 'neutral'],
         monoids: ['sum', 'max', 'count', 'min'],
         optimizations: ['minimize', 'maximize'],
         objectives: ['sum-min', 'sum-max', 'max-min', 'max-max', 'count-min', 'count-max', 'min-min', 'min-max'],
         budgetModes: ['none', 'ub', 'lb'],
-        supportedSemantics: ['cf', 'stable', 'admissible', 'complete', 'grounded', 'preferred'],
-        postFilteredSemantics: ['grounded', 'preferred'],
+        supportedSemantics: ['cf', 'stable', 'admissible', 'complete', 'grounded', 'preferred', 'semi-stable', 'ideal'],
+        postFilteredSemantics: ['grounded', 'preferred', 'semi-stable', 'ideal'],
         canonicalSemiring: {
             godel: { higher: 'godel' },
-            lukasiewicz: { higher: 'lukasiewicz', lower: 'lukasiewicz_low' }
+            lukasiewicz: { higher: 'lukasiewicz', lower: 'lukasiewicz_low' },
+            tropical: { lower: 'tropical' }
+        },
+        aliases: {
+            min_plus: { family: 'tropical', polarity: 'lower' }
         },
-        aliases: {},
         supportedBudgetPairs: [
             { monoid: 'sum', budgetMode: 'ub' },
             { monoid: 'max', budgetMode: 'ub' },
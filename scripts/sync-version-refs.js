@@ -28,7 +28,7 @@ function walk(dir) {
         const fullPath = path.join(dir, entry.name);
         if (entry.isDirectory()) {
             files.push(...walk(fullPath));
-        } else if (/\.(js|html)$/.test(entry.name)) {
+        } else if (/\.(js|html|d\.ts)$/.test(entry.name)) {
             files.push(fullPath);
         }
     }
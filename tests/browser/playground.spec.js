@@ -11,7 +11,7 @@ async function waitForClingoReady(page) {
 
 test('collapsible panels toggle cleanly', async ({ page }) => {
     await waitForClingoReady(page);
-    await expect(page.locator('#semiring-select option')).toHaveText(['Gödel', 'Łukasiewicz']);
+    await expect(page.locator('#semiring-select option')).toHaveText(['Gödel', 'Łukasiewicz', 'Tropical (min,+)']);
     await expect(page.locator('#default-policy-select option')).toHaveText(['Legacy', 'ABA', 'Neutral']);
     await expect(page.locator('#show-select option')).toHaveText(['Projection', 'Standard']);
     await expect(page.locator('#analysis-export-png-proxy')).toBeVisible();
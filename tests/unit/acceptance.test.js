@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeConfig } from '../../runtime/config-service.js';
+import { buildQueryRules, hasQueryAtom, queryAcceptance, stripQueryAtom } from '../../runtime/acceptance.js';
+import { createScriptedSolver, sat } from './helpers/solver-fixtures.js';
+
+const FRAMEWORK = 'assumption(a). assumption(b). contrary(a, b). contrary(b, a).';
+
+test('buildQueryRules derives query_accepted from supported/1 and rejects non-atoms', () => {
+    assert.match(buildQueryRules('a'), /^query_accepted :- supported\(a\)\.$/m);
+    assert.match(buildQueryRules('p(1, x)'), /supported\(p\(1, x\)\)/);
+    assert.throws(() => buildQueryRules('a). evil :- b'), /not a valid atom/);
+    assert.equal(hasQueryAtom({ Value: ['in(a)', 'query_accepted'] }), true);
+    assert.deepEqual(stripQueryAtom({ Value: ['in(a)', 'query_accepted'] }), { Value: ['in(a)'] });
+});
+
+test('direct semantics use brave then cautious consequences, plus one call per shown extension', async () => {
+    const config = normalizeConfig({ semantics: 'stable' });
+    const { calls, solve } = createScriptedSolver(
+        sat(['in(a)'], ['in(a)', 'in(b)', 'query_accepted']),
+        sat(['in(a)', 'query_accepted']),
+        sat(['in(b)'], []),
+        sat(['in(b)'])
+    );
+
+    const outcome = await queryAcceptance(FRAMEWORK, config, 'a', { solve });
+
+    assert.equal(outcome.method, 'consequences');
+    assert.deepEqual(calls.map((call) => call.args.at(-1)), ['--enum-mode=brave', '--opt-mode=ignore', '--enum-mode=cautious', '--opt-mode=ignore']);
+    assert.match(calls[1].program, /:- not query_accepted\.\n$/);
+    assert.equal(calls[1].numModels, 1);
+    assert.match(calls[3].program, /:- query_accepted\.\n$/);
+    assert.deepEqual(outcome.credulous, { accepted: true, witness: { Value: ['in(a)'] } });
+    assert.deepEqual(outcome.sceptical, { accepted: false, witness: { Value: ['in(b)'] } });
+});
+
+test('direct semantics skip the cautious pass when the atom is not even credulously accepted', async () => {
+    const config = normalizeConfig({ semantics: 'stable' });
+    const { calls, solve } = createScriptedSolver(sat(['in(b)']), sat(['in(b)']));
+
+    const outcome = await queryAcceptance(FRAMEWORK, config, 'a', { solve });
+
+    assert.equal(calls.length, 2);
+    assert.deepEqual(outcome.credulous, { accepted: false, witness: null });
+    assert.deepEqual(outcome.sceptical, { accepted: false, witness: { Value: ['in(b)'] } });
+});
+
+test('no extensions: not credulously, vacuously sceptically accepted', async () => {
+    const config = normalizeConfig({ semantics: 'stable' });
+    const { calls, solve } = createScriptedSolver({ Result: 'UNSATISFIABLE', Call: [{}] });
+
+    const outcome = await queryAcceptance(FRAMEWORK, config, 'a', { solve });
+
+    assert.equal(calls.length, 1);
+    assert.equal(outcome.hasExtensions, false);
+    assert.equal(outcome.credulous.accepted, false);
+    assert.equal(outcome.sceptical.accepted, true);
+});
+
+test('post-filtered semantics check every exact extension, ignoring the model limit', async () => {
+    const config = normalizeConfig({ semantics: 'preferred', numModels: 1 });
+    const candidates = [{ Value: ['in(a)', 'query_accepted'] }, { Value: ['in(b)'] }, { Value: [] }];
+    const { calls, solve } = createScriptedSolver(
+        { Result: 'SATISFIABLE', Call: [{ Witnesses: candidates }] },
+        sat(['keep(1)', 'keep(2)'])
+    );
+
+    const outcome = await queryAcceptance(FRAMEWORK, config, 'a', { solve });
+
+    assert.equal(outcome.method, 'enumeration');
+    assert.match(calls[0].program, /query_accepted :- supported\(a\)\./);
+    assert.deepEqual(outcome.credulous, { accepted: true, witness: { Value: ['in(a)'] } });
+    assert.deepEqual(outcome.sceptical, { accepted: false, witness: { Value: ['in(b)'] } });
+});
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { atomAt, buildAtomIndex, completeAtoms, completionContext, definitionTarget, describeAtom } from '../../modules/atom-index.js';
+
+const code = 'assumption(a). assumption(b). head(r1, c_a). body(r1, b; r1, d). head(r2, d). contrary(a, c_a). contrary(b, c_b). weight(a, 80). weight(c_a, #sup).';
+
+test('buildAtomIndex records kind, weight, deriving rules and contraries', () => {
+    const index = buildAtomIndex(code);
+
+    assert.deepEqual([...index.keys()].sort(), ['a', 'b', 'c_a', 'c_b', 'd']);
+    assert.deepEqual(index.get('c_a'), { name: 'c_a', assumption: false, weight: '#sup', rules: [{ id: 'r1', body: ['b', 'd'] }], contraryOf: ['a'], contraries: [] });
+    assert.deepEqual(index.get('a'), { name: 'a', assumption: true, weight: '80', rules: [], contraryOf: [], contraries: ['c_a'] });
+});
+
+test('describeAtom and definitionTarget', () => {
+    const index = buildAtomIndex(code);
+
+    assert.equal(describeAtom(index.get('c_a')), 'c_a (derived) · weight #sup\nr1: c_a <- b, d\nContrary of: a');
+    assert.equal(describeAtom(index.get('d')), 'd (derived) · weight not set\nr2: d <- (fact)');
+    assert.equal(describeAtom(index.get('c_b')), 'c_b (contrary) · weight not set\nNo rule derives it.\nContrary of: b');
+    assert.deepEqual(definitionTarget(index.get('a')), { kind: 'assumption', atom: 'a' });
+    assert.deepEqual(definitionTarget(index.get('c_a')), { kind: 'rule', id: 'r1', occurrence: 0 });
+    assert.equal(definitionTarget(index.get('c_b')), null);
+});
+
+test('atomAt finds the atom around an offset', () => {
+    assert.deepEqual(atomAt('c_a <- b, d', 1), { name: 'c_a', start: 0, end: 3 });
+    assert.deepEqual(atomAt('c_a <- b, d', 3), { name: 'c_a', start: 0, end: 3 });
+    assert.equal(atomAt('a: 80', 4), null);
+    assert.equal(atomAt('c_a <- b', 4), null);
+});
+
+test('completion applies after the arrow and inside contrary pairs', () => {
+    assert.deepEqual(completionContext('rules', 'x\nc_a <- b, c', 13), { slot: 'atom', from: 12, prefix: 'c' });
+    assert.deepEqual(completionContext('rules', 'c_a ← ', 6), { slot: 'atom', from: 6, prefix: '' });
+    assert.equal(completionContext('rules', 'c_', 2), null);
+    assert.equal(completionContext('rules', '% c_a <- b', 10), null);
+    assert.deepEqual(completionContext('contraries', '(', 1), { slot: 'assumption', from: 1, prefix: '' });
+    assert.deepEqual(completionContext('contraries', '(a, c', 5), { slot: 'atom', from: 4, prefix: 'c' });
+    assert.deepEqual(completionContext('contraries', 'a: c', 4), { slot: 'atom', from: 3, prefix: 'c' });
+    assert.equal(completionContext('weights', 'a: ', 3), null);
+});
+
+test('completeAtoms lists assumptions first and leaves out the typed prefix', () => {
+    const index = buildAtomIndex(code);
+
+    assert.deepEqual(completeAtoms(index, 'atom', '').map((item) => item.label), ['a', 'b', 'c_a', 'c_b', 'd']);
+    assert.deepEqual(completeAtoms(index, 'assumption', ''), [{ label: 'a', detail: 'assumption' }, { label: 'b', detail: 'assumption' }]);
+    assert.deepEqual(completeAtoms(index, 'atom', 'c_'), [{ label: 'c_a', detail: 'derived' }, { label: 'c_b', detail: 'contrary' }]);
+    assert.deepEqual(completeAtoms(index, 'atom', 'd'), []);
+});
@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeConfig } from '../../runtime/config-service.js';
+import {
+    buildProvenanceProgram,
+    computeAttackProvenance,
+    explainOutAssumptions,
+    explainSupport,
+    parseProvenance
+} from '../../runtime/attack-provenance.js';
+import { PopupManager } from '../../modules/popup-manager.js';
+
+const FRAMEWORK = [
+    'assumption(a). assumption(b). assumption(c).',
+    'head(r1,x). body(r1,b).',
+    'head(r2,y). body(r2,x). body(r2,c).',
+    'head(r3,y). body(r3,c).',
+    'contrary(a,y). contrary(b,a).',
+    'weight(a,1). weight(b,3). weight(c,2).'
+].join('\n');
+
+// The provenance answer set of FRAMEWORK under godel (max, min).
+const PREDICATES = [
+    'assumption(a)', 'assumption(b)', 'assumption(c)',
+    'head(r1,x)', 'body(r1,b)', 'head(r2,y)', 'body(r2,x)', 'body(r2,c)', 'head(r3,y)', 'body(r3,c)',
+    'contrary(a,y)', 'contrary(b,a)',
+    'supported_with_weight_from(a,1,1)', 'supported_with_weight_from(b,2,3)', 'supported_with_weight_from(c,4,2)',
+    'supported_with_weight_from(x,2,3)', 'supported_with_weight_from(y,4,2)', 'supported_with_weight_from(y,6,2)',
+    'seed_member(1,a)', 'seed_member(2,b)', 'seed_member(4,c)', 'seed_member(6,b)', 'seed_member(6,c)'
+];
+
+test('the provenance program has the core and semiring but no semantics or budget', () => {
+    const program = buildProvenanceProgram(FRAMEWORK, normalizeConfig({ semiringFamily: 'godel', budgetMode: 'ub', beta: 2 }));
+    assert.match(program, /active_semiring\(godel\)\./);
+    assert.match(program, /#show supported_with_weight_from\/3\./);
+    assert.match(program, /#show seed_member\/2\./);
+    assert.doesNotMatch(program, /budget\(2\)\./);
+    assert.doesNotMatch(program, /#show in\/1\./);
+});
+
+test('derivation trees follow the rules down to the seed assumptions', () => {
+    const provenance = parseProvenance(PREDICATES);
+    assert.deepEqual(provenance.supports.get('y').get('6'), { seeds: ['b', 'c'], weight: '2' });
+
+    const tree = explainSupport(provenance, 'y', '6');
+    assert.equal(tree.via, 'rule');
+    assert.equal(tree.ruleId, 'r2');
+    assert.deepEqual(tree.children.map((child) => [child.atom, child.via, child.ruleId, child.weight]), [
+        ['x', 'rule', 'r1', '3'],
+        ['c', 'assumption', null, '2']
+    ]);
+    assert.deepEqual(tree.children[0].children.map((child) => [child.atom, child.via]), [['b', 'assumption']]);
+
+    assert.equal(explainSupport(provenance, 'y', '4').ruleId, 'r3');
+});
+
+test('every attack on an out assumption is reported as succeeded, discarded or inactive', () => {
+    const provenance = parseProvenance(PREDICATES);
+
+    const [a, b] = explainOutAssumptions(provenance, { in: ['c'], out: ['a', 'b'], discarded: [] });
+    assert.equal(a.contrary, 'y');
+    assert.deepEqual(a.attacks.map((attack) => [attack.seeds, attack.status, attack.missingSeeds]), [
+        [['c'], 'succeeded', []],
+        [['b', 'c'], 'inactive', ['b']]
+    ]);
+    assert.deepEqual(b.attacks.map((attack) => [attack.contrary, attack.status, attack.missingSeeds]), [['a', 'inactive', ['a']]]);
+
+    const [discarded] = explainOutAssumptions(provenance, { in: ['b', 'c'], out: ['a'], discarded: ['discarded_attack(y,a,2)'] });
+    assert.deepEqual(discarded.attacks.map((attack) => attack.status), ['discarded', 'discarded']);
+
+    const html = PopupManager.formatOutExplanation(a);
+    assert.match(html, /Why is a out\?/);
+    assert.match(html, /provenance-succeeded/);
+    assert.match(html, /inactive: b out/);
+    assert.doesNotMatch(html, /left it out/);
+    assert.match(PopupManager.formatOutExplanation({ assumption: 'd', contrary: null, attacks: [] }), /d has no contrary/);
+});
+
+test('provenance is one solver call and rejects an unsatisfiable core', async () => {
+    const calls = [];
+    const solve = async (program, numModels, args) => {
+        calls.push({ program, numModels, args });
+        return { Result: 'SATISFIABLE', Call: [{ Witnesses: [{ Value: PREDICATES }] }] };
+    };
+    const config = normalizeConfig({ semiringFamily: 'godel' });
+
+    const provenance = await computeAttackProvenance(FRAMEWORK, config, { solve });
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].numModels, 1);
+    assert.deepEqual(calls[0].args, ['--opt-mode=ignore']);
+    assert.equal(provenance.supports.get('x').get('2').weight, '3');
+
+    await assert.rejects(
+        computeAttackProvenance(FRAMEWORK, config, { solve: async () => ({ Result: 'UNSATISFIABLE', Call: [{}] }) }),
+        /core program is unsatisfiable/
+    );
+});
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeConfig } from '../../runtime/config-service.js';
+import { MAX_SWEEP_POINTS, buildSweepValues, runBudgetSweep, summarizeSweepPoint } from '../../runtime/budget-sweep.js';
+import { buildSweepChartSvg, buildSweepTableHtml } from '../../modules/sweep-chart-builder.js';
+import { sat } from './helpers/solver-fixtures.js';
+
+const CONFIG = normalizeConfig({ monoid: 'sum', optimization: 'minimize', budgetMode: 'ub' });
+
+test('buildSweepValues steps inclusively and rejects unusable ranges', () => {
+    assert.deepEqual(buildSweepValues(0, 10, 5), [0, 5, 10]);
+    assert.deepEqual(buildSweepValues(-2, 3, 2), [-2, 0, 2]);
+    assert.deepEqual(buildSweepValues(4, 4, 1), [4]);
+    assert.throws(() => buildSweepValues(0, 10, 0), /step must be positive/);
+    assert.throws(() => buildSweepValues(5, 1, 1), /must not be below/);
+    assert.throws(() => buildSweepValues(0, 1.5, 1), /must be integers/);
+    assert.throws(() => buildSweepValues(0, MAX_SWEEP_POINTS, 1), /larger step/);
+});
+
+test('summarizeSweepPoint counts extensions, takes the best objective and lists unique sets', () => {
+    const point = summarizeSweepPoint(3, sat(
+        ['in(b)', 'in(a)', 'discarded_attack(c,a,2)'],
+        ['in(c)'],
+        ['in(a)', 'in(b)', 'discarded_attack(c,a,1)', 'discarded_attack(d,b,1)']
+    ), CONFIG);
+
+    assert.equal(point.extensionCount, 3);
+    assert.equal(point.bestObjective, 0);
+    assert.deepEqual(point.extensionSets, ['{a, b}', '{c}']);
+
+    const empty = summarizeSweepPoint(0, { Result: 'UNSATISFIABLE', Call: [{}] }, CONFIG);
+    assert.equal(empty.extensionCount, 0);
+    assert.equal(empty.bestObjective, null);
+});
+
+test('runBudgetSweep marks the β values where the extension sets change', async () => {
+    const results = {
+        0: sat(['in(a)']),
+        1: sat(['in(a)']),
+        2: sat(['in(a)'], ['in(b)', 'discarded_attack(a,b,2)'])
+    };
+    const seen = [];
+
+    const points = await runBudgetSweep(
+        [0, 1, 2],
+        async (beta) => ({ result: results[beta], effectiveConfig: CONFIG }),
+        { onPoint: (point, index) => seen.push([point.beta, index]) }
+    );
+
+    assert.deepEqual(points.map((point) => point.changed), [false, false, true]);
+    assert.deepEqual(seen, [[0, 0], [1, 1], [2, 2]]);
+});
+
+test('runBudgetSweep stops when a run returns null', async () => {
+    const points = await runBudgetSweep([0, 1], async () => null);
+    assert.deepEqual(points, []);
+});
+
+test('sweep chart and table render bars, change markers and escaped sets', () => {
+    const points = [
+        { beta: 0, result: 'SATISFIABLE', extensionCount: 1, bestObjective: 0, extensionSets: ['{a}'], changed: false },
+        { beta: 1, result: 'SATISFIABLE', extensionCount: 2, bestObjective: '#sup', extensionSets: ['{a}', '{<b>}'], changed: true }
+    ];
+
+    const svg = buildSweepChartSvg(points);
+    assert.equal((svg.match(/class="sweep-bar"/g) || []).length, 2);
+    assert.equal((svg.match(/class="sweep-change"/g) || []).length, 1);
+    assert.equal((svg.match(/class="sweep-dot"/g) || []).length, 1);
+    assert.equal(buildSweepChartSvg([]), '');
+
+    const table = buildSweepTableHtml(points);
+    assert.match(table, /sweep-changed/);
+    assert.match(table, /\+inf/);
+    assert.match(table, /\{&lt;b&gt;\}/);
+});
@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeConfig } from '../../runtime/config-service.js';
+import { compareThresholds, computeBudgetThresholds, getWitnessBudgetValue } from '../../runtime/budget-threshold.js';
+import { MetricsManager } from '../../modules/metrics-manager.js';
+import { createScriptedSolver, sat } from './helpers/solver-fixtures.js';
+
+const FRAMEWORK = 'assumption(a). assumption(b). contrary(a, b). contrary(b, a).';
+
+test('threshold order runs tightest first for either bound', () => {
+    const ub = normalizeConfig({ budgetMode: 'ub', monoid: 'sum' });
+    const lb = normalizeConfig({ budgetMode: 'lb', monoid: 'min', optimization: 'maximize' });
+    assert.deepEqual([5, '#sup', 0, 2].sort(compareThresholds(ub)), [0, 2, 5, '#sup']);
+    assert.deepEqual([5, '#inf', '#sup', 2].sort(compareThresholds(lb)), ['#sup', 5, 2, '#inf']);
+    assert.equal(compareThresholds(ub)('#inf', '#inf'), 0);
+    assert.equal(compareThresholds(lb)('#sup', '#sup'), 0);
+    assert.equal(getWitnessBudgetValue({ Value: ['in(a)', 'budget_value(#sup)'] }), '#sup');
+    assert.equal(getWitnessBudgetValue({ Value: ['in(a)'] }), null);
+});
+
+test('direct semantics optimise the aggregate with in(a) forced and the bound lifted', async () => {
+    const config = normalizeConfig({ semantics: 'stable', budgetMode: 'ub', monoid: 'sum', optimization: 'maximize', beta: 1 });
+    const { calls, solve } = createScriptedSolver(
+        { Result: 'OPTIMUM FOUND', Call: [{ Witnesses: [{ Value: ['in(a)', 'budget_value(7)'] }, { Value: ['in(a)', 'budget_value(4)'] }] }] },
+        { Result: 'UNSATISFIABLE', Call: [{}] }
+    );
+
+    const thresholds = await computeBudgetThresholds(FRAMEWORK, config, ['a', 'b'], { solve });
+
+    assert.deepEqual([...thresholds], [['a', 4], ['b', null]]);
+    assert.match(calls[0].program, /budget\(#sup\)\./);
+    assert.match(calls[0].program, /active_optimization\(minimize\)/);
+    assert.match(calls[0].program, /:- not in\(a\)\.\n$/);
+    assert.deepEqual(calls[0].args, ['--opt-mode=opt']);
+    assert.match(calls[1].program, /:- not in\(b\)\.\n$/);
+});
+
+test('post-filtered semantics scan candidate aggregates from the tightest bound', async () => {
+    const config = normalizeConfig({ semantics: 'preferred', budgetMode: 'ub', monoid: 'sum' });
+    const { calls, solve } = createScriptedSolver(
+        sat(['in(a)', 'budget_value(3)'], ['budget_value(0)'], ['in(b)', 'budget_value(5)']),
+        sat(['keep(1)']),
+        sat(['keep(1)']),
+        sat(['keep(1)', 'keep(3)'])
+    );
+
+    const thresholds = await computeBudgetThresholds(FRAMEWORK, config, ['a', 'b'], { solve });
+
+    assert.deepEqual([...thresholds], [['a', 3], ['b', 5]]);
+    assert.match(calls[0].program, /budget\(#sup\)\./);
+    assert.equal(calls.length, 4);
+    assert.doesNotMatch(calls[1].program, /member\(\d+,/);
+    assert.match(calls[3].program, /member\(3,b\)\./);
+});
+
+test('candidates at an infinite aggregate are kept at their own threshold', async () => {
+    // max over no discards is #inf, the tightest value of an upper bound
+    const config = normalizeConfig({ semantics: 'preferred', budgetMode: 'ub', monoid: 'max' });
+    const { calls, solve } = createScriptedSolver(
+        sat(['in(a)', 'in(b)', 'budget_value(#inf)'], ['in(b)', 'budget_value(25)']),
+        sat(['keep(1)'])
+    );
+
+    const thresholds = await computeBudgetThresholds(FRAMEWORK, config, ['a', 'b'], { solve });
+
+    assert.deepEqual([...thresholds], [['a', '#inf'], ['b', '#inf']]);
+    assert.equal(calls.length, 2);
+    assert.match(calls[1].program, /member\(1,a\)\./);
+});
+
+test('β* needs a bounded budget mode', async () => {
+    const config = normalizeConfig({ budgetMode: 'none' });
+    await assert.rejects(computeBudgetThresholds(FRAMEWORK, config, ['a'], { solve: async () => null }), /upper- or lower-bound/);
+});
+
+test('assumption ranking shows a β* column once thresholds are applied', () => {
+    const entries = [
+        { parsed: { in: ['a'], assumptions: new Set(['a', 'b']), contraries: new Map(), weights: new Map() }, cost: 0, objectiveTuple: [0, 0, 0] },
+        { parsed: { in: ['b'], assumptions: new Set(['a', 'b']), contraries: new Map(), weights: new Map() }, cost: 1, objectiveTuple: [0, 0, 1] }
+    ];
+    const metrics = MetricsManager.computeMetrics(entries, { budgetMode: 'ub', optimization: 'minimize' });
+
+    assert.match(MetricsManager.formatMetricsHTML(metrics), /compute-thresholds-btn/);
+    assert.doesNotMatch(MetricsManager.formatMetricsHTML(metrics), /<th[^>]*>β\*<\/th>/);
+
+    MetricsManager.applyBudgetThresholds(metrics, new Map([['a', 3]]));
+    const html = MetricsManager.formatMetricsHTML(metrics);
+    assert.doesNotMatch(html, /compute-thresholds-btn/);
+    assert.match(html, /<th[^>]*>β\*<\/th>/);
+    assert.match(html, />never</);
+    assert.match(MetricsManager.exportAssumptionCSV(metrics), /BudgetThreshold/);
+});
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseCliArgs } from '../../cli/args.js';
+import { frameworkFromFile } from '../../cli/framework.js';
+
+test('parseCliArgs defaults match the UI controls', () => {
+    const { file, config, pretty, help } = parseCliArgs(['framework.lp']);
+
+    assert.equal(file, 'framework.lp');
+    assert.equal(pretty, false);
+    assert.equal(help, false);
+    assert.deepEqual(config, {
+        semiringFamily: 'godel',
+        polarity: 'higher',
+        defaultPolicy: 'legacy',
+        abaRecovery: false,
+        monoid: 'sum',
+        optimization: 'minimize',
+        budgetMode: 'none',
+        semantics: 'stable',
+        optMode: 'ignore',
+        beta: 0,
+        numModels: 0,
+        timeout: 60000,
+        filterType: 'projection'
+    });
+});
+
+test('parseCliArgs maps UI flags and rejects non-integer numbers', () => {
+    const { config } = parseCliArgs([
+        'framework.waba',
+        '--semiring', 'lukasiewicz',
+        '--polarity', 'lower',
+        '--monoid', 'max',
+        '--budget-mode', 'ub',
+        '--beta', '7',
+        '--semantics', 'preferred',
+        '--opt-mode', 'optN',
+        '--timeout', '5'
+    ]);
+
+    assert.equal(config.semiringFamily, 'lukasiewicz');
+    assert.equal(config.polarity, 'lower');
+    assert.equal(config.monoid, 'max');
+    assert.equal(config.budgetMode, 'ub');
+    assert.equal(config.beta, 7);
+    assert.equal(config.semantics, 'preferred');
+    assert.equal(config.optMode, 'optN');
+    assert.equal(config.timeout, 5000);
+
+    assert.throws(() => parseCliArgs(['framework.lp', '--beta', 'high']), /--beta expects an integer/);
+    assert.throws(() => parseCliArgs(['a.lp', 'b.lp']), /Expected one framework file/);
+});
+
+test('frameworkFromFile builds .waba input through the Simple editor format', () => {
+    const code = frameworkFromFile('demo.waba', 'a\nb\nc <- a\nc: 3\n');
+
+    assert.match(code, /assumption\(a\)\./);
+    assert.match(code, /head\(r1, c\)\. body\(r1, a\)\./);
+    assert.match(code, /weight\(c, 3\)\./);
+    assert.equal(frameworkFromFile('demo.lp', 'assumption(a).'), 'assumption(a).');
+    assert.throws(() => frameworkFromFile('demo.txt', ''), /Unsupported file type/);
+});
+
+test('frameworkFromFile accepts every contrary and arrow notation and reports bad lines', () => {
+    const warnings = [];
+    const code = frameworkFromFile('demo.waba', 'a\nb\nc_a ← b\nc_b <- \na: c_a\n(b, c_b)\nb: 5\nb -> c\n', (message) => warnings.push(message));
+
+    assert.match(code, /contrary\(a, c_a\)\./);
+    assert.match(code, /contrary\(b, c_b\)\./);
+    assert.match(code, /head\(r1, c_a\)\. body\(r1, b\)\./);
+    assert.match(code, /head\(r2, c_b\)\./);
+    assert.match(code, /weight\(b, 5\)\./);
+    assert.deepEqual(warnings, ['demo.waba: Line 8, column 3: Unexpected character "-" after "b"; expected "<-", ":" or end of line.']);
+});
@@ -0,0 +1,218 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+import { ClingoManager } from '../../modules/clingo-manager.js';
+
+function createStubWorker() {
+    return {
+        runs: [],
+        restarts: 0,
+        run(program) {
+            return new Promise((resolve, reject) => {
+                this.runs.push({ program, resolve, reject });
+            });
+        },
+        restart(reason) {
+            this.restarts += 1;
+            this.runs.forEach((entry) => entry.reject(reason));
+            this.runs = [];
+            return Promise.resolve();
+        }
+    };
+}
+
+function createManager() {
+    const manager = new ClingoManager(null);
+    manager.worker = createStubWorker();
+    manager.clingoReady = true;
+    return manager;
+}
+
+test('aborting a running solve restarts the worker and rejects with the abort reason', async () => {
+    const manager = createManager();
+    const controller = new AbortController();
+
+    const pending = manager.runRaw('a.', 0, [], 1000, controller.signal);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(manager.worker.runs.length, 1);
+
+    controller.abort();
+    await assert.rejects(pending, { name: 'AbortError' });
+    assert.equal(manager.worker.restarts, 1);
+});
+
+test('aborting a queued task skips it without touching the running one', async () => {
+    const manager = createManager();
+    const controller = new AbortController();
+
+    const first = manager.runRaw('first.', 0, [], 1000);
+    const second = manager.runRaw('second.', 0, [], 1000, controller.signal);
+    controller.abort();
+
+    await new Promise((resolve) => setImmediate(resolve));
+    manager.worker.runs[0].resolve({ Result: 'SATISFIABLE' });
+
+    assert.deepEqual(await first, { Result: 'SATISFIABLE' });
+    await assert.rejects(second, { name: 'AbortError' });
+    assert.equal(manager.worker.restarts, 0);
+});
+
+test('a timed-out solve terminates the worker so the queue keeps draining', async () => {
+    const manager = createManager();
+
+    const slow = manager.runRaw('slow.', 0, [], 5);
+    const next = manager.runRaw('next.', 0, [], 1000);
+
+    await assert.rejects(slow, /timed out/);
+    assert.equal(manager.worker.restarts, 1);
+
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(manager.worker.runs[0].program, 'next.');
+    manager.worker.runs[0].resolve({ Result: 'SATISFIABLE' });
+    assert.deepEqual(await next, { Result: 'SATISFIABLE' });
+});
+
+test('emitWitnesses reports each witness in order and stops once aborted', async () => {
+    const manager = createManager();
+    const controller = new AbortController();
+    const result = { Call: [{ Witnesses: [{ Value: ['in(a)'] }, { Value: ['in(b)'] }, { Value: ['in(c)'] }] }] };
+    const seen = [];
+
+    await assert.rejects(
+        manager.emitWitnesses(result, (witness, index) => {
+            seen.push([index, witness.Value[0]]);
+            if (index === 2) {
+                controller.abort();
+            }
+        }, controller.signal),
+        { name: 'AbortError' }
+    );
+    assert.deepEqual(seen, [[1, 'in(a)'], [2, 'in(b)']]);
+});
+
+test('runWABA forwards streamed witnesses during the search and emits the rest afterwards', async () => {
+    const manager = createManager();
+    const witnesses = [{ Value: ['in(a)'] }, { Value: ['in(b)'] }];
+    const seen = [];
+    manager.worker.run = async (_program, _numModels, _args, onWitness) => {
+        onWitness(witnesses[0]);
+        seen.push('solved');
+        return { Result: 'SATISFIABLE', Call: [{ Witnesses: witnesses }] };
+    };
+
+    await manager.runWABA('assumption(a). assumption(b).', { semantics: 'stable' }, () => {}, {
+        onWitness: (witness, index) => seen.push([index, witness.Value[0]])
+    });
+    assert.deepEqual(seen, [[1, 'in(a)'], 'solved', [2, 'in(b)']]);
+});
+
+// clingo --outf=2 output of `{ p(1..2) }. :~ p(X). [-X,X]` under optN, one print per line
+const CLINGO_JSON_LINES = [
+    '{', '  "Solver": "clingo version 5.8.0",', '  "Input": [', '    "stdin"', '  ],', '  "Call": [', '    {',
+    '      "Start": 0.000,', '      "Witnesses": [',
+    '        {', '          "Time": 0.080,', '          "Value": [', '            ', '          ],',
+    '          "Costs": [', '            0', '          ]', '        },',
+    '        {', '          "Time": 0.086,', '          "Value": [', '            "p(1)", "p(2)"', '          ],',
+    '          "Costs": [', '            -3', '          ]', '        }',
+    '      ],', '      "Stop": 0.088', '    }', '  ],', '  "Result": "OPTIMUM FOUND",', '  "Models": {', '    "Number": 2,',
+    '    "Costs": [', '      -3', '    ]', '  },', '  "Calls": 1', '}'
+];
+
+async function loadStreamWorker(bundleSource) {
+    const target = new EventTarget();
+    const context = {
+        posted: [],
+        imported: [],
+        blobs: [],
+        warnings: [],
+        handled: [],
+        location: { href: 'https://example.org/modules/clingo-stream-worker.js?bundle=https://example.org/dist/clingo.web.worker.js' },
+        Blob,
+        MessageEvent,
+        console: { warn: (message) => context.warnings.push(message) },
+        fetch: async (url) => {
+            context.requested = url;
+            return { ok: true, text: async () => bundleSource };
+        },
+        URL: class extends URL {
+            static createObjectURL(blob) {
+                context.blobs.push(blob);
+                return 'blob:bundle';
+            }
+        },
+        // Stands in for the bundle's own message listener.
+        importScripts: (url) => {
+            context.imported.push(url);
+            target.addEventListener('message', (event) => context.handled.push(event.data));
+        },
+        reportError: (error) => {
+            throw error;
+        },
+        postMessage: (message) => context.posted.push(message),
+        addEventListener: target.addEventListener.bind(target),
+        removeEventListener: target.removeEventListener.bind(target),
+        dispatchEvent: target.dispatchEvent.bind(target)
+    };
+    context.self = context;
+    vm.runInNewContext(readFileSync(new URL('../../modules/clingo-stream-worker.js', import.meta.url), 'utf8'), context);
+    target.dispatchEvent(new MessageEvent('message', { data: { type: 'init' } }));
+    await new Promise((resolve) => setImmediate(resolve));
+    return context;
+}
+
+test('the stream worker patches the bundle stdout hook and posts each model as it is printed', async () => {
+    const worker = await loadStreamWorker('class a{init(){const e=Object.assign({print:e=>this.results.push(e)},{})}}');
+    assert.equal(worker.requested, 'https://example.org/dist/clingo.web.worker.js');
+    assert.deepEqual(worker.imported, ['blob:bundle']);
+    assert.deepEqual(worker.handled, [{ type: 'init' }]);
+    assert.match(await worker.blobs[0].text(), /print:e=>\{this\.results\.push\(e\);self\.clingoStdout\(e\)\}/);
+
+    CLINGO_JSON_LINES.slice(0, 18).forEach((line) => worker.clingoStdout(line));
+    assert.deepEqual(JSON.parse(JSON.stringify(worker.posted)), [
+        { type: 'witness', witness: { Time: 0.08, Value: [], Costs: [0] } }
+    ]);
+    CLINGO_JSON_LINES.slice(18).forEach((line) => worker.clingoStdout(line));
+    assert.deepEqual(worker.posted.map((message) => [...message.witness.Value]), [[], ['p(1)', 'p(2)']]);
+
+    // The layout does not matter, only the JSON structure; a new run starts over.
+    worker.posted.length = 0;
+    worker.dispatchEvent(new MessageEvent('message', { data: { type: 'run' } }));
+    const compact = '{"Call":[{"Witnesses":[{"Value":["a(\\"}]\\")"]},{"Value":["b"]}]},{"Witnesses":[{"Value":["c"]}]}]}';
+    const split = compact.indexOf('{"Value"');
+    worker.clingoStdout(compact.slice(0, split));
+    worker.clingoStdout(compact.slice(split));
+    assert.deepEqual(worker.posted.map((message) => [...message.witness.Value]), [['a("}]")'], ['b']]);
+
+    const unknown = await loadStreamWorker('class a{}');
+    assert.deepEqual(unknown.imported, ['https://example.org/dist/clingo.web.worker.js']);
+    assert.deepEqual(unknown.handled, [{ type: 'init' }]);
+    assert.equal(unknown.clingoStdout, undefined);
+    assert.match(unknown.warnings[0], /no known stdout hook/);
+});
+
+test('the vendored clingo worker bundle still has the stdout hook the stream worker patches', async () => {
+    const worker = await loadStreamWorker(readFileSync(new URL('../../dist/clingo.web.worker.js', import.meta.url), 'utf8'));
+    assert.deepEqual(worker.imported, ['blob:bundle']);
+    assert.deepEqual(worker.warnings, []);
+});
+
+test('analysis wrappers share one prologue: loading check, validation and a queued solve', async () => {
+    const manager = createManager();
+    const logs = [];
+    const onLog = (message, type) => logs.push([message, type]);
+
+    manager.clingoReady = false;
+    assert.equal(await manager.computeBudgetThresholds('a.', {}, ['a'], onLog), null);
+    assert.deepEqual(logs, [['Clingo is still loading.', 'warning']]);
+
+    manager.clingoReady = true;
+    await assert.rejects(manager.queryAcceptance('a.', { semantics: 'naive' }, 'a', onLog), /Unsupported semantics "naive"/);
+
+    const pending = manager.runAnalysis({ timeout: 1000 }, onLog, undefined, (_normalized, solve) => solve('p.', 1, []));
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(manager.worker.runs[0].program, 'p.');
+    manager.worker.runs[0].resolve({ Result: 'SATISFIABLE' });
+    assert.deepEqual(await pending, { Result: 'SATISFIABLE' });
+});
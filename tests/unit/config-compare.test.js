@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeConfig } from '../../runtime/config-service.js';
+import { compareRuns, describeConfig, describeConfigDifferences, diffRankedExtensions } from '../../runtime/config-compare.js';
+import { rankWitnesses } from '../../runtime/extension-ranking.js';
+import { buildComparisonSummaryHtml, buildComparisonTableHtml } from '../../modules/comparison-builder.js';
+import { sat } from './helpers/solver-fixtures.js';
+
+const GODEL = normalizeConfig({ semiringFamily: 'godel', monoid: 'sum', budgetMode: 'ub', beta: 2 });
+const LUKASIEWICZ = normalizeConfig({ semiringFamily: 'lukasiewicz', monoid: 'sum', budgetMode: 'ub', beta: 2 });
+
+test('describeConfigDifferences lists only the settings that changed', () => {
+    assert.deepEqual(describeConfigDifferences(GODEL, LUKASIEWICZ), [
+        { field: 'semiringKey', label: 'Semiring', left: 'godel', right: 'lukasiewicz' }
+    ]);
+    assert.deepEqual(describeConfigDifferences(GODEL, GODEL), []);
+    assert.match(describeConfig(GODEL), /^godel · .* · sum \+ ub \(β = 2\)$/);
+});
+
+test('diffRankedExtensions keys by accepted set and keeps the best-ranked extension per side', () => {
+    const left = rankWitnesses([
+        { Value: ['in(a)', 'discarded_attack(c,a,2)'] },
+        { Value: ['in(a)'] },
+        { Value: ['in(b)'] }
+    ], GODEL);
+    const right = rankWitnesses([{ Value: ['in(a)'] }, { Value: ['in(c)'] }], LUKASIEWICZ);
+
+    const rows = diffRankedExtensions(left, right);
+
+    assert.deepEqual(rows.map((row) => [row.key, row.presence]), [['{a}', 'both'], ['{b}', 'left'], ['{c}', 'right']]);
+    assert.equal(rows[0].left.aggregateValue, 0);
+    assert.equal(rows[1].right, null);
+    assert.equal(rows[2].left, null);
+});
+
+test('compareRuns counts the diff and treats an unsatisfiable side as empty', () => {
+    const comparison = compareRuns(
+        { result: sat(['in(a)'], ['in(b)']), elapsed: '0.01', effectiveConfig: GODEL },
+        { result: { Result: 'UNSATISFIABLE', Call: [{}] }, elapsed: '0.02', effectiveConfig: LUKASIEWICZ }
+    );
+
+    assert.deepEqual(comparison.counts, { both: 0, left: 2, right: 0 });
+    assert.equal(comparison.right.ranked.length, 0);
+    assert.equal(comparison.configDifferences.length, 1);
+});
+
+test('comparison table marks each side and escapes the summary', () => {
+    const comparison = compareRuns(
+        { result: sat(['in(a)'], ['in(b)']), elapsed: '0.01', effectiveConfig: GODEL },
+        { result: sat(['in(a)']), elapsed: '0.02', effectiveConfig: LUKASIEWICZ }
+    );
+
+    const table = buildComparisonTableHtml(comparison);
+    assert.match(table, /class="compare-both"/);
+    assert.match(table, /class="compare-left"/);
+    assert.equal((table.match(/class="compare-highlight-btn"/g) || []).length, 3);
+
+    const summary = buildComparisonSummaryHtml(comparison);
+    assert.match(summary, /Semiring: <code>godel<\/code> → <code>lukasiewicz<\/code>/);
+    assert.match(summary, /1 only A/);
+
+    const empty = compareRuns(
+        { result: { Result: 'UNSATISFIABLE', Call: [{}] }, elapsed: '0', effectiveConfig: GODEL },
+        { result: { Result: 'UNSATISFIABLE', Call: [{}] }, elapsed: '0', effectiveConfig: GODEL }
+    );
+    assert.match(buildComparisonTableHtml(empty), /Neither configuration has extensions/);
+});
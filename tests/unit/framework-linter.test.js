@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildClingoFromSimpleFields, locateInSimpleFields } from '../../features/editor/simple-format.js';
+import { lintFramework, locateInCode } from '../../modules/framework-linter.js';
+
+const codes = (issues) => issues.map((issue) => issue.code);
+
+test('a well-formed framework has no lint issues', () => {
+    const code = 'assumption(a). assumption(b). head(r1, c_a). body(r1, b). head(r2, c_b). contrary(a, c_a). contrary(b, c_b). weight(a, 80). weight(c_b, 10).';
+    assert.deepEqual(lintFramework(code), []);
+});
+
+test('contraries, assumptions and weights are checked against the defined atoms', () => {
+    const issues = lintFramework('assumption(a). assumption(b). head(r1, c_a). contrary(a, c_x). contrary(z, c_a). weight(ghost, 3).');
+
+    assert.deepEqual(codes(issues), ['undefined-contrary', 'contrary-of-non-assumption', 'missing-contrary', 'unknown-weight']);
+    assert.deepEqual(issues[0].target, { kind: 'contrary', assumption: 'a', contrary: 'c_x' });
+    assert.deepEqual(issues[2].target, { kind: 'assumption', atom: 'b' });
+    assert.equal(issues[3].message, 'Weight on ghost, which no assumption, rule or contrary mentions.');
+});
+
+test('non-flat rules, repeated rule ids and cycles are reported', () => {
+    const issues = lintFramework([
+        'assumption(a). contrary(a, p).',
+        'head(r1, a). body(r1, p).',
+        'head(r2, p). body(r2, q).',
+        'head(r3, q). body(r3, p).',
+        'head(r4, t).',
+        'head(r4, s). body(r4, s).'
+    ].join('\n'));
+
+    assert.deepEqual(codes(issues), ['non-flat', 'duplicate-rule-id', 'cyclic-derivation', 'cyclic-derivation']);
+    assert.deepEqual(issues[1].target, { kind: 'rule', id: 'r4', occurrence: 1 });
+    assert.deepEqual(issues.slice(2).map((issue) => issue.message.split('.')[0]), ['Cyclic derivation: p <- q <- p', 'Cyclic derivation: s <- s']);
+});
+
+test('locateInCode finds the fact an issue is about, skipping comments', () => {
+    const code = '% head(r2, x).\nhead(r1, a). body(r1, b; r1, c).\n  head(r2, p).\nhead(r2, q).\ncontrary(a,  c_a).';
+
+    assert.deepEqual(locateInCode(code, { kind: 'rule', id: 'r2', occurrence: 0 }), { line: 3, column: 3, endColumn: 11 });
+    assert.deepEqual(locateInCode(code, { kind: 'rule', id: 'r2', occurrence: 1 }), { line: 4, column: 1, endColumn: 9 });
+    assert.equal(locateInCode(code, { kind: 'contrary', assumption: 'a', contrary: 'c_a' }).line, 5);
+    assert.equal(locateInCode(code, { kind: 'weight', atom: 'a' }), null);
+    assert.equal(locateInCode('head(r1; r1, a).', { kind: 'rule', id: 'r1', occurrence: 0 }).line, 1);
+});
+
+test('lint issues map back to Simple editor lines', () => {
+    const fields = { description: '', assumptions: 'a\n\nb', rules: '% note\nc_a <- b\na <- c_a', contraries: '(a, c_a)', weights: 'ghost: 3' };
+    const issues = lintFramework(buildClingoFromSimpleFields(fields));
+
+    assert.deepEqual(issues.map((issue) => [issue.code, locateInSimpleFields(fields, issue.target)]), [
+        ['missing-contrary', { field: 'assumptions', line: 3, column: 1, endColumn: 2 }],
+        ['unknown-weight', { field: 'weights', line: 1, column: 1, endColumn: 9 }],
+        ['non-flat', { field: 'rules', line: 3, column: 1, endColumn: 9 }]
+    ]);
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { targetsAtSimpleLine } from '../../features/editor/simple-format.js';
+import { edgeTargets, findGraphElements, nodeTargets, targetsAtCodeLine } from '../../modules/graph-editor-link.js';
+
+// Node and edge data as the three graph modes build them.
+const standardNodes = [
+    { id: 'a,b', assumptions: ['a', 'b'] },
+    { id: 'b', assumptions: ['b'] },
+    { id: '∅', assumptions: [] }
+];
+const standardEdges = [
+    { id: 'b-attacks-a,b-via-a-from-c_a', from: 'b', to: 'a,b', attackedAssumption: 'a', attackingElement: 'c_a', derivedBy: ['r1'] }
+];
+const assumptionNodes = [
+    { id: 'a', isAssumption: true },
+    { id: 'b', isAssumption: true },
+    { id: '⊤', isTop: true },
+    { id: 'junction_r2', isJunction: true, ruleId: 'r2' }
+];
+const assumptionEdges = [
+    { id: 'b-attacks-a-via-c_a', from: 'b', to: 'a', attackType: 'derived', attackingElement: 'b', targetAssumption: 'a', contrary: 'c_a', ruleId: 'r1' },
+    { id: 'c_b-attacks-b', from: 'c_b', to: 'b', attackType: 'direct', attackingElement: 'c_b', targetAssumption: 'b' },
+    { id: 'junction_r2-attacks-b', from: 'junction_r2', to: 'b', attackType: 'joint', targetAssumption: 'b', contrary: 'c_b', ruleId: 'r2' }
+];
+
+test('graph elements map to the facts behind them in every mode', () => {
+    assert.deepEqual(nodeTargets(standardNodes[0]), [{ kind: 'assumption', atom: 'a' }, { kind: 'assumption', atom: 'b' }]);
+    assert.deepEqual(nodeTargets(assumptionNodes[0]), [{ kind: 'assumption', atom: 'a' }, { kind: 'weight', atom: 'a' }]);
+    assert.deepEqual(nodeTargets(assumptionNodes[2]), []);
+    assert.deepEqual(nodeTargets(assumptionNodes[3]), [{ kind: 'rule', id: 'r2', occurrence: 0 }]);
+
+    const expected = [
+        { kind: 'contrary', assumption: 'a', contrary: 'c_a' },
+        { kind: 'rule', id: 'r1', occurrence: 0 },
+        { kind: 'weight', atom: 'c_a' }
+    ];
+    assert.deepEqual(edgeTargets(standardEdges[0]), expected);
+    assert.deepEqual(edgeTargets(assumptionEdges[0]), expected);
+    assert.deepEqual(edgeTargets(assumptionEdges[1]), [{ kind: 'contrary', assumption: 'b', contrary: 'c_b' }, { kind: 'weight', atom: 'c_b' }]);
+});
+
+test('findGraphElements selects everything a fact produces', () => {
+    const assumptionB = [{ kind: 'assumption', atom: 'b' }];
+    assert.deepEqual(findGraphElements(assumptionB, standardNodes, standardEdges), { nodeIds: ['a,b', 'b'], edgeIds: [] });
+    assert.deepEqual(findGraphElements(assumptionB, assumptionNodes, assumptionEdges), { nodeIds: ['b'], edgeIds: [] });
+
+    const rule2 = [{ kind: 'rule', id: 'r2', occurrence: 0 }];
+    assert.deepEqual(findGraphElements(rule2, assumptionNodes, assumptionEdges), { nodeIds: ['junction_r2'], edgeIds: ['junction_r2-attacks-b'] });
+
+    const contrary = [{ kind: 'contrary', assumption: 'a', contrary: 'c_a' }];
+    assert.deepEqual(findGraphElements(contrary, standardNodes, standardEdges).edgeIds, ['b-attacks-a,b-via-a-from-c_a']);
+});
+
+test('editor lines map to the facts they declare', () => {
+    assert.deepEqual(targetsAtCodeLine('% head(r9, x).\nhead(r1, c_a). body(r1, b; r1, d). % weight(z, 1).', 2), [{ kind: 'rule', id: 'r1', occurrence: 0 }]);
+    assert.deepEqual(targetsAtCodeLine('weight(a, 80). contrary(a, c_a).', 1), [
+        { kind: 'contrary', assumption: 'a', contrary: 'c_a' },
+        { kind: 'weight', atom: 'a' },
+        { kind: 'assumption', atom: 'a' }
+    ]);
+    assert.deepEqual(targetsAtCodeLine('head(r1, a).', 1), [{ kind: 'rule', id: 'r1', occurrence: 0 }]);
+    assert.deepEqual(targetsAtCodeLine('', 3), []);
+
+    assert.deepEqual(targetsAtSimpleLine('rules', '% note\nc_a <- b\nbad line here\nc_b <- a', 4), [{ kind: 'rule', id: 'r2', occurrence: 0 }]);
+    assert.deepEqual(targetsAtSimpleLine('contraries', '(a, c_a)\nb: c_b', 2), [{ kind: 'contrary', assumption: 'b', contrary: 'c_b' }]);
+    assert.deepEqual(targetsAtSimpleLine('weights', 'a: 80', 1), [{ kind: 'weight', atom: 'a' }, { kind: 'assumption', atom: 'a' }]);
+    assert.deepEqual(targetsAtSimpleLine('assumptions', 'a\n% b', 2), []);
+});
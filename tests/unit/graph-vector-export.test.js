@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    buildVectorGraph,
+    escapeTex,
+    parseColor,
+    renderGraphSvg,
+    renderGraphTikz
+} from '../../runtime/graph-vector-export.js';
+
+const SNAPSHOT = {
+    graphMode: 'assumption-branching',
+    nodes: [
+        { id: 'a', label: 'a', color: { border: '#5568d3', background: '#667eea' } },
+        { id: 'b', label: 'b', color: { border: '#10b981', background: '#34d399' }, borderWidth: 4 },
+        { id: 'junction_r1', label: '', shape: 'diamond', size: 25, color: { border: '#10b981', background: '#10b981' } },
+        { id: '⊤', label: '⊤', shape: 'ellipse', font: { size: 26 } },
+        { id: 'isolated', label: 'isolated' }
+    ],
+    edges: [
+        { id: 'e1', from: 'a', to: 'b', label: 3, width: 2, color: { color: '#f59e0b' } },
+        { id: 'e2', from: 'b', to: 'a', label: '#sup', width: 5, color: { color: 'rgba(255, 107, 107, 0.2)' } },
+        { id: 'e3', from: 'a', to: 'junction_r1', width: 3, dashes: [8, 4], color: { color: '#9ca3af' } },
+        { id: 'e4', from: '⊤', to: 'a', label: '', color: '#f59e0b' },
+        { id: 'e5', from: 'a', to: 'missing' }
+    ],
+    positions: {
+        a: { x: 0, y: 0 },
+        b: { x: 200, y: 0 },
+        junction_r1: { x: 100, y: 150 },
+        '⊤': { x: -150, y: -100 }
+    }
+};
+
+test('parseColor splits rgba and hex colours into hex and opacity', () => {
+    assert.deepEqual(parseColor('rgba(255, 107, 107, 0.2)', '#000000'), { hex: '#ff6b6b', opacity: 0.2 });
+    assert.deepEqual(parseColor('#888', '#000000'), { hex: '#888888', opacity: 1 });
+    assert.deepEqual(parseColor(undefined, '#000000'), { hex: '#000000', opacity: 1 });
+});
+
+test('buildVectorGraph keeps positioned nodes, shapes and highlighting state', () => {
+    const graph = buildVectorGraph(SNAPSHOT);
+
+    assert.equal(graph.graphMode, 'assumption-branching');
+    assert.deepEqual(graph.nodes.map((node) => node.id), ['a', 'b', 'junction_r1', '⊤']);
+    assert.deepEqual(graph.nodes.map((node) => node.shape), ['circle', 'circle', 'diamond', 'ellipse']);
+    assert.equal(graph.nodes[1].fill, '#34d399');
+    assert.equal(graph.nodes[1].borderWidth, 4);
+    assert.equal(graph.edges.length, 4, 'edges to nodes without a position are dropped');
+});
+
+test('opposite edges between the same pair bend apart', () => {
+    const [forward, backward, dashed, single] = buildVectorGraph(SNAPSHOT).edges;
+
+    assert.notEqual(forward.bend, 0);
+    assert.equal(forward.bend, backward.bend);
+    assert.equal(backward.opacity, 0.2);
+    assert.deepEqual(dashed.dashes, [8, 4]);
+    assert.equal(single.bend, 0);
+});
+
+test('self-attacks become loops', () => {
+    const graph = buildVectorGraph({
+        nodes: [{ id: 'a,b', label: 'a,b' }],
+        edges: [{ from: 'a,b', to: 'a,b', label: '1' }],
+        positions: { 'a,b': { x: 10, y: 10 } }
+    });
+
+    assert.equal(graph.edges[0].loop, true);
+    assert.match(renderGraphSvg(graph), /<path d="M [\d.-]+ [\d.-]+ C /);
+    assert.match(renderGraphTikz(graph), /loop above/);
+});
+
+test('renderGraphSvg emits a standalone document with arrow markers and labels', () => {
+    const svg = renderGraphSvg(buildVectorGraph(SNAPSHOT));
+
+    assert.ok(svg.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg"'));
+    assert.match(svg, /<title>WABA graph - Assumption-level \(branching\)<\/title>/);
+    assert.match(svg, /<polygon points=/);
+    assert.match(svg, /<ellipse /);
+    assert.match(svg, /stroke-dasharray="8 4"/);
+    assert.match(svg, /stroke-opacity="0.2"/);
+    assert.match(svg, />#sup<\/text>/);
+    assert.equal((svg.match(/<marker /g) || []).length, 3);
+    assert.ok(svg.trimEnd().endsWith('</svg>'));
+});
+
+test('renderGraphTikz emits named nodes, colours and bent edges', () => {
+    const tikz = renderGraphTikz(buildVectorGraph(SNAPSHOT));
+
+    assert.match(tikz, /\\begin\{tikzpicture\}/);
+    assert.match(tikz, /\\definecolor\{waba\d+\}\{HTML\}\{667EEA\}/);
+    assert.match(tikz, /\\node\[wabanode, diamond,[^\]]*\] \(n3\) at \(2, -3\) \{\};/);
+    assert.match(tikz, /\(n4\) at \(-3, 2\) \{\$\\top\$\};/);
+    assert.match(tikz, /bend right=12\.5\] \(n1\) to node\[wabalabel\] \{3\} \(n2\);/);
+    assert.match(tikz, /\{\\#sup\}/);
+    assert.match(tikz, /draw opacity=0\.2/);
+    assert.match(tikz, /dash pattern=on 4pt off 2pt/);
+    assert.ok(tikz.trimEnd().endsWith('\\end{tikzpicture}'));
+});
+
+test('escapeTex escapes LaTeX specials', () => {
+    assert.equal(escapeTex('a_1 & 50%'), 'a\\_1 \\& 50\\%');
+    assert.equal(escapeTex('∅'), '$\\emptyset$');
+});
@@ -0,0 +1,25 @@
+/**
+ * Solver stand-ins for runtime modules that take a `solve(program, numModels, args)`
+ * callback.
+ */
+
+/**
+ * A solver that answers each call with the next of `results` and records the calls.
+ *
+ * @param {...any} results clingo JSON results, in call order
+ */
+export function createScriptedSolver(...results) {
+    const calls = [];
+    const solve = async (program, numModels, args) => {
+        calls.push({ program, numModels, args });
+        return results[calls.length - 1];
+    };
+    return { calls, solve };
+}
+
+/**
+ * A satisfiable clingo result with one witness per atom list.
+ *
+ * @param {...string[]} witnesses
+ */
+export const sat = (...witnesses) => ({ Result: 'SATISFIABLE', Call: [{ Witnesses: witnesses.map((Value) => ({ Value })) }] });
@@ -0,0 +1,119 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildClingoFromSimpleFields } from '../../features/editor/simple-format.js';
+import { ParserUtils } from '../../modules/parser-utils.js';
+import { formatIccmaAba, frameworkToSimpleFields, isIccmaAba, parseIccmaAba } from '../../runtime/iccma-format.js';
+
+const BENCHMARK = `# ICCMA benchmark
+p aba 6
+a 1
+a 2
+c 1 4
+c 2 5
+r 4 2
+r 5 3
+r 3
+`;
+
+test('isIccmaAba recognises the p aba header after leading comments', () => {
+    assert.equal(isIccmaAba(BENCHMARK), true);
+    assert.equal(isIccmaAba('assumption(a).'), false);
+    assert.equal(isIccmaAba('a\nb <- c'), false);
+});
+
+test('numbered atoms get readable names', () => {
+    const { atomCount, framework, warnings } = parseIccmaAba(BENCHMARK);
+
+    assert.equal(atomCount, 6);
+    assert.deepEqual(framework.assumptions, ['a1', 'a2']);
+    assert.deepEqual(framework.contraries, [{ assumption: 'a1', contrary: 's4' }, { assumption: 'a2', contrary: 's5' }]);
+    assert.deepEqual(framework.rules, [{ head: 's4', body: ['a2'] }, { head: 's5', body: ['s3'] }, { head: 's3', body: [] }]);
+    assert.deepEqual(warnings, []);
+});
+
+test('name and weight comments restore WABA names and weights', () => {
+    const { framework, warnings } = parseIccmaAba(`p aba 3
+# name 1 rain
+# name 2 dry
+# name 3 1bad
+# weight 2 40
+# weight 1 #sup
+a 1
+c 1 2
+r 2 3
+`);
+
+    assert.deepEqual(framework.assumptions, ['rain']);
+    assert.deepEqual(framework.contraries, [{ assumption: 'rain', contrary: 'dry' }]);
+    assert.deepEqual(framework.rules, [{ head: 'dry', body: ['s3'] }]);
+    assert.deepEqual(framework.weights, { dry: '40' });
+    assert.equal(warnings.length, 2);
+});
+
+test('malformed files are rejected with the line number', () => {
+    assert.throws(() => parseIccmaAba('a 1'), /Line 1: the file must start with a "p aba/);
+    assert.throws(() => parseIccmaAba('p aba 2\na 3'), /Line 2: "3" is not an atom between 1 and 2/);
+    assert.throws(() => parseIccmaAba('p aba 2\nx 1'), /Line 2: unrecognised line/);
+    assert.throws(() => parseIccmaAba('p aba 2\na 1\nc 1 2\nc 1 2'), /already has a contrary/);
+    assert.throws(() => parseIccmaAba('p aba 2\nc 1 2'), /not an assumption/);
+    assert.throws(() => parseIccmaAba('# only a comment'), /no "p aba/);
+});
+
+test('export and import round-trip a Simple-mode framework', () => {
+    const code = buildClingoFromSimpleFields({
+        description: '',
+        assumptions: 'a\nb',
+        rules: 'c_a <- b\nc_b <- ',
+        contraries: '(a, c_a)\n(b, c_b)',
+        weights: 'a: 80\nc_a: 70'
+    });
+    const framework = {
+        assumptions: ParserUtils.parseAssumptions(code),
+        rules: ParserUtils.parseRules(code),
+        contraries: ParserUtils.parseContraries(code),
+        weights: ParserUtils.parseWeights(code)
+    };
+    const { content, warnings } = formatIccmaAba(framework);
+
+    assert.deepEqual(warnings, []);
+    assert.match(content, /^p aba 4\n/);
+    assert.match(content, /^a 1$/m);
+    assert.match(content, /^c 1 3$/m);
+    assert.match(content, /^r 3 2$/m);
+    assert.match(content, /^r 4$/m);
+    assert.match(content, /^# weight 1 80$/m);
+
+    const fields = frameworkToSimpleFields(parseIccmaAba(content).framework);
+    assert.equal(fields.assumptions, 'a\nb');
+    assert.equal(fields.contraries, '(a, c_a)\n(b, c_b)');
+    assert.equal(fields.rules, 'c_a <- b\nc_b <- ');
+    assert.equal(fields.weights, 'a: 80\nc_a: 70');
+});
+
+test('export reports what ICCMA cannot carry', () => {
+    const { warnings } = formatIccmaAba({
+        assumptions: ['a', 'b'],
+        rules: [{ head: 'a', body: ['b'] }],
+        contraries: [{ assumption: 'a', contrary: 'x' }],
+        weights: { x: '#sup' }
+    });
+
+    assert.equal(warnings.length, 3);
+    assert.match(warnings.join('\n'), /#sup/);
+    assert.match(warnings.join('\n'), /b has no contrary/);
+    assert.match(warnings.join('\n'), /not flat/);
+});
+
+test('export refuses an assumption with several contraries, which the import would reject', () => {
+    const framework = {
+        assumptions: ['a', 'b'],
+        rules: [],
+        contraries: [{ assumption: 'a', contrary: 'x' }, { assumption: 'a', contrary: 'y' }, { assumption: 'b', contrary: 'x' }],
+        weights: {}
+    };
+    assert.throws(() => formatIccmaAba(framework), /one contrary per assumption, but a has several/);
+
+    const single = { ...framework, contraries: framework.contraries.slice(1) };
+    assert.deepEqual(parseIccmaAba(formatIccmaAba(single).content).framework.contraries, single.contraries);
+});
@@ -4,6 +4,7 @@ import assert from 'node:assert/strict';
 import {
     NEG_INF,
     POS_INF,
+    compareRankedExtensions,
     compareTuples,
     computeAggregateFromDiscarded,
     displayValue,
@@ -34,3 +35,14 @@ test('tuple comparison is lexicographic and displayValue preserves infinities',
     assert.equal(displayValue(POS_INF), '+inf');
     assert.equal(displayValue(NEG_INF), '-inf');
 });
+
+test('compareRankedExtensions orders by objective tuple, then by accepted assumptions', () => {
+    const entry = (tuple, accepted) => ({ objectiveTuple: tuple, parsed: { in: accepted } });
+    const ranked = [
+        entry([0, 0, 5], ['a']),
+        entry([0, 0, 2], ['c']),
+        entry([0, 0, 2], ['b'])
+    ].sort(compareRankedExtensions);
+
+    assert.deepEqual(ranked.map((item) => item.parsed.in[0]), ['b', 'c', 'a']);
+});
@@ -0,0 +1,115 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeConfig } from '../../runtime/config-service.js';
+import { rankWitnesses } from '../../runtime/extension-ranking.js';
+import { createPdfWriter, measureText, toWinAnsi } from '../../runtime/pdf-writer.js';
+import { buildReportPdf, wrapText } from '../../runtime/pdf-report.js';
+import { MetricsManager } from '../../modules/metrics-manager.js';
+
+const CONFIG = normalizeConfig({ monoid: 'sum', budgetMode: 'ub', beta: 3 });
+
+const toText = (bytes) => Buffer.from(bytes).toString('latin1');
+
+test('toWinAnsi spells out symbols, drops emoji and keeps Latin-1', () => {
+    assert.equal(toWinAnsi('β ≤ 3 → ∅'), 'beta <= 3 -> {}');
+    assert.equal(toWinAnsi('📄 Report'), ' Report');
+    assert.equal(toWinAnsi('café – x'), 'café \u0096 x');
+    assert.equal(toWinAnsi('中'), '?');
+    assert.equal(toWinAnsi(toWinAnsi('a – b')), toWinAnsi('a – b'));
+});
+
+test('measureText uses Helvetica widths and a fixed Courier advance', () => {
+    assert.equal(measureText('ii', 'regular', 10), 4.44);
+    assert.equal(measureText('ii', 'mono', 10), 12);
+    assert.ok(measureText('W', 'bold', 10) > measureText('i', 'bold', 10));
+});
+
+test('wrapText breaks at spaces and splits overlong words', () => {
+    const lines = wrapText('alpha beta gamma delta', 'mono', 10, 66);
+    assert.deepEqual(lines, ['alpha beta', 'gamma delta']);
+    assert.ok(wrapText('x'.repeat(40), 'mono', 10, 60).every((line) => line.length <= 10));
+    assert.deepEqual(wrapText('a\n\nb', 'regular', 10, 100), ['a', '', 'b']);
+});
+
+test('the writer emits a PDF whose xref offsets point at each object', () => {
+    const pdf = createPdfWriter();
+    pdf.addPage();
+    pdf.text(10, 20, 'Hello (world)');
+    pdf.image(pdf.addJpeg(new Uint8Array([0xff, 0xd8, 0xff, 0xd9]), 1, 1), 0, 0, 10, 10);
+    const text = toText(pdf.toBytes());
+
+    assert.ok(text.startsWith('%PDF-1.4'));
+    assert.ok(text.trimEnd().endsWith('%%EOF'));
+    assert.match(text, /\(Hello \\\(world\\\)\) Tj/);
+    assert.match(text, /\/Filter \/DCTDecode/);
+
+    const xrefOffset = Number(text.match(/startxref\n(\d+)/)[1]);
+    assert.ok(text.startsWith('xref', xrefOffset));
+    const entries = text.slice(xrefOffset).match(/^\d{10} 00000 n $/gm);
+    entries.forEach((entry, index) => {
+        assert.ok(text.startsWith(`${index + 1} 0 obj`, Number(entry.slice(0, 10))));
+    });
+    assert.throws(() => createPdfWriter().toBytes(), /at least one page/);
+});
+
+test('the report includes framework, configuration, extensions and assumption table', () => {
+    const ranked = rankWitnesses([
+        { Value: ['in(a)', 'discarded_attack(c,b,2)'] },
+        { Value: ['in(b)'] }
+    ], CONFIG);
+    const metrics = MetricsManager.computeMetrics(ranked, CONFIG);
+    const text = toText(buildReportPdf({
+        generatedAt: '2026-01-01 00:00:00',
+        graph: null,
+        waba: 'assumption a.\nassumption b.',
+        config: CONFIG,
+        ranked,
+        assumptionTable: MetricsManager.getAssumptionTable(metrics)
+    }));
+
+    assert.match(text, /\(assumption a\.\) Tj/);
+    assert.match(text, /\(Effective configuration\) Tj/);
+    assert.match(text, /\(c->b \\\(2\\\)\) Tj/);
+    assert.match(text, /\(DecisionScore\) Tj/);
+    assert.match(text, /page 1 of 1/);
+});
+
+test('long frameworks flow onto further pages', () => {
+    const waba = Array.from({ length: 300 }, (_, index) => `assumption a${index}.`).join('\n');
+    const text = toText(buildReportPdf({ generatedAt: 'now', graph: null, waba, config: CONFIG, ranked: [], assumptionTable: null }));
+    const pageCount = Number(text.match(/\/Count (\d+)/)[1]);
+
+    assert.ok(pageCount >= 3);
+    assert.match(text, new RegExp(`page ${pageCount} of ${pageCount}`));
+    assert.match(text, /\(No extensions\.\) Tj/);
+});
+
+test('tables spanning several pages draw each row once and repeat the header per page', () => {
+    const rows = Array.from({ length: 150 }, (_, index) => [`row${index}`, String(index)]);
+    const text = toText(buildReportPdf({
+        generatedAt: 'now',
+        graph: null,
+        waba: '',
+        config: CONFIG,
+        ranked: [],
+        assumptionTable: { headers: ['TableAtom', 'TableScore'], rows }
+    }));
+    const pageCount = Number(text.match(/\/Count (\d+)/)[1]);
+
+    assert.ok(pageCount >= 3);
+    rows.forEach(([atom]) => {
+        assert.equal(text.split(`(${atom}) Tj`).length - 1, 1, atom);
+    });
+    assert.equal(text.split('(TableAtom) Tj').length - 1, pageCount);
+});
+
+test('assumption CSV is built from the shared assumption table', () => {
+    const ranked = rankWitnesses([{ Value: ['in(a)'] }], CONFIG);
+    const metrics = MetricsManager.computeMetrics(ranked, CONFIG);
+    const { headers, rows } = MetricsManager.getAssumptionTable(metrics);
+    const csv = MetricsManager.exportAssumptionCSV(metrics);
+
+    assert.equal(csv.split('\n')[0], headers.join(','));
+    assert.ok(csv.split('\n')[1].startsWith(`"${rows[0][0]}",`));
+});
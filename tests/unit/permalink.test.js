@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeConfig } from '../../runtime/config-service.js';
+import { PERMALINK_PREFIX, decodePermalink, encodePermalink } from '../../runtime/permalink.js';
+
+const CONFIG = normalizeConfig({
+    semiringFamily: 'lukasiewicz',
+    polarity: 'lower',
+    defaultPolicy: 'neutral',
+    monoid: 'sum',
+    budgetMode: 'ub',
+    beta: 7,
+    semantics: 'preferred',
+    numModels: 3,
+    timeout: 15000
+});
+
+test('permalinks round-trip Simple fields, the run configuration and the graph mode', async () => {
+    const fields = {
+        description: 'Ünïcode & "quotes"',
+        assumptions: 'a\nb',
+        rules: 'p <- a',
+        contraries: '(a, p)',
+        weights: 'a: 3'
+    };
+
+    const hash = await encodePermalink({ editor: { mode: 'simple', fields }, config: CONFIG, graphMode: 'assumption-direct' });
+    assert.ok(hash.startsWith(PERMALINK_PREFIX));
+    assert.match(hash.slice(PERMALINK_PREFIX.length), /^[A-Za-z0-9_-]+$/);
+
+    const state = await decodePermalink(hash);
+    assert.deepEqual(state.editor, { mode: 'simple', fields });
+    assert.equal(state.graphMode, 'assumption-direct');
+    assert.equal(state.config.semiringFamily, 'lukasiewicz');
+    assert.equal(state.config.polarity, 'lower');
+    assert.equal(state.config.defaultPolicy, 'neutral');
+    assert.equal(state.config.beta, 7);
+    assert.equal(state.config.semantics, 'preferred');
+    assert.equal(state.config.numModels, 3);
+    assert.equal(state.config.timeout, 15000);
+});
+
+test('permalinks carry Advanced code and compress repetitive frameworks', async () => {
+    const code = Array.from({ length: 200 }, (_, index) => `assumption(a${index}). weight(a${index}, ${index}).`).join('\n');
+    const hash = await encodePermalink({ editor: { mode: 'advanced', code }, config: CONFIG, graphMode: 'nonsense' });
+
+    assert.ok(hash.length < code.length / 2);
+    const state = await decodePermalink(hash);
+    assert.deepEqual(state.editor, { mode: 'advanced', code });
+    assert.equal(state.graphMode, 'standard');
+});
+
+test('decodePermalink ignores other hashes and rejects damaged links', async () => {
+    assert.equal(await decodePermalink(''), null);
+    assert.equal(await decodePermalink('#analysis'), null);
+    await assert.rejects(decodePermalink(`${PERMALINK_PREFIX}not-a-link`), /damaged or truncated/);
+
+    const hash = await encodePermalink({ editor: { mode: 'advanced', code: '' }, config: { ...CONFIG, semantics: 'naive' }, graphMode: 'standard' });
+    await assert.rejects(decodePermalink(hash), /Unsupported semantics "naive"/);
+});
@@ -1,7 +1,9 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 
-import { normalizeConfig } from '../../runtime/config-service.js';
+import { MetricsManager } from '../../modules/metrics-manager.js';
+import { normalizeConfig, resolveSemiringModuleKey, validateConfig } from '../../runtime/config-service.js';
+import { wabaModules } from '../../waba-modules.js';
 import { buildProgram } from '../../runtime/program-builder.js';
 
 const FRAMEWORK = 'assumption(a). contrary(a, c_a).';
@@ -60,3 +62,31 @@ test('buildProgram routes grounded through complete candidates in the browser su
     assert.match(program, /:- out\(X\), assumption\(X\), defended\(X\)\./);
     assert.doesNotMatch(program, /subset_minimal_filter/);
 });
+
+test('tropical is a lower-only family, reachable through its min_plus alias', () => {
+    const config = normalizeConfig({ semiringFamily: 'tropical', polarity: 'higher', budgetMode: 'ub', beta: 5 });
+    assert.equal(config.polarity, 'lower');
+    assert.equal(config.semiringKey, 'tropical');
+    assert.equal(config.aliasLabel, 'min_plus');
+    assert.equal(validateConfig(config), null);
+    assert.match(buildProgram(FRAMEWORK, config), /active_semiring\(tropical\)\./);
+
+    const aliased = normalizeConfig({ semiringFamily: 'min_plus' });
+    assert.equal(aliased.semiringFamily, 'tropical');
+    assert.equal(aliased.semiringKey, 'tropical');
+    assert.deepEqual(wabaModules.metadata.canonicalSemiring.tropical, { lower: 'tropical' });
+
+    assert.equal(MetricsManager.getAnalysisContext(config).supportHigherBetter, false);
+    assert.equal(MetricsManager.getAnalysisContext({ semiringFamily: 'godel', polarity: 'higher' }).supportHigherBetter, true);
+});
+
+test('existing families keep their semiring keys and requested polarity', () => {
+    assert.equal(resolveSemiringModuleKey('lukasiewicz', 'higher'), 'lukasiewicz');
+    assert.equal(resolveSemiringModuleKey('lukasiewicz', 'lower'), 'lukasiewicz');
+    assert.equal(normalizeConfig({ semiringFamily: 'lukasiewicz', polarity: 'lower' }).semiringKey, 'lukasiewicz');
+    assert.equal(normalizeConfig({ semiringFamily: 'lukasiewicz_low' }).semiringKey, 'lukasiewicz_low');
+    assert.equal(normalizeConfig({ semiringFamily: 'godel', polarity: 'lower' }).polarity, 'higher');
+
+    assert.equal(MetricsManager.getAnalysisContext({ semiringFamily: 'lukasiewicz', polarity: 'lower' }).supportHigherBetter, false);
+    assert.equal(MetricsManager.getAnalysisContext({ semiringFamily: 'godel', polarity: 'lower' }).supportHigherBetter, false);
+});
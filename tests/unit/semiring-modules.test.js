@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeConfig, validateConfig } from '../../runtime/config-service.js';
+import { buildProgram } from '../../runtime/program-builder.js';
+// The registry is module state, so import the instance the runtime modules share.
+import {
+    listExperimentalSemirings,
+    parseSemiringModule,
+    registerSemiringModule,
+    unregisterSemiringModule
+} from '../../runtime/semiring-modules.js?v=20260315-1';
+import { wabaModules } from '../../waba-modules.js';
+
+const GODEL_COPY = wabaModules.semiring.godel.replace('active_semiring(godel).', 'active_semiring(godel_copy).');
+
+test('parseSemiringModule checks the semiring module schema', () => {
+    const parsed = parseSemiringModule(GODEL_COPY);
+    assert.equal(parsed.key, 'godel_copy');
+    assert.deepEqual(parsed.defaultWeights, { legacy: '#sup', aba: '#sup', neutral: '#sup' });
+
+    assert.throws(() => parseSemiringModule(wabaModules.semiring.godel), /"godel" is a built-in semiring/);
+    assert.throws(
+        () => parseSemiringModule('% active_semiring(x).\nsemiring_default_weight(legacy, 1).'),
+        (error) => /active_semiring\/1 fact/.test(error.message)
+            && /missing for the aba, neutral default policies/.test(error.message)
+            && /define supported_with_weight_from\/3/.test(error.message)
+    );
+    assert.throws(
+        () => parseSemiringModule(`active_semiring(a). active_semiring(b).\n${GODEL_COPY.replace('active_semiring(godel_copy).', '')}`),
+        /declares 2 active_semiring\/1 facts \(a, b\)/
+    );
+    assert.throws(() => parseSemiringModule(`#include "base.lp".\n${GODEL_COPY}`), /#include is not available/);
+});
+
+test('registered modules run as experimental semirings for the session', () => {
+    registerSemiringModule(GODEL_COPY);
+    assert.deepEqual(listExperimentalSemirings().map((semiringModule) => semiringModule.key), ['godel_copy']);
+
+    const config = normalizeConfig({ semiringFamily: 'godel_copy', polarity: 'lower' });
+    assert.equal(config.semiringKey, 'godel_copy');
+    assert.equal(config.polarity, 'lower');
+    assert.equal(config.experimentalSemiring, true);
+    assert.equal(validateConfig(config), null);
+    assert.match(buildProgram('assumption(a).', config), /active_semiring\(godel_copy\)\./);
+    assert.equal(normalizeConfig({ semiringFamily: 'godel' }).experimentalSemiring, false);
+
+    assert.equal(unregisterSemiringModule('godel_copy'), true);
+    assert.throws(() => normalizeConfig({ semiringFamily: 'godel_copy' }), /Unknown semiring family "godel_copy"/);
+});
@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeConfig } from '../../runtime/config-service.js';
+import { buildProgram } from '../../runtime/program-builder.js';
+import { buildSetFacts, diagnoseAssumptionSet, parseViolations, relaxConstraints } from '../../runtime/set-diagnosis.js';
+import { createScriptedSolver, sat } from './helpers/solver-fixtures.js';
+
+const FRAMEWORK = 'assumption(a). assumption(b). head(r1,x). body(r1,b). contrary(a,x). weight(b,3).';
+
+const unsat = { Result: 'UNSATISFIABLE', Call: [{}] };
+
+test('the tested set is pinned with facts and rejects non-atoms', () => {
+    const facts = buildSetFacts(['a', 'b']);
+    assert.match(facts, /set_member\(a\)\.\nset_member\(b\)\./);
+    assert.match(facts, /out\(X\) :- assumption\(X\), not set_member\(X\)\./);
+    assert.throws(() => buildSetFacts(['a).']), /not a valid assumption/);
+});
+
+test('every semantics and budget constraint of the synced modules is relaxed', () => {
+    const hardConstraints = /^:- (in\(X\)|out\(X\)|budget_value|discarded_attack)/m;
+    [
+        { semantics: 'stable', budgetMode: 'ub' },
+        { semantics: 'complete', budgetMode: 'lb', monoid: 'min', optimization: 'maximize' },
+        { semantics: 'admissible', budgetMode: 'none' },
+        { semantics: 'cf', budgetMode: 'ub' }
+    ].forEach((options) => {
+        const relaxed = relaxConstraints(buildProgram(FRAMEWORK, normalizeConfig(options)));
+        assert.doesNotMatch(relaxed, hardConstraints, options.semantics);
+        assert.match(relaxed, /set_violation\(conflict\) :- in\(X\), attacked_by_candidate\(X\)\./);
+        assert.match(relaxed, /set_violation\(budget\) :- /);
+    });
+});
+
+test('violations are parsed with their culprits in check order', () => {
+    assert.deepEqual(parseViolations([
+        'set_violation(budget)',
+        'set_violation(conflict)',
+        'set_attack_culprit(conflict,x,a,3)',
+        'set_attack_culprit(budget,x,a,3)',
+        'set_violation(closure)',
+        'set_atom_culprit(closure,b)',
+        'set_atom_culprit(unattacked,b)'
+    ]), [
+        { check: 'closure', attacks: [], atoms: ['b'] },
+        { check: 'conflict', attacks: [{ source: 'x', target: 'a', weight: '3' }], atoms: [] },
+        { check: 'budget', attacks: [{ source: 'x', target: 'a', weight: '3' }], atoms: [] }
+    ]);
+});
+
+test('an unsatisfiable set is diagnosed with the relaxed program', async () => {
+    const config = normalizeConfig({ semantics: 'stable', budgetMode: 'ub', monoid: 'sum', beta: 1 });
+    const { calls, solve } = createScriptedSolver(
+        unsat,
+        sat(['set_violation(conflict)', 'set_attack_culprit(conflict,x,a,3)'])
+    );
+
+    const diagnosis = await diagnoseAssumptionSet(FRAMEWORK, config, ['b', 'a'], { solve });
+
+    assert.equal(diagnosis.verdict, 'violates');
+    assert.deepEqual(diagnosis.members, ['a', 'b']);
+    assert.deepEqual(diagnosis.violations, [{ check: 'conflict', attacks: [{ source: 'x', target: 'a', weight: '3' }], atoms: [] }]);
+    assert.deepEqual(calls[0].args, ['--opt-mode=ignore']);
+    assert.match(calls[0].program, /set_member\(a\)\./);
+    assert.match(calls[0].program, /^:- in\(X\), attacked_by_candidate\(X\)\.$/m);
+    assert.deepEqual(calls[1].args, ['--opt-mode=opt']);
+    assert.match(calls[1].program, /:~ set_violation\(budget\)\. \[1@2\]/);
+    assert.doesNotMatch(calls[1].program, /^:- in\(X\), attacked_by_candidate\(X\)\.$/m);
+});
+
+test('under optN a satisfiable set is checked against the optimum', async () => {
+    const config = normalizeConfig({ semantics: 'stable', budgetMode: 'ub', monoid: 'sum', beta: 5, optMode: 'optN' });
+    const { calls, solve } = createScriptedSolver(
+        sat(['in(a)', 'in(b)']),
+        sat(['in(a)', 'in(b)', 'discarded_attack(x,a,3)']),
+        sat(['in(b)', 'out(a)'])
+    );
+
+    const diagnosis = await diagnoseAssumptionSet(FRAMEWORK, config, ['a', 'b'], { solve });
+
+    assert.equal(diagnosis.verdict, 'not-optimal');
+    assert.deepEqual(diagnosis.aggregates, { set: 3, best: 0 });
+    assert.match(calls[1].program, /set_member\(a\)\./);
+    assert.doesNotMatch(calls[2].program, /set_member/);
+});
+
+test('post-filtered semantics check complete first, then the exact extensions', async () => {
+    const config = normalizeConfig({ semantics: 'preferred' });
+    const { calls, solve } = createScriptedSolver(
+        sat(['out(a)', 'out(b)']),
+        sat(['in(b)', 'out(a)'], ['out(a)', 'out(b)']),
+        sat(['keep(1)'])
+    );
+
+    const diagnosis = await diagnoseAssumptionSet(FRAMEWORK, config, [], { solve });
+
+    assert.equal(diagnosis.verdict, 'not-selected');
+    assert.equal(diagnosis.baseSemantics, 'complete');
+    assert.deepEqual(diagnosis.extensions, [['b']]);
+    assert.match(calls[0].program, /Complete Semantics/);
+});
@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { addAssumption, addAttack, removeAtom, removeContrary, removeRule, setWeight } from '../../features/editor/simple-edits.js';
+import { buildClingoFromSimpleFields } from '../../features/editor/simple-format.js';
+
+const fields = {
+    description: '',
+    assumptions: 'a\nb\n% spare',
+    rules: '% c_a <- b\nc_a <- b\nc_b <- a, d\nd <-',
+    contraries: '(a, c_a)\n(b, c_b)',
+    weights: 'a: 80\nd: 3'
+};
+
+test('adding assumptions and attacks writes Simple lines', () => {
+    const added = addAssumption(fields, ' e ');
+    assert.equal(added.assumptions, 'a\nb\n% spare\ne');
+    assert.throws(() => addAssumption(fields, 'a'), /already an assumption/);
+    assert.throws(() => addAssumption(fields, '2x'), /not a valid atom name/);
+
+    // e has no contrary yet, so b attacks it directly.
+    assert.equal(addAttack(added, 'b', 'e').contraries, '(a, c_a)\n(b, c_b)\n(e, b)');
+    // a's contrary c_a gets a new rule.
+    assert.equal(addAttack(fields, 'a', 'a').rules, `${fields.rules}\nc_a <- a`);
+    assert.throws(() => addAttack(fields, 'b', 'a'), /already derived from "b"/);
+    assert.throws(() => addAttack(fields, 'a', 'd'), /Only assumptions can be attacked/);
+
+    const fromTop = addAttack(added, null, 'e');
+    assert.equal(fromTop.contraries, '(a, c_a)\n(b, c_b)\n(e, c_e)');
+    assert.equal(fromTop.rules, `${fields.rules}\nc_e <-`);
+    assert.match(buildClingoFromSimpleFields(fromTop), /head\(r4, c_e\)\./);
+});
+
+test('setWeight replaces, adds and clears weight lines', () => {
+    assert.equal(setWeight(fields, 'a', 5).weights, 'a: 5\nd: 3');
+    assert.equal(setWeight({ ...fields, weights: 'a: 1\nd: 3\na: 2' }, 'a', 7).weights, 'a: 7\nd: 3');
+    assert.equal(setWeight(fields, 'c_b', 4).weights, 'a: 80\nd: 3\nc_b: 4');
+    assert.equal(setWeight(fields, 'a', null).weights, 'd: 3');
+    assert.throws(() => setWeight(fields, 'a', -1), /non-negative integers/);
+});
+
+test('removals drop every line that mentions the element', () => {
+    const withoutB = removeAtom(fields, 'b');
+    assert.equal(withoutB.assumptions, 'a\n% spare');
+    assert.equal(withoutB.contraries, '(a, c_a)');
+    // The rule comment written by extractSimpleFields goes with its rule.
+    assert.equal(withoutB.rules, 'c_b <- a, d\nd <-');
+
+    const withoutD = removeAtom(fields, 'd');
+    assert.equal(withoutD.rules, '% c_a <- b\nc_a <- b');
+    assert.equal(withoutD.weights, 'a: 80');
+
+    assert.equal(removeRule(fields, 'r2').rules, '% c_a <- b\nc_a <- b\nd <-');
+    assert.throws(() => removeRule(fields, 'r9'), /no rule r9/);
+    assert.equal(removeContrary(fields, 'b', 'c_b').contraries, '(a, c_a)');
+});
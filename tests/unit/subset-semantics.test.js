@@ -0,0 +1,141 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getSupportedMetadata, normalizeConfig, validateConfig } from '../../runtime/config-service.js';
+import {
+    SUBSET_SEMANTICS,
+    buildCandidateFacts,
+    intersectMembers,
+    parseKeepIds,
+    rangeMembers,
+    runSubsetSemantics
+} from '../../runtime/subset-semantics.js';
+
+const FRAMEWORK = 'assumption(a). assumption(b). contrary(b, a).';
+
+function createStubSolver(candidates, ...keepPasses) {
+    const calls = [];
+    const solve = async (program, numModels, args) => {
+        calls.push({ program, numModels, args });
+        if (calls.length === 1) {
+            return { Result: 'SATISFIABLE', Call: [{ Witnesses: candidates }] };
+        }
+        const keep = keepPasses[calls.length - 2] || [];
+        return { Result: 'SATISFIABLE', Call: [{ Witnesses: [{ Value: keep.map((id) => `keep(${id})`) }] }] };
+    };
+    return { calls, solve };
+}
+
+test('buildCandidateFacts and parseKeepIds round-trip candidate ids', () => {
+    const facts = buildCandidateFacts([{ Value: ['in(a)', 'out(b)'] }, { Value: [] }]);
+    assert.equal(facts, 'candidate(1).\nmember(1,a).\ncandidate(2).');
+    assert.deepEqual([...parseKeepIds({ Value: ['keep(2)', 'other(1)', 'keep(10)'] })], [2, 10]);
+    assert.deepEqual([...parseKeepIds(undefined)], []);
+});
+
+test('runSubsetSemantics enumerates complete candidates and keeps the filtered ones', async () => {
+    const config = normalizeConfig({ semantics: 'preferred', monoid: 'sum', optimization: 'minimize' });
+    const candidates = [{ Value: ['in(a)'] }, { Value: ['in(a)', 'in(c)'] }, { Value: [] }];
+    const { calls, solve } = createStubSolver(candidates, [2]);
+    const logs = [];
+
+    const result = await runSubsetSemantics(FRAMEWORK, config, { solve, onLog: (message) => logs.push(message) });
+
+    assert.equal(calls.length, 2);
+    assert.deepEqual(calls[0].args, ['--opt-mode=ignore']);
+    assert.match(calls[0].program, /%% Semantics/);
+    assert.deepEqual(calls[1].args, ['--project']);
+    assert.match(calls[1].program, /member\(2,c\)\./);
+    assert.equal(result.Result, 'SATISFIABLE');
+    assert.deepEqual(result.Call[0].Witnesses, [candidates[1]]);
+    assert.match(logs[1], /subset-maximal/);
+});
+
+test('runSubsetSemantics applies the numeric objective after filtering', async () => {
+    const config = normalizeConfig({
+        semantics: 'grounded',
+        monoid: 'sum',
+        optimization: 'minimize',
+        budgetMode: 'ub',
+        beta: 10,
+        optMode: 'optN'
+    });
+    const candidates = [
+        { Value: ['in(a)', 'discarded_attack(b,a,4)'] },
+        { Value: ['in(b)', 'discarded_attack(a,b,2)'] },
+        { Value: ['in(c)', 'discarded_attack(a,c,2)'] }
+    ];
+    const { solve } = createStubSolver(candidates, [1, 2, 3]);
+
+    const result = await runSubsetSemantics(FRAMEWORK, config, { solve });
+
+    assert.equal(result.Result, 'OPTIMUM FOUND');
+    assert.deepEqual(result.Call[0].Witnesses.map((witness) => witness.Value[0]), ['in(b)', 'in(c)']);
+    assert.equal(result.Call[0].Witnesses[0].Optimization, 2);
+});
+
+test('runSubsetSemantics stops after the candidate pass when there are no candidates', async () => {
+    const config = normalizeConfig({ semantics: 'preferred' });
+    const { calls, solve } = createStubSolver([], []);
+
+    const result = await runSubsetSemantics(FRAMEWORK, config, { solve });
+
+    assert.equal(calls.length, 1);
+    assert.deepEqual(result.Call[0].Witnesses, []);
+});
+
+test('runSubsetSemantics rejects solver errors', async () => {
+    const config = normalizeConfig({ semantics: 'preferred' });
+    const solve = async () => ({ Result: 'ERROR', Error: 'parse error' });
+
+    await assert.rejects(runSubsetSemantics(FRAMEWORK, config, { solve }), /Clingo returned ERROR/);
+});
+
+test('every post-filtered semantics in the metadata has a filter pipeline and validates', () => {
+    const { postFilteredSemantics } = getSupportedMetadata();
+
+    assert.deepEqual(Object.keys(SUBSET_SEMANTICS).sort(), [...postFilteredSemantics].sort());
+    postFilteredSemantics.forEach((semantics) => {
+        assert.equal(validateConfig(normalizeConfig({ semantics })), null);
+    });
+});
+
+test('rangeMembers and intersectMembers read in/1 and attacked_by_candidate/1', () => {
+    assert.deepEqual(rangeMembers({ Value: ['in(a)', 'attacked_by_candidate(b)', 'attacked_by_candidate(a)', 'out(b)'] }), ['a', 'b']);
+    assert.deepEqual([...intersectMembers([{ Value: ['in(a)', 'in(d)'] }, { Value: ['in(b)', 'in(d)'] }])], ['d']);
+    assert.deepEqual([...intersectMembers([])], []);
+});
+
+test('semi-stable filters complete candidates by range and hides the range atoms', async () => {
+    const config = normalizeConfig({ semantics: 'semi-stable' });
+    const candidates = [
+        { Value: [] },
+        { Value: ['in(a)', 'attacked_by_candidate(b)'] },
+        { Value: ['in(b)', 'attacked_by_candidate(a)', 'attacked_by_candidate(c)'] }
+    ];
+    const { calls, solve } = createStubSolver(candidates, [3]);
+
+    const result = await runSubsetSemantics(FRAMEWORK, config, { solve });
+
+    assert.match(calls[0].program, /#show attacked_by_candidate\/1\.\n$/);
+    assert.match(calls[1].program, /member\(3,b\)\.\nmember\(3,a\)\.\nmember\(3,c\)\./);
+    assert.deepEqual(result.Call[0].Witnesses, [{ Value: ['in(b)'] }]);
+});
+
+test('ideal keeps the maximal candidates inside every preferred extension', async () => {
+    const config = normalizeConfig({ semantics: 'ideal' });
+    const candidates = [
+        { Value: [] },
+        { Value: ['in(d)'] },
+        { Value: ['in(a)', 'in(d)'] },
+        { Value: ['in(b)', 'in(d)'] }
+    ];
+    // Pass 1 keeps the preferred candidates 3 and 4; pass 2 runs over [∅, {d}] only.
+    const { calls, solve } = createStubSolver(candidates, [3, 4], [2]);
+
+    const result = await runSubsetSemantics(FRAMEWORK, config, { solve });
+
+    assert.equal(calls.length, 3);
+    assert.doesNotMatch(calls[2].program, /candidate\(3\)/);
+    assert.deepEqual(result.Call[0].Witnesses, [{ Value: ['in(d)'] }]);
+});
@@ -0,0 +1,150 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeConfig } from '../../runtime/config-service.js';
+import { rankWitnesses } from '../../runtime/extension-ranking.js';
+import {
+    WABA_JSON_VERSION,
+    frameworkToClingo,
+    frameworkToEditorState,
+    parseWabaJson,
+    serializeFramework,
+    serializeRunResult
+} from '../../runtime/waba-json.js';
+import { ParserUtils } from '../../modules/parser-utils.js';
+
+const FRAMEWORK = {
+    assumptions: ['a', 'b'],
+    rules: [{ id: 'r1', head: 'c_a', body: ['b'] }, { id: 'r2', head: 'c_b', body: [] }],
+    contraries: [{ assumption: 'a', contrary: 'c_a' }, { assumption: 'b', contrary: 'c_b' }],
+    weights: { a: '80', c_a: '70' }
+};
+
+const CONFIG = normalizeConfig({ semantics: 'stable', monoid: 'sum', budgetMode: 'ub', beta: 100 });
+
+const WITNESSES = [
+    {
+        Value: ['in(a)', 'out(b)', 'supported_with_weight(a,80)', 'discarded_attack(b,a,70)', 'budget_value(70)'],
+        Optimization: [70]
+    },
+    {
+        Value: ['in(b)', 'out(a)', 'supported_with_weight(b,#sup)', 'attacks_successfully_with_weight(b,a,#sup)', 'budget_value(0)'],
+        Optimization: [0]
+    }
+];
+
+test('serializeFramework writes a versioned document with numeric weights', () => {
+    const document = serializeFramework(FRAMEWORK, 'Two assumptions');
+
+    assert.equal(document.format, 'waba-framework');
+    assert.equal(document.version, WABA_JSON_VERSION);
+    assert.equal(document.description, 'Two assumptions');
+    assert.deepEqual(document.rules[1], { id: 'r2', head: 'c_b', body: [] });
+    assert.deepEqual(document.weights, { a: 80, c_a: 70 });
+
+    const parsed = parseWabaJson(JSON.stringify(document));
+    assert.equal(parsed.format, 'waba-framework');
+    assert.equal(parsed.description, 'Two assumptions');
+    assert.deepEqual(parsed.framework, FRAMEWORK);
+});
+
+test('serializeRunResult keeps extensions, attacks and metrics', () => {
+    const ranked = rankWitnesses(WITNESSES, CONFIG);
+    const document = serializeRunResult({
+        framework: FRAMEWORK,
+        config: CONFIG,
+        status: 'OPTIMUM FOUND',
+        elapsed: '0.12',
+        ranked,
+        metrics: {
+            global: { totalExtensions: 2, bestScore: 0, topExtensions: [{ label: '{b}' }] },
+            atoms: [{ atom: 'b', decisionScore: 100, contrary: 'c_b' }]
+        },
+        createdAt: '2026-01-01T00:00:00.000Z'
+    });
+
+    assert.equal(document.format, 'waba-result');
+    assert.equal(document.framework?.format, 'waba-framework');
+    assert.equal(document.config.semiringKey, 'godel');
+    assert.deepEqual(document.extensions.map((extension) => extension.in), [['b'], ['a']]);
+
+    const [best, second] = document.extensions;
+    assert.equal(best.rank, 1);
+    assert.deepEqual(best.supported, [{ atom: 'b', weight: '#sup' }]);
+    assert.deepEqual(best.successfulAttacks, [{ source: 'b', target: 'a', weight: '#sup' }]);
+    assert.deepEqual(second.discardedAttacks, [{ source: 'b', target: 'a', weight: 70 }]);
+    assert.equal(second.aggregateValue, 70);
+    assert.equal(second.budgetValue, 70);
+    assert.deepEqual(second.optimization, [70]);
+    assert.deepEqual(document.metrics?.summary.topExtensions, ['{b}']);
+    assert.deepEqual(document.metrics?.assumptions, [{ atom: 'b', decisionScore: 100, contrary: 'c_b' }]);
+
+    JSON.parse(JSON.stringify(document));
+});
+
+test('result documents round-trip to witnesses that rank the same way', () => {
+    const ranked = rankWitnesses(WITNESSES, CONFIG);
+    const document = serializeRunResult({ framework: FRAMEWORK, config: CONFIG, status: 'OPTIMUM FOUND', elapsed: '0.12', ranked });
+    const parsed = parseWabaJson(JSON.stringify(document));
+
+    assert.equal(parsed.format, 'waba-result');
+    if (parsed.format !== 'waba-result') {
+        return;
+    }
+    assert.equal(parsed.status, 'OPTIMUM FOUND');
+    assert.equal(parsed.config.budgetMode, 'ub');
+    assert.equal(parsed.config.beta, 100);
+    assert.deepEqual(parsed.framework, FRAMEWORK);
+    assert.deepEqual(
+        rankWitnesses(parsed.witnesses, parsed.config).map((item) => item.parsed.in),
+        ranked.map((item) => item.parsed.in)
+    );
+});
+
+test('parseWabaJson rejects unknown formats, versions and invalid fields with their path', () => {
+    assert.throws(() => parseWabaJson('{'), /Not valid JSON/);
+    assert.throws(() => parseWabaJson('{"format":"other"}'), /Unknown JSON format "other"/);
+    assert.throws(() => parseWabaJson('{"format":"waba-framework","version":2}'), /version 2, which this playground does not support/);
+    assert.throws(
+        () => parseWabaJson(JSON.stringify({ ...serializeFramework(FRAMEWORK), assumptions: ['a', 'Bad'] })),
+        /\$\.assumptions\[1\] must be an atom name/
+    );
+    assert.throws(
+        () => parseWabaJson(JSON.stringify({ ...serializeFramework(FRAMEWORK), weights: { a: 1.5 } })),
+        /\$\.weights\.a must be an integer/
+    );
+    assert.throws(
+        () => parseWabaJson(JSON.stringify({ ...serializeFramework(FRAMEWORK), rules: [{ id: 'r1', head: 'x' }, { id: 'r1', head: 'y' }] })),
+        /\$\.rules\[1\]\.id repeats rule id "r1"/
+    );
+    assert.throws(
+        () => parseWabaJson(JSON.stringify({ format: 'waba-result', version: 1, config: { semantics: 'magic' }, status: 'SATISFIABLE', extensions: [] })),
+        /\$\.config: Unsupported semantics "magic"/
+    );
+    assert.throws(
+        () => parseWabaJson(JSON.stringify({ format: 'waba-result', version: 1, config: {}, status: 'SATISFIABLE', extensions: [{}] })),
+        /\$\.extensions\[0\]\.answerSet must be an array/
+    );
+});
+
+test('frameworkToEditorState uses Simple mode only when the fields can express the framework', () => {
+    const simple = frameworkToEditorState(FRAMEWORK, 'Two assumptions');
+    assert.equal(simple.mode, 'simple');
+    if (simple.mode === 'simple') {
+        assert.equal(simple.fields.rules, 'c_a <- b\nc_b <- ');
+        assert.equal(simple.fields.weights, 'a: 80\nc_a: 70');
+        assert.equal(simple.fields.description, 'Two assumptions');
+    }
+
+    assert.equal(frameworkToEditorState({ ...FRAMEWORK, weights: { a: '#sup' } }).mode, 'advanced');
+    assert.equal(frameworkToEditorState({ ...FRAMEWORK, rules: [{ id: 'attack', head: 'c_a', body: ['b'] }] }).mode, 'advanced');
+});
+
+test('frameworkToClingo keeps rule ids and weights for the parser', () => {
+    const code = frameworkToClingo({ ...FRAMEWORK, rules: [{ id: 'attack', head: 'c_a', body: ['b', 'a'] }], weights: { a: '#sup' } }, 'Line one');
+
+    assert.match(code, /^% \/\/ Line one$/m);
+    assert.deepEqual(ParserUtils.parseRules(code), [{ id: 'attack', head: 'c_a', body: ['b', 'a'] }]);
+    assert.deepEqual(ParserUtils.parseWeights(code), { a: '#sup' });
+    assert.deepEqual(ParserUtils.parseContraries(code), FRAMEWORK.contraries);
+});
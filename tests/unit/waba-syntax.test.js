@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseSimpleField } from '../../features/editor/simple-format.js';
+import { FileManager } from '../../modules/file-manager.js';
+import { WABA_GRAMMAR } from '../../modules/prism-waba.js';
+import { formatWaba, parseWaba, parseWabaDocument, tokenizeWabaLine } from '../../runtime/waba-syntax.js';
+
+test('tokenizeWabaLine reports 1-based columns and invalid characters', () => {
+    assert.deepEqual(tokenizeWabaLine('c_a ← b, d % note', 3).map(({ type, value, column, endColumn }) => [type, value, column, endColumn]), [
+        ['atom', 'c_a', 1, 4],
+        ['arrow', '←', 5, 6],
+        ['atom', 'b', 7, 8],
+        ['comma', ',', 8, 9],
+        ['atom', 'd', 10, 11],
+        ['comment', '% note', 12, 18]
+    ]);
+    assert.equal(tokenizeWabaLine('a.', 1)[1].type, 'invalid');
+});
+
+test('parseWaba accepts both arrows and both contrary notations', () => {
+    const { statements, diagnostics } = parseWaba('a\nc_a <- b, d\nc_b ← \n(a, c_a)\nb: c_b\nb: 5\n% // About\n% plain');
+
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(statements.map((statement) => statement.kind), ['assumption', 'rule', 'rule', 'contrary', 'contrary', 'weight', 'comment', 'comment']);
+
+    const [, rule, fact, pair, colon, weight, description] = statements;
+    assert.equal(rule.kind === 'rule' && rule.body.map((atom) => `${atom.name}@${atom.column}`).join(' '), 'b@8 d@11');
+    assert.equal(fact.kind === 'rule' && fact.arrow, '←');
+    assert.equal(fact.kind === 'rule' && fact.body.length, 0);
+    assert.equal(pair.kind === 'contrary' && pair.syntax, 'pair');
+    assert.equal(colon.kind === 'contrary' && `${colon.assumption.name}/${colon.contrary.name}/${colon.syntax}`, 'b/c_b/colon');
+    assert.equal(weight.kind === 'weight' && weight.weight, '5');
+    assert.equal(description.kind === 'comment' && description.description, true);
+});
+
+test('diagnostics point at the offending token', () => {
+    const { statements, diagnostics } = parseWaba('ok\nh <- a,\n(a c)\nx: -1\n1a\nh <- a b');
+
+    assert.equal(statements.length, 1);
+    assert.deepEqual(diagnostics.map(({ line, column, endColumn, message }) => [line, column, endColumn, message]), [
+        [2, 8, 9, 'Expected a body atom after ",", found end of line.'],
+        [3, 4, 5, 'Expected ",", found atom "c".'],
+        [4, 4, 5, 'Expected a weight or a contrary atom after ":", found character "-".'],
+        [5, 1, 2, 'Expected an atom, "(" or a comment, found number "1".'],
+        [6, 8, 9, 'Unexpected atom "b" after a rule.']
+    ]);
+});
+
+test('Simple fields report statements of the wrong kind', () => {
+    const { statements, diagnostics } = parseSimpleField('contraries', '(a, c)\na: c\na: 5\n% keep');
+
+    assert.deepEqual(statements.map((statement) => statement.kind), ['contrary', 'contrary', 'comment']);
+    assert.deepEqual(diagnostics, [{
+        severity: 'error',
+        message: 'Expected a contrary ((assumption, contrary)), found a weight (atom: integer).',
+        line: 3,
+        column: 1,
+        endColumn: 5
+    }]);
+});
+
+test('.waba files normalise to the Simple editor notation', () => {
+    const parsed = parseWabaDocument('% // Demo\n% Assumptions:\na\nb\nc_a ← b\na: c_a\n(b, c_b)\na: 80\n?!');
+
+    assert.equal(parsed.description, 'Demo');
+    assert.deepEqual(parsed.assumptions, ['a', 'b']);
+    assert.deepEqual(parsed.rules, ['c_a <- b']);
+    assert.deepEqual(parsed.contraries, ['(a, c_a)', '(b, c_b)']);
+    assert.deepEqual(parsed.weights, ['a: 80']);
+    assert.equal(parsed.diagnostics.length, 1);
+    assert.equal(parsed.diagnostics[0].line, 9);
+});
+
+test('formatWaba and convertLpToWaba write text the parser reads back', () => {
+    const waba = new FileManager().convertLpToWaba('assumption(a). assumption(b). head(r1, c_a). body(r1, b; r1, a). head(r2, c_b). contrary(a, c_a). contrary(b, c_b). weight(a, 80). weight(c_a, #sup).');
+
+    assert.equal(waba, formatWaba({
+        assumptions: ['a', 'b'],
+        rules: [{ head: 'c_a', body: ['b', 'a'] }, { head: 'c_b', body: [] }],
+        contraries: [{ assumption: 'a', contrary: 'c_a' }, { assumption: 'b', contrary: 'c_b' }],
+        weights: { a: '80', c_a: '#sup' }
+    }));
+    assert.match(waba, /^% Assumptions:\na\nb\n\n% Rules:\nc_a <- b, a\n/);
+    const parsed = parseWabaDocument(waba);
+    assert.deepEqual(parsed.diagnostics, []);
+    assert.deepEqual(parsed.rules, ['c_a <- b, a', 'c_b <- ']);
+    assert.deepEqual(parsed.contraries, ['(a, c_a)', '(b, c_b)']);
+    assert.deepEqual(parsed.weights, ['a: 80']);
+});
+
+test('the Prism grammar uses the parser token patterns', () => {
+    assert.ok(WABA_GRAMMAR.rule.pattern.test('c_a ← b'));
+    assert.ok(WABA_GRAMMAR.contrary.pattern.test('a: c_a'));
+    assert.ok(WABA_GRAMMAR.contrary.pattern.test('(a, c_a)'));
+    assert.ok(!WABA_GRAMMAR.contrary.pattern.test('a: 80'));
+    assert.ok(WABA_GRAMMAR.weight.pattern.test('a: 80'));
+});
@@ -0,0 +1,141 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeConfig } from '../../runtime/config-service.js';
+import {
+    MAX_SENSITIVITY_RUNS,
+    analyzeWeightSensitivity,
+    buildPerturbations,
+    findThresholds,
+    parseWeightFacts,
+    setWeight
+} from '../../runtime/weight-sensitivity.js';
+import { buildSensitivityAnnotationUpdates, formatSensitivityAnnotation } from '../../modules/graph-highlighting.js';
+import { MetricsManager } from '../../modules/metrics-manager.js';
+import { sat } from './helpers/solver-fixtures.js';
+
+const FRAMEWORK = [
+    'assumption(a). assumption(b).',
+    'head(r1,x). body(r1,b).',
+    'contrary(a,x).',
+    'weight(b, 5). weight(x,3).',
+    '% weight(a, 9).'
+].join('\n');
+
+test('integer weight facts are parsed and rewritten outside comments', () => {
+    assert.deepEqual(parseWeightFacts(FRAMEWORK), [{ atom: 'b', value: 5 }, { atom: 'x', value: 3 }]);
+    assert.deepEqual(parseWeightFacts('weight(a,#sup). weight(f(1),-2).'), [{ atom: 'f(1)', value: -2 }]);
+
+    const rewritten = setWeight(`${FRAMEWORK}\nweight(b,5). % weight(b,5).`, 'b', 2);
+    assert.match(rewritten, /^weight\(b, 2\)\. weight\(x,3\)\.$/m);
+    assert.match(rewritten, /^weight\(b, 2\)\. % weight\(b,5\)\.$/m);
+    assert.match(rewritten, /^% weight\(a, 9\)\.$/m);
+});
+
+test('compact weight facts are expanded before they are parsed and rewritten', () => {
+    const compact = 'weight(a, 1; b, 2). weight(f(1), 3; c, #sup).\n% weight(d, 4; e, 5).';
+    assert.deepEqual(parseWeightFacts(compact), [{ atom: 'a', value: 1 }, { atom: 'b', value: 2 }, { atom: 'f(1)', value: 3 }]);
+    assert.equal(
+        setWeight(compact, 'b', 7),
+        'weight(a, 1). weight(b, 7). weight(f(1), 3). weight(c, #sup).\n% weight(d, 4; e, 5).'
+    );
+});
+
+test('perturbations cover ±k or a range without the current value', () => {
+    assert.deepEqual(buildPerturbations(5, { mode: 'offset', radius: 2, step: 1 }), [3, 4, 6, 7]);
+    assert.deepEqual(buildPerturbations(5, { mode: 'offset', radius: 5, step: 2 }), [1, 3, 7, 9]);
+    assert.deepEqual(buildPerturbations(5, { mode: 'range', start: 0, end: 10, step: 5 }), [0, 10]);
+    assert.deepEqual(buildPerturbations(1, { mode: 'offset', radius: 3, step: 1 }), [0, 2, 3, 4]);
+    assert.throws(() => buildPerturbations(5, { mode: 'offset', radius: 0, step: 1 }), /±k must be a positive integer/);
+    assert.throws(() => buildPerturbations(5, { mode: 'range', start: 3, end: 1, step: 1 }), /end must not be below its start/);
+    assert.throws(() => buildPerturbations(5, { mode: 'offset', radius: 2, step: 0.5 }), /step must be a positive integer/);
+});
+
+test('thresholds are the nearest flipping values on each side', () => {
+    const points = [1, 2, 4, 8, 9].map((value) => ({ value, flipped: value !== 4 }));
+    assert.deepEqual(findThresholds(5, points, (point) => point.flipped), { below: 2, above: 8 });
+    assert.deepEqual(findThresholds(5, points, () => false), { below: null, above: null });
+});
+
+test('each perturbed framework is re-run and compared with the baseline', async () => {
+    const config = normalizeConfig({ semantics: 'stable', budgetMode: 'ub', monoid: 'sum', beta: 4 });
+    const frameworks = [];
+    const runOn = async (framework) => {
+        frameworks.push(framework);
+        // b keeps its attack on a only while weight(b, ...) exceeds the budget
+        const bWeight = Number(framework.match(/weight\(b, ?(-?\d+)\)/)[1]);
+        const result = bWeight > 4
+            ? sat(['in(a)', 'in(b)', 'discarded_attack(x,a,3)'])
+            : sat(['in(b)', 'out(a)']);
+        return { result, effectiveConfig: config };
+    };
+
+    const sensitivity = await analyzeWeightSensitivity(FRAMEWORK, { mode: 'offset', radius: 1, step: 1 }, runOn);
+
+    assert.equal(frameworks.length, 5);
+    assert.equal(sensitivity.complete, true);
+    assert.deepEqual(sensitivity.baseline, { extensionSets: ['{a, b}'], top: '{a, b}' });
+    const [b, x] = sensitivity.weights;
+    assert.deepEqual(b.points.map((point) => [point.value, point.top, point.setsChanged]), [[4, '{b}', true], [6, '{a, b}', false]]);
+    assert.deepEqual(b.setThresholds, { below: 4, above: null });
+    assert.deepEqual(x.topThresholds, { below: null, above: null });
+
+    const partial = await analyzeWeightSensitivity(FRAMEWORK, { mode: 'offset', radius: 1, step: 1 }, async (framework) => (
+        framework === FRAMEWORK ? runOn(framework) : null
+    ));
+    assert.deepEqual(partial.weights, []);
+    assert.equal(partial.complete, false);
+
+    await assert.rejects(
+        analyzeWeightSensitivity(FRAMEWORK, { mode: 'range', start: 0, end: MAX_SENSITIVITY_RUNS, step: 1 }, runOn),
+        /narrow the range/
+    );
+    await assert.rejects(analyzeWeightSensitivity('assumption(a).', { mode: 'offset', radius: 1, step: 1 }, runOn), /no integer weight/);
+});
+
+test('sensitive weights are tabulated and annotated on the graph', () => {
+    const sensitivity = {
+        baseline: { extensionSets: ['{a, b}'], top: '{a, b}' },
+        complete: true,
+        weights: [
+            {
+                atom: 'b',
+                baseline: 5,
+                points: [{ value: 4, extensionSets: ['{b}'], top: '{b}', setsChanged: true, topChanged: true }],
+                setThresholds: { below: 4, above: null },
+                topThresholds: { below: 4, above: null }
+            },
+            {
+                atom: 'x',
+                baseline: 3,
+                points: [{ value: 2, extensionSets: ['{a, b}'], top: '{a, b}', setsChanged: false, topChanged: false }],
+                setThresholds: { below: null, above: null },
+                topThresholds: { below: null, above: null }
+            }
+        ]
+    };
+    assert.equal(formatSensitivityAnnotation(sensitivity.weights[0]), '⚖ ≤4');
+    assert.equal(formatSensitivityAnnotation(sensitivity.weights[1]), null);
+
+    const html = MetricsManager.formatSensitivitySection(sensitivity, { mode: 'range', start: 0, end: 6, step: 1 });
+    assert.match(html, /id="sensitivity-radius-input"[^>]* hidden>/);
+    assert.match(html, /<td class="metric-num">4 \/ –<\/td>/);
+    assert.match(html, /<td class="metric-num">stable<\/td>/);
+    assert.match(html, /4: \{b\}/);
+
+    const dataSet = (items) => ({ get: () => items });
+    const networkData = {
+        nodes: dataSet([{ id: 'a', label: 'a', isAssumption: true }, { id: 'b', label: 'b', isAssumption: true }]),
+        edges: dataSet([{ id: 'e1', label: '3', contrary: 'x' }, { id: 'e2', label: '5', attackingElement: 'b' }])
+    };
+    assert.deepEqual(buildSensitivityAnnotationUpdates(networkData, sensitivity), {
+        nodeUpdates: [{ id: 'b', originalLabel: 'b', label: 'b\n⚖ ≤4' }],
+        edgeUpdates: [{ id: 'e2', originalLabel: '5', label: '5 ⚖ ≤4' }]
+    });
+
+    const annotated = {
+        nodes: dataSet([{ id: 'b', label: 'b\n⚖ ≤4', originalLabel: 'b', isAssumption: true }]),
+        edges: dataSet([])
+    };
+    assert.deepEqual(buildSensitivityAnnotationUpdates(annotated, null).nodeUpdates, [{ id: 'b', originalLabel: 'b', label: 'b' }]);
+});
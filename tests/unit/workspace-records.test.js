@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeConfig } from '../../runtime/config-service.js';
+import { compareRuns } from '../../runtime/config-compare.js';
+import {
+    createRunRecord,
+    createWorkspaceRecord,
+    normalizeWorkspaceName,
+    selectRunsToPrune,
+    toStoredRun
+} from '../../runtime/workspace-records.js';
+import { buildRunHistoryHtml } from '../../modules/run-history-builder.js';
+import { sat } from './helpers/solver-fixtures.js';
+
+const CONFIG = normalizeConfig({ monoid: 'sum', budgetMode: 'ub', beta: 4 });
+
+test('workspace names are trimmed and must be non-empty and short', () => {
+    assert.equal(normalizeWorkspaceName('  godel vs luk  '), 'godel vs luk');
+    assert.throws(() => normalizeWorkspaceName('   '), /must not be empty/);
+    assert.throws(() => normalizeWorkspaceName('x'.repeat(81)), /at most 80/);
+});
+
+test('workspace records keep only the user-set config fields', () => {
+    const record = createWorkspaceRecord(' demo ', {
+        editor: { mode: 'advanced', code: 'assumption(a).' },
+        framework: 'assumption(a).',
+        config: CONFIG,
+        graphMode: 'standard',
+        positions: { a: { x: 1, y: 2 } }
+    }, 42);
+
+    assert.equal(record.name, 'demo');
+    assert.equal(record.updatedAt, 42);
+    assert.equal(record.config.beta, 4);
+    assert.equal('semiringKey' in record.config, false);
+    assert.equal('budgetIntent' in record.config, false);
+    assert.deepEqual(record.positions, { a: { x: 1, y: 2 } });
+});
+
+test('run records store ranked extensions and rebuild a comparable run', () => {
+    const record = createRunRecord('demo', {
+        result: sat(['in(b)'], ['in(a)', 'discarded_attack(c,a,2)']),
+        elapsed: '0.05',
+        effectiveConfig: CONFIG
+    }, 'assumption(a).', 7);
+
+    assert.equal(record.workspace, 'demo');
+    assert.equal(record.result, 'SATISFIABLE');
+    assert.deepEqual(record.ranked.map((item) => item.parsed.in), [['b'], ['a']]);
+
+    const failed = createRunRecord('demo', { result: { Result: 'UNSATISFIABLE', Call: [{}] }, elapsed: '0.01', effectiveConfig: CONFIG }, '', 8);
+    assert.deepEqual(failed.ranked, []);
+
+    const comparison = compareRuns(toStoredRun(failed), toStoredRun(record));
+    assert.deepEqual(comparison.counts, { both: 0, left: 0, right: 2 });
+});
+
+test('selectRunsToPrune drops the oldest runs beyond the limit', () => {
+    const runs = [{ id: 1, createdAt: 10 }, { id: 2, createdAt: 30 }, { id: 3, createdAt: 20 }];
+    assert.deepEqual(selectRunsToPrune(runs, 2), [1]);
+    assert.deepEqual(selectRunsToPrune(runs, 5), []);
+});
+
+test('run history lists runs with open/delete actions and a compare button', () => {
+    const record = { ...createRunRecord('demo', { result: sat(['in(a)']), elapsed: '0.05', effectiveConfig: CONFIG }, '', 7), id: 12 };
+    const html = buildRunHistoryHtml([record]);
+
+    assert.match(html, /data-run-id="12"/);
+    assert.match(html, /data-action="open"/);
+    assert.match(html, /data-action="delete"/);
+    assert.match(html, /run-history-compare-btn" disabled/);
+    assert.match(buildRunHistoryHtml([]), /No runs recorded/);
+});
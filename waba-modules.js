@@ -1,6 +1,6 @@
 // AUTO-GENERATED by scripts/sync-modules.js
 // DO NOT EDIT MANUALLY
-// Last updated: 2026-03-15T11:56:27.265Z
+// Last updated: 2026-10-19T09:11:18.905Z
 
 export const wabaModules = {
     core: {
@@ -995,6 +995,151 @@ supported_with_weight_from(X,S,W) :-
     N = #sum{ 1,ID : support_contrib_from(X,S,ID,V), V != #sup, V != #inf },
     Sum = #sum{ V,ID : support_contrib_from(X,S,ID,V), V != #sup, V != #inf },
     W = #max{ 0; Sum - luk_k*(N-1) }.
+`,
+        "tropical": `%% Tropical Semiring for Weight Propagation (Cost Semantics)
+%% Semiring: ([0,trop_k] ∪ {#sup}, min, +, #sup, 0)
+%% - Domain: non-negative integer costs up to trop_k (default 10000), plus #sup
+%% - Disjunction/⊕ (OR, multiple derivations): min (cheapest alternative)
+%% - Conjunction/⊗ (AND, body elements): + (costs add up along a derivation)
+%% - Additive identity: #sup (identity for min operation)
+%% - Multiplicative identity: 0 (identity for + operation)
+%% - Interpretation: weights are costs, lower is better
+%%
+%% Finite sums saturate at trop_k, which keeps grounding finite when rules
+%% derive atoms through cycles. #sup absorbs sums (unweighted assumptions under
+%% the legacy and aba policies stay "hardest to discard"); otherwise #inf does.
+%% Negative weights fall outside the domain.
+
+#const trop_k = 10000.
+active_semiring(tropical).
+%% Default weight policy selection for unweighted assumptions.
+%%
+%% Semiring modules provide semiring_default_weight(policy, value).
+%% Callers may optionally load one explicit policy module from defaults/.
+%% If none is loaded, legacy behavior is preserved.
+
+configured_default_policy :- explicit_default_policy(_).
+
+:- explicit_default_policy(P1), explicit_default_policy(P2), P1 != P2.
+
+active_default_policy(P) :- explicit_default_policy(P).
+active_default_policy(legacy) :- not configured_default_policy.
+
+default_assumption_weight(W) :-
+    active_default_policy(P),
+    semiring_default_weight(P, W).
+
+:- active_default_policy(P), not semiring_default_weight(P, _).
+
+
+%% legacy/aba: #sup, the supremum (attacks from unweighted atoms cannot be bought off)
+%% neutral: 0, the multiplicative identity (unweighted atoms add no cost)
+semiring_default_weight(legacy,#sup).
+semiring_default_weight(aba,#sup).
+semiring_default_weight(neutral,0).
+
+%% ==========================================
+%% PROVENANCE-AWARE SUPPORT (SECTION 3.4)
+%% ==========================================
+%%
+%% supported_with_weight_from(X,S,W) is the cheapest support for X from the
+%% source-set bitmask S.
+
+body_index(R,B,N) :-
+    body(R,B),
+    N = #count{ C : body(R,C), C < B }.
+
+body_size(R,N) :-
+    rule(R),
+    N = #count{ B : body(R,B) }.
+
+source_bit(X,B) :-
+    assumption(X),
+    N = #count{ Y : assumption(Y), Y < X },
+    B = 2**N.
+
+raw_support_with_weight_from(X,S,W) :-
+    assumption(X),
+    weight(X,W),
+    source_bit(X,S).
+
+raw_support_with_weight_from(X,S,W) :-
+    assumption(X),
+    not weight(X,_),
+    source_bit(X,S),
+    default_assumption_weight(W).
+
+raw_support_with_weight_from(X,0,W) :-
+    derived_atom(X),
+    weight(X,W).
+
+%% Body prefixes accumulate the sum; #sup absorbs, then #inf.
+rule_source_prefix(R,0,0,0) :-
+    has_body(R).
+
+rule_source_prefix(R,N1,S1,#sup) :-
+    rule_source_prefix(R,N,S0,#sup),
+    N1 = N + 1,
+    body_index(R,B,N),
+    supported_with_weight_from(B,SB,_),
+    S1 = S0 ? SB.
+
+rule_source_prefix(R,N1,S1,#sup) :-
+    rule_source_prefix(R,N,S0,W0),
+    W0 != #sup,
+    N1 = N + 1,
+    body_index(R,B,N),
+    supported_with_weight_from(B,SB,#sup),
+    S1 = S0 ? SB.
+
+rule_source_prefix(R,N1,S1,#inf) :-
+    rule_source_prefix(R,N,S0,#inf),
+    N1 = N + 1,
+    body_index(R,B,N),
+    supported_with_weight_from(B,SB,V),
+    V != #sup,
+    S1 = S0 ? SB.
+
+rule_source_prefix(R,N1,S1,#inf) :-
+    rule_source_prefix(R,N,S0,W0),
+    W0 != #sup,
+    W0 != #inf,
+    N1 = N + 1,
+    body_index(R,B,N),
+    supported_with_weight_from(B,SB,#inf),
+    S1 = S0 ? SB.
+
+rule_source_prefix(R,N1,S1,W1) :-
+    rule_source_prefix(R,N,S0,W0),
+    W0 != #sup,
+    W0 != #inf,
+    N1 = N + 1,
+    body_index(R,B,N),
+    supported_with_weight_from(B,SB,V),
+    V != #sup,
+    V != #inf,
+    S1 = S0 ? SB,
+    W1 = #min{ trop_k; W0 + V }.
+
+raw_support_with_weight_from(X,S,W) :-
+    head(R,X),
+    has_body(R),
+    body_size(R,N),
+    rule_source_prefix(R,N,S,W).
+
+raw_support_with_weight_from(X,0,#sup) :-
+    head(R,X),
+    not has_body(R).
+
+supported_with_weight_from(X,S,W) :-
+    raw_support_with_weight_from(X,S,_),
+    W = #min{ V : raw_support_with_weight_from(X,S,V) }.
+
+%% Support in the current candidate: the cheapest support whose sources are
+%% all in (⊕ = min over the enabled source-sets)
+supported_with_weight(X,W) :-
+    supported(X),
+    W = #min{ V,S : supported_with_weight_from(X,S,V), not source_disabled_by_out(S) }.
 `
     },
     defaults: {
@@ -1705,7 +1850,8 @@ weight(e,1).
         "generatedFrom": "ABA-variants/WABA",
         "semiringFamilies": [
             "godel",
-            "lukasiewicz"
+            "lukasiewicz",
+            "tropical"
         ],
         "polarities": [
             "higher",
@@ -1714,7 +1860,8 @@ weight(e,1).
         "supportedSemiringKeys": [
             "godel",
             "lukasiewicz",
-            "lukasiewicz_low"
+            "lukasiewicz_low",
+            "tropical"
         ],
         "defaults": [
             "legacy",
@@ -1752,11 +1899,15 @@ weight(e,1).
             "admissible",
             "complete",
             "grounded",
-            "preferred"
+            "preferred",
+            "semi-stable",
+            "ideal"
         ],
         "postFilteredSemantics": [
             "grounded",
-            "preferred"
+            "preferred",
+            "semi-stable",
+            "ideal"
         ],
         "canonicalSemiring": {
             "godel": {
@@ -1765,9 +1916,17 @@ weight(e,1).
             "lukasiewicz": {
                 "higher": "lukasiewicz",
                 "lower": "lukasiewicz_low"
+            },
+            "tropical": {
+                "lower": "tropical"
+            }
+        },
+        "aliases": {
+            "min_plus": {
+                "family": "tropical",
+                "polarity": "lower"
             }
         },
-        "aliases": {},
         "supportedBudgetPairs": [
             {
                 "monoid": "sum",